@@ -0,0 +1,366 @@
+const config = require('./config');
+const logger = require('./logger');
+
+/**
+ * Default cache backend: a process-local LRU with per-entry expiry.
+ * All backends share the same async interface:
+ * get(key), set(key, value, ttlMs), delete(key), clear(), size(), close()
+ *
+ * Options:
+ * - maxEntries: least recently used entries are evicted beyond this count
+ * - maxBytes: least recently used entries are evicted beyond this total size
+ * - onEvict: (key, reason) hook for 'expired', 'capacity' or 'bytes' evictions
+ */
+class MemoryCacheBackend {
+  constructor(options = {}) {
+    this.name = 'memory';
+    this.maxEntries = options.maxEntries || config.cache.maxEntries;
+    this.maxBytes = options.maxBytes || config.cache.maxBytes;
+    this.onEvict = options.onEvict || null;
+    this.entries = new Map();
+    this.bytes = 0;
+    this.evictions = { expired: 0, capacity: 0, bytes: 0 };
+  }
+
+  async get(key) {
+    const entry = this.entries.get(key);
+    if (!entry) return null;
+
+    if (Date.now() > entry.expiresAt) {
+      // Cache expired
+      this._evict(key, entry, 'expired');
+      logger.debug('Cache entry expired', { key });
+      return null;
+    }
+
+    // Re-insert to mark as most recently used
+    entry.hits++;
+    entry.lastAccessedAt = Date.now();
+    this.entries.delete(key);
+    this.entries.set(key, entry);
+    return entry.value;
+  }
+
+  async set(key, value, ttlMs) {
+    const bytes = Buffer.byteLength(JSON.stringify(value) || '');
+    if (bytes > this.maxBytes) {
+      logger.debug('Cache entry larger than maxBytes, not cached', { key, bytes, maxBytes: this.maxBytes });
+      return false;
+    }
+
+    this._remove(key);
+    const now = Date.now();
+    this.entries.set(key, { value, bytes, hits: 0, expiresAt: now + ttlMs, lastAccessedAt: now });
+    this.bytes += bytes;
+
+    this._enforceLimits();
+    return true;
+  }
+
+  async delete(key) {
+    return this._remove(key);
+  }
+
+  async clear() {
+    this.entries.clear();
+    this.bytes = 0;
+  }
+
+  async size() {
+    return this.entries.size;
+  }
+
+  /**
+   * Hit count and size for a single entry, without touching its LRU position
+   */
+  entryStats(key) {
+    const entry = this.entries.get(key);
+    if (!entry) return null;
+
+    return {
+      hits: entry.hits,
+      bytes: entry.bytes,
+      expiresAt: new Date(entry.expiresAt).toISOString(),
+      lastAccessedAt: new Date(entry.lastAccessedAt).toISOString()
+    };
+  }
+
+  stats() {
+    return {
+      size: this.entries.size,
+      bytes: this.bytes,
+      maxEntries: this.maxEntries,
+      maxBytes: this.maxBytes,
+      evictions: { ...this.evictions }
+    };
+  }
+
+  /**
+   * Remove expired entries, returns how many were deleted
+   */
+  cleanup() {
+    const now = Date.now();
+    let deletedCount = 0;
+
+    for (const [key, entry] of this.entries) {
+      if (now > entry.expiresAt) {
+        this._evict(key, entry, 'expired');
+        deletedCount++;
+      }
+    }
+
+    return deletedCount;
+  }
+
+  async close() {
+    await this.clear();
+  }
+
+  _enforceLimits() {
+    if (!this._overLimit()) return;
+
+    // Prefer dropping expired entries before evicting live ones
+    this.cleanup();
+
+    while (this._overLimit()) {
+      const [oldestKey, oldestEntry] = this.entries.entries().next().value;
+      this._evict(oldestKey, oldestEntry, this.entries.size > this.maxEntries ? 'capacity' : 'bytes');
+    }
+  }
+
+  _overLimit() {
+    return this.entries.size > this.maxEntries || this.bytes > this.maxBytes;
+  }
+
+  _remove(key) {
+    const entry = this.entries.get(key);
+    if (!entry) return false;
+
+    this.entries.delete(key);
+    this.bytes -= entry.bytes;
+    return true;
+  }
+
+  _evict(key, entry, reason) {
+    this._remove(key);
+    this.evictions[reason]++;
+
+    if (this.onEvict) {
+      try {
+        this.onEvict(key, reason);
+      } catch (error) {
+        logger.warn('Cache evict hook failed', { key, error: error.message });
+      }
+    }
+  }
+}
+
+/**
+ * Shared cache on Redis (node-redis v4 client API) using native key expiry.
+ *
+ * Options:
+ * - client: an existing client (tests pass an in-process stand-in)
+ * - url: connection URL used when no client is given
+ * - prefix: namespace for cache keys
+ */
+class RedisCacheBackend {
+  constructor(options = {}) {
+    this.name = 'redis';
+    this.prefix = options.prefix || config.cache.keyPrefix;
+    this.url = options.url || config.cache.redisUrl;
+    this.client = options.client || null;
+  }
+
+  async connect() {
+    if (!this.client) {
+      let redis;
+      try {
+        redis = require('redis');
+      } catch (error) {
+        throw new Error('Redis cache backend requires the optional "redis" package');
+      }
+
+      this.client = redis.createClient({
+        url: this.url,
+        // Fail commands immediately while disconnected so callers can fall back
+        disableOfflineQueue: true,
+        socket: {
+          connectTimeout: config.cache.redisConnectTimeoutMs,
+          reconnectStrategy: retries => Math.min(retries * 500, 5000)
+        }
+      });
+
+      this.client.on('error', error => {
+        logger.warn('Redis cache client error', { error: error.message });
+      });
+    }
+
+    if (typeof this.client.connect === 'function' && !this.client.isOpen) {
+      await this.client.connect();
+    }
+  }
+
+  async get(key) {
+    const raw = await this.client.get(this.prefix + key);
+    return raw === null || raw === undefined ? null : JSON.parse(raw);
+  }
+
+  async set(key, value, ttlMs) {
+    await this.client.set(this.prefix + key, JSON.stringify(value), { PX: Math.max(1, Math.round(ttlMs)) });
+  }
+
+  async delete(key) {
+    return (await this.client.del(this.prefix + key)) > 0;
+  }
+
+  async clear() {
+    const keys = await this._keys();
+    if (keys.length > 0) {
+      await this.client.del(keys);
+    }
+  }
+
+  async size() {
+    return (await this._keys()).length;
+  }
+
+  async close() {
+    if (this.client && this.client.isOpen && typeof this.client.quit === 'function') {
+      await this.client.quit();
+    }
+  }
+
+  async _keys() {
+    const keys = [];
+    for await (const key of this.client.scanIterator({ MATCH: `${this.prefix}*`, COUNT: 100 })) {
+      keys.push(key);
+    }
+    return keys;
+  }
+}
+
+/**
+ * Routes calls to a primary backend and degrades to a fallback while the
+ * primary is failing, retrying the primary after `retryAfterMs`.
+ */
+class FallbackCacheBackend {
+  constructor(primary, fallback, options = {}) {
+    this.primary = primary;
+    this.fallback = fallback;
+    this.retryAfterMs = options.retryAfterMs || config.cache.redisRetryMs;
+    this.unavailableUntil = 0;
+    this.name = primary.name;
+  }
+
+  get usingFallback() {
+    return Date.now() < this.unavailableUntil;
+  }
+
+  async connect() {
+    try {
+      await this._withDeadline(this.primary.connect());
+      logger.info('Cache backend connected', { backend: this.primary.name });
+    } catch (error) {
+      this._markUnavailable(error, 'connect');
+    }
+  }
+
+  async get(key) {
+    return this._call('get', [key]);
+  }
+
+  async set(key, value, ttlMs) {
+    return this._call('set', [key, value, ttlMs]);
+  }
+
+  async delete(key) {
+    return this._call('delete', [key]);
+  }
+
+  async clear() {
+    await this.fallback.clear();
+    return this._call('clear', [], { skipFallback: true });
+  }
+
+  async size() {
+    return this._call('size', []);
+  }
+
+  cleanup() {
+    return this.fallback.cleanup();
+  }
+
+  async close() {
+    await this.fallback.close();
+    try {
+      await this.primary.close();
+    } catch (error) {
+      logger.warn('Failed to close cache backend', { backend: this.primary.name, error: error.message });
+    }
+  }
+
+  async _call(method, args, options = {}) {
+    if (!this.usingFallback) {
+      try {
+        return await this._withDeadline(this.primary[method](...args));
+      } catch (error) {
+        this._markUnavailable(error, method);
+      }
+    }
+
+    return options.skipFallback ? undefined : this.fallback[method](...args);
+  }
+
+  _markUnavailable(error, operation) {
+    if (!this.usingFallback) {
+      logger.warn('Cache backend unavailable, falling back to memory', {
+        backend: this.primary.name,
+        operation,
+        error: error.message,
+        retryAfterMs: this.retryAfterMs
+      });
+    }
+    this.unavailableUntil = Date.now() + this.retryAfterMs;
+  }
+
+  _withDeadline(promise) {
+    return new Promise((resolve, reject) => {
+      const timer = setTimeout(() => {
+        reject(new Error('Cache backend timeout'));
+      }, config.cache.redisConnectTimeoutMs);
+
+      promise.then(
+        value => {
+          clearTimeout(timer);
+          resolve(value);
+        },
+        error => {
+          clearTimeout(timer);
+          reject(error);
+        }
+      );
+    });
+  }
+}
+
+/**
+ * Create the cache backend selected in config (redis falls back to memory)
+ */
+function createCacheBackend(type = config.cache.backend, options = {}) {
+  if (type === 'memory') {
+    return new MemoryCacheBackend(options);
+  }
+
+  if (type === 'redis') {
+    return new FallbackCacheBackend(new RedisCacheBackend(options), new MemoryCacheBackend(options), options);
+  }
+
+  throw new Error(`Unknown cache backend: ${type}. Available: memory, redis`);
+}
+
+module.exports = {
+  MemoryCacheBackend,
+  RedisCacheBackend,
+  FallbackCacheBackend,
+  createCacheBackend
+};
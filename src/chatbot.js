@@ -1,5 +1,18 @@
-const { VertexAI } = require('@google-cloud/vertexai');
 const config = require('./config');
+const { createProvider, ModelProvider } = require('./providers');
+const { ConversationMemory } = require('./conversation');
+const { createSessionStore } = require('./sessionStore');
+const { SymptomIntake } = require('./intake');
+const { SafetyChecker } = require('./safety');
+const { GenerationProfiles } = require('./profiles');
+const { CircuitBreaker, retryWithBackoff, isRetryableError } = require('./resilience');
+const { FirstAidGuide } = require('./firstAid');
+const { KnowledgeBase } = require('./knowledgeBase');
+const { PromptTemplates } = require('./promptTemplates');
+const { TopicClassifier } = require('./topics');
+const { PiiRedactor } = require('./redaction');
+const { I18n } = require('./i18n');
+const { ImageAttachments } = require('./images');
 const {
   InputValidator,
   PromptManager,
@@ -14,60 +27,54 @@ const {
  * Enhanced PurrPal Chatbot with comprehensive features
  */
 class PurrPalChatbot {
-  constructor() {
-    this.vertexAI = null;
-    this.model = null;
+  constructor(options = {}) {
+    this.provider = options.provider || null;
     this.initialized = false;
     this.initializationError = null;
-    this.conversationHistory = new Map(); // Store conversation context
+    // Store conversation context (memory LRU/TTL or file-backed, see config.sessions)
+    this.conversationHistory = options.sessionStore || createSessionStore(config.sessions.store);
+    // Background summarisation per session, chained so updates never overlap
+    this.compactions = new Map();
+    // Vetted articles retrieved into prompts (indexed on initialize)
+    this.knowledgeBase = options.knowledgeBase || new KnowledgeBase(config.knowledgeBase);
+    // Stops calling the model for a while after repeated failures (see config.resilience)
+    this.circuitBreaker = options.circuitBreaker || new CircuitBreaker({
+      ...config.resilience.circuitBreaker,
+      onStateChange: (state, previous) => {
+        logger.warn('Model circuit breaker state changed', { state, previous });
+        if (state === 'open') MetricsCollector.recordCircuitBreakerOpen();
+      }
+    });
     
     logger.info('PurrPal Chatbot instance created');
   }
 
   /**
-   * Initialize the Vertex AI client for Gemini with enhanced error handling
+   * Initialize the configured model provider with enhanced error handling
    */
   async initialize() {
     try {
       logger.info('Initializing PurrPal Chatbot...');
+
+      // Fail fast on broken prompt templates; reload them on edit in development
+      PromptTemplates.load();
+      if (config.prompts.hotReload) {
+        PromptTemplates.watch();
+      }
       
-      // Initialize Vertex AI with comprehensive configuration
-      this.vertexAI = new VertexAI({
-        project: config.googleCloud.projectId,
-        location: config.googleCloud.location,
-        googleAuthOptions: {
-          keyFilename: config.googleCloud.keyFilename
-        }
-      });
+      // Resolve the model provider (Vertex Gemini by default, injectable for tests)
+      if (!this.provider) {
+        this.provider = createProvider(config.chatbot.provider);
+      }
+      await this.provider.initialize();
 
-      // Configure Gemini model with optimized settings for cat care
-      this.model = this.vertexAI.getGenerativeModel({
-        model: config.googleCloud.model,
-        generationConfig: {
-          maxOutputTokens: config.chatbot.maxTokens,
-          temperature: config.chatbot.temperature,
-          topP: config.chatbot.topP,
-          topK: config.chatbot.topK,
-        },
-        safetySettings: [
-          {
-            category: 'HARM_CATEGORY_HATE_SPEECH',
-            threshold: 'BLOCK_MEDIUM_AND_ABOVE'
-          },
-          {
-            category: 'HARM_CATEGORY_DANGEROUS_CONTENT',
-            threshold: 'BLOCK_MEDIUM_AND_ABOVE'
-          },
-          {
-            category: 'HARM_CATEGORY_SEXUALLY_EXPLICIT',
-            threshold: 'BLOCK_MEDIUM_AND_ABOVE'
-          },
-          {
-            category: 'HARM_CATEGORY_HARASSMENT',
-            threshold: 'BLOCK_MEDIUM_AND_ABOVE'
-          }
-        ]
-      });
+      // Connect the response cache (falls back to memory if Redis is unreachable)
+      await CacheManager.initialize();
+
+      // Index the vetted articles unless an already loaded knowledge base was injected
+      if (config.knowledgeBase.enabled && this.knowledgeBase.size === 0) {
+        this.knowledgeBase.load();
+      }
 
       // Test the connection with a simple query
       await this._testConnection();
@@ -75,11 +82,7 @@ class PurrPalChatbot {
       this.initialized = true;
       this.initializationError = null;
       
-      logger.info('PurrPal Chatbot initialized successfully', {
-        model: config.googleCloud.model,
-        project: config.googleCloud.projectId,
-        location: config.googleCloud.location
-      });
+      logger.info('PurrPal Chatbot initialized successfully', this.provider.describe());
 
       return true;
     } catch (error) {
@@ -89,6 +92,7 @@ class PurrPalChatbot {
       logger.error('Failed to initialize PurrPal Chatbot', {
         error: error.message,
         stack: error.stack,
+        provider: config.chatbot.provider,
         project: config.googleCloud.projectId,
         model: config.googleCloud.model
       });
@@ -98,11 +102,11 @@ class PurrPalChatbot {
   }
 
   /**
-   * Test connection to Vertex AI
+   * Test connection to the model provider
    */
   async _testConnection() {
     try {
-      const testResult = await this.model.generateContent('Test connection');
+      const testResult = await this.provider.generate({ prompt: 'Test connection' });
       logger.debug('Connection test successful');
       return testResult;
     } catch (error) {
@@ -113,141 +117,73 @@ class PurrPalChatbot {
 
   /**
    * Generate response with comprehensive processing pipeline
+   *
+   * Options:
+   * - useContext: answer as a follow-up using the session's conversation history
+   * - bypassCache: skip the cache lookup and always call the model
+   * - intake: open a guided symptom intake for serious/emergency complaints
+   *   (defaults to config.intake.enabled); false also ignores an open intake
+   * - profile: generation profile name from config.chatbot.profiles (defaults to
+   *   the urgency level's profile, then config.chatbot.defaultProfile)
+   * - signal: AbortSignal that cancels the model call; the result is then an
+   *   ABORTED error response
+   * - language: answer language from config.catCare.supportedLanguages
+   *   (defaults to the language detected in the message, see i18n.js)
+   * - images: photo attachments sent to the model with the question, each
+   *   { data } (base64 or a data: URL) or { path } inside config.images.directory,
+   *   with an optional mimeType (see images.js). Such answers are never cached.
    */
   async generateResponse(userMessage, sessionId = null, options = {}) {
     const startTime = Date.now();
     let urgencyLevel = 'normal';
-    let cached = false;
+    let triage = null;
+    let language = null;
 
     try {
-      // Check if chatbot is initialized
-      if (!this.initialized) {
-        if (this.initializationError) {
-          throw this.initializationError;
-        }
-        throw new Error('Chatbot not initialized. Call initialize() first.');
-      }
+      const plan = await this._preparePipeline(userMessage, sessionId, options);
+      if (plan.errorResponse) return plan.errorResponse;
 
-      // Rate limiting check
-      const rateLimitResult = RateLimiter.checkRateLimit(sessionId || 'anonymous');
-      if (!rateLimitResult.allowed) {
-        logger.warn('Rate limit exceeded for session', { sessionId });
-        return ResponseFormatter.createErrorResponse(
-          new Error('Terlalu banyak permintaan. Silakan coba lagi nanti.'),
-          { sessionId, rateLimitExceeded: true }
-        );
-      }
+      urgencyLevel = plan.urgencyLevel;
+      triage = plan.triage;
+      language = plan.language;
 
-      // Input validation and sanitization
-      const validation = InputValidator.validateInput(userMessage);
-      if (!validation.isValid) {
-        logger.warn('Input validation failed', { 
-          sessionId, 
-          errors: validation.errors,
-          originalInput: userMessage?.substring(0, 100)
-        });
-        
-        return ResponseFormatter.createErrorResponse(
-          new Error(`Input tidak valid: ${validation.errors.join(', ')}`),
-          { sessionId, validationErrors: validation.errors }
-        );
+      if (plan.intakeReply) {
+        return await this._serveIntakeReply(plan, sessionId, startTime);
       }
 
-      const sanitizedMessage = validation.sanitizedInput;
-
-      // Check cache first
-      const cacheKey = CacheManager.generateCacheKey(sanitizedMessage);
-      let cachedResponse = CacheManager.get(cacheKey);
-      
-      if (cachedResponse && !options.bypassCache) {
-        cached = true;
-        logger.debug('Returning cached response', { sessionId, cacheKey });
-        
-        const responseTime = Date.now() - startTime;
-        MetricsCollector.recordRequest(true, responseTime, true, cachedResponse.urgencyLevel);
-        
-        return {
-          ...cachedResponse,
-          cached: true,
-          responseTimeMs: responseTime
-        };
+      if (plan.topicReply) {
+        return await this._serveTopicReply(plan, sessionId, startTime);
       }
 
-      // Generate prompt with context awareness
-      let prompt;
-      const conversationContext = this.conversationHistory.get(sessionId);
-      
-      if (conversationContext && options.useContext) {
-        prompt = PromptManager.createFollowUpPrompt(
-          conversationContext.lastResponse,
-          sanitizedMessage
-        );
-      } else {
-        prompt = PromptManager.createCatCarePrompt(sanitizedMessage);
+      if (plan.cachedResponse) {
+        return await this._serveCached(plan, sessionId, startTime);
       }
 
-      // Detect urgency level from prompt generation
-      const emergencyKeywords = config.catCare.emergencyKeywords;
-      const seriousSymptoms = config.catCare.seriousSymptoms;
-      
-      const hasEmergencyKeyword = emergencyKeywords.some(keyword => 
-        sanitizedMessage.toLowerCase().includes(keyword)
-      );
-      
-      const hasSeriousSymptom = seriousSymptoms.some(symptom => 
-        sanitizedMessage.toLowerCase().includes(symptom)
-      );
-
-      if (hasEmergencyKeyword) urgencyLevel = 'emergency';
-      else if (hasSeriousSymptom) urgencyLevel = 'serious';
+      // Generate response using the model provider with timeout
+      const generation = await this._generateWithTimeout(plan.request);
 
-      // Generate response using Gemini with timeout
-      const generatedText = await this._generateWithTimeout(prompt);
+      return await this._completeResponse(plan, generation, sessionId, startTime);
 
-      // Format and enhance response
-      const responseTime = Date.now() - startTime;
-      const formattedResponse = ResponseFormatter.formatResponse(generatedText, {
-        urgencyLevel,
-        cached,
-        responseTime,
-        sessionId
-      });
-
-      // Cache the response (only cache non-emergency responses)
-      if (urgencyLevel !== 'emergency' && config.cache.enabled) {
-        CacheManager.set(cacheKey, {
-          ...formattedResponse,
-          urgencyLevel
-        });
+    } catch (error) {
+      const cancellation = this._cancellationReason(error);
+      if (cancellation === 'aborted') {
+        return this._cancelledResponse(error, cancellation, { sessionId, urgencyLevel, language }, startTime);
       }
 
-      // Update conversation history
-      if (sessionId) {
-        this.conversationHistory.set(sessionId, {
-          lastMessage: sanitizedMessage,
-          lastResponse: generatedText,
-          timestamp: new Date().toISOString(),
-          urgencyLevel
-        });
+      if (triage && FirstAidGuide.covers(urgencyLevel)) {
+        return this._fallbackResponse(error, sessionId, triage, startTime, language);
       }
 
-      // Record metrics
-      MetricsCollector.recordRequest(true, responseTime, cached, urgencyLevel);
-
-      logger.info('Response generated successfully', {
-        sessionId,
-        responseTime,
-        urgencyLevel,
-        cached,
-        messageLength: sanitizedMessage.length,
-        responseLength: generatedText.length
-      });
+      if (error.code === 'CIRCUIT_OPEN') {
+        return this._degradedResponse(error, sessionId, urgencyLevel, startTime, language);
+      }
 
-      return formattedResponse;
+      if (cancellation === 'timeout') {
+        return this._cancelledResponse(error, cancellation, { sessionId, urgencyLevel, language }, startTime);
+      }
 
-    } catch (error) {
       const responseTime = Date.now() - startTime;
-      MetricsCollector.recordRequest(false, responseTime, cached);
+      MetricsCollector.recordRequest(false, responseTime, false);
 
       logger.error('Error generating response', {
         sessionId,
@@ -260,137 +196,966 @@ class PurrPalChatbot {
       return ResponseFormatter.createErrorResponse(error, {
         sessionId,
         originalMessage: userMessage,
-        urgencyLevel
+        urgencyLevel,
+        language
       });
     }
   }
 
   /**
-   * Generate content with timeout protection
+   * Front half of the pipeline shared by regular and streaming responses:
+   * initialization, rate limiting, validation, urgency, context and cache lookup.
+   * Returns either { errorResponse } or a plan describing how to answer.
    */
-  async _generateWithTimeout(prompt) {
-    return new Promise(async (resolve, reject) => {
-      const timeoutId = setTimeout(() => {
-        reject(new Error('Response generation timeout'));
-      }, config.catCare.responseTimeout);
+  async _preparePipeline(userMessage, sessionId, options = {}) {
+    const errorContext = { sessionId, ...(options.streaming ? { streaming: true } : {}) };
 
-      try {
-        const result = await this.model.generateContent(prompt);
-        clearTimeout(timeoutId);
+    // Check if chatbot is initialized
+    if (!this.initialized) {
+      if (this.initializationError) {
+        throw this.initializationError;
+      }
+      throw new Error('Chatbot not initialized. Call initialize() first.');
+    }
 
-        let generatedText = 'Maaf, saya tidak dapat memberikan jawaban saat ini. Silakan coba lagi atau konsultasikan dengan dokter hewan jika ini adalah kondisi darurat.';
-        
-        if (result && result.response) {
-          const response = result.response;
-          if (response.candidates && response.candidates.length > 0) {
-            const candidate = response.candidates[0];
-            if (candidate.content && candidate.content.parts && candidate.content.parts.length > 0) {
-              generatedText = candidate.content.parts[0].text || generatedText;
-            }
+    // Unsupported languages are rejected rather than silently answered in the default one
+    if (options.language !== undefined && options.language !== null && !I18n.isSupported(options.language)) {
+      logger.warn('Unsupported language requested', { ...errorContext, language: options.language });
+
+      return {
+        errorResponse: ResponseFormatter.createErrorResponse(
+          new Error(I18n.t(I18n.detect(userMessage).language, 'errors.unsupportedLanguage', {
+            language: options.language,
+            options: I18n.languages.join(', ')
+          })),
+          { ...errorContext, code: 'INVALID_INPUT' }
+        )
+      };
+    }
+
+    // Answer in the language of the message unless the request sets one
+    const language = options.language || I18n.detect(userMessage).language;
+    errorContext.language = language;
+
+    // Rate limiting check (per IP and per session, quotas by tier)
+    const rateLimitResult = RateLimiter.checkRequest({
+      sessionId,
+      ip: options.clientIp,
+      tier: options.tier
+    });
+    if (!rateLimitResult.allowed) {
+      logger.warn('Rate limit exceeded for request', {
+        ...errorContext,
+        scope: rateLimitResult.scope,
+        tier: rateLimitResult.tier
+      });
+      return {
+        errorResponse: ResponseFormatter.createErrorResponse(
+          new Error(I18n.t(language, 'errors.rateLimited', { seconds: rateLimitResult.retryAfter })),
+          {
+            ...errorContext,
+            rateLimitExceeded: true,
+            scope: rateLimitResult.scope,
+            tier: rateLimitResult.tier,
+            retryAfter: rateLimitResult.retryAfter
           }
+        )
+      };
+    }
+
+    // While an intake is open, messages answer its questions
+    const conversationContext = sessionId ? this.conversationHistory.get(sessionId) : null;
+    const answeringIntake = SymptomIntake.isActive(conversationContext) && options.intake !== false;
+
+    // Input validation and sanitization (a one-word intake reply like "ya" is fine)
+    const validation = InputValidator.validateInput(userMessage, language, answeringIntake ? { minLength: 1 } : {});
+    if (!validation.isValid) {
+      logger.warn('Input validation failed', { 
+        ...errorContext,
+        errors: validation.errors,
+        reason: validation.reason,
+        injectionScore: validation.injection?.score,
+        injectionSignals: validation.injection?.signals,
+        originalInput: userMessage?.substring(0, 100)
+      });
+
+      if (validation.reason === 'prompt_injection') {
+        MetricsCollector.recordInjectionAttempt();
+      }
+      
+      return {
+        errorResponse: ResponseFormatter.createErrorResponse(
+          new Error(I18n.t(language, 'validation.invalid', { errors: validation.errors.join(', ') })),
+          { ...errorContext, validationErrors: validation.errors, reason: validation.reason }
+        )
+      };
+    }
+
+    // Unknown profile names are rejected rather than silently answered with the default
+    if (options.profile !== undefined && options.profile !== null && !GenerationProfiles.has(options.profile)) {
+      logger.warn('Unknown generation profile requested', { ...errorContext, profile: options.profile });
+
+      return {
+        errorResponse: ResponseFormatter.createErrorResponse(
+          new Error(I18n.t(language, 'errors.unknownProfile', {
+            profile: options.profile,
+            options: GenerationProfiles.names().join(', ')
+          })),
+          { ...errorContext, code: 'INVALID_INPUT' }
+        )
+      };
+    }
+
+    // Photos are checked like the text: count, size and type from the file's bytes
+    const attachments = await ImageAttachments.load(options.images, language);
+    if (!attachments.isValid) {
+      logger.warn('Image attachment rejected', {
+        ...errorContext,
+        errors: attachments.errors,
+        reason: attachments.reason
+      });
+
+      return {
+        errorResponse: ResponseFormatter.createErrorResponse(
+          new Error(I18n.t(language, 'validation.invalid', { errors: attachments.errors.join(', ') })),
+          { ...errorContext, validationErrors: attachments.errors, reason: attachments.reason }
+        )
+      };
+    }
+    const { images } = attachments;
+    if (images.length > 0) {
+      MetricsCollector.recordImages(images.length);
+    }
+
+    // Optionally mask personal data before it reaches the model, the session and the cache
+    const sanitizedMessage = config.redaction.modelInput
+      ? PiiRedactor.redact(validation.sanitizedInput)
+      : validation.sanitizedInput;
+    const triage = PromptManager.detectUrgency(sanitizedMessage);
+    const { urgencyLevel } = triage;
+
+    // Follow-ups are answered from the session's turn log when requested
+    const useHistory = !!(options.useContext && conversationContext && conversationContext.turns &&
+      conversationContext.turns.length > 0);
+
+    if (answeringIntake) {
+      return this._planIntakeStep(conversationContext.intake, sanitizedMessage, triage, options, images);
+    }
+
+    // Off-topic and other-pet questions get a fixed reply instead of a model answer
+    const topic = TopicClassifier.classify(sanitizedMessage, conversationContext);
+    const redirected = TopicClassifier.redirects(topic, triage);
+    MetricsCollector.recordTopic(topic, redirected);
+    if (redirected) {
+      return {
+        sanitizedMessage,
+        urgencyLevel,
+        triage,
+        topic,
+        language,
+        topicReply: TopicClassifier.reply(topic, triage, language),
+        streaming: !!options.streaming
+      };
+    }
+
+    const profile = GenerationProfiles.select(options.profile, urgencyLevel);
+    // Answers from a non-default profile or in a non-default language are cached separately
+    const cacheNamespace = [
+      profile.name === config.chatbot.defaultProfile ? null : profile.name,
+      language === config.catCare.defaultLanguage ? null : language
+    ].filter(Boolean).join(':') || null;
+
+    // Check cache first (answers that depend on history or photos are never cached)
+    const cacheKey = CacheManager.generateCacheKey(sanitizedMessage, cacheNamespace);
+    let cacheMatch = useHistory || options.bypassCache || images.length > 0
+      ? null
+      : await CacheManager.lookup(sanitizedMessage, { namespace: cacheNamespace });
+
+    // A near-duplicate must not reuse an answer given at a different urgency
+    if (cacheMatch && cacheMatch.match === 'fuzzy' && cacheMatch.value.urgencyLevel !== urgencyLevel) {
+      cacheMatch = null;
+    }
+    const cachedResponse = cacheMatch ? cacheMatch.value : null;
+    const passages = cachedResponse ? [] : this._retrieve(sanitizedMessage);
+
+    return {
+      sanitizedMessage,
+      urgencyLevel,
+      triage,
+      profile,
+      useHistory,
+      cacheKey,
+      cacheNamespace,
+      cacheMatch,
+      cachedResponse,
+      passages,
+      topic,
+      language,
+      images,
+      promptVersion: PromptManager.version,
+      streaming: !!options.streaming,
+      startIntake: !!sessionId && SymptomIntake.shouldStart(triage, conversationContext, options),
+      // Generate prompt with context awareness
+      request: cachedResponse
+        ? null
+        : {
+          ...this._buildRequest(sanitizedMessage, useHistory ? conversationContext : null, triage, passages, language, images),
+          images,
+          profile,
+          signal: options.signal
         }
+    };
+  }
 
-        resolve(generatedText);
-      } catch (error) {
-        clearTimeout(timeoutId);
-        reject(error);
+  /**
+   * Plan for a reply to an open intake: ask the next question, acknowledge a
+   * cancellation, or answer from the collected summary once it is complete.
+   * The updated intake is only saved to the session once the reply is sent.
+   * The closing answer is in the language of the original complaint, since
+   * short replies ("2 hari", "ya") say little about it. Photos sent along the
+   * way are kept on the intake and go to the model with the closing answer.
+   */
+  _planIntakeStep(currentIntake, sanitizedMessage, triage, options, images = []) {
+    const intake = structuredClone(currentIntake);
+    const language = options.language || intake.language || I18n.detect(intake.complaint).language;
+
+    // A reply that reveals an emergency ends the questions and gets an answer now
+    const escalated = SymptomIntake.escalate(intake, triage);
+    SymptomIntake.answer(intake, sanitizedMessage);
+    SymptomIntake.attach(intake, images);
+    if (escalated && intake.urgencyLevel === 'emergency' && intake.status === 'in_progress') {
+      SymptomIntake.finish(intake);
+    }
+
+    const plan = {
+      sanitizedMessage,
+      urgencyLevel: intake.urgencyLevel,
+      triage: escalated ? triage : PromptManager.detectUrgency(intake.complaint),
+      profile: GenerationProfiles.select(options.profile, intake.urgencyLevel),
+      useHistory: false,
+      cacheKey: null,
+      cacheMatch: null,
+      cachedResponse: null,
+      streaming: !!options.streaming,
+      intake,
+      passages: [],
+      language,
+      images: [],
+      promptVersion: PromptManager.version,
+      request: null
+    };
+
+    logger.debug('Symptom intake step', {
+      status: intake.status,
+      nextQuestion: intake.pendingQuestion,
+      urgencyLevel: intake.urgencyLevel,
+      escalated
+    });
+
+    if (intake.status === 'completed') {
+      plan.passages = this._retrieve(intake.complaint);
+      plan.images = intake.images;
+      plan.request = {
+        prompt: PromptManager.createIntakePrompt(intake.summary, plan.passages, language, plan.images),
+        images: plan.images,
+        profile: plan.profile,
+        signal: options.signal
+      };
+    } else if (intake.status === 'cancelled') {
+      plan.intakeReply = SymptomIntake.cancelledReply(language);
+    } else {
+      plan.intakeReply = SymptomIntake.nextQuestion(intake).text;
+    }
+
+    // The session only holds on to photos while the questions are open
+    if (intake.status === 'in_progress') {
+      if (images.length > 0) logger.debug('Images kept for the closing intake answer', { images: intake.images.length });
+    } else {
+      intake.images = [];
+    }
+
+    return plan;
+  }
+
+  /**
+   * Reply with the next intake question (or the cancellation notice) without calling the model
+   */
+  async _serveIntakeReply(plan, sessionId, startTime) {
+    const { urgencyLevel } = plan;
+
+    this._recordExchange(sessionId, plan.sanitizedMessage, plan.intakeReply, urgencyLevel);
+
+    const responseTime = Date.now() - startTime;
+    MetricsCollector.recordRequest(true, responseTime, false, urgencyLevel);
+
+    return this._applyIntake(plan, sessionId, ResponseFormatter.formatResponse(plan.intakeReply, {
+      urgencyLevel,
+      triage: plan.triage,
+      cached: false,
+      responseTime,
+      sessionId
+    }));
+  }
+
+  /**
+   * Reply to an off-topic or other-pet question without calling the model
+   */
+  async _serveTopicReply(plan, sessionId, startTime) {
+    const { topic } = plan;
+
+    this._recordExchange(sessionId, plan.sanitizedMessage, plan.topicReply, plan.urgencyLevel);
+
+    const responseTime = Date.now() - startTime;
+    MetricsCollector.recordRequest(true, responseTime, false);
+
+    logger.info('Question outside cat care redirected', {
+      sessionId,
+      topic: topic.type,
+      category: topic.category,
+      urgencyLevel: plan.urgencyLevel
+    });
+
+    // Cat-specific recommendations don't apply, so the urgency is left out of the formatting
+    return {
+      ...ResponseFormatter.formatResponse(plan.topicReply, { responseTime, language: plan.language }),
+      source: 'topic-filter',
+      topic: { type: topic.type, category: topic.category }
+    };
+  }
+
+  /**
+   * Save the plan's intake (opening one if this answer calls for it) to the
+   * session and attach its client-facing view to the response
+   */
+  _applyIntake(plan, sessionId, response) {
+    const intake = plan.intake ||
+      (plan.startIntake ? SymptomIntake.start(plan.sanitizedMessage, plan.triage, plan.language, plan.images) : null);
+    if (!intake || !sessionId) return response;
+
+    const session = this.conversationHistory.get(sessionId) || ConversationMemory.createSession();
+    session.intake = intake;
+    this.conversationHistory.set(sessionId, session);
+
+    if (plan.startIntake) {
+      logger.info('Symptom intake started', { sessionId, urgencyLevel: intake.urgencyLevel });
+    }
+
+    return { ...response, intake: SymptomIntake.describe(intake) };
+  }
+
+  /**
+   * Return a cached answer, still recording the exchange in the session history
+   */
+  async _serveCached(plan, sessionId, startTime) {
+    const { cachedResponse, cacheMatch } = plan;
+    logger.debug('Returning cached response', {
+      sessionId,
+      cacheKey: cacheMatch.key,
+      cacheMatch: cacheMatch.match,
+      similarity: cacheMatch.similarity,
+      streaming: plan.streaming
+    });
+
+    this._recordExchange(sessionId, plan.sanitizedMessage, cachedResponse.message, cachedResponse.urgencyLevel, plan.topic);
+
+    const responseTime = Date.now() - startTime;
+    MetricsCollector.recordRequest(true, responseTime, true, cachedResponse.urgencyLevel);
+
+    const response = {
+      ...cachedResponse,
+      // A fuzzy hit may come from differently worded symptoms; report this question's triage
+      triage: ResponseFormatter.summarizeTriage(plan.triage),
+      cached: true,
+      cacheMatch: cacheMatch.match,
+      responseTimeMs: responseTime
+    };
+
+    if (cacheMatch.match === 'fuzzy') {
+      response.cacheSimilarity = cacheMatch.similarity;
+    }
+
+    return this._applyIntake(plan, sessionId, response);
+  }
+
+  /**
+   * Back half of the pipeline: safety check, format, cache, record history and metrics
+   */
+  async _completeResponse(plan, modelGeneration, sessionId, startTime, extra = {}) {
+    const { urgencyLevel, sanitizedMessage } = plan;
+
+    // Screen the answer for dangerous advice before it is returned or cached
+    const safety = await this._enforceSafety(plan, modelGeneration, sessionId);
+    const { generation } = safety;
+    const generatedText = safety.text;
+
+    // Format and enhance response
+    const responseTime = Date.now() - startTime;
+    const formattedResponse = ResponseFormatter.formatResponse(generatedText, {
+      urgencyLevel,
+      triage: plan.triage,
+      cached: false,
+      responseTime,
+      sessionId,
+      profile: plan.profile.name,
+      finishReason: generation.finishReason,
+      blockedCategories: generation.blockedCategories,
+      usage: generation.usage,
+      sources: KnowledgeBase.sources(plan.passages),
+      promptVersion: plan.promptVersion,
+      language: plan.language,
+      imageCount: plan.images.length
+    });
+
+    if (safety.interventions.length > 0) {
+      formattedResponse.safety = { interventions: safety.interventions };
+    }
+
+    // Cache the response (only cache complete, non-emergency, context-free, text-only responses)
+    const complete = !!generation.text && (!generation.finishReason || generation.finishReason === 'STOP');
+    if (complete && urgencyLevel !== 'emergency' && !plan.useHistory && !plan.intake && plan.images.length === 0 &&
+      config.cache.enabled) {
+      // Token usage belongs to this call, not to later cache hits
+      const { usage, ...cacheable } = formattedResponse;
+      await CacheManager.set(plan.cacheKey, {
+        ...cacheable,
+        urgencyLevel
+      }, { text: sanitizedMessage, namespace: plan.cacheNamespace });
+    }
+
+    // Update conversation history
+    this._recordExchange(sessionId, sanitizedMessage, generatedText, urgencyLevel, plan.topic);
+
+    // Record metrics
+    MetricsCollector.recordRequest(true, responseTime, false, urgencyLevel);
+
+    logger.info(plan.streaming ? 'Streaming response completed' : 'Response generated successfully', {
+      sessionId,
+      responseTime,
+      urgencyLevel,
+      triageScore: plan.triage.score,
+      triageRules: plan.triage.explanation.map(entry => entry.rule),
+      cached: false,
+      useContext: plan.useHistory,
+      messageLength: sanitizedMessage.length,
+      responseLength: generatedText.length,
+      profile: plan.profile.name,
+      finishReason: generation.finishReason,
+      totalTokens: generation.usage ? generation.usage.totalTokens : undefined,
+      safetyInterventions: safety.interventions.length,
+      sources: plan.passages.map(passage => passage.articleId),
+      topic: plan.topic ? plan.topic.category : undefined,
+      language: plan.language,
+      images: plan.images.length,
+      promptVersion: plan.promptVersion,
+      ...extra
+    });
+
+    return this._applyIntake(plan, sessionId, formattedResponse);
+  }
+
+  /**
+   * Run the safety checker on a model answer. Dangerous advice is first
+   * regenerated with a safety reminder (for streams too: the new answer replaces
+   * the streamed one), then rewritten out; missing vet referrals and dosing get
+   * a warning appended. Returns { text, interventions: [{ rule, action }], generation }
+   * where generation is the model result the text came from.
+   */
+  async _enforceSafety(plan, modelGeneration, sessionId) {
+    let generation = modelGeneration;
+    let answer = ResponseFormatter.generationText(generation, plan.language);
+
+    // Substitute messages for blocked or empty answers are fixed text
+    if (!config.safety.enabled || !generation.text) {
+      return { text: answer, interventions: [], generation };
+    }
+
+    const context = { urgencyLevel: plan.urgencyLevel, language: plan.language };
+    const interventions = [];
+    let result = SafetyChecker.check(answer, context);
+
+    for (let attempt = 0; attempt < config.safety.maxRegenerations; attempt++) {
+      const regenerate = result.issues.filter(issue => issue.action === 'regenerate');
+      if (regenerate.length === 0) break;
+
+      interventions.push(...regenerate.map(issue => ({ rule: issue.rule, action: 'regenerate' })));
+      generation = await this._generateWithTimeout(
+        this._withSafetyReminder(plan.request, SafetyChecker.reminder(regenerate))
+      );
+      answer = ResponseFormatter.generationText(generation, plan.language);
+      result = SafetyChecker.check(answer, context);
+    }
+
+    const fixed = SafetyChecker.apply(answer, result.issues, plan.language);
+    interventions.push(...fixed.interventions);
+
+    for (const intervention of interventions) {
+      MetricsCollector.recordSafetyIntervention(intervention.rule, intervention.action);
+      logger.warn('Safety intervention on model answer', {
+        sessionId,
+        urgencyLevel: plan.urgencyLevel,
+        ...intervention
+      });
+    }
+
+    return { text: fixed.text, interventions, generation };
+  }
+
+  /**
+   * Copy of a provider request with an extra instruction for the model
+   */
+  _withSafetyReminder(request, reminder) {
+    if (request.prompt) {
+      return { ...request, prompt: `${request.prompt}\n\n${reminder}` };
+    }
+
+    const last = request.contents[request.contents.length - 1];
+    return {
+      ...request,
+      contents: [
+        ...request.contents.slice(0, -1),
+        { ...last, parts: [...last.parts, { text: reminder }] }
+      ]
+    };
+  }
+
+  /**
+   * Build the provider request: a single prompt, or multi-turn contents for follow-ups
+   */
+  _buildRequest(message, conversationContext = null, triage = PromptManager.detectUrgency(message), passages = [],
+    language = config.catCare.defaultLanguage, images = []) {
+    if (!conversationContext) {
+      return { prompt: PromptManager.createCatCarePrompt(message, triage, passages, language, images) };
+    }
+
+    const prompt = PromptManager.createFollowUpPrompt(conversationContext.summary, message, triage, passages, language, images);
+    return { contents: ConversationMemory.buildContents(conversationContext, prompt) };
+  }
+
+  /**
+   * Knowledge base passages for a question (none when retrieval is disabled)
+   */
+  _retrieve(query) {
+    if (!config.knowledgeBase.enabled) return [];
+    return this.knowledgeBase.search(query);
+  }
+
+  /**
+   * Append a user/assistant exchange to the session's turn log. The append
+   * itself is synchronous so concurrent requests on a session can't lose
+   * turns; summarising turns that fell out of the window runs in the
+   * background instead of delaying the answer. A cat question sets the
+   * session's subject, which keeps later follow-ups on topic (see topics.js).
+   */
+  _recordExchange(sessionId, userMessage, assistantMessage, urgencyLevel, topic = null) {
+    if (!sessionId) return;
+
+    const session = this.conversationHistory.get(sessionId) || ConversationMemory.createSession();
+    if (topic && topic.type === 'cat') {
+      session.subject = 'cat';
+    }
+    ConversationMemory.appendTurn(session, 'user', userMessage, { urgencyLevel });
+    ConversationMemory.appendTurn(session, 'assistant', assistantMessage, { urgencyLevel });
+    this.conversationHistory.set(sessionId, session);
+
+    if (ConversationMemory.needsCompaction(session)) {
+      this._scheduleCompaction(sessionId);
+    }
+  }
+
+  /**
+   * Queue a compaction of the session behind any that is still running
+   */
+  _scheduleCompaction(sessionId) {
+    const previous = this.compactions.get(sessionId) || Promise.resolve();
+    const next = previous
+      .then(() => this._compactSession(sessionId))
+      .catch(error => logger.warn('Conversation compaction failed', { sessionId, error: error.message }))
+      .finally(() => {
+        if (this.compactions.get(sessionId) === next) this.compactions.delete(sessionId);
+      });
+
+    this.compactions.set(sessionId, next);
+    return next;
+  }
+
+  /**
+   * Summarise the turns outside the window and fold them into the session as
+   * it is once the summary is ready (later turns may have been appended)
+   */
+  async _compactSession(sessionId) {
+    const session = this.conversationHistory.get(sessionId);
+    const evicted = session ? ConversationMemory.evictableTurns(session) : [];
+    if (evicted.length === 0) return;
+
+    let summary = null;
+    try {
+      summary = await this._summarizeTurns(session.summary, evicted);
+    } catch (error) {
+      logger.warn('Conversation summarisation failed, using extractive summary', {
+        sessionId,
+        error: error.message,
+        code: error.code
+      });
+    }
+
+    const current = this.conversationHistory.get(sessionId);
+    if (current && ConversationMemory.applySummary(current, evicted, summary)) {
+      this.conversationHistory.set(sessionId, current);
+    }
+  }
+
+  /**
+   * Wait for background summarisation of one session (or of all sessions)
+   */
+  async settleConversations(sessionId = null) {
+    const pending = sessionId ? [this.compactions.get(sessionId)] : [...this.compactions.values()];
+    await Promise.all(pending.filter(Boolean));
+  }
+
+  /**
+   * Ask the model to summarise turns that fell out of the history window.
+   * Goes through the circuit breaker, so an unavailable model falls back to
+   * the extractive summary straight away.
+   */
+  async _summarizeTurns(previousSummary, turns) {
+    const result = await this._guardModelCall(() => this._withTimeout(signal => this.provider.generate({
+      prompt: PromptManager.createSummaryPrompt(previousSummary, turns),
+      signal
+    })));
+
+    return result && result.text
+      ? result.text.slice(0, config.conversation.maxSummaryLength)
+      : null;
+  }
+
+  /**
+   * Generate content with timeout protection, retries and the circuit breaker
+   */
+  async _generateWithTimeout(request) {
+    const result = await this._guardModelCall(() => retryWithBackoff(
+      () => this._withTimeout(signal => this.provider.generate({ ...request, signal }), request.signal),
+      this._retryOptions()
+    ));
+    return this._recordGeneration(result || {});
+  }
+
+  /**
+   * Stream model items to onItem through the circuit breaker. A failure before
+   * the first item is retried like a regular call; once anything has been
+   * emitted the error is final.
+   */
+  async _streamModel(request, onItem) {
+    const { signal } = request;
+    let received = false;
+
+    await this._guardModelCall(() => retryWithBackoff(async () => {
+      for await (const item of this.provider.generateStream(request)) {
+        // Leaving the loop closes the provider stream so no further chunks are pulled
+        if (signal && signal.aborted) break;
+
+        received = true;
+        onItem(item);
+      }
+    }, {
+      ...this._retryOptions(),
+      shouldRetry: error => !received && !(signal && signal.aborted) && isRetryableError(error)
+    }));
+  }
+
+  _retryOptions() {
+    return {
+      ...config.resilience.retry,
+      onRetry: (error, attempt, delayMs) => {
+        MetricsCollector.recordModelRetry();
+        logger.warn('Retrying model call', { attempt, delayMs, error: error.message });
+      }
+    };
+  }
+
+  /**
+   * Run a model call unless the circuit is open. Only failures that retries
+   * couldn't fix (timeouts, 429, 5xx) count against the circuit.
+   */
+  async _guardModelCall(call) {
+    if (!this.circuitBreaker.canRequest()) {
+      const error = new Error('Model circuit is open');
+      error.code = 'CIRCUIT_OPEN';
+      error.retryAfterMs = this.circuitBreaker.retryAfterMs();
+      throw error;
+    }
+
+    try {
+      const result = await call();
+      this.circuitBreaker.recordSuccess();
+      return result;
+    } catch (error) {
+      if (error.name === 'AbortError') {
+        this.circuitBreaker.release();
+      } else if (isRetryableError(error)) {
+        this.circuitBreaker.recordFailure();
+      } else {
+        // The model answered, just not successfully; it is still reachable
+        this.circuitBreaker.recordSuccess();
       }
+      throw error;
+    }
+  }
+
+  /**
+   * Fast answer while the circuit breaker is open: no model call, nothing cached or recorded
+   */
+  _degradedResponse(error, sessionId, urgencyLevel, startTime, language) {
+    const responseTime = Date.now() - startTime;
+    MetricsCollector.recordRequest(false, responseTime, false, urgencyLevel);
+    MetricsCollector.recordDegradedResponse();
+
+    logger.warn('Model circuit open, returning degraded answer', {
+      sessionId,
+      urgencyLevel,
+      retryAfterMs: error.retryAfterMs
+    });
+
+    return {
+      ...ResponseFormatter.formatResponse(ResponseFormatter.unavailableText(language), { urgencyLevel, responseTime, language }),
+      degraded: true,
+      retryAfter: Math.max(1, Math.ceil(error.retryAfterMs / 1000))
+    };
+  }
+
+  /**
+   * Pre-written first-aid answer for a serious or emergency question the
+   * model couldn't answer. Like degraded answers it is neither cached nor
+   * recorded in the conversation.
+   */
+  _fallbackResponse(error, sessionId, triage, startTime, language) {
+    const responseTime = Date.now() - startTime;
+    const { urgencyLevel } = triage;
+    const guide = FirstAidGuide.compose(triage, language);
+
+    MetricsCollector.recordRequest(false, responseTime, false, urgencyLevel);
+    MetricsCollector.recordFallbackResponse();
+
+    logger.warn('Model unavailable, returning offline first-aid answer', {
+      sessionId,
+      urgencyLevel,
+      topics: guide.topics,
+      error: error.message
+    });
+
+    const response = {
+      ...ResponseFormatter.formatResponse(guide.text, { urgencyLevel, responseTime, triage, language }),
+      source: 'fallback',
+      fallbackTopics: guide.topics
+    };
+
+    if (error.code === 'CIRCUIT_OPEN') {
+      response.degraded = true;
+      response.retryAfter = Math.max(1, Math.ceil(error.retryAfterMs / 1000));
+    }
+
+    return response;
+  }
+
+  /**
+   * Normalise a provider result into { text, finishReason, blockedCategories, usage },
+   * count it and log answers that were blocked, truncated or empty
+   */
+  _recordGeneration(result) {
+    const generation = {
+      text: result.text || '',
+      finishReason: result.finishReason || null,
+      blockedCategories: result.blockedCategories || [],
+      usage: result.usage || null
+    };
+
+    MetricsCollector.recordGeneration(generation);
+
+    if (!generation.text || (generation.finishReason && generation.finishReason !== 'STOP')) {
+      logger.warn('Model answer did not finish normally', {
+        finishReason: generation.finishReason,
+        blockedCategories: generation.blockedCategories,
+        hasText: !!generation.text,
+        usage: generation.usage
+      });
+    }
+
+    return generation;
+  }
+
+  /**
+   * Run a provider call under the configured response timeout. run(signal)
+   * receives a signal that aborts when the timeout fires or the caller's
+   * signal aborts, so the provider stops the call instead of finishing it
+   * in the background. Rejects with a TimeoutError or AbortError.
+   */
+  _withTimeout(run, signal = null) {
+    if (signal && signal.aborted) return Promise.reject(ModelProvider.abortError(signal));
+
+    const controller = new AbortController();
+    const onAbort = () => controller.abort(ModelProvider.abortError(signal));
+    if (signal) signal.addEventListener('abort', onAbort, { once: true });
+
+    const timeoutId = setTimeout(() => {
+      const error = new Error('Model response timed out');
+      error.name = 'TimeoutError';
+      controller.abort(error);
+    }, config.catCare.responseTimeout);
+
+    return ModelProvider.withSignal(Promise.resolve().then(() => run(controller.signal)), controller.signal)
+      .finally(() => {
+        clearTimeout(timeoutId);
+        if (signal) signal.removeEventListener('abort', onAbort);
+      });
+  }
+
+  /**
+   * 'aborted' or 'timeout' when the error ended a model call early, else null
+   */
+  _cancellationReason(error) {
+    if (error.name === 'AbortError') return 'aborted';
+    if (error.name === 'TimeoutError') return 'timeout';
+    return null;
+  }
+
+  /**
+   * Error response for a request the caller aborted or the model didn't answer in time
+   */
+  _cancelledResponse(error, reason, context, startTime) {
+    const responseTime = Date.now() - startTime;
+    MetricsCollector.recordCancelledRequest(reason);
+
+    logger.warn(reason === 'timeout' ? 'Model call timed out' : 'Request aborted by caller', {
+      sessionId: context.sessionId,
+      urgencyLevel: context.urgencyLevel,
+      responseTime
+    });
+
+    const message = I18n.t(context.language, reason === 'timeout' ? 'errors.timeout' : 'errors.aborted');
+    return ResponseFormatter.createErrorResponse(Object.assign(new Error(message), { cause: error }), {
+      ...context,
+      code: reason === 'timeout' ? 'TIMEOUT' : 'ABORTED'
     });
   }
 
   /**
    * Generate streaming response with enhanced features
+   *
+   * Accepts the same options as generateResponse (useContext, bypassCache) plus:
+   * - signal: AbortSignal that cancels the model call and stops consuming its stream (e.g. client disconnect)
+   *
+   * Cached answers and intake questions are delivered to onChunk as a single chunk.
+   * When the text already streamed is not the final answer (a safety rewrite or
+   * regeneration, or the first-aid fallback after a failed stream), one more
+   * chunk follows with replace: true and the whole answer: clients must discard
+   * what they have shown and display it instead.
    */
-  async generateStreamingResponse(userMessage, sessionId = null, onChunk = null) {
+  async generateStreamingResponse(userMessage, sessionId = null, onChunk = null, options = {}) {
     const startTime = Date.now();
+    const { signal } = options;
     let urgencyLevel = 'normal';
+    let triage = null;
+    let language = null;
+    let fullResponse = '';
+    let chunkCount = 0;
+
+    const emitChunk = (chunk, text, chunkNumber, replace = false) => {
+      // Call onChunk callback if provided
+      if (onChunk && typeof onChunk === 'function') {
+        onChunk({
+          chunk,
+          fullResponse: text,
+          chunkNumber,
+          urgencyLevel,
+          sessionId,
+          ...(replace ? { replace } : {})
+        });
+      }
+    };
 
     try {
-      if (!this.initialized) {
-        throw new Error('Chatbot not initialized. Call initialize() first.');
-      }
+      const plan = await this._preparePipeline(userMessage, sessionId, { ...options, streaming: true });
+      if (plan.errorResponse) return plan.errorResponse;
 
-      // Rate limiting and validation (same as regular response)
-      const rateLimitResult = RateLimiter.checkRateLimit(sessionId || 'anonymous');
-      if (!rateLimitResult.allowed) {
-        throw new Error('Terlalu banyak permintaan. Silakan coba lagi nanti.');
-      }
+      urgencyLevel = plan.urgencyLevel;
+      triage = plan.triage;
+      language = plan.language;
 
-      const validation = InputValidator.validateInput(userMessage);
-      if (!validation.isValid) {
-        throw new Error(`Input tidak valid: ${validation.errors.join(', ')}`);
+      if (plan.intakeReply) {
+        const intakeResponse = await this._serveIntakeReply(plan, sessionId, startTime);
+        emitChunk(intakeResponse.message, intakeResponse.message, 1);
+        return intakeResponse;
       }
 
-      const sanitizedMessage = validation.sanitizedInput;
-      const prompt = PromptManager.createCatCarePrompt(sanitizedMessage);
+      if (plan.topicReply) {
+        const topicResponse = await this._serveTopicReply(plan, sessionId, startTime);
+        emitChunk(topicResponse.message, topicResponse.message, 1);
+        return topicResponse;
+      }
 
-      // Detect urgency
-      const emergencyKeywords = config.catCare.emergencyKeywords;
-      const seriousSymptoms = config.catCare.seriousSymptoms;
-      
-      if (emergencyKeywords.some(keyword => sanitizedMessage.toLowerCase().includes(keyword))) {
-        urgencyLevel = 'emergency';
-      } else if (seriousSymptoms.some(symptom => sanitizedMessage.toLowerCase().includes(symptom))) {
-        urgencyLevel = 'serious';
+      if (plan.cachedResponse) {
+        const cachedResponse = await this._serveCached(plan, sessionId, startTime);
+        emitChunk(cachedResponse.message, cachedResponse.message, 1);
+        return cachedResponse;
       }
 
       // Generate streaming response
-      const streamingResult = this.model.generateContentStream(prompt);
-      
-      let fullResponse = '';
-      let chunkCount = 0;
-
-      for await (const item of streamingResult.stream) {
-        if (item.candidates && item.candidates[0] && item.candidates[0].content) {
-          const content = item.candidates[0].content;
-          if (content.parts && content.parts[0]) {
-            const chunk = content.parts[0].text || '';
-            fullResponse += chunk;
-            chunkCount++;
-
-            // Call onChunk callback if provided
-            if (onChunk && typeof onChunk === 'function') {
-              onChunk({
-                chunk,
-                fullResponse,
-                chunkNumber: chunkCount,
-                urgencyLevel,
-                sessionId
-              });
-            }
-          }
+      // Finish reason, safety blocks and usage arrive with the last stream item
+      const streamed = { finishReason: null, blockedCategories: [], usage: null };
+
+      await this._streamModel(plan.request, item => {
+        if (item.finishReason) streamed.finishReason = item.finishReason;
+        if (item.blockedCategories) {
+          streamed.blockedCategories = [...new Set([...streamed.blockedCategories, ...item.blockedCategories])];
         }
+        if (item.usage) streamed.usage = item.usage;
+
+        const chunk = item.text || '';
+        if (!chunk) return;
+
+        fullResponse += chunk;
+        chunkCount++;
+        emitChunk(chunk, fullResponse, chunkCount);
+      });
+
+      if (signal && signal.aborted) {
+        const abortError = new Error('Streaming aborted by client');
+        abortError.name = 'AbortError';
+        throw abortError;
       }
 
-      const responseTime = Date.now() - startTime;
-      const formattedResponse = ResponseFormatter.formatResponse(
-        fullResponse || 'Maaf, saya tidak dapat memberikan jawaban saat ini.',
-        { urgencyLevel, responseTime, sessionId, streaming: true }
+      const response = await this._completeResponse(
+        plan,
+        this._recordGeneration({ ...streamed, text: fullResponse }),
+        sessionId,
+        startTime,
+        { streaming: true, chunkCount }
       );
 
-      // Update conversation history
-      if (sessionId) {
-        this.conversationHistory.set(sessionId, {
-          lastMessage: sanitizedMessage,
-          lastResponse: fullResponse,
-          timestamp: new Date().toISOString(),
-          urgencyLevel
-        });
+      // The safety check runs on the whole answer, after its chunks went out
+      if (chunkCount > 0 && response.message !== fullResponse.trim()) {
+        emitChunk(response.message, response.message, chunkCount + 1, true);
       }
+      return response;
 
-      MetricsCollector.recordRequest(true, responseTime, false, urgencyLevel);
+    } catch (error) {
+      const cancellation = signal && signal.aborted ? 'aborted' : this._cancellationReason(error);
+      if (cancellation === 'aborted') {
+        return this._cancelledResponse(error, cancellation, { sessionId, urgencyLevel, language, streaming: true }, startTime);
+      }
 
-      logger.info('Streaming response completed', {
-        sessionId,
-        responseTime,
-        urgencyLevel,
-        chunkCount,
-        responseLength: fullResponse.length
-      });
+      // Partial model text may already have been streamed; the offline answer replaces it
+      if (triage && FirstAidGuide.covers(urgencyLevel)) {
+        const fallbackResponse = this._fallbackResponse(error, sessionId, triage, startTime, language);
+        emitChunk(fallbackResponse.message, fallbackResponse.message, chunkCount + 1, chunkCount > 0);
+        return fallbackResponse;
+      }
 
-      return formattedResponse;
+      if (error.code === 'CIRCUIT_OPEN') {
+        const degradedResponse = this._degradedResponse(error, sessionId, urgencyLevel, startTime, language);
+        emitChunk(degradedResponse.message, degradedResponse.message, 1);
+        return degradedResponse;
+      }
 
-    } catch (error) {
       const responseTime = Date.now() - startTime;
       MetricsCollector.recordRequest(false, responseTime, false);
 
@@ -400,7 +1165,12 @@ class PurrPalChatbot {
         stack: error.stack
       });
 
-      return ResponseFormatter.createErrorResponse(error, { sessionId, streaming: true });
+      return ResponseFormatter.createErrorResponse(error, {
+        sessionId,
+        streaming: true,
+        urgencyLevel,
+        language
+      });
     }
   }
 
@@ -421,6 +1191,21 @@ class PurrPalChatbot {
     return this.conversationHistory.get(sessionId) || null;
   }
 
+  /**
+   * Symptom intake state for a session (see SymptomIntake.describe), or null
+   */
+  getIntake(sessionId) {
+    const session = this.conversationHistory.get(sessionId);
+    return session && session.intake ? SymptomIntake.describe(session.intake) : null;
+  }
+
+  /**
+   * Export every live conversation (see MemorySessionStore.export)
+   */
+  exportConversations() {
+    return this.conversationHistory.export();
+  }
+
   /**
    * Enhanced health check with detailed diagnostics
    */
@@ -437,22 +1222,35 @@ class PurrPalChatbot {
         };
       }
 
-      // Test with a simple health check query
-      const testStart = Date.now();
-      const testResponse = await this._generateWithTimeout('Test kesehatan sistem');
-      const testTime = Date.now() - testStart;
+      const circuitBreaker = this.circuitBreaker.describe();
+
+      // While the circuit is open the model is known to be failing; don't add load by probing it
+      if (circuitBreaker.state === 'open') {
+        return {
+          status: 'degraded',
+          message: 'Model calls are paused after repeated failures',
+          ...this.provider.describe(),
+          circuitBreaker,
+          metrics,
+          timestamp: new Date().toISOString()
+        };
+      }
+
+      // Probe the provider with a simple health check query
+      const probe = await this._withTimeout(signal => this.provider.healthProbe({ signal }));
 
       return {
         status: 'healthy',
         message: 'PurrPal Chatbot is working properly',
-        model: config.googleCloud.model,
-        project: config.googleCloud.projectId,
-        location: config.googleCloud.location,
-        testResponseTime: testTime,
-        testSuccess: !!testResponse,
+        ...this.provider.describe(),
+        testResponseTime: probe.latencyMs,
+        testSuccess: probe.ok,
         cacheEnabled: config.cache.enabled,
+        cache: CacheManager.describe(),
         rateLimitEnabled: config.rateLimit.requests > 0,
         activeConversations: this.conversationHistory.size,
+        promptVersion: PromptTemplates.version,
+        circuitBreaker,
         metrics,
         timestamp: new Date().toISOString()
       };
@@ -474,10 +1272,15 @@ class PurrPalChatbot {
    * Get system metrics and statistics
    */
   getMetrics() {
+    const cache = CacheManager.describe();
+
     return {
       ...MetricsCollector.getMetrics(),
       activeConversations: this.conversationHistory.size,
-      cacheSize: CacheManager.cache?.size || 0,
+      cacheSize: cache.size,
+      cache,
+      circuitBreaker: this.circuitBreaker.describe(),
+      promptVersion: PromptTemplates.version,
       initialized: this.initialized,
       timestamp: new Date().toISOString()
     };
@@ -494,8 +1297,8 @@ class PurrPalChatbot {
   /**
    * Clear all caches
    */
-  clearCache() {
-    CacheManager.clear();
+  async clearCache() {
+    await CacheManager.clear();
     logger.info('Cache cleared by user');
   }
 
@@ -505,11 +1308,16 @@ class PurrPalChatbot {
   async shutdown() {
     logger.info('Shutting down PurrPal Chatbot...');
     
-    // Clear conversation history
-    this.conversationHistory.clear();
+    PromptTemplates.unwatch();
+
+    // Let running summaries land in the sessions before they are saved
+    await this.settleConversations();
+
+    // Flush persistent sessions to disk and release the in-memory copy
+    await this.conversationHistory.close();
     
-    // Clear caches
-    CacheManager.clear();
+    // Clear the local cache / disconnect from the shared cache backend
+    await CacheManager.close();
     
     // Log final metrics
     const finalMetrics = MetricsCollector.getMetrics();
@@ -2,9 +2,43 @@ const path = require('path');
 const fs = require('fs');
 require('dotenv').config();
 
+// Google Cloud settings are only mandatory when the Vertex AI provider is selected
+const requiresVertex = env => (env.MODEL_PROVIDER || 'vertex') === 'vertex';
+
+// Gemini block thresholds accepted for safety settings
+const SAFETY_THRESHOLDS = ['BLOCK_NONE', 'BLOCK_ONLY_HIGH', 'BLOCK_MEDIUM_AND_ABOVE', 'BLOCK_LOW_AND_ABOVE'];
+
+// Languages with message catalogs in i18n.js: Indonesian, English, Javanese, Sundanese
+const SUPPORTED_LANGUAGES = ['id', 'en', 'jv', 'su'];
+
+// Ids of the built-in PII rules in redaction.js, selectable with REDACTION_RULES
+const REDACTION_RULE_IDS = ['email', 'nik', 'phone', 'address'];
+
+// Room in a request body for the message, options and JSON around the photos
+const REQUEST_BODY_HEADROOM = 1024 * 1024;
+
+// Named generation profiles, selectable per request with options.profile.
+// Each overrides some of the base settings in config.chatbot; safetySettings
+// overrides the threshold of individual harm categories.
+const GENERATION_PROFILES = {
+  default: {},
+  concise: { maxTokens: 1024, temperature: 0.4 },
+  detailed: { maxTokens: 8192, temperature: 0.7, topK: 40 },
+  emergency: {
+    maxTokens: 2048,
+    temperature: 0.2,
+    topP: 0.8,
+    topK: 20,
+    // First-aid instructions are easily mistaken for dangerous content
+    safetySettings: { HARM_CATEGORY_DANGEROUS_CONTENT: 'BLOCK_ONLY_HIGH' }
+  }
+};
+
 // Environment validation schema
+// `required` may be a boolean or a function of the raw environment
 const ENV_SCHEMA = {
-  GOOGLE_CLOUD_PROJECT: { required: true, type: 'string' },
+  MODEL_PROVIDER: { required: false, type: 'string', default: 'vertex' },
+  GOOGLE_CLOUD_PROJECT: { required: requiresVertex, type: 'string' },
   GOOGLE_CLOUD_LOCATION: { required: false, type: 'string', default: 'us-central1' },
   VERTEX_AI_MODEL: { required: false, type: 'string', default: 'gemini-2.0-flash-001' },
   SERVICE_ACCOUNT_KEY_PATH: { required: false, type: 'string', default: './service-account-key.json' },
@@ -12,13 +46,72 @@ const ENV_SCHEMA = {
   CHATBOT_TEMPERATURE: { required: false, type: 'number', default: 0.7 },
   CHATBOT_TOP_P: { required: false, type: 'number', default: 0.95 },
   CHATBOT_TOP_K: { required: false, type: 'number', default: 40 },
+  CHATBOT_SAFETY_THRESHOLD: { required: false, type: 'string', default: 'BLOCK_MEDIUM_AND_ABOVE' },
+  CHATBOT_DEFAULT_PROFILE: { required: false, type: 'string', default: 'default' },
   ENABLE_CACHING: { required: false, type: 'boolean', default: true },
   CACHE_TTL_MINUTES: { required: false, type: 'number', default: 30 },
+  CACHE_MAX_ENTRIES: { required: false, type: 'number', default: 1000 },
+  CACHE_MAX_BYTES: { required: false, type: 'number', default: 10485760 },
+  CACHE_FUZZY_MATCHING: { required: false, type: 'boolean', default: false },
+  CACHE_SIMILARITY_THRESHOLD: { required: false, type: 'number', default: 0.85 },
+  CACHE_BACKEND: { required: false, type: 'string', default: 'memory' },
+  REDIS_URL: { required: false, type: 'string', default: 'redis://localhost:6379' },
+  CACHE_KEY_PREFIX: { required: false, type: 'string', default: 'purrpal:cache:' },
+  REDIS_RETRY_MS: { required: false, type: 'number', default: 30000 },
+  REDIS_CONNECT_TIMEOUT_MS: { required: false, type: 'number', default: 2000 },
   RATE_LIMIT_REQUESTS: { required: false, type: 'number', default: 100 },
   RATE_LIMIT_WINDOW_MINUTES: { required: false, type: 'number', default: 15 },
+  RATE_LIMIT_ALGORITHM: { required: false, type: 'string', default: 'sliding-window' },
+  RATE_LIMIT_IP_REQUESTS: { required: false, type: 'number', default: 300 },
+  RATE_LIMIT_PARTNER_REQUESTS: { required: false, type: 'number', default: 1000 },
+  RATE_LIMIT_PARTNER_IP_REQUESTS: { required: false, type: 'number', default: 3000 },
+  RATE_LIMIT_API_KEYS: { required: false, type: 'string', default: '' },
   LOG_LEVEL: { required: false, type: 'string', default: 'info' },
   MAX_INPUT_LENGTH: { required: false, type: 'number', default: 2000 },
-  ENABLE_METRICS: { required: false, type: 'boolean', default: true }
+  BLOCK_PROMPT_INJECTION: { required: false, type: 'boolean', default: true },
+  PROMPT_INJECTION_THRESHOLD: { required: false, type: 'number', default: 4 },
+  REDACT_LOGS: { required: false, type: 'boolean', default: true },
+  REDACT_MODEL_INPUT: { required: false, type: 'boolean', default: false },
+  REDACTION_RULES: { required: false, type: 'string', default: 'email,nik,phone,address' },
+  DEFAULT_LANGUAGE: { required: false, type: 'string', default: 'id' },
+  ENABLE_METRICS: { required: false, type: 'boolean', default: true },
+  CONVERSATION_MAX_TURNS: { required: false, type: 'number', default: 20 },
+  CONVERSATION_MAX_TOKENS: { required: false, type: 'number', default: 4000 },
+  CONVERSATION_SUMMARY_MAX_LENGTH: { required: false, type: 'number', default: 2000 },
+  SESSION_STORE: { required: false, type: 'string', default: 'memory' },
+  SESSION_STORE_PATH: { required: false, type: 'string', default: './data/sessions.json' },
+  SESSION_TTL_MINUTES: { required: false, type: 'number', default: 1440 },
+  SESSION_MAX: { required: false, type: 'number', default: 10000 },
+  INTAKE_ENABLED: { required: false, type: 'boolean', default: false },
+  MODEL_RETRIES: { required: false, type: 'number', default: 2 },
+  MODEL_RETRY_BASE_DELAY_MS: { required: false, type: 'number', default: 500 },
+  MODEL_RETRY_MAX_DELAY_MS: { required: false, type: 'number', default: 8000 },
+  CIRCUIT_BREAKER_FAILURE_THRESHOLD: { required: false, type: 'number', default: 5 },
+  CIRCUIT_BREAKER_RESET_MS: { required: false, type: 'number', default: 30000 },
+  SAFETY_CHECK_ENABLED: { required: false, type: 'boolean', default: true },
+  SAFETY_MAX_REGENERATIONS: { required: false, type: 'number', default: 1 },
+  FALLBACK_ENABLED: { required: false, type: 'boolean', default: true },
+  TOPIC_FILTER_ENABLED: { required: false, type: 'boolean', default: true },
+  IMAGES_ENABLED: { required: false, type: 'boolean', default: true },
+  IMAGE_MAX_COUNT: { required: false, type: 'number', default: 3 },
+  IMAGE_MAX_SIZE_KB: { required: false, type: 'number', default: 4096 },
+  IMAGE_ALLOWED_TYPES: { required: false, type: 'string', default: 'image/jpeg,image/png,image/webp,image/heic,image/heif' },
+  IMAGE_DIRECTORY: { required: false, type: 'string', default: './uploads' },
+  KNOWLEDGE_BASE_ENABLED: { required: false, type: 'boolean', default: true },
+  KNOWLEDGE_BASE_PATH: { required: false, type: 'string', default: './knowledge' },
+  KNOWLEDGE_BASE_TOP_K: { required: false, type: 'number', default: 3 },
+  KNOWLEDGE_BASE_MIN_SCORE: { required: false, type: 'number', default: 2 },
+  PROMPTS_PATH: { required: false, type: 'string', default: './prompts' },
+  PROMPTS_VERSION: { required: false, type: 'string' },
+  PROMPTS_HOT_RELOAD: {
+    required: false,
+    type: 'boolean',
+    default: (process.env.NODE_ENV || 'development') === 'development'
+  },
+  PORT: { required: false, type: 'number', default: 3001 },
+  CORS_ORIGIN: { required: false, type: 'string', default: '*' },
+  // Defaults to room for IMAGE_MAX_COUNT base64 photos of IMAGE_MAX_SIZE_KB (see requestBodyLimit)
+  REQUEST_BODY_LIMIT: { required: false, type: 'string' }
 };
 
 /**
@@ -30,15 +123,21 @@ function validateAndParseEnv() {
 
   for (const [key, schema] of Object.entries(ENV_SCHEMA)) {
     const value = process.env[key];
+    const isRequired = typeof schema.required === 'function'
+      ? schema.required(process.env)
+      : schema.required;
 
     // Check required fields
-    if (schema.required && !value) {
+    if (isRequired && !value) {
       errors.push(`Missing required environment variable: ${key}`);
       continue;
     }
 
     // Use default if not provided
     const finalValue = value || schema.default;
+    if (finalValue === undefined) {
+      continue;
+    }
 
     // Type conversion and validation
     try {
@@ -72,6 +171,35 @@ function validateAndParseEnv() {
   return config;
 }
 
+/**
+ * Parse "key:tier" pairs separated by commas into a lookup object
+ */
+function parseApiKeys(value) {
+  const apiKeys = {};
+
+  for (const pair of (value || '').split(',')) {
+    const [key, tier] = pair.split(':').map(part => part && part.trim());
+    if (key && tier) apiKeys[key] = tier;
+  }
+
+  return apiKeys;
+}
+
+/**
+ * JSON body limit in bytes that fits the largest allowed photo request: base64
+ * grows the data by 4/3, plus headroom for the rest of the body
+ */
+function requestBodyLimit(env) {
+  return Math.ceil(env.IMAGE_MAX_COUNT * env.IMAGE_MAX_SIZE_KB * 1024 * 4 / 3) + REQUEST_BODY_HEADROOM;
+}
+
+/**
+ * Parse a comma separated list, ignoring blanks
+ */
+function parseList(value) {
+  return (value || '').split(',').map(item => item.trim()).filter(Boolean);
+}
+
 /**
  * Validate service account key file
  */
@@ -122,17 +250,127 @@ function validateConfigValues(env) {
       condition: env.CHATBOT_MAX_TOKENS < 1 || env.CHATBOT_MAX_TOKENS > 32768,
       message: 'CHATBOT_MAX_TOKENS must be between 1 and 32768'
     },
+    {
+      condition: !SAFETY_THRESHOLDS.includes(env.CHATBOT_SAFETY_THRESHOLD),
+      message: `CHATBOT_SAFETY_THRESHOLD must be one of: ${SAFETY_THRESHOLDS.join(', ')}`
+    },
+    {
+      condition: !Object.keys(GENERATION_PROFILES).includes(env.CHATBOT_DEFAULT_PROFILE),
+      message: `CHATBOT_DEFAULT_PROFILE must be one of: ${Object.keys(GENERATION_PROFILES).join(', ')}`
+    },
     {
       condition: env.MAX_INPUT_LENGTH < 1 || env.MAX_INPUT_LENGTH > 10000,
       message: 'MAX_INPUT_LENGTH must be between 1 and 10000'
     },
+    {
+      condition: !SUPPORTED_LANGUAGES.includes(env.DEFAULT_LANGUAGE),
+      message: `DEFAULT_LANGUAGE must be one of: ${SUPPORTED_LANGUAGES.join(', ')}`
+    },
+    {
+      condition: parseList(env.REDACTION_RULES).some(id => !REDACTION_RULE_IDS.includes(id)),
+      message: `REDACTION_RULES must only name: ${REDACTION_RULE_IDS.join(', ')}`
+    },
+    {
+      condition: env.PROMPT_INJECTION_THRESHOLD < 1,
+      message: 'PROMPT_INJECTION_THRESHOLD must be at least 1'
+    },
     {
       condition: env.CACHE_TTL_MINUTES < 1 || env.CACHE_TTL_MINUTES > 1440,
       message: 'CACHE_TTL_MINUTES must be between 1 and 1440 (24 hours)'
     },
+    {
+      condition: env.CACHE_MAX_ENTRIES < 1,
+      message: 'CACHE_MAX_ENTRIES must be at least 1'
+    },
+    {
+      condition: env.CACHE_MAX_BYTES < 1024,
+      message: 'CACHE_MAX_BYTES must be at least 1024'
+    },
+    {
+      condition: env.CACHE_SIMILARITY_THRESHOLD <= 0 || env.CACHE_SIMILARITY_THRESHOLD > 1,
+      message: 'CACHE_SIMILARITY_THRESHOLD must be greater than 0 and at most 1'
+    },
+    {
+      condition: !['memory', 'redis'].includes(env.CACHE_BACKEND),
+      message: 'CACHE_BACKEND must be either "memory" or "redis"'
+    },
+    {
+      condition: env.REDIS_CONNECT_TIMEOUT_MS < 1,
+      message: 'REDIS_CONNECT_TIMEOUT_MS must be greater than 0'
+    },
     {
       condition: env.RATE_LIMIT_REQUESTS < 1 || env.RATE_LIMIT_REQUESTS > 10000,
       message: 'RATE_LIMIT_REQUESTS must be between 1 and 10000'
+    },
+    {
+      condition: !['sliding-window', 'token-bucket'].includes(env.RATE_LIMIT_ALGORITHM),
+      message: 'RATE_LIMIT_ALGORITHM must be either "sliding-window" or "token-bucket"'
+    },
+    {
+      condition: env.RATE_LIMIT_IP_REQUESTS < 1 || env.RATE_LIMIT_PARTNER_REQUESTS < 1 ||
+        env.RATE_LIMIT_PARTNER_IP_REQUESTS < 1,
+      message: 'RATE_LIMIT_IP_REQUESTS, RATE_LIMIT_PARTNER_REQUESTS and RATE_LIMIT_PARTNER_IP_REQUESTS must be at least 1'
+    },
+    {
+      condition: env.CONVERSATION_MAX_TURNS < 2 || env.CONVERSATION_MAX_TURNS > 200,
+      message: 'CONVERSATION_MAX_TURNS must be between 2 and 200'
+    },
+    {
+      condition: env.CONVERSATION_MAX_TOKENS < 100 || env.CONVERSATION_MAX_TOKENS > 100000,
+      message: 'CONVERSATION_MAX_TOKENS must be between 100 and 100000'
+    },
+    {
+      condition: !['memory', 'file'].includes(env.SESSION_STORE),
+      message: 'SESSION_STORE must be either "memory" or "file"'
+    },
+    {
+      condition: env.SESSION_TTL_MINUTES < 0,
+      message: 'SESSION_TTL_MINUTES must be 0 (no expiry) or greater'
+    },
+    {
+      condition: env.SESSION_MAX < 1,
+      message: 'SESSION_MAX must be at least 1'
+    },
+    {
+      condition: env.MODEL_RETRIES < 0 || env.MODEL_RETRIES > 5,
+      message: 'MODEL_RETRIES must be between 0 and 5'
+    },
+    {
+      condition: env.MODEL_RETRY_BASE_DELAY_MS < 0 || env.MODEL_RETRY_MAX_DELAY_MS < env.MODEL_RETRY_BASE_DELAY_MS,
+      message: 'MODEL_RETRY_BASE_DELAY_MS must be non-negative and at most MODEL_RETRY_MAX_DELAY_MS'
+    },
+    {
+      condition: env.CIRCUIT_BREAKER_FAILURE_THRESHOLD < 1,
+      message: 'CIRCUIT_BREAKER_FAILURE_THRESHOLD must be at least 1'
+    },
+    {
+      condition: env.CIRCUIT_BREAKER_RESET_MS < 1000,
+      message: 'CIRCUIT_BREAKER_RESET_MS must be at least 1000'
+    },
+    {
+      condition: env.SAFETY_MAX_REGENERATIONS < 0 || env.SAFETY_MAX_REGENERATIONS > 3,
+      message: 'SAFETY_MAX_REGENERATIONS must be between 0 and 3'
+    },
+    {
+      condition: env.KNOWLEDGE_BASE_TOP_K < 1 || env.KNOWLEDGE_BASE_TOP_K > 10,
+      message: 'KNOWLEDGE_BASE_TOP_K must be between 1 and 10'
+    },
+    {
+      condition: env.KNOWLEDGE_BASE_MIN_SCORE < 0,
+      message: 'KNOWLEDGE_BASE_MIN_SCORE must not be negative'
+    },
+    {
+      condition: env.IMAGE_MAX_COUNT < 1 || env.IMAGE_MAX_COUNT > 10,
+      message: 'IMAGE_MAX_COUNT must be between 1 and 10'
+    },
+    {
+      // Gemini accepts at most 20 MB of inline data per request
+      condition: env.IMAGE_MAX_SIZE_KB < 1 || env.IMAGE_MAX_SIZE_KB > 20480,
+      message: 'IMAGE_MAX_SIZE_KB must be between 1 and 20480'
+    },
+    {
+      condition: env.PORT < 0 || env.PORT > 65535,
+      message: 'PORT must be between 0 and 65535'
     }
   ];
 
@@ -151,8 +389,10 @@ try {
   envConfig = validateAndParseEnv();
   validateConfigValues(envConfig);
   
-  // Validate service account key
-  const serviceAccountData = validateServiceAccountKey(envConfig.SERVICE_ACCOUNT_KEY_PATH);
+  // Validate service account key (only needed when talking to Vertex AI)
+  if (envConfig.MODEL_PROVIDER === 'vertex') {
+    validateServiceAccountKey(envConfig.SERVICE_ACCOUNT_KEY_PATH);
+  }
   
   console.log('✓ Configuration validation successful');
 } catch (error) {
@@ -169,23 +409,145 @@ const config = {
     keyFilename: envConfig.SERVICE_ACCOUNT_KEY_PATH
   },
   chatbot: {
+    provider: envConfig.MODEL_PROVIDER,
     maxTokens: envConfig.CHATBOT_MAX_TOKENS,
     temperature: envConfig.CHATBOT_TEMPERATURE,
     topP: envConfig.CHATBOT_TOP_P,
-    topK: envConfig.CHATBOT_TOP_K
+    topK: envConfig.CHATBOT_TOP_K,
+    // Gemini safety threshold per harm category
+    safetySettings: {
+      HARM_CATEGORY_HATE_SPEECH: envConfig.CHATBOT_SAFETY_THRESHOLD,
+      HARM_CATEGORY_DANGEROUS_CONTENT: envConfig.CHATBOT_SAFETY_THRESHOLD,
+      HARM_CATEGORY_SEXUALLY_EXPLICIT: envConfig.CHATBOT_SAFETY_THRESHOLD,
+      HARM_CATEGORY_HARASSMENT: envConfig.CHATBOT_SAFETY_THRESHOLD
+    },
+    profiles: GENERATION_PROFILES,
+    defaultProfile: envConfig.CHATBOT_DEFAULT_PROFILE,
+    // Profile used at an urgency level when the request doesn't name one
+    urgencyProfiles: {
+      emergency: 'emergency'
+    }
   },
   cache: {
     enabled: envConfig.ENABLE_CACHING,
-    ttlMinutes: envConfig.CACHE_TTL_MINUTES
+    ttlMinutes: envConfig.CACHE_TTL_MINUTES,
+    maxEntries: envConfig.CACHE_MAX_ENTRIES,
+    maxBytes: envConfig.CACHE_MAX_BYTES,
+    fuzzyMatching: envConfig.CACHE_FUZZY_MATCHING,
+    similarityThreshold: envConfig.CACHE_SIMILARITY_THRESHOLD,
+    backend: envConfig.CACHE_BACKEND,
+    redisUrl: envConfig.REDIS_URL,
+    keyPrefix: envConfig.CACHE_KEY_PREFIX,
+    redisRetryMs: envConfig.REDIS_RETRY_MS,
+    redisConnectTimeoutMs: envConfig.REDIS_CONNECT_TIMEOUT_MS
   },
   rateLimit: {
     requests: envConfig.RATE_LIMIT_REQUESTS,
-    windowMinutes: envConfig.RATE_LIMIT_WINDOW_MINUTES
+    windowMinutes: envConfig.RATE_LIMIT_WINDOW_MINUTES,
+    algorithm: envConfig.RATE_LIMIT_ALGORITHM,
+    defaultTier: 'default',
+    // Per-tier quotas: `requests` per session, `ipRequests` per client IP,
+    // `burst` is the token-bucket capacity (defaults to `requests`)
+    tiers: {
+      default: {
+        requests: envConfig.RATE_LIMIT_REQUESTS,
+        ipRequests: envConfig.RATE_LIMIT_IP_REQUESTS,
+        windowMinutes: envConfig.RATE_LIMIT_WINDOW_MINUTES
+      },
+      partner: {
+        requests: envConfig.RATE_LIMIT_PARTNER_REQUESTS,
+        ipRequests: envConfig.RATE_LIMIT_PARTNER_IP_REQUESTS,
+        windowMinutes: envConfig.RATE_LIMIT_WINDOW_MINUTES
+      }
+    },
+    // API key -> tier name, from RATE_LIMIT_API_KEYS="key1:partner,key2:partner"
+    apiKeys: parseApiKeys(envConfig.RATE_LIMIT_API_KEYS)
   },
   security: {
     maxInputLength: envConfig.MAX_INPUT_LENGTH,
     enableSanitization: true,
-    blockSuspiciousContent: true
+    blockSuspiciousContent: true,
+    // Scored prompt-injection detection (see injection.js)
+    blockPromptInjection: envConfig.BLOCK_PROMPT_INJECTION,
+    injectionThreshold: envConfig.PROMPT_INJECTION_THRESHOLD
+  },
+  // Personal data masking (see redaction.js). customRules take the shape of
+  // REDACTION_RULES: { id, pattern (global RegExp), replacement }
+  redaction: {
+    logs: envConfig.REDACT_LOGS,
+    modelInput: envConfig.REDACT_MODEL_INPUT,
+    rules: parseList(envConfig.REDACTION_RULES),
+    customRules: []
+  },
+  conversation: {
+    maxTurns: envConfig.CONVERSATION_MAX_TURNS,
+    maxTokens: envConfig.CONVERSATION_MAX_TOKENS,
+    maxSummaryLength: envConfig.CONVERSATION_SUMMARY_MAX_LENGTH
+  },
+  sessions: {
+    store: envConfig.SESSION_STORE,
+    filePath: envConfig.SESSION_STORE_PATH,
+    ttlMinutes: envConfig.SESSION_TTL_MINUTES,
+    maxSessions: envConfig.SESSION_MAX
+  },
+  // Guided symptom intake for serious/emergency cases (see intake.js)
+  intake: {
+    enabled: envConfig.INTAKE_ENABLED,
+    levels: ['serious', 'emergency']
+  },
+  // Retries and circuit breaker around model calls (see resilience.js)
+  resilience: {
+    retry: {
+      retries: envConfig.MODEL_RETRIES,
+      baseDelayMs: envConfig.MODEL_RETRY_BASE_DELAY_MS,
+      maxDelayMs: envConfig.MODEL_RETRY_MAX_DELAY_MS
+    },
+    circuitBreaker: {
+      failureThreshold: envConfig.CIRCUIT_BREAKER_FAILURE_THRESHOLD,
+      resetTimeoutMs: envConfig.CIRCUIT_BREAKER_RESET_MS
+    }
+  },
+  // Post-generation checks on model answers (see safety.js)
+  safety: {
+    enabled: envConfig.SAFETY_CHECK_ENABLED,
+    maxRegenerations: envConfig.SAFETY_MAX_REGENERATIONS
+  },
+  // Vetted Markdown articles retrieved into prompts (see knowledgeBase.js)
+  knowledgeBase: {
+    enabled: envConfig.KNOWLEDGE_BASE_ENABLED,
+    path: envConfig.KNOWLEDGE_BASE_PATH,
+    topK: envConfig.KNOWLEDGE_BASE_TOP_K,
+    minScore: envConfig.KNOWLEDGE_BASE_MIN_SCORE,
+    maxPassageLength: 1200
+  },
+  // Prompt wording loaded from versioned template folders (see promptTemplates.js)
+  prompts: {
+    path: envConfig.PROMPTS_PATH,
+    version: envConfig.PROMPTS_VERSION || null,
+    hotReload: envConfig.PROMPTS_HOT_RELOAD
+  },
+  // Off-topic and other-pet questions answered without the model (see topics.js)
+  topics: {
+    enabled: envConfig.TOPIC_FILTER_ENABLED
+  },
+  // Photo attachments sent to the model with the question (see images.js)
+  images: {
+    enabled: envConfig.IMAGES_ENABLED,
+    maxCount: envConfig.IMAGE_MAX_COUNT,
+    maxBytes: envConfig.IMAGE_MAX_SIZE_KB * 1024,
+    allowedTypes: parseList(envConfig.IMAGE_ALLOWED_TYPES),
+    // Attachments given as a file path must be inside this folder
+    directory: envConfig.IMAGE_DIRECTORY
+  },
+  // Offline first-aid answers when the model is unavailable (see firstAid.js)
+  fallback: {
+    enabled: envConfig.FALLBACK_ENABLED,
+    levels: ['serious', 'emergency']
+  },
+  server: {
+    port: envConfig.PORT,
+    corsOrigin: envConfig.CORS_ORIGIN,
+    bodyLimit: envConfig.REQUEST_BODY_LIMIT || requestBodyLimit(envConfig)
   },
   logging: {
     level: envConfig.LOG_LEVEL,
@@ -193,6 +555,7 @@ const config = {
   },
   // Cat care specific configuration
   catCare: {
+    // Extra triage phrases on top of the built-in rules in triage.js
     emergencyKeywords: [
       'tidak bernapas', 'kejang', 'pingsan', 'darah', 'keracunan', 
       'tidak sadar', 'muntah darah', 'diare berdarah', 'lemas sekali',
@@ -202,19 +565,28 @@ const config = {
       'tidak mau makan', 'tidak minum', 'demam tinggi', 'sesak napas',
       'muntah terus', 'diare parah', 'bengkak', 'luka parah'
     ],
+    // Triage score needed for each urgency level
+    triage: {
+      emergencyThreshold: 10,
+      seriousThreshold: 4
+    },
     maxConsultationLength: 5000,
     responseTimeout: 30000, // 30 seconds
-    defaultLanguage: 'id'
+    // Used when a message's language can't be detected (see i18n.js)
+    defaultLanguage: envConfig.DEFAULT_LANGUAGE,
+    supportedLanguages: SUPPORTED_LANGUAGES
   }
 };
 
 // Log configuration (without sensitive data)
 console.log('🐱 PurrPal Configuration loaded:', {
+  provider: config.chatbot.provider,
   projectId: config.googleCloud.projectId,
   location: config.googleCloud.location,
   model: config.googleCloud.model,
   keyFileExists: fs.existsSync(config.googleCloud.keyFilename),
   cacheEnabled: config.cache.enabled,
+  cacheBackend: config.cache.backend,
   rateLimitEnabled: config.rateLimit.requests > 0,
   environment: process.env.NODE_ENV || 'development'
 });
@@ -0,0 +1,136 @@
+const config = require('./config');
+const { logger } = require('./utils');
+
+/**
+ * Per-session conversation memory.
+ *
+ * A session keeps a log of user/assistant turns. Only the most recent turns
+ * (bounded by config.conversation.maxTurns and maxTokens) are sent to the
+ * model; older turns are folded into a running summary.
+ */
+class ConversationMemory {
+  static createSession() {
+    const now = new Date().toISOString();
+    return {
+      turns: [],
+      summary: null,
+      summarizedTurnCount: 0,
+      urgencyLevel: 'normal',
+      // 'cat' once the owner has asked about a cat; later mentions of other
+      // animals are then follow-ups rather than other-pet questions (topics.js)
+      subject: null,
+      // Guided symptom intake in progress or last finished (see intake.js)
+      intake: null,
+      createdAt: now,
+      updatedAt: now
+    };
+  }
+
+  static appendTurn(session, role, text, metadata = {}) {
+    const turn = {
+      role,
+      text,
+      timestamp: new Date().toISOString(),
+      urgencyLevel: metadata.urgencyLevel || 'normal'
+    };
+
+    session.turns.push(turn);
+    session.updatedAt = turn.timestamp;
+    session.urgencyLevel = turn.urgencyLevel;
+    return turn;
+  }
+
+  /**
+   * Rough token estimate (~4 characters per token) used for the history window
+   */
+  static estimateTokens(text) {
+    return Math.ceil((text || '').length / 4);
+  }
+
+  static countTokens(turns) {
+    return turns.reduce((total, turn) => total + this.estimateTokens(turn.text), 0);
+  }
+
+  static needsCompaction(session) {
+    const { maxTurns, maxTokens } = config.conversation;
+    return session.turns.length > maxTurns || this.countTokens(session.turns) > maxTokens;
+  }
+
+  /**
+   * Oldest turns that no longer fit the window, as whole exchanges; the latest
+   * exchange always stays. Empty when the session fits.
+   */
+  static evictableTurns(session) {
+    if (!this.needsCompaction(session)) return [];
+
+    const { maxTurns, maxTokens } = config.conversation;
+    const kept = [...session.turns];
+    const evicted = [];
+
+    while (kept.length > 2 && (kept.length > maxTurns || this.countTokens(kept) > maxTokens)) {
+      evicted.push(...kept.splice(0, 2));
+    }
+
+    return evicted;
+  }
+
+  /**
+   * Drop the evicted turns from the front of the log and merge them into the
+   * summary (an extractive one when `summary` is empty). Turns appended since
+   * the eviction was planned are kept; returns false without changes when the
+   * log no longer starts with the evicted turns (e.g. the session was reset).
+   */
+  static applySummary(session, evicted, summary) {
+    const unchanged = evicted.length > 0 && evicted.every((turn, index) => {
+      const current = session.turns[index];
+      return current && current.role === turn.role && current.text === turn.text && current.timestamp === turn.timestamp;
+    });
+    if (!unchanged) return false;
+
+    session.summary = (summary && summary.trim()) || this.extractiveSummary(session.summary, evicted);
+    session.turns = session.turns.slice(evicted.length);
+    session.summarizedTurnCount += evicted.length;
+
+    logger.debug('Conversation compacted', {
+      evictedTurns: evicted.length,
+      remainingTurns: session.turns.length,
+      summaryLength: session.summary.length
+    });
+
+    return true;
+  }
+
+  /**
+   * Local fallback summary: first sentence of each evicted turn
+   */
+  static extractiveSummary(previousSummary, turns) {
+    const lines = turns.map(turn => {
+      const firstSentence = turn.text.split(/(?<=[.!?])\s/)[0].substring(0, 200);
+      return `${turn.role === 'user' ? 'Pemilik' : 'PurrPal'}: ${firstSentence}`;
+    });
+
+    return [previousSummary, ...lines]
+      .filter(Boolean)
+      .join('\n')
+      .slice(-config.conversation.maxSummaryLength);
+  }
+
+  /**
+   * Build Gemini-style multi-turn contents: the history window followed by the current prompt
+   */
+  static buildContents(session, currentPrompt) {
+    const history = session ? session.turns : [];
+
+    return [
+      ...history.map(turn => ({
+        role: turn.role === 'assistant' ? 'model' : 'user',
+        parts: [{ text: turn.text }]
+      })),
+      { role: 'user', parts: [{ text: currentPrompt }] }
+    ];
+  }
+}
+
+module.exports = {
+  ConversationMemory
+};
@@ -0,0 +1,101 @@
+const config = require('./config');
+const { I18n } = require('./i18n');
+
+/**
+ * Offline first-aid knowledge base, used when the model can't answer a
+ * serious or emergency question. Each entry covers one or more triage symptom
+ * ids (see SYMPTOM_RULES in triage.js, which include the emergencyKeywords and
+ * seriousSymptoms of config.catCare). The `general-*` entries answer when no
+ * specific entry matches.
+ *
+ * The texts are in the message catalogs (firstAid.entries.<id> in i18n.js):
+ * a title, first-aid steps, things to avoid and, for entries marked urgentIf,
+ * the sign that makes the condition life-threatening.
+ */
+const FIRST_AID_ENTRIES = [
+  { id: 'breathing', symptoms: ['not-breathing', 'breathing-difficulty'] },
+  { id: 'seizure', symptoms: ['seizure'], urgentIf: true },
+  { id: 'unconscious', symptoms: ['unconscious', 'collapse'] },
+  { id: 'bleeding', symptoms: ['bleeding'] },
+  { id: 'poisoning', symptoms: ['poisoning'] },
+  { id: 'urinary-blockage', symptoms: ['urinary-blockage'] },
+  { id: 'trauma', symptoms: ['trauma'] },
+  { id: 'appetite', symptoms: ['not-eating', 'not-drinking'] },
+  { id: 'fever', symptoms: ['fever'] },
+  { id: 'digestive', symptoms: ['vomiting', 'diarrhea'] },
+  { id: 'wound', symptoms: ['wound', 'swelling'] },
+  { id: 'general-emergency', symptoms: [], level: 'emergency' },
+  { id: 'general-serious', symptoms: [], level: 'serious' }
+];
+
+// Enough for the main complaint plus one accompanying symptom without burying the steps
+const MAX_TOPICS = 2;
+
+/**
+ * Pre-written first-aid answers for serious and emergency triage results
+ */
+class FirstAidGuide {
+  static get entries() {
+    return FIRST_AID_ENTRIES;
+  }
+
+  /**
+   * Whether an offline answer should replace the error for this urgency level
+   */
+  static covers(urgencyLevel) {
+    return config.fallback.enabled && config.fallback.levels.includes(urgencyLevel);
+  }
+
+  /**
+   * Entries for the triage's symptoms, strongest symptom first, or the
+   * general entry for its urgency level when none is specific
+   */
+  static match(triage) {
+    const symptoms = [...(triage.symptoms || [])].sort((a, b) => b.weight - a.weight);
+    const matched = [];
+
+    for (const symptom of symptoms) {
+      const entry = FIRST_AID_ENTRIES.find(candidate => candidate.symptoms.includes(symptom.id));
+      if (entry && !matched.includes(entry)) matched.push(entry);
+    }
+
+    if (matched.length > 0) return matched.slice(0, MAX_TOPICS);
+
+    const level = triage.urgencyLevel === 'emergency' ? 'emergency' : 'serious';
+    return [FIRST_AID_ENTRIES.find(entry => entry.level === level)];
+  }
+
+  /**
+   * Compose the offline answer in the given language. Returns { text, topics }
+   */
+  static compose(triage, language = config.catCare.defaultLanguage) {
+    const entries = this.match(triage);
+    const intro = I18n.t(language, `firstAid.intro.${triage.urgencyLevel === 'emergency' ? 'emergency' : 'serious'}`);
+
+    return {
+      text: [intro, ...entries.map(entry => this._formatEntry(entry, language)), I18n.t(language, 'firstAid.closing')].join('\n\n'),
+      topics: entries.map(entry => entry.id)
+    };
+  }
+
+  static _formatEntry(entry, language) {
+    const text = field => I18n.t(language, `firstAid.entries.${entry.id}.${field}`);
+    const lines = [`**${text('title')}**`, I18n.t(language, 'firstAid.stepsHeading')];
+    text('steps').forEach((step, index) => lines.push(`${index + 1}. ${step}`));
+
+    const avoid = text('avoid');
+    if (avoid.length > 0) {
+      lines.push(I18n.t(language, 'firstAid.avoidHeading'));
+      avoid.forEach(item => lines.push(`- ${item}`));
+    }
+
+    if (entry.urgentIf) lines.push(`🚨 ${text('urgentIf')}`);
+
+    return lines.join('\n');
+  }
+}
+
+module.exports = {
+  FirstAidGuide,
+  FIRST_AID_ENTRIES
+};
@@ -0,0 +1,1182 @@
+const config = require('./config');
+
+/**
+ * Supported languages. `promptName` is how the prompt names the language the
+ * answer must be written in; `markers` are common words that are distinctive
+ * for the language, used by I18n.detect. Words the languages share ("kucing",
+ * "muntah", "di") are left out on purpose.
+ */
+const LANGUAGES = {
+  id: {
+    name: 'Bahasa Indonesia',
+    promptName: 'Bahasa Indonesia',
+    markers: [
+      'saya', 'aku', 'tidak', 'nggak', 'gak', 'enggak', 'mau', 'makan', 'minum', 'apa', 'apakah',
+      'bagaimana', 'gimana', 'kenapa', 'mengapa', 'yang', 'dan', 'sudah', 'udah', 'belum', 'sakit',
+      'ini', 'itu', 'dengan', 'untuk', 'harus', 'bisa', 'boleh', 'sejak', 'hari', 'terus', 'dari',
+      'ada', 'tolong', 'berapa', 'juga', 'sangat', 'kemarin', 'bulan', 'tahun', 'dokter', 'hewan'
+    ]
+  },
+  en: {
+    name: 'English',
+    promptName: 'bahasa Inggris (English)',
+    markers: [
+      'the', 'is', 'are', 'was', 'my', 'your', 'what', 'how', 'why', 'when', 'does', 'do', "doesn't",
+      "don't", "won't", 'not', 'and', 'to', 'of', 'should', 'can', 'could', 'i', 'it', "it's", 'with',
+      'for', 'has', 'have', 'been', 'this', 'that', 'he', 'she', 'her', 'his', 'please', 'help',
+      'eat', 'eating', 'drink', 'vomiting', 'sick', 'since', 'days', 'hello', 'vet'
+    ]
+  },
+  jv: {
+    name: 'Basa Jawa',
+    promptName: 'bahasa Jawa (basa Jawa yang sopan)',
+    markers: [
+      'ora', 'ra', 'opo', 'piye', 'kepiye', 'pripun', 'gelem', 'mangan', 'ngombe', 'iki', 'kuwi',
+      'iku', 'wis', 'wes', 'durung', 'sing', 'karo', 'arep', 'lara', 'loro', 'mboten', 'sampun',
+      'nopo', 'dhahar', 'ngunjuk', 'tenan', 'ning', 'neng', 'saka', 'kanggo', 'ojo', 'kudu',
+      'iso', 'isa', 'wingi', 'dina', 'rong', 'nganti', 'kewan', 'kulo', 'kula', 'panjenengan'
+    ]
+  },
+  su: {
+    name: 'Basa Sunda',
+    promptName: 'bahasa Sunda (basa Sunda yang sopan)',
+    markers: [
+      'teu', 'henteu', 'naon', 'kumaha', 'abdi', 'hoyong', 'daek', 'dahar', 'nginum', 'gering',
+      'parantos', 'geus', 'acan', 'teh', 'pisan', 'ieu', 'eta', 'sareng', 'atuh', 'kunaon',
+      'mun', 'bade', 'tos', 'ucing', 'ti', 'ka', 'anu', 'upami', 'kedah', 'tiasa', 'ayeuna',
+      'kamari', 'poe', 'dinten', 'sato', 'anjeun'
+    ]
+  }
+};
+
+/**
+ * Fixed texts shown to users. Catalogs other than config.catCare.defaultLanguage
+ * may leave keys out; missing keys fall back to the default language, then to
+ * Indonesian. `{name}` placeholders are filled in by I18n.t.
+ */
+const MESSAGES = {
+  id: {
+    validation: {
+      notText: 'Input harus berupa teks',
+      tooShort: 'Pertanyaan terlalu pendek, minimal {min} karakter',
+      tooLong: 'Pertanyaan terlalu panjang, maksimal {max} karakter',
+      markup: 'Input mengandung konten yang tidak diizinkan',
+      promptInjection: 'Pesan ini tampak berusaha mengubah instruksi PurrPal. Silakan ajukan pertanyaan seputar perawatan kucing.',
+      invalid: 'Input tidak valid: {errors}'
+    },
+    images: {
+      disabled: 'Lampiran gambar tidak diaktifkan',
+      tooMany: 'Terlalu banyak gambar, maksimal {max}',
+      invalid: 'Gambar ke-{index} tidak valid atau bukan gambar',
+      notFound: 'Gambar ke-{index} tidak ditemukan',
+      typeMismatch: 'Isi gambar ke-{index} tidak sesuai dengan tipe {type}',
+      unsupportedType: 'Gambar ke-{index} bertipe {type}, yang didukung: {allowed}',
+      tooLarge: 'Gambar ke-{index} terlalu besar, maksimal {max} KB'
+    },
+    recommendations: {
+      emergency: [
+        'Segera bawa kucing ke dokter hewan terdekat',
+        'Jangan tunda penanganan medis',
+        'Hubungi klinik hewan untuk konsultasi darurat'
+      ],
+      serious: [
+        'Konsultasikan dengan dokter hewan dalam 24-48 jam',
+        'Monitor kondisi kucing secara berkala',
+        'Catat perubahan gejala untuk dilaporkan ke dokter'
+      ]
+    },
+    topics: {
+      labels: {
+        dog: 'anjing', rabbit: 'kelinci', rodent: 'hewan pengerat', bird: 'burung', fish: 'ikan hias', reptile: 'reptil', ferret: 'musang',
+        homework: 'tugas sekolah atau kuliah', politics: 'politik', finance: 'keuangan dan investasi',
+        technology: 'teknologi dan pemrograman', cooking: 'resep masakan', entertainment: 'hiburan'
+      },
+      offTopic: 'Maaf, PurrPal hanya bisa membantu pertanyaan seputar kucing, jadi saya tidak dapat menjawab pertanyaan tentang {label}. 🐱\n\n' +
+        'Saya siap membantu soal kesehatan dan gejala penyakit kucing, makanan dan nutrisi, perilaku, perawatan harian, maupun vaksinasi. Ada yang ingin Anda tanyakan tentang kucing Anda?',
+      otherPet: 'PurrPal khusus membantu perawatan kucing, jadi saya tidak dapat memberikan saran kesehatan atau perawatan untuk {label}. ' +
+        'Kebutuhan, obat, dan dosis untuk {label} berbeda dengan kucing, sehingga saran untuk kucing belum tentu aman.',
+      urgency: {
+        emergency: '🚨 Gejala yang Anda sebutkan bisa mengancam nyawa. Segera bawa {label} Anda ke dokter hewan atau klinik hewan 24 jam terdekat sekarang juga.',
+        serious: '⚠️ Gejala yang Anda sebutkan perlu diperiksa. Hubungi dokter hewan dalam 24 jam, atau segera jika kondisinya memburuk.',
+        normal: 'Silakan konsultasikan pertanyaan ini dengan dokter hewan yang biasa menangani {label}.'
+      },
+      closing: 'Jika Anda juga memelihara kucing, saya siap membantu kapan saja. 🐱'
+    },
+    safety: {
+      'toxic-human-medication': '⚠️ Jangan pernah memberikan obat manusia seperti paracetamol, ibuprofen, atau aspirin kepada kucing karena dapat berakibat fatal. Semua obat harus diresepkan oleh dokter hewan.',
+      'toxic-plant': '⚠️ Semua bagian bunga lili, termasuk serbuk sari dan air vasnya, sangat beracun bagi kucing dan dapat menyebabkan gagal ginjal.',
+      'essential-oil': '⚠️ Minyak esensial (tea tree, kayu putih, peppermint, lavender, dan lainnya) beracun bagi kucing, baik dioleskan, dihirup, maupun dijilat.',
+      'dosing-instructions': '⚠️ Dosis obat untuk kucing harus ditentukan oleh dokter hewan berdasarkan berat badan dan kondisinya. Jangan memberikan obat tanpa resep.',
+      'missing-vet-referral': '🚨 Ini kondisi darurat. Segera bawa kucing Anda ke dokter hewan atau klinik hewan 24 jam terdekat sekarang juga.'
+    },
+    firstAid: {
+      intro: {
+        emergency: '🚨 PurrPal sedang tidak dapat terhubung ke layanan AI. Berikut panduan pertolongan pertama dari basis pengetahuan offline kami.\n\n**Ini kondisi DARURAT. Segera bawa kucing Anda ke dokter hewan atau klinik hewan 24 jam terdekat sekarang juga.**',
+        serious: '⚠️ PurrPal sedang tidak dapat terhubung ke layanan AI. Berikut panduan pertolongan pertama dari basis pengetahuan offline kami.\n\n**Gejala ini perlu diperiksa dokter hewan. Hubungi dokter hewan dalam 24 jam, atau segera jika kondisinya memburuk.**'
+      },
+      stepsHeading: 'Langkah pertolongan pertama:',
+      avoidHeading: 'Hindari:',
+      closing: '_Panduan ini bukan pengganti pemeriksaan dokter hewan. Silakan coba tanyakan kembali ke PurrPal dalam beberapa saat untuk penjelasan yang lebih lengkap._',
+      entries: {
+        breathing: {
+          title: 'Kesulitan bernapas',
+          steps: [
+            'Tetap tenang dan jauhkan kucing dari keramaian, asap, atau udara panas.',
+            'Biarkan kucing memilih posisi yang paling nyaman baginya; jangan memeganginya terlalu erat.',
+            'Jika terlihat benda asing di mulut dan kucing tidak melawan, keluarkan dengan hati-hati. Jangan memasukkan jari terlalu dalam ke tenggorokan.',
+            'Masukkan kucing ke kandang angkut yang berventilasi baik dan segera berangkat ke dokter hewan.'
+          ],
+          avoid: [
+            'Jangan memberi makan atau minum.',
+            'Jangan menekan dada kucing kecuali diarahkan oleh dokter hewan.'
+          ]
+        },
+        seizure: {
+          title: 'Kejang',
+          steps: [
+            'Singkirkan benda keras atau tajam di sekitar kucing dan jauhkan dari tangga atau tempat tinggi.',
+            'Redupkan lampu dan kurangi suara agar lingkungan tenang.',
+            'Catat jam mulai dan lamanya kejang; rekam video jika memungkinkan untuk ditunjukkan ke dokter hewan.',
+            'Setelah kejang berhenti, selimuti kucing dan biarkan beristirahat di tempat yang tenang.'
+          ],
+          avoid: [
+            'Jangan memegangi atau menahan tubuh kucing saat kejang.',
+            'Jangan memasukkan apa pun ke mulut kucing.'
+          ],
+          urgentIf: 'Kejang lebih dari 5 menit atau berulang dalam satu hari adalah kondisi yang mengancam nyawa.'
+        },
+        unconscious: {
+          title: 'Pingsan, tidak sadar, atau sangat lemas',
+          steps: [
+            'Periksa apakah dada kucing bergerak naik-turun tanda bernapas.',
+            'Baringkan kucing menyamping dengan kepala sejajar tubuh agar jalan napas tetap terbuka.',
+            'Selimuti kucing dengan handuk agar tetap hangat.',
+            'Angkat dengan menopang seluruh tubuh dan segera bawa ke dokter hewan.'
+          ],
+          avoid: [
+            'Jangan memberi makan, minum, atau obat apa pun ke mulut kucing yang tidak sadar.'
+          ]
+        },
+        bleeding: {
+          title: 'Pendarahan',
+          steps: [
+            'Untuk luka yang berdarah, tekan dengan kain bersih atau kasa selama minimal 5 menit tanpa dilepas.',
+            'Jika darah merembes, tambahkan lapisan kain di atasnya dan terus tekan.',
+            'Untuk muntah atau tinja berdarah, foto atau simpan sampelnya untuk ditunjukkan ke dokter hewan.',
+            'Jaga kucing tetap tenang dan hangat selama perjalanan ke dokter hewan.'
+          ],
+          avoid: [
+            'Jangan mengangkat kain yang sudah menempel pada luka karena dapat membuka kembali pendarahan.',
+            'Jangan memberi makan kucing yang muntah darah.'
+          ]
+        },
+        poisoning: {
+          title: 'Dugaan keracunan',
+          steps: [
+            'Jauhkan kucing dari sumber racun dan amankan sisa bahan tersebut.',
+            'Bawa kemasan, label, atau potongan tanaman yang dicurigai ke dokter hewan.',
+            'Jika zat menempel di bulu atau kulit, bilas dengan air mengalir dan cegah kucing menjilatinya.',
+            'Segera hubungi dokter hewan dan sebutkan zat yang dicurigai serta perkiraan waktunya.'
+          ],
+          avoid: [
+            'Jangan memancing muntah kecuali diperintahkan dokter hewan.',
+            'Jangan memberi susu, minyak, garam, atau obat rumahan sebagai penawar.'
+          ]
+        },
+        'urinary-blockage': {
+          title: 'Tidak bisa buang air kecil',
+          steps: [
+            'Perhatikan apakah kucing bolak-balik ke kotak pasir tanpa mengeluarkan urine atau mengeong kesakitan.',
+            'Segera bawa ke dokter hewan. Sumbatan saluran kemih, terutama pada kucing jantan, dapat berakibat fatal dalam 24-48 jam.'
+          ],
+          avoid: [
+            'Jangan menekan perut atau kandung kemih kucing.',
+            'Jangan menunggu sampai besok untuk melihat apakah membaik.'
+          ]
+        },
+        trauma: {
+          title: 'Tertabrak atau jatuh',
+          steps: [
+            'Dekati perlahan; kucing yang kesakitan bisa menggigit atau mencakar.',
+            'Pindahkan kucing dengan handuk atau papan datar sambil menopang seluruh tubuhnya.',
+            'Tutupi luka terbuka dengan kain bersih.',
+            'Bawa segera ke dokter hewan walaupun kucing terlihat baik-baik saja, karena cedera dalam sering tidak terlihat.'
+          ],
+          avoid: [
+            'Jangan meluruskan kaki yang tampak patah.'
+          ]
+        },
+        appetite: {
+          title: 'Tidak mau makan atau minum',
+          steps: [
+            'Sediakan air bersih yang segar dan tawarkan makanan basah yang sedikit dihangatkan.',
+            'Catat sejak kapan kucing tidak makan atau minum serta gejala lain yang menyertai.',
+            'Periksakan ke dokter hewan jika kucing tidak makan lebih dari 24 jam, atau lebih cepat untuk anak kucing.'
+          ],
+          avoid: [
+            'Jangan memaksa menyuapi makanan atau menyuntikkan air ke mulut.'
+          ]
+        },
+        fever: {
+          title: 'Demam',
+          steps: [
+            'Tempatkan kucing di ruangan yang sejuk, tenang, dan tidak berangin kencang.',
+            'Sediakan air minum segar di dekatnya.',
+            'Periksakan ke dokter hewan untuk mencari penyebab demam.'
+          ],
+          avoid: [
+            'Jangan memberikan obat penurun panas manusia; paracetamol berakibat fatal bagi kucing.',
+            'Jangan mengompres dengan es atau memandikan dengan air dingin.'
+          ]
+        },
+        digestive: {
+          title: 'Muntah atau diare',
+          steps: [
+            'Sediakan air minum segar dalam jumlah sedikit namun sering.',
+            'Catat frekuensi, warna, dan isi muntahan atau tinja; foto jika perlu.',
+            'Periksa tanda dehidrasi: gusi kering atau kulit tengkuk yang lambat kembali saat dicubit pelan.',
+            'Periksakan ke dokter hewan, apalagi jika berlanjut lebih dari sehari atau terjadi pada anak kucing.'
+          ],
+          avoid: [
+            'Jangan memberikan obat diare atau obat maag manusia.',
+            'Jangan memberi susu sapi.'
+          ]
+        },
+        wound: {
+          title: 'Luka atau bengkak',
+          steps: [
+            'Bersihkan luka ringan dengan air bersih atau larutan garam fisiologis (NaCl 0,9%).',
+            'Tutup dengan kasa bersih dan cegah kucing menjilati luka.',
+            'Periksakan ke dokter hewan, terutama luka gigitan dan bengkak yang terasa panas atau bernanah.'
+          ],
+          avoid: [
+            'Jangan mengoleskan salep, alkohol, atau obat luka manusia tanpa saran dokter hewan.'
+          ]
+        },
+        'general-emergency': {
+          title: 'Kondisi darurat',
+          steps: [
+            'Tetap tenang dan jauhkan kucing dari bahaya di sekitarnya.',
+            'Jaga kucing tetap hangat dan tenang di dalam kandang angkut atau kardus beralas handuk.',
+            'Telepon klinik hewan selama perjalanan agar mereka dapat bersiap.'
+          ],
+          avoid: [
+            'Jangan memberikan obat manusia atau obat rumahan apa pun.'
+          ]
+        },
+        'general-serious': {
+          title: 'Gejala yang perlu diperiksa',
+          steps: [
+            'Tempatkan kucing di tempat yang tenang, hangat, dan dekat air minum.',
+            'Pantau gejala, nafsu makan, minum, dan buang air kecil; catat perubahannya.',
+            'Buat janji dengan dokter hewan dalam 24 jam, atau lebih cepat bila kondisinya memburuk.'
+          ],
+          avoid: [
+            'Jangan memberikan obat manusia atau obat rumahan tanpa saran dokter hewan.'
+          ]
+        }
+      }
+    },
+    generation: {
+      blocked: 'Maaf, jawaban untuk pertanyaan ini tidak dapat ditampilkan karena tertahan oleh filter keamanan konten. Silakan ajukan pertanyaan dengan kata-kata yang berbeda, atau konsultasikan langsung dengan dokter hewan jika kondisi kucing Anda mengkhawatirkan.',
+      recitation: 'Maaf, jawaban tidak dapat ditampilkan karena terlalu mirip dengan sumber yang dilindungi. Silakan ajukan pertanyaan dengan kata-kata yang berbeda, atau konsultasikan dengan dokter hewan.',
+      maxTokens: 'Maaf, jawaban terlalu panjang untuk ditampilkan. Silakan ajukan pertanyaan yang lebih spesifik, atau konsultasikan dengan dokter hewan jika ini adalah kondisi darurat.',
+      default: 'Maaf, saya tidak dapat memberikan jawaban saat ini. Silakan coba lagi atau konsultasikan dengan dokter hewan jika ini adalah kondisi darurat.',
+      unavailable: 'Maaf, layanan PurrPal sedang mengalami gangguan sehingga belum bisa menjawab pertanyaan Anda. Silakan coba lagi dalam beberapa saat. Jika kucing Anda sulit bernapas, kejang, mengalami pendarahan, atau tidak sadar, segera bawa ke dokter hewan terdekat.',
+      truncated: '_(Jawaban terpotong karena terlalu panjang. Tanyakan bagian yang ingin Anda ketahui lebih lanjut.)_'
+    },
+    intake: {
+      questions: {
+        age: 'Berapa umur kucing Anda? (contoh: 3 bulan, 2 tahun)',
+        weight: 'Berapa berat badan kucing Anda? (contoh: 4 kg; jawab "tidak tahu" jika belum ditimbang)',
+        duration: 'Sudah berapa lama gejalanya muncul? (contoh: sejak tadi pagi, 2 hari)',
+        eatingDrinking: 'Apakah kucing masih mau makan dan minum?',
+        vomitStool: 'Bagaimana kondisi muntahan atau kotorannya? (warna, ada darah/lendir, cair atau padat)',
+        vaccination: 'Apakah kucing sudah divaksin? Kapan terakhir kali?'
+      },
+      reask: 'Maaf, jawabannya belum saya tangkap. {question}',
+      cancelled: 'Baik, pertanyaan lanjutan dihentikan. Silakan ceritakan kondisi kucing Anda kapan saja, dan segera hubungi dokter hewan bila gejalanya memburuk.'
+    },
+    errors: {
+      unsupportedLanguage: 'Bahasa tidak didukung: {language}. Pilihan: {options}',
+      unknownProfile: 'Profil tidak dikenal: {profile}. Pilihan: {options}',
+      rateLimited: 'Terlalu banyak permintaan. Silakan coba lagi dalam {seconds} detik.',
+      tooManyRequests: 'Terlalu banyak permintaan. Silakan coba lagi nanti.',
+      timeout: 'Waktu pembuatan jawaban habis. Silakan coba lagi.',
+      aborted: 'Permintaan dibatalkan oleh klien.',
+      noIntake: 'Tidak ada data konsultasi untuk sesi: {sessionId}',
+      notFound: 'Endpoint tidak ditemukan: {method} {path}',
+      malformedRequest: 'Format permintaan tidak valid',
+      internal: 'Maaf, saya sedang mengalami gangguan teknis. Silakan coba lagi dalam beberapa saat atau hubungi dokter hewan jika ini adalah kondisi darurat.',
+      suggestions: [
+        'Coba ulangi pertanyaan Anda',
+        'Periksa koneksi internet Anda',
+        'Jika darurat, segera hubungi dokter hewan terdekat'
+      ]
+    }
+  },
+  en: {
+    validation: {
+      notText: 'Input must be text',
+      tooShort: 'Question is too short, at least {min} characters',
+      tooLong: 'Question is too long, at most {max} characters',
+      markup: 'Input contains content that is not allowed',
+      promptInjection: "This message appears to be trying to change PurrPal's instructions. Please ask a question about cat care.",
+      invalid: 'Invalid input: {errors}'
+    },
+    images: {
+      disabled: 'Image attachments are not enabled',
+      tooMany: 'Too many images, at most {max}',
+      invalid: 'Image {index} is invalid or not an image',
+      notFound: 'Image {index} was not found',
+      typeMismatch: 'The content of image {index} does not match its type {type}',
+      unsupportedType: 'Image {index} is {type}, supported types: {allowed}',
+      tooLarge: 'Image {index} is too large, at most {max} KB'
+    },
+    recommendations: {
+      emergency: [
+        'Take your cat to the nearest vet immediately',
+        'Do not delay medical treatment',
+        'Call an animal clinic for emergency advice'
+      ],
+      serious: [
+        'See a vet within 24-48 hours',
+        "Check on your cat's condition regularly",
+        'Note any changes in symptoms to tell the vet'
+      ]
+    },
+    topics: {
+      labels: {
+        dog: 'dog', rabbit: 'rabbit', rodent: 'small rodent', bird: 'bird', fish: 'fish', reptile: 'reptile', ferret: 'ferret',
+        homework: 'schoolwork', politics: 'politics', finance: 'finance and investing',
+        technology: 'technology and programming', cooking: 'cooking recipes', entertainment: 'entertainment'
+      },
+      offTopic: "Sorry, PurrPal can only help with questions about cats, so I can't answer questions about {label}. 🐱\n\n" +
+        "I'm happy to help with cat health and symptoms, food and nutrition, behaviour, daily care or vaccinations. Is there anything you'd like to ask about your cat?",
+      otherPet: "PurrPal only helps with cat care, so I can't give health or care advice for your {label}. " +
+        "The needs, medicines and doses for your {label} are different from a cat's, so advice for cats may not be safe.",
+      urgency: {
+        emergency: '🚨 The symptoms you describe can be life-threatening. Take your {label} to a vet or a 24-hour animal clinic right now.',
+        serious: '⚠️ The symptoms you describe need to be checked. Contact a vet within 24 hours, or right away if things get worse.',
+        normal: 'Please ask the vet who usually treats your {label} about this.'
+      },
+      closing: "If you also have a cat, I'm always happy to help. 🐱"
+    },
+    safety: {
+      'toxic-human-medication': '⚠️ Never give human medicines such as paracetamol, ibuprofen or aspirin to a cat, as they can be fatal. All medicines must be prescribed by a vet.',
+      'toxic-plant': '⚠️ Every part of the lily, including the pollen and the water in the vase, is highly toxic to cats and can cause kidney failure.',
+      'essential-oil': '⚠️ Essential oils (tea tree, eucalyptus, peppermint, lavender and others) are toxic to cats, whether applied to the skin, inhaled or licked.',
+      'dosing-instructions': "⚠️ A cat's medicine dose must be set by a vet based on its weight and condition. Never give medicine without a prescription.",
+      'missing-vet-referral': '🚨 This is an emergency. Take your cat to a vet or a 24-hour animal clinic right now.'
+    },
+    firstAid: {
+      intro: {
+        emergency: "🚨 PurrPal can't reach its AI service right now. Here is first-aid guidance from our offline knowledge base.\n\n**This is an EMERGENCY. Take your cat to a vet or a 24-hour animal clinic right now.**",
+        serious: "⚠️ PurrPal can't reach its AI service right now. Here is first-aid guidance from our offline knowledge base.\n\n**These symptoms need to be checked by a vet. Contact a vet within 24 hours, or right away if things get worse.**"
+      },
+      stepsHeading: 'First-aid steps:',
+      avoidHeading: 'Avoid:',
+      closing: '_This guide is no substitute for a vet examination. Please ask PurrPal again in a little while for a fuller explanation._',
+      entries: {
+        breathing: {
+          title: 'Breathing difficulty',
+          steps: [
+            'Stay calm and keep your cat away from crowds, smoke or hot air.',
+            'Let your cat choose the position it finds most comfortable; do not hold it too tightly.',
+            'If you can see something stuck in the mouth and your cat does not resist, remove it carefully. Do not push your fingers deep into the throat.',
+            'Put your cat in a well-ventilated carrier and leave for the vet straight away.'
+          ],
+          avoid: [
+            'Do not offer food or water.',
+            "Do not press on your cat's chest unless a vet tells you to."
+          ]
+        },
+        seizure: {
+          title: 'Seizure',
+          steps: [
+            'Move hard or sharp objects away from your cat and keep it away from stairs or high places.',
+            'Dim the lights and reduce noise to keep the surroundings calm.',
+            'Note when the seizure started and how long it lasts; film it if you can, to show the vet.',
+            'Once the seizure stops, cover your cat with a blanket and let it rest somewhere quiet.'
+          ],
+          avoid: [
+            "Do not hold or restrain your cat's body during the seizure.",
+            "Do not put anything in your cat's mouth."
+          ],
+          urgentIf: 'A seizure lasting more than 5 minutes, or several in one day, is life-threatening.'
+        },
+        unconscious: {
+          title: 'Fainting, unconsciousness or severe weakness',
+          steps: [
+            "Check whether your cat's chest rises and falls, a sign that it is breathing.",
+            'Lay your cat on its side with the head in line with the body to keep the airway open.',
+            'Cover your cat with a towel to keep it warm.',
+            'Lift it while supporting the whole body and take it to the vet straight away.'
+          ],
+          avoid: [
+            'Do not put food, water or any medicine into the mouth of an unconscious cat.'
+          ]
+        },
+        bleeding: {
+          title: 'Bleeding',
+          steps: [
+            'For a bleeding wound, press on it with a clean cloth or gauze for at least 5 minutes without lifting it.',
+            'If blood soaks through, add another layer of cloth on top and keep pressing.',
+            'For bloody vomit or stool, take a photo or keep a sample to show the vet.',
+            'Keep your cat calm and warm on the way to the vet.'
+          ],
+          avoid: [
+            'Do not lift cloth that is stuck to the wound, as this can restart the bleeding.',
+            'Do not feed a cat that is vomiting blood.'
+          ]
+        },
+        poisoning: {
+          title: 'Suspected poisoning',
+          steps: [
+            'Move your cat away from the source of the poison and keep what is left of it.',
+            'Bring the packaging, label or a piece of the suspected plant to the vet.',
+            'If the substance is on the fur or skin, rinse it off with running water and stop your cat from licking it.',
+            'Call a vet at once and tell them the suspected substance and roughly when it happened.'
+          ],
+          avoid: [
+            'Do not make your cat vomit unless a vet tells you to.',
+            'Do not give milk, oil, salt or home remedies as an antidote.'
+          ]
+        },
+        'urinary-blockage': {
+          title: 'Unable to pee',
+          steps: [
+            'Watch whether your cat keeps going to the litter box without passing urine, or cries in pain.',
+            'Take your cat to the vet straight away. A urinary blockage, especially in male cats, can be fatal within 24-48 hours.'
+          ],
+          avoid: [
+            "Do not press on your cat's belly or bladder.",
+            'Do not wait until tomorrow to see if it gets better.'
+          ]
+        },
+        trauma: {
+          title: 'Hit by a vehicle or fallen',
+          steps: [
+            'Approach slowly; a cat in pain may bite or scratch.',
+            'Move your cat on a towel or a flat board, supporting its whole body.',
+            'Cover open wounds with a clean cloth.',
+            'Take your cat to the vet straight away even if it seems fine, as internal injuries are often not visible.'
+          ],
+          avoid: [
+            'Do not try to straighten a leg that looks broken.'
+          ]
+        },
+        appetite: {
+          title: 'Not eating or drinking',
+          steps: [
+            'Offer fresh clean water and some slightly warmed wet food.',
+            'Note since when your cat has not eaten or drunk, and any other symptoms.',
+            'See a vet if your cat has not eaten for more than 24 hours, or sooner for a kitten.'
+          ],
+          avoid: [
+            "Do not force-feed or squirt water into your cat's mouth."
+          ]
+        },
+        fever: {
+          title: 'Fever',
+          steps: [
+            'Keep your cat in a cool, quiet room without strong drafts.',
+            'Put fresh drinking water nearby.',
+            'See a vet to find the cause of the fever.'
+          ],
+          avoid: [
+            'Do not give human fever medicine; paracetamol is fatal to cats.',
+            'Do not use ice packs or bathe your cat in cold water.'
+          ]
+        },
+        digestive: {
+          title: 'Vomiting or diarrhea',
+          steps: [
+            'Offer fresh drinking water in small amounts, often.',
+            'Note how often it happens and the colour and content of the vomit or stool; take photos if needed.',
+            'Check for signs of dehydration: dry gums, or skin on the scruff that is slow to fall back when gently pinched.',
+            'See a vet, especially if it lasts more than a day or happens in a kitten.'
+          ],
+          avoid: [
+            'Do not give human diarrhea or stomach medicine.',
+            "Do not give cow's milk."
+          ]
+        },
+        wound: {
+          title: 'Wound or swelling',
+          steps: [
+            'Clean minor wounds with clean water or saline solution (0.9% NaCl).',
+            'Cover with clean gauze and stop your cat from licking the wound.',
+            'See a vet, especially for bite wounds and swellings that feel hot or contain pus.'
+          ],
+          avoid: [
+            'Do not apply ointment, alcohol or human wound medicine without asking a vet.'
+          ]
+        },
+        'general-emergency': {
+          title: 'Emergency',
+          steps: [
+            'Stay calm and keep your cat away from any danger around it.',
+            'Keep your cat warm and calm in a carrier or a box lined with a towel.',
+            'Call the animal clinic on the way so they can get ready.'
+          ],
+          avoid: [
+            'Do not give any human medicine or home remedy.'
+          ]
+        },
+        'general-serious': {
+          title: 'Symptoms that need checking',
+          steps: [
+            'Keep your cat somewhere quiet and warm, close to drinking water.',
+            'Watch its symptoms, appetite, drinking and peeing, and note any changes.',
+            'Book a vet visit within 24 hours, or sooner if your cat gets worse.'
+          ],
+          avoid: [
+            'Do not give human medicine or home remedies without asking a vet.'
+          ]
+        }
+      }
+    },
+    generation: {
+      blocked: 'Sorry, the answer to this question cannot be shown because it was held back by a content safety filter. Please rephrase your question, or talk to a vet directly if you are worried about your cat.',
+      recitation: 'Sorry, the answer cannot be shown because it is too similar to a protected source. Please rephrase your question, or talk to a vet.',
+      maxTokens: 'Sorry, the answer is too long to show. Please ask a more specific question, or talk to a vet if this is an emergency.',
+      default: 'Sorry, I cannot give an answer right now. Please try again, or talk to a vet if this is an emergency.',
+      unavailable: 'Sorry, the PurrPal service is having problems and cannot answer your question yet. Please try again in a moment. If your cat is struggling to breathe, having a seizure, bleeding or unconscious, take them to the nearest vet right away.',
+      truncated: '_(The answer was cut short because it was too long. Ask about the part you would like to know more about.)_'
+    },
+    intake: {
+      questions: {
+        age: 'How old is your cat? (e.g. 3 months, 2 years)',
+        weight: 'How much does your cat weigh? (e.g. 4 kg; answer "don\'t know" if they haven\'t been weighed)',
+        duration: 'How long have the symptoms been going on? (e.g. since this morning, 2 days)',
+        eatingDrinking: 'Is your cat still eating and drinking?',
+        vomitStool: 'What does the vomit or stool look like? (colour, any blood/mucus, runny or firm)',
+        vaccination: 'Has your cat been vaccinated? When was the last time?'
+      },
+      reask: "Sorry, I didn't catch that. {question}",
+      cancelled: 'Okay, no more follow-up questions. Tell me about your cat whenever you like, and contact a vet right away if the symptoms get worse.'
+    },
+    errors: {
+      unsupportedLanguage: 'Unsupported language: {language}. Options: {options}',
+      unknownProfile: 'Unknown profile: {profile}. Options: {options}',
+      rateLimited: 'Too many requests. Please try again in {seconds} seconds.',
+      tooManyRequests: 'Too many requests. Please try again later.',
+      timeout: 'Generating the answer took too long. Please try again.',
+      aborted: 'The request was cancelled by the client.',
+      noIntake: 'No consultation data for session: {sessionId}',
+      notFound: 'Endpoint not found: {method} {path}',
+      malformedRequest: 'Invalid request format',
+      internal: "Sorry, I'm having technical problems. Please try again in a moment, or contact a vet if this is an emergency.",
+      suggestions: [
+        'Try asking your question again',
+        'Check your internet connection',
+        'In an emergency, contact the nearest vet right away'
+      ]
+    }
+  },
+  jv: {
+    validation: {
+      notText: 'Pesen kudu awujud teks',
+      tooShort: 'Pitakonan kecendhakan, paling sithik {min} karakter',
+      tooLong: 'Pitakonan kedawan, paling akeh {max} karakter',
+      markup: 'Pesen ngemot isi sing ora diidini',
+      promptInjection: 'Pesen iki katon arep ngowahi instruksi PurrPal. Mangga takon bab perawatan kucing.',
+      invalid: 'Pesen ora valid: {errors}'
+    },
+    images: {
+      disabled: 'Lampiran gambar ora diaktifake',
+      tooMany: 'Gambare kakehan, paling akeh {max}',
+      invalid: 'Gambar kaping {index} ora valid utawa dudu gambar',
+      notFound: 'Gambar kaping {index} ora ketemu',
+      typeMismatch: 'Isi gambar kaping {index} ora cocog karo jinis {type}',
+      unsupportedType: 'Gambar kaping {index} jinise {type}, sing didhukung: {allowed}',
+      tooLarge: 'Gambar kaping {index} kegedhen, paling gedhe {max} KB'
+    },
+    recommendations: {
+      emergency: [
+        'Enggal gawa kucing menyang dokter kewan sing paling cedhak',
+        'Aja nundha penanganan medis',
+        'Hubungi klinik kewan kanggo konsultasi darurat'
+      ],
+      serious: [
+        'Konsultasi karo dokter kewan sajrone 24-48 jam',
+        'Pantau kahanan kucing kanthi rutin',
+        'Cathet owah-owahan gejala kanggo dilaporake menyang dokter'
+      ]
+    },
+    topics: {
+      labels: {
+        dog: 'asu', rabbit: 'terwelu', rodent: 'kewan pengerat', bird: 'manuk', fish: 'iwak hias', reptile: 'reptil', ferret: 'musang',
+        homework: 'tugas sekolah utawa kuliah', politics: 'politik', finance: 'keuangan lan investasi',
+        technology: 'teknologi lan pemrograman', cooking: 'resep masakan', entertainment: 'hiburan'
+      },
+      offTopic: 'Nyuwun pangapunten, PurrPal mung bisa mbantu pitakonan bab kucing, dadi ora bisa mangsuli pitakonan bab {label}. 🐱\n\n' +
+        'PurrPal siap mbantu bab kesehatan lan gejala penyakit kucing, panganan lan nutrisi, tindak-tanduk, perawatan saben dina, utawa vaksinasi. Ana sing arep ditakokake bab kucing panjenengan?',
+      otherPet: 'PurrPal mligi mbantu perawatan kucing, dadi ora bisa menehi saran kesehatan utawa perawatan kanggo {label}. ' +
+        'Kabutuhan, obat, lan dosis kanggo {label} beda karo kucing, mula saran kanggo kucing durung mesthi aman.',
+      urgency: {
+        emergency: '🚨 Gejala sing panjenengan sebutake bisa mbebayani nyawa. Enggal gawa {label} panjenengan menyang dokter kewan utawa klinik kewan 24 jam sing paling cedhak saiki uga.',
+        serious: '⚠️ Gejala sing panjenengan sebutake perlu dipriksa. Hubungi dokter kewan sajrone 24 jam, utawa enggal yen kahanane saya parah.',
+        normal: 'Mangga konsultasi pitakonan iki karo dokter kewan sing biasa nangani {label}.'
+      },
+      closing: 'Yen panjenengan uga ngingu kucing, PurrPal siap mbantu kapan wae. 🐱'
+    },
+    safety: {
+      'toxic-human-medication': '⚠️ Aja nganti menehi obat manungsa kaya paracetamol, ibuprofen, utawa aspirin marang kucing amarga bisa nyebabake pati. Kabeh obat kudu diresepake dokter kewan.',
+      'toxic-plant': '⚠️ Kabeh perangan kembang lili, kalebu serbuk sari lan banyu ing vas, beracun banget kanggo kucing lan bisa nyebabake gagal ginjal.',
+      'essential-oil': '⚠️ Lenga atsiri (tea tree, kayu putih, peppermint, lavender, lan liyane) beracun kanggo kucing, sanajan diolesake, diambu, utawa dijilat.',
+      'dosing-instructions': '⚠️ Dosis obat kanggo kucing kudu ditemtokake dokter kewan miturut bobot awak lan kahanane. Aja menehi obat tanpa resep.',
+      'missing-vet-referral': '🚨 Iki kahanan darurat. Enggal gawa kucing panjenengan menyang dokter kewan utawa klinik kewan 24 jam sing paling cedhak saiki uga.'
+    },
+    firstAid: {
+      intro: {
+        emergency: '🚨 PurrPal saiki ora bisa nyambung menyang layanan AI. Iki pandhuan pitulungan pisanan saka basis kawruh offline kita.\n\n**Iki kahanan DARURAT. Enggal gawa kucing panjenengan menyang dokter kewan utawa klinik kewan 24 jam sing paling cedhak saiki uga.**',
+        serious: '⚠️ PurrPal saiki ora bisa nyambung menyang layanan AI. Iki pandhuan pitulungan pisanan saka basis kawruh offline kita.\n\n**Gejala iki perlu dipriksa dokter kewan. Hubungi dokter kewan sajrone 24 jam, utawa enggal yen kahanane saya parah.**'
+      },
+      stepsHeading: 'Langkah pitulungan pisanan:',
+      avoidHeading: 'Aja dilakoni:',
+      closing: '_Pandhuan iki dudu gantine pamriksan dokter kewan. Mangga takon maneh marang PurrPal sawetara wektu engkas kanggo katrangan sing luwih jangkep._',
+      entries: {
+        breathing: {
+          title: 'Angel ambegan',
+          steps: [
+            'Tetep tenang lan adohna kucing saka papan rame, kebul, utawa hawa panas.',
+            'Kucing ben milih posisi sing paling kepenak; aja dicekel kekencengen.',
+            'Yen katon ana barang nyangkut ing cangkem lan kucing ora nglawan, jupuken alon-alon. Aja nglebokake driji adoh menyang tenggorokan.',
+            'Lebokna kucing menyang kandhang angkut sing hawane lancar lan enggal budhal menyang dokter kewan.'
+          ],
+          avoid: [
+            'Aja menehi mangan utawa ngombe.',
+            'Aja mencet dhadha kucing kajaba diprentah dokter kewan.'
+          ]
+        },
+        seizure: {
+          title: 'Kejang',
+          steps: [
+            'Singkirna barang atos utawa landhep ing sakiwa-tengene kucing lan adohna saka undhak-undhakan utawa papan dhuwur.',
+            'Surami lampu lan kurangi swara supaya sakiwa-tengene tenang.',
+            'Cathet jam wiwit lan suwene kejang; rekam video yen bisa kanggo dituduhake marang dokter kewan.',
+            'Sawise kejang mandheg, kemuli kucing lan ben ngaso ing papan sing tenang.'
+          ],
+          avoid: [
+            'Aja nyekel utawa nahan awak kucing nalika kejang.',
+            'Aja nglebokake apa wae menyang cangkem kucing.'
+          ],
+          urgentIf: 'Kejang luwih saka 5 menit utawa bola-bali ing sedina iku kahanan sing mbebayani nyawa.'
+        },
+        unconscious: {
+          title: 'Semaput, ora sadar, utawa lemes banget',
+          steps: [
+            'Priksa apa dhadha kucing obah munggah-mudhun minangka tandha ambegan.',
+            'Turokna kucing miring kanthi sirah sejajar karo awak supaya dalan ambegan tetep kabuka.',
+            'Kemuli kucing nganggo andhuk supaya tetep anget.',
+            'Angkat kanthi nyangga sakabehe awak lan enggal gawa menyang dokter kewan.'
+          ],
+          avoid: [
+            'Aja menehi panganan, ombenan, utawa obat apa wae menyang cangkem kucing sing ora sadar.'
+          ]
+        },
+        bleeding: {
+          title: 'Getihen',
+          steps: [
+            'Kanggo tatu sing getihen, penet nganggo kain resik utawa kasa paling sethithik 5 menit tanpa diuculi.',
+            'Yen getih isih rembes, tambahi lapisan kain ing dhuwure lan terus dipenet.',
+            'Kanggo mutah utawa tai sing ana getihe, foto utawa simpen contone kanggo dituduhake marang dokter kewan.',
+            'Jaga kucing tetep tenang lan anget sajrone lelungan menyang dokter kewan.'
+          ],
+          avoid: [
+            'Aja ngangkat kain sing wis nempel ing tatu amarga bisa mbukak getihen maneh.',
+            'Aja menehi mangan kucing sing mutah getih.'
+          ]
+        },
+        poisoning: {
+          title: 'Dikira keracunan',
+          steps: [
+            'Adohna kucing saka sumber racun lan simpen turahan bahan kasebut.',
+            'Gawa bungkus, label, utawa potongan tanduran sing dicurigai menyang dokter kewan.',
+            'Yen zat nempel ing wulu utawa kulit, umbah nganggo banyu mili lan cegah kucing njilati.',
+            'Enggal hubungi dokter kewan lan sebutna zat sing dicurigai sarta kira-kira wektune.'
+          ],
+          avoid: [
+            'Aja mancing mutah kajaba diprentah dokter kewan.',
+            'Aja menehi susu, lenga, uyah, utawa obat omahan minangka penawar.'
+          ]
+        },
+        'urinary-blockage': {
+          title: 'Ora bisa nguyuh',
+          steps: [
+            'Gatekna apa kucing bola-bali menyang kothak pasir tanpa ngetokake uyuh utawa ngeong kelaran.',
+            'Enggal gawa menyang dokter kewan. Sumbatan saluran uyuh, mligine ing kucing lanang, bisa mbebayani nyawa sajrone 24-48 jam.'
+          ],
+          avoid: [
+            'Aja mencet weteng utawa kandhung uyuh kucing.',
+            'Aja ngenteni nganti sesuk kanggo ndeleng apa mundhak apik.'
+          ]
+        },
+        trauma: {
+          title: 'Ketabrak utawa tiba',
+          steps: [
+            'Nyedhak alon-alon; kucing sing lara bisa nyakot utawa nyakar.',
+            'Pindhahna kucing nganggo andhuk utawa papan rata karo nyangga sakabehe awake.',
+            'Tutupi tatu sing kabuka nganggo kain resik.',
+            'Enggal gawa menyang dokter kewan sanajan kucing katon ora apa-apa, amarga cilaka njero asring ora katon.'
+          ],
+          avoid: [
+            'Aja nyelehake sikil sing katon patah supaya lurus.'
+          ]
+        },
+        appetite: {
+          title: 'Ora gelem mangan utawa ngombe',
+          steps: [
+            'Cepakna banyu resik sing seger lan tawakna panganan teles sing rada dianget.',
+            'Cathet wiwit kapan kucing ora mangan utawa ngombe sarta gejala liyane sing ngiringi.',
+            'Priksakna menyang dokter kewan yen kucing ora mangan luwih saka 24 jam, utawa luwih cepet kanggo anak kucing.'
+          ],
+          avoid: [
+            'Aja meksa nyuapi panganan utawa nyuntikake banyu menyang cangkem.'
+          ]
+        },
+        fever: {
+          title: 'Demam',
+          steps: [
+            'Papanna kucing ing ruangan sing adhem, tenang, lan ora kena angin banter.',
+            'Cepakna banyu ngombe seger ing cedhake.',
+            'Priksakna menyang dokter kewan kanggo nggoleki sababe demam.'
+          ],
+          avoid: [
+            'Aja menehi obat penurun panas manungsa; paracetamol bisa nyebabake pati kanggo kucing.',
+            'Aja dikompres es utawa didusi banyu adhem.'
+          ]
+        },
+        digestive: {
+          title: 'Mutah utawa diare',
+          steps: [
+            'Cepakna banyu ngombe seger sithik-sithik nanging kerep.',
+            'Cathet kaping pira, werna, lan isine mutahan utawa tai; foto yen perlu.',
+            'Priksa tandha kekurangan cairan: gusi garing utawa kulit githok sing alon bali nalika dicubit alon.',
+            'Priksakna menyang dokter kewan, luwih-luwih yen luwih saka sedina utawa kedadeyan ing anak kucing.'
+          ],
+          avoid: [
+            'Aja menehi obat diare utawa obat maag manungsa.',
+            'Aja menehi susu sapi.'
+          ]
+        },
+        wound: {
+          title: 'Tatu utawa abuh',
+          steps: [
+            'Resiki tatu entheng nganggo banyu resik utawa larutan uyah fisiologis (NaCl 0,9%).',
+            'Tutup nganggo kasa resik lan cegah kucing njilati tatu.',
+            'Priksakna menyang dokter kewan, mligine tatu cokotan lan abuh sing krasa panas utawa metu nanah.'
+          ],
+          avoid: [
+            'Aja ngolesi salep, alkohol, utawa obat tatu manungsa tanpa saran dokter kewan.'
+          ]
+        },
+        'general-emergency': {
+          title: 'Kahanan darurat',
+          steps: [
+            'Tetep tenang lan adohna kucing saka bebaya ing sakiwa-tengene.',
+            'Jaga kucing tetep anget lan tenang ing kandhang angkut utawa kardus sing dilemeki andhuk.',
+            'Telpon klinik kewan sajrone lelungan supaya bisa siyap-siyap.'
+          ],
+          avoid: [
+            'Aja menehi obat manungsa utawa obat omahan apa wae.'
+          ]
+        },
+        'general-serious': {
+          title: 'Gejala sing perlu dipriksa',
+          steps: [
+            'Papanna kucing ing papan sing tenang, anget, lan cedhak banyu ngombe.',
+            'Pantau gejala, napsu mangan, ngombe, lan nguyuh; cathet owah-owahane.',
+            'Gawe janji karo dokter kewan sajrone 24 jam, utawa luwih cepet yen kahanane saya parah.'
+          ],
+          avoid: [
+            'Aja menehi obat manungsa utawa obat omahan tanpa saran dokter kewan.'
+          ]
+        }
+      }
+    },
+    generation: {
+      blocked: 'Nyuwun pangapunten, wangsulan kanggo pitakon menika boten saged dipuntampilaken amargi dipunendheg dening filter keamanan konten. Mangga ajengaken pitakon kanthi tembung sanes, utawi konsultasi langsung kaliyan dokter kewan menawi kahanan kucing panjenengan ndadosaken kuwatos.',
+      recitation: 'Nyuwun pangapunten, wangsulan boten saged dipuntampilaken amargi kathah memper kaliyan sumber ingkang dipunreksa. Mangga ajengaken pitakon kanthi tembung sanes, utawi konsultasi kaliyan dokter kewan.',
+      maxTokens: 'Nyuwun pangapunten, wangsulanipun kedawan kanggo dipuntampilaken. Mangga ajengaken pitakon ingkang langkung spesifik, utawi konsultasi kaliyan dokter kewan menawi menika kahanan darurat.',
+      default: 'Nyuwun pangapunten, kula dereng saged paring wangsulan samenika. Mangga dipuncoba malih utawi konsultasi kaliyan dokter kewan menawi menika kahanan darurat.',
+      unavailable: 'Nyuwun pangapunten, layanan PurrPal saweg wonten gangguan saengga dereng saged mangsuli pitakon panjenengan. Mangga dipuncoba malih sakedhap malih. Menawi kucing panjenengan angel ambegan, kejang, getihen, utawi semaput, enggal beta dhateng dokter kewan ingkang paling celak.',
+      truncated: '_(Wangsulan kapotong amargi kedawan. Mangga takenaken perangan ingkang badhe panjenengan mangertosi langkung lebet.)_'
+    },
+    intake: {
+      questions: {
+        age: 'Pinten yuswanipun kucing panjenengan? (tuladha: 3 sasi, 2 taun)',
+        weight: 'Pinten bobotipun kucing panjenengan? (tuladha: 4 kg; wangsuli "ora ngerti" menawi dereng dipuntimbang)',
+        duration: 'Sampun pinten dangu gejalanipun wonten? (tuladha: wiwit esuk mau, 2 dina)',
+        eatingDrinking: 'Punapa kucing taksih purun maem lan ngunjuk?',
+        vomitStool: 'Kados pundi kahanan mutahan utawi kotoranipun? (warna, wonten getih/lendir, cair utawi atos)',
+        vaccination: 'Punapa kucing sampun dipunvaksin? Kapan ingkang pungkasan?'
+      },
+      reask: 'Nyuwun pangapunten, wangsulanipun dereng kula tangkep. {question}',
+      cancelled: 'Inggih, pitakon lanjutan dipunkendelaken. Mangga cariyosaken kahanan kucing panjenengan kapan kemawon, lan enggal hubungi dokter kewan menawi gejalanipun saya awon.'
+    },
+    errors: {
+      unsupportedLanguage: 'Basa boten dipunsengkuyung: {language}. Pilihan: {options}',
+      unknownProfile: 'Profil boten dipuntepangi: {profile}. Pilihan: {options}',
+      rateLimited: 'Kathah sanget panyuwunan. Mangga dipuncoba malih ing {seconds} detik.',
+      tooManyRequests: 'Kathah sanget panyuwunan. Mangga dipuncoba malih mangke.',
+      timeout: 'Wekdal damel wangsulan sampun telas. Mangga dipuncoba malih.',
+      aborted: 'Panyuwunan dipunbatalaken dening klien.',
+      noIntake: 'Boten wonten data konsultasi kanggo sesi: {sessionId}',
+      notFound: 'Endpoint boten kapanggih: {method} {path}',
+      malformedRequest: 'Format panyuwunan boten leres',
+      internal: 'Nyuwun pangapunten, saiki lagi ana gangguan teknis. Mangga dicoba maneh sawetara wektu engkas utawa hubungi dokter kewan yen iki kahanan darurat.',
+      suggestions: [
+        'Coba baleni pitakonan panjenengan',
+        'Priksa sambungan internet panjenengan',
+        'Yen darurat, enggal hubungi dokter kewan sing paling cedhak'
+      ]
+    }
+  },
+  su: {
+    validation: {
+      notText: 'Pesen kedah mangrupa téks',
+      tooShort: 'Patarosan pondok teuing, sahenteuna {min} karakter',
+      tooLong: 'Patarosan panjang teuing, paling seueur {max} karakter',
+      markup: 'Pesen ngandung eusi anu teu diidinan',
+      promptInjection: 'Pesen ieu katingalina badé ngarobih instruksi PurrPal. Mangga naroskeun perkawis miara ucing.',
+      invalid: 'Pesen teu valid: {errors}'
+    },
+    images: {
+      disabled: 'Lampiran gambar teu diaktipkeun',
+      tooMany: 'Gambarna seueur teuing, paling seueur {max}',
+      invalid: 'Gambar ka-{index} teu valid atanapi sanés gambar',
+      notFound: 'Gambar ka-{index} teu kapendak',
+      typeMismatch: 'Eusi gambar ka-{index} teu cocog sareng jinis {type}',
+      unsupportedType: 'Gambar ka-{index} jinisna {type}, anu dirojong: {allowed}',
+      tooLarge: 'Gambar ka-{index} ageung teuing, paling ageung {max} KB'
+    },
+    recommendations: {
+      emergency: [
+        'Geura bawa ucing ka dokter sato anu pangcaketna',
+        'Ulah nunda penanganan médis',
+        'Hubungi klinik sato pikeun konsultasi darurat'
+      ],
+      serious: [
+        'Konsultasikeun ka dokter sato dina 24-48 jam',
+        'Pantau kaayaan ucing sacara rutin',
+        'Catet parobahan gejala pikeun dilaporkeun ka dokter'
+      ]
+    },
+    topics: {
+      labels: {
+        dog: 'anjing', rabbit: 'kelenci', rodent: 'sato pengerat', bird: 'manuk', fish: 'lauk hias', reptile: 'réptil', ferret: 'musang',
+        homework: 'tugas sakola atanapi kuliah', politics: 'pulitik', finance: 'kauangan sareng investasi',
+        technology: 'téknologi sareng pemrograman', cooking: 'resep masakan', entertainment: 'hiburan'
+      },
+      offTopic: 'Hapunten, PurrPal ngan ukur tiasa ngabantosan patarosan perkawis ucing, janten abdi teu tiasa ngawaler patarosan perkawis {label}. 🐱\n\n' +
+        'Abdi siap ngabantosan perkawis kaséhatan sareng gejala panyakit ucing, tuangeun sareng nutrisi, kalakuan, perawatan sapopoé, atanapi vaksinasi. Aya anu badé ditaroskeun perkawis ucing anjeun?',
+      otherPet: 'PurrPal husus ngabantosan miara ucing, janten abdi teu tiasa masihan saran kaséhatan atanapi perawatan pikeun {label}. ' +
+        'Kabutuhan, obat, sareng dosis pikeun {label} bénten sareng ucing, janten saran pikeun ucing teu acan tangtu aman.',
+      urgency: {
+        emergency: '🚨 Gejala anu anjeun sebatkeun tiasa ngabahayakeun nyawa. Geura bawa {label} anjeun ka dokter sato atanapi klinik sato 24 jam anu pangcaketna ayeuna kénéh.',
+        serious: '⚠️ Gejala anu anjeun sebatkeun kedah dipariksa. Hubungi dokter sato dina 24 jam, atanapi geura upami kaayaanana langkung parah.',
+        normal: 'Mangga konsultasikeun patarosan ieu ka dokter sato anu biasa nanganan {label}.'
+      },
+      closing: 'Upami anjeun ogé miara ucing, abdi siap ngabantosan iraha waé. 🐱'
+    },
+    safety: {
+      'toxic-human-medication': '⚠️ Ulah pisan masihan obat manusa sapertos paracetamol, ibuprofen, atanapi aspirin ka ucing sabab tiasa nyababkeun maot. Sadaya obat kedah diresepkeun ku dokter sato.',
+      'toxic-plant': '⚠️ Sadaya bagian kembang lili, kaasup sari kembang sareng cai dina vas, beracun pisan pikeun ucing sareng tiasa nyababkeun gagal ginjal.',
+      'essential-oil': '⚠️ Minyak atsiri (tea tree, kayu putih, peppermint, lavender, sareng sanésna) beracun pikeun ucing, boh dioleskeun, diambeu, atanapi dilétak.',
+      'dosing-instructions': '⚠️ Dosis obat pikeun ucing kedah ditangtukeun ku dokter sato dumasar kana beurat awak sareng kaayaanana. Ulah masihan obat tanpa resép.',
+      'missing-vet-referral': '🚨 Ieu kaayaan darurat. Geura bawa ucing anjeun ka dokter sato atanapi klinik sato 24 jam anu pangcaketna ayeuna kénéh.'
+    },
+    firstAid: {
+      intro: {
+        emergency: '🚨 PurrPal nuju teu tiasa nyambung ka layanan AI. Ieu pituduh pitulung munggaran tina basis pangaweruh offline kami.\n\n**Ieu kaayaan DARURAT. Geura bawa ucing anjeun ka dokter sato atanapi klinik sato 24 jam anu pangcaketna ayeuna kénéh.**',
+        serious: '⚠️ PurrPal nuju teu tiasa nyambung ka layanan AI. Ieu pituduh pitulung munggaran tina basis pangaweruh offline kami.\n\n**Gejala ieu kedah dipariksa ku dokter sato. Hubungi dokter sato dina 24 jam, atanapi geura upami kaayaanana langkung parah.**'
+      },
+      stepsHeading: 'Léngkah pitulung munggaran:',
+      avoidHeading: 'Ulah:',
+      closing: '_Pituduh ieu sanés gaganti pamariksaan dokter sato. Mangga naroskeun deui ka PurrPal sakedap deui pikeun katerangan anu langkung lengkep._',
+      entries: {
+        breathing: {
+          title: 'Hésé ngambekan',
+          steps: [
+            'Tetep tenang sareng jauhkeun ucing tina karaméan, haseup, atanapi hawa panas.',
+            'Antepkeun ucing milih posisi anu pang merenahna; ulah dicepeng pageuh teuing.',
+            'Upami katingal aya barang dina sungutna sareng ucing henteu ngalawan, candak lalaunan. Ulah ngasupkeun ramo jero teuing kana tikoro.',
+            'Lebetkeun ucing kana kandang angkut anu hawana lancar sareng geura angkat ka dokter sato.'
+          ],
+          avoid: [
+            'Ulah masihan tuangeun atanapi inuman.',
+            'Ulah meuseul dada ucing iwal diparentah ku dokter sato.'
+          ]
+        },
+        seizure: {
+          title: 'Kejang',
+          steps: [
+            'Singkirkeun barang teuas atanapi seukeut di sabudeureun ucing sareng jauhkeun tina tangga atanapi tempat luhur.',
+            'Remangkeun lampu sareng kirangan sora supados sabudeureunana tenang.',
+            'Catet jam mimiti sareng lamina kejang; rékam vidéo upami tiasa pikeun dipidangkeun ka dokter sato.',
+            'Saatos kejangna eureun, simbutan ucing sareng antepkeun reureuh di tempat anu tenang.'
+          ],
+          avoid: [
+            'Ulah nyepeng atanapi nahan awak ucing nalika kejang.',
+            'Ulah ngasupkeun naon waé kana sungut ucing.'
+          ],
+          urgentIf: 'Kejang langkung ti 5 menit atanapi balik deui dina sadinten mangrupikeun kaayaan anu ngabahayakeun nyawa.'
+        },
+        unconscious: {
+          title: 'Kapiuhan, teu sadar, atanapi lemes pisan',
+          steps: [
+            'Pariksa naha dada ucing obah naék-turun minangka tanda ngambekan.',
+            'Golerkeun ucing nyamping kalayan sirah sajajar sareng awak supados jalan napas tetep muka.',
+            'Simbutan ucing ku anduk supados tetep haneut.',
+            'Angkat bari nahan sakumna awakna sareng geura bawa ka dokter sato.'
+          ],
+          avoid: [
+            'Ulah masihan tuangeun, inuman, atanapi obat naon waé kana sungut ucing anu teu sadar.'
+          ]
+        },
+        bleeding: {
+          title: 'Getihan',
+          steps: [
+            'Pikeun tatu anu getihan, pencét ku lawon beresih atanapi kasa sahenteuna 5 menit tanpa dileupaskeun.',
+            'Upami getihna nembus, tambihan lapisan lawon di luhurna sareng teras pencét.',
+            'Pikeun utah atanapi tai anu aya getihan, foto atanapi simpen contona pikeun dipidangkeun ka dokter sato.',
+            'Jaga ucing tetep tenang sareng haneut salami perjalanan ka dokter sato.'
+          ],
+          avoid: [
+            'Ulah ngangkat lawon anu tos napel dina tatu sabab tiasa muka deui getihanana.',
+            'Ulah masihan tuangeun ka ucing anu utah getih.'
+          ]
+        },
+        poisoning: {
+          title: 'Disangka karacunan',
+          steps: [
+            'Jauhkeun ucing tina sumber racun sareng amankeun sésa bahanna.',
+            'Bawa bungkus, labél, atanapi potongan tutuwuhan anu disangka ka dokter sato.',
+            'Upami zatna napel dina bulu atanapi kulit, bilas ku cai ngocor sareng cegah ucing ngaletakna.',
+            'Geura hubungi dokter sato sareng sebatkeun zat anu disangka sareng kira-kira waktosna.'
+          ],
+          avoid: [
+            'Ulah mancing utah iwal diparentah ku dokter sato.',
+            'Ulah masihan susu, minyak, uyah, atanapi ubar imah minangka panawar.'
+          ]
+        },
+        'urinary-blockage': {
+          title: 'Teu tiasa kiih',
+          steps: [
+            'Perhatoskeun naha ucing bulak-balik ka kotak pasir tanpa ngaluarkeun kiih atanapi ngeong kanyerian.',
+            'Geura bawa ka dokter sato. Sumbatan saluran kiih, utamina dina ucing jalu, tiasa maéhan dina 24-48 jam.'
+          ],
+          avoid: [
+            'Ulah meuseul beuteung atanapi kandung kiih ucing.',
+            'Ulah ngantosan dugi ka énjing pikeun ningali naha langkung saé.'
+          ]
+        },
+        trauma: {
+          title: 'Katabrak atanapi ragrag',
+          steps: [
+            'Deukeutan lalaunan; ucing anu nyeri tiasa ngegel atanapi nyakar.',
+            'Pindahkeun ucing ku anduk atanapi papan rata bari nahan sakumna awakna.',
+            'Tutupan tatu anu muka ku lawon beresih.',
+            'Geura bawa ka dokter sato sanaos ucing katingalina teu kunanaon, sabab cilaka jero sering teu katingal.'
+          ],
+          avoid: [
+            'Ulah ngalempengkeun suku anu katingalina potong.'
+          ]
+        },
+        appetite: {
+          title: 'Teu daék dahar atanapi nginum',
+          steps: [
+            'Sayogikeun cai beresih anu seger sareng tawarkeun tuangeun baseuh anu rada dihaneutan.',
+            'Catet ti iraha ucing teu dahar atanapi nginum sareng gejala sanés anu nyarengan.',
+            'Pariksakeun ka dokter sato upami ucing teu dahar langkung ti 24 jam, atanapi langkung gancang pikeun anak ucing.'
+          ],
+          avoid: [
+            'Ulah maksa nyuapan tuangeun atanapi nyuntikkeun cai kana sungut.'
+          ]
+        },
+        fever: {
+          title: 'Muriang',
+          steps: [
+            'Tempatkeun ucing di rohangan anu tiis, tenang, sareng teu kaanginan tarik.',
+            'Sayogikeun cai nginum anu seger di caketna.',
+            'Pariksakeun ka dokter sato pikeun milarian anu nyababkeun muriang.'
+          ],
+          avoid: [
+            'Ulah masihan obat nurunkeun panas manusa; paracetamol tiasa maéhan ucing.',
+            'Ulah dikompres ku és atanapi dimandian ku cai tiis.'
+          ]
+        },
+        digestive: {
+          title: 'Utah atanapi diaré',
+          steps: [
+            'Sayogikeun cai nginum anu seger sakedik-sakedik tapi sering.',
+            'Catet sabaraha kali, warna, sareng eusi utah atanapi tai; foto upami perlu.',
+            'Pariksa tanda kakirangan cairan: gusi garing atanapi kulit punduk anu lami balik deui nalika dicubit lalaunan.',
+            'Pariksakeun ka dokter sato, komo upami langkung ti sadinten atanapi kajantenan dina anak ucing.'
+          ],
+          avoid: [
+            'Ulah masihan obat diaré atanapi obat maag manusa.',
+            'Ulah masihan susu sapi.'
+          ]
+        },
+        wound: {
+          title: 'Tatu atanapi bareuh',
+          steps: [
+            'Beresihan tatu énténg ku cai beresih atanapi larutan uyah fisiologis (NaCl 0,9%).',
+            'Tutup ku kasa beresih sareng cegah ucing ngaletak tatuna.',
+            'Pariksakeun ka dokter sato, utamina tatu kacegat sareng bareuh anu karaos panas atanapi nanahan.'
+          ],
+          avoid: [
+            'Ulah ngolesan salep, alkohol, atanapi obat tatu manusa tanpa saran dokter sato.'
+          ]
+        },
+        'general-emergency': {
+          title: 'Kaayaan darurat',
+          steps: [
+            'Tetep tenang sareng jauhkeun ucing tina bahaya di sabudeureunana.',
+            'Jaga ucing tetep haneut sareng tenang dina kandang angkut atanapi kardus anu dialasan anduk.',
+            'Telepon klinik sato salami perjalanan supados aranjeunna tiasa siap-siap.'
+          ],
+          avoid: [
+            'Ulah masihan obat manusa atanapi ubar imah naon waé.'
+          ]
+        },
+        'general-serious': {
+          title: 'Gejala anu kedah dipariksa',
+          steps: [
+            'Tempatkeun ucing di tempat anu tenang, haneut, sareng caket cai nginum.',
+            'Pantau gejala, napsu dahar, nginum, sareng kiih; catet parobahanana.',
+            'Damel janji sareng dokter sato dina 24 jam, atanapi langkung gancang upami kaayaanana langkung parah.'
+          ],
+          avoid: [
+            'Ulah masihan obat manusa atanapi ubar imah tanpa saran dokter sato.'
+          ]
+        }
+      }
+    },
+    generation: {
+      blocked: 'Hapunten, waleran kanggo patarosan ieu teu tiasa ditampilkeun kusabab ditahan ku saringan kaamanan eusi. Mangga ajukeun patarosan nganggo kecap anu béda, atanapi konsultasi langsung sareng dokter sato upami kaayaan ucing anjeun matak hariwang.',
+      recitation: 'Hapunten, waleran teu tiasa ditampilkeun kusabab mirip teuing sareng sumber anu ditangtayungan. Mangga ajukeun patarosan nganggo kecap anu béda, atanapi konsultasi sareng dokter sato.',
+      maxTokens: 'Hapunten, waleranana panjang teuing pikeun ditampilkeun. Mangga ajukeun patarosan anu langkung spésifik, atanapi konsultasi sareng dokter sato upami ieu kaayaan darurat.',
+      default: 'Hapunten, abdi teu acan tiasa masihan waleran ayeuna. Mangga cobian deui atanapi konsultasi sareng dokter sato upami ieu kaayaan darurat.',
+      unavailable: 'Hapunten, layanan PurrPal nuju aya gangguan janten teu acan tiasa ngawaler patarosan anjeun. Mangga cobian deui sakedap deui. Upami ucing anjeun hésé ngambekan, kejang, kaluar getih, atanapi teu sadar, geura bawa ka dokter sato anu pangcaketna.',
+      truncated: '_(Waleran dipotong kusabab panjang teuing. Taroskeun bagian anu hoyong anjeun terang langkung jero.)_'
+    },
+    intake: {
+      questions: {
+        age: 'Sabaraha umur ucing anjeun? (conto: 3 bulan, 2 taun)',
+        weight: 'Sabaraha beurat awak ucing anjeun? (conto: 4 kg; jawab "teu terang" upami teu acan ditimbang)',
+        duration: 'Tos sabaraha lami gejalana muncul? (conto: ti tadi énjing, 2 poé)',
+        eatingDrinking: 'Naha ucing masih daék tuang sareng nginum?',
+        vomitStool: 'Kumaha kaayaan utah atanapi kokotorna? (warna, aya getih/lendir, cair atanapi padet)',
+        vaccination: 'Naha ucing tos divaksin? Iraha anu terakhir?'
+      },
+      reask: 'Hapunten, waleranana teu acan kahartos. {question}',
+      cancelled: 'Muhun, patarosan lanjutan dieureunkeun. Mangga caritakeun kaayaan ucing anjeun iraha waé, sareng geura hubungi dokter sato upami gejalana beuki parah.'
+    },
+    errors: {
+      unsupportedLanguage: 'Basa teu dirojong: {language}. Pilihan: {options}',
+      unknownProfile: 'Profil teu dikenal: {profile}. Pilihan: {options}',
+      rateLimited: 'Seueur teuing pamundut. Mangga cobian deui dina {seconds} detik.',
+      tooManyRequests: 'Seueur teuing pamundut. Mangga cobian deui engké.',
+      timeout: 'Waktos ngadamel waleran tos béak. Mangga cobian deui.',
+      aborted: 'Pamundut dibatalkeun ku klién.',
+      noIntake: 'Teu aya data konsultasi kanggo sési: {sessionId}',
+      notFound: 'Endpoint teu kapendak: {method} {path}',
+      malformedRequest: 'Format pamundut teu leres',
+      internal: 'Hapunten, ayeuna nuju aya gangguan téknis. Mangga cobian deui sakedap deui atanapi hubungi dokter sato upami ieu kaayaan darurat.',
+      suggestions: [
+        'Cobian deui patarosan anjeun',
+        'Pariksa sambungan internét anjeun',
+        'Upami darurat, geura hubungi dokter sato anu pangcaketna'
+      ]
+    }
+  }
+};
+
+const MARKER_SETS = Object.fromEntries(
+  Object.entries(LANGUAGES).map(([code, language]) => [code, new Set(language.markers)])
+);
+
+// Lowercase words without accents ("téh" -> "teh"), keeping "doesn't" whole
+const tokenize = text => (typeof text === 'string'
+  ? text.toLowerCase().normalize('NFD').replace(/[\u0300-\u036f]/g, '').replace(/[\u2019`]/g, "'").match(/[a-z]+(?:'[a-z]+)?/g) || []
+  : []);
+
+/**
+ * Language detection and localized fixed texts
+ */
+class I18n {
+  static get languages() {
+    return config.catCare.supportedLanguages;
+  }
+
+  static isSupported(language) {
+    return this.languages.includes(language);
+  }
+
+  /**
+   * A supported language code, or the default language
+   */
+  static resolve(language) {
+    return this.isSupported(language) ? language : config.catCare.defaultLanguage;
+  }
+
+  /**
+   * Guess the language of a message from its marker words. Returns
+   * { language, confidence, scores }; messages without any marker ("Halo!")
+   * and ties with the default language get the default language.
+   */
+  static detect(text) {
+    const fallback = config.catCare.defaultLanguage;
+    const tokens = tokenize(text);
+
+    const scores = {};
+    for (const code of this.languages) {
+      scores[code] = tokens.filter(token => MARKER_SETS[code] && MARKER_SETS[code].has(token)).length;
+    }
+
+    const total = Object.values(scores).reduce((sum, score) => sum + score, 0);
+    const best = this.languages.reduce((current, code) => (scores[code] > scores[current] ? code : current), fallback);
+
+    return {
+      language: best,
+      confidence: total > 0 ? Math.round((scores[best] / total) * 100) / 100 : 0,
+      scores
+    };
+  }
+
+  /**
+   * Name of the language as written in the prompt's answer instruction
+   */
+  static promptName(language) {
+    return LANGUAGES[this.resolve(language)].promptName;
+  }
+
+  /**
+   * Catalog text for a dotted key ('validation.tooShort'), with `{name}`
+   * placeholders filled from params. Lists are returned as a copy.
+   */
+  static t(language, key, params = {}) {
+    const lookup = code => key.split('.').reduce((node, part) => (node ? node[part] : undefined), MESSAGES[code]);
+    const value = [this.resolve(language), config.catCare.defaultLanguage, 'id']
+      .map(lookup)
+      .find(candidate => candidate !== undefined);
+
+    if (value === undefined) {
+      throw new Error(`Unknown message key: ${key}`);
+    }
+    if (Array.isArray(value)) return [...value];
+
+    return value.replace(/\{(\w+)\}/g, (placeholder, name) => (name in params ? String(params[name]) : placeholder));
+  }
+}
+
+module.exports = {
+  I18n,
+  LANGUAGES,
+  MESSAGES
+};
@@ -0,0 +1,216 @@
+const fs = require('fs');
+const path = require('path');
+const config = require('./config');
+const { TextNormalizer } = require('./textNormalizer');
+const { I18n } = require('./i18n');
+
+const PNG_MAGIC = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+// HEIC/HEIF (iPhone photos) are ISO-BMFF files whose "ftyp" box names a brand
+const ftypBrand = bytes => (bytes.toString('ascii', 4, 8) === 'ftyp' ? bytes.toString('ascii', 8, 12) : null);
+
+/**
+ * File signatures. The type of an attachment is taken from its bytes, so a
+ * renamed PDF or a script labelled image/png is rejected.
+ */
+const IMAGE_SIGNATURES = [
+  { mimeType: 'image/jpeg', matches: bytes => bytes.length > 3 && bytes[0] === 0xff && bytes[1] === 0xd8 && bytes[2] === 0xff },
+  { mimeType: 'image/png', matches: bytes => bytes.subarray(0, 8).equals(PNG_MAGIC) },
+  { mimeType: 'image/gif', matches: bytes => /^GIF8[79]a$/.test(bytes.toString('ascii', 0, 6)) },
+  { mimeType: 'image/webp', matches: bytes => bytes.toString('ascii', 0, 4) === 'RIFF' && bytes.toString('ascii', 8, 12) === 'WEBP' },
+  { mimeType: 'image/heic', matches: bytes => ['heic', 'heix', 'hevc', 'hevx'].includes(ftypBrand(bytes)) },
+  { mimeType: 'image/heif', matches: bytes => ['mif1', 'msf1', 'heif'].includes(ftypBrand(bytes)) }
+];
+
+// Non-standard names clients send for the same types
+const MIME_ALIASES = { 'image/jpg': 'image/jpeg', 'image/pjpeg': 'image/jpeg' };
+
+const DATA_URL_PATTERN = /^data:([\w.+/-]+);base64,/i;
+const BASE64_PATTERN = /^[A-Za-z0-9+/]+={0,2}$/;
+
+/**
+ * What to look for in a photo, chosen from the words of the question. Every
+ * photo also gets the general instructions in the prompt templates.
+ */
+const IMAGE_HINTS = [
+  {
+    id: 'wound',
+    terms: ['luka', 'borok', 'sobek', 'bengkak', 'benjolan', 'abses', 'nanah', 'gigitan', 'cakaran', 'wound', 'cut', 'bite', 'swelling', 'lump'],
+    hint: 'Perhatikan ukuran dan kedalaman luka, perdarahan aktif, nanah, bengkak, dan tanda infeksi di sekitarnya.'
+  },
+  {
+    id: 'skin',
+    terms: ['kulit', 'bulu rontok', 'rontok', 'botak', 'jamur', 'scabies', 'kutu', 'gatal', 'ruam', 'ketombe', 'keropeng', 'skin', 'rash', 'flea', 'fleas', 'ringworm'],
+    hint: 'Perhatikan pola kerontokan bulu, kemerahan, keropeng, ketombe, kutu atau kotorannya, dan lesi melingkar yang khas jamur.'
+  },
+  {
+    id: 'stool',
+    terms: ['feses', 'kotoran', 'tinja', 'pup', 'poop', 'bab', 'diare', 'stool', 'diarrhea'],
+    hint: 'Perhatikan konsistensi dan warna feses, darah segar, feses hitam seperti aspal, lendir, dan cacing.'
+  },
+  {
+    id: 'vomit',
+    terms: ['muntah', 'muntahan', 'bola rambut', 'vomit', 'vomiting', 'hairball'],
+    hint: 'Perhatikan isi muntahan (makanan, bola rambut, cairan kuning atau busa), darah, dan benda asing seperti tali atau plastik.'
+  },
+  {
+    id: 'eye',
+    terms: ['mata', 'belek', 'belekan', 'kelopak', 'eye', 'eyes'],
+    hint: 'Perhatikan kemerahan, kekeruhan, kotoran mata, mata yang menyipit atau tertutup, dan selaput ketiga yang menutupi mata.'
+  }
+];
+
+const phrase = term => ` ${TextNormalizer.tokenize(term).join(' ')} `;
+
+/**
+ * Photo attachments (wounds, skin, stool, vomit) sent to the model with a question
+ */
+class ImageAttachments {
+  static get hintRules() {
+    return IMAGE_HINTS;
+  }
+
+  /**
+   * Load and check a request's attachments. Each is { data, mimeType? } with
+   * base64 data (a data: URL works too) or { path, mimeType? } for a file in
+   * config.images.directory. Returns { isValid, errors, reason, images } where
+   * images are { mimeType, data (base64), bytes, source } and reason is the
+   * first problem found: images_disabled, too_many_images, invalid_image,
+   * image_not_found, unsupported_image_type or image_too_large.
+   */
+  static async load(attachments, language = config.catCare.defaultLanguage) {
+    const list = attachments === undefined || attachments === null ? [] : [].concat(attachments);
+    const issues = [];
+    const images = [];
+
+    if (list.length > 0 && !config.images.enabled) {
+      issues.push({ reason: 'images_disabled', message: I18n.t(language, 'images.disabled') });
+    } else if (list.length > config.images.maxCount) {
+      issues.push({ reason: 'too_many_images', message: I18n.t(language, 'images.tooMany', { max: config.images.maxCount }) });
+    } else {
+      for (const [position, attachment] of list.entries()) {
+        const result = await this._loadOne(attachment, position + 1, language);
+        if (result.issue) {
+          issues.push(result.issue);
+        } else {
+          images.push(result.image);
+        }
+      }
+    }
+
+    return {
+      isValid: issues.length === 0,
+      errors: issues.map(issue => issue.message),
+      reason: issues.length > 0 ? issues[0].reason : null,
+      images: issues.length === 0 ? images : []
+    };
+  }
+
+  /**
+   * MIME type from the file signature, or null for unrecognised bytes
+   */
+  static sniff(bytes) {
+    const signature = IMAGE_SIGNATURES.find(candidate => candidate.matches(bytes));
+    return signature ? signature.mimeType : null;
+  }
+
+  /**
+   * Hint rules whose terms appear in the question
+   */
+  static hints(text) {
+    const normalized = ` ${TextNormalizer.tokenize(text).join(' ')} `;
+    return IMAGE_HINTS.filter(rule => rule.terms.some(term => normalized.includes(phrase(term))));
+  }
+
+  /**
+   * Lines for the imageNotes section of a prompt: how many photos there are
+   * and what to look for given the question. Empty without images.
+   */
+  static describe(images = [], text = '') {
+    if (images.length === 0) return '';
+
+    return [
+      `- Pemilik melampirkan ${images.length} foto (${[...new Set(images.map(image => image.mimeType))].join(', ')}).`,
+      ...this.hints(text).map(rule => `- ${rule.hint}`)
+    ].join('\n');
+  }
+
+  static async _loadOne(attachment, index, language) {
+    const invalid = (reason, key, params = {}) => ({ issue: { reason, message: I18n.t(language, `images.${key}`, { index, ...params }) } });
+
+    if (!attachment || typeof attachment !== 'object' || (typeof attachment.data !== 'string' && typeof attachment.path !== 'string')) {
+      return invalid('invalid_image', 'invalid');
+    }
+
+    const loaded = typeof attachment.data === 'string'
+      ? this._decode(attachment.data)
+      : await this._read(attachment.path);
+    if (loaded.missing) return invalid('image_not_found', 'notFound');
+    if (loaded.tooLarge) return invalid('image_too_large', 'tooLarge', { max: Math.floor(config.images.maxBytes / 1024) });
+    if (!loaded.bytes || loaded.bytes.length === 0) return invalid('invalid_image', 'invalid');
+
+    const mimeType = this.sniff(loaded.bytes);
+    if (!mimeType) return invalid('invalid_image', 'invalid');
+
+    const declared = typeof attachment.mimeType === 'string' ? attachment.mimeType : loaded.declaredType;
+    const normalizedDeclared = declared ? (MIME_ALIASES[declared.toLowerCase()] || declared.toLowerCase()) : null;
+    if (normalizedDeclared && normalizedDeclared !== mimeType) {
+      return invalid('invalid_image', 'typeMismatch', { type: declared });
+    }
+
+    if (!config.images.allowedTypes.includes(mimeType)) {
+      return invalid('unsupported_image_type', 'unsupportedType', { type: mimeType, allowed: config.images.allowedTypes.join(', ') });
+    }
+
+    return {
+      image: {
+        mimeType,
+        data: loaded.bytes.toString('base64'),
+        bytes: loaded.bytes.length,
+        source: typeof attachment.data === 'string' ? 'base64' : 'path'
+      }
+    };
+  }
+
+  /**
+   * Bytes of a base64 string or data: URL. The size is checked from the
+   * string length before anything is decoded.
+   */
+  static _decode(value) {
+    const dataUrl = value.match(DATA_URL_PATTERN);
+    const base64 = (dataUrl ? value.slice(dataUrl[0].length) : value).replace(/\s+/g, '');
+    const declaredType = dataUrl ? dataUrl[1] : null;
+
+    const padding = base64.endsWith('==') ? 2 : base64.endsWith('=') ? 1 : 0;
+    if (Math.floor(base64.length * 3 / 4) - padding > config.images.maxBytes) return { tooLarge: true };
+    if (!BASE64_PATTERN.test(base64)) return { bytes: null };
+
+    return { bytes: Buffer.from(base64, 'base64'), declaredType };
+  }
+
+  /**
+   * Bytes of a file in config.images.directory. Paths leading outside it
+   * (including through symlinks) are reported as missing.
+   */
+  static async _read(filePath) {
+    try {
+      const root = await fs.promises.realpath(config.images.directory);
+      const file = await fs.promises.realpath(path.resolve(root, filePath));
+      if (!file.startsWith(root + path.sep)) return { missing: true };
+
+      const stats = await fs.promises.stat(file);
+      if (!stats.isFile()) return { missing: true };
+      if (stats.size > config.images.maxBytes) return { tooLarge: true };
+
+      return { bytes: await fs.promises.readFile(file) };
+    } catch (error) {
+      if (error.code === 'ENOENT' || error.code === 'ENOTDIR') return { missing: true };
+      throw error;
+    }
+  }
+}
+
+module.exports = {
+  ImageAttachments,
+  IMAGE_HINTS,
+  IMAGE_SIGNATURES
+};
@@ -0,0 +1,103 @@
+const config = require('./config');
+
+/**
+ * Prompt-injection rules. Each rule that matches adds its weight once; a
+ * message is flagged when the total reaches config.security.injectionThreshold.
+ * Asking to reveal the system prompt reaches the default threshold alone;
+ * other signals only in combination ("abaikan" + "instruksi sebelumnya"), so
+ * ordinary questions that use one of the words ("boleh abaikan aturan puasa
+ * sebelum operasi?") pass.
+ */
+const INJECTION_RULES = [
+  {
+    id: 'ignore-instructions',
+    description: 'Meminta mengabaikan instruksi',
+    pattern: /\b(abaikan|lupakan|acuhkan|hiraukan|ignore|disregard|forget|override)\b.{0,40}\b(instruksi|perintah|aturan|arahan|prompt|instructions?|rules|directions|guidelines)/,
+    weight: 2
+  },
+  {
+    id: 'instruction-reference',
+    description: 'Merujuk instruksi milik asisten',
+    pattern: /\b(instruksi|perintah|aturan|arahan|prompt)(mu| kamu| sebelumnya| di atas| awal| sistem)\b|\b(previous|prior|above|earlier|system|your|initial) (instructions?|prompts?|rules|directions)\b/,
+    weight: 2
+  },
+  {
+    id: 'prompt-extraction',
+    description: 'Meminta isi prompt atau instruksi sistem',
+    pattern: /\b(tampilkan|tunjukkan|bocorkan|ulangi|sebutkan|tuliskan|berikan|print|reveal|show|repeat|output)\b.{0,30}\b(system prompt|prompt sistem|prompt awal|instruksi (awal|sistem|rahasia)|your (instructions|prompt|rules)|initial (prompt|instructions))\b/,
+    weight: 4
+  },
+  {
+    id: 'restriction-bypass',
+    description: 'Meminta menjawab tanpa batasan',
+    pattern: /\b(tanpa (batasan|filter|sensor|aturan)|no (restrictions|filters?|rules)|jailbreak|dan mode|developer mode|mode (pengembang|developer|bebas))\b/,
+    weight: 3
+  },
+  {
+    id: 'fake-role-marker',
+    description: 'Penanda peran palsu (system:, [INST], <|im_start|>)',
+    pattern: /(^|\s)(system|sistem|assistant|asisten)\s*:|\[\/?(inst|system|sys)\]|<\|?\s*(im_start|im_end|system)\s*\|?>|#{2,}\s*(instruction|instruksi|system)/,
+    weight: 3
+  },
+  {
+    id: 'role-override',
+    description: 'Mengganti peran asisten',
+    pattern: /\b(kamu sekarang|mulai sekarang kamu|sekarang kamu adalah|anggap (dirimu|kamu)|berpura[- ]?pura(lah)? (menjadi|jadi|sebagai)|bertindak(lah)? sebagai|berperan(lah)? sebagai|you are now|from now on you|act as|pretend (to be|you are)|roleplay as)\b/,
+    weight: 2
+  },
+  {
+    id: 'persona-reset',
+    description: 'Menyangkal identitas PurrPal',
+    pattern: /\b(bukan lagi|no longer)\b.{0,30}\b(purrpal|asisten|assistant|ai|chatbot)\b/,
+    weight: 2
+  },
+  {
+    id: 'new-instructions',
+    description: 'Menyisipkan instruksi baru',
+    pattern: /\b((instruksi|perintah|aturan) (baru|berikut|selanjutnya)|new (instructions?|rules)|following instructions)\b/,
+    weight: 2
+  }
+];
+
+/**
+ * Scored detector for attempts to override PurrPal's instructions
+ */
+class InjectionDetector {
+  static get rules() {
+    return INJECTION_RULES;
+  }
+
+  /**
+   * Score a message. Returns { flagged, score, threshold, signals: [rule ids] }
+   */
+  static assess(text) {
+    const threshold = config.security.injectionThreshold;
+    const normalized = this._normalize(text);
+    const signals = INJECTION_RULES.filter(rule => rule.pattern.test(normalized));
+    const score = signals.reduce((total, rule) => total + rule.weight, 0);
+
+    return {
+      flagged: score >= threshold,
+      score,
+      threshold,
+      signals: signals.map(rule => rule.id)
+    };
+  }
+
+  /**
+   * Lowercase, drop zero-width characters and collapse whitespace, which are
+   * used to split trigger words across lines or hide them
+   */
+  static _normalize(text) {
+    return String(text || '')
+      .toLowerCase()
+      .replace(/[\u200B-\u200D\u2060\uFEFF]/g, '')
+      .replace(/\s+/g, ' ')
+      .trim();
+  }
+}
+
+module.exports = {
+  InjectionDetector,
+  INJECTION_RULES
+};
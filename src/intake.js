@@ -0,0 +1,401 @@
+const config = require('./config');
+const { I18n } = require('./i18n');
+const { TextNormalizer } = require('./textNormalizer');
+
+const LEVEL_ORDER = ['normal', 'serious', 'emergency'];
+// Replies come in the language the questions were asked in (id, en, jv, su)
+const NEGATIONS = new Set([
+  'tidak', 'belum', 'bukan',
+  'not', 'no', 'never', 'don', 'doesn', 'isn', 'hasn',
+  'ora', 'durung', 'mboten', 'boten', 'dereng',
+  'teu', 'henteu', 'acan'
+]);
+// "lupa" (forgot) is unknown, "tidak lupa" (didn't forget) is an answer
+const UNKNOWN_PATTERN = /\b(tidak tahu|gak tahu|ga tahu|nggak tahu|tidak tau|gak tau|ga tau|(?<!(?:tidak|gak|ga|nggak) )lupa|belum ditimbang|kurang tahu|don'?t know|not sure|no idea|ora ngerti|ora weruh|mboten ngertos|teu terang|teu nyaho|hilap)\b/;
+const SKIP_PATTERN = /^\s*(lewati|lewat|skip|next|lanjut)\s*[.!]*\s*$/i;
+const CANCEL_PATTERN = /^\s*(batal|batalkan|stop|berhenti|sudah cukup|cukup|cancel|quit|enough|mandheg|eureun)\s*[.!]*\s*$/i;
+
+const MONTHS_PER_UNIT = {
+  minggu: 0.25, mgg: 0.25, bulan: 1, bln: 1, tahun: 12, thn: 12, th: 12,
+  week: 0.25, weeks: 0.25, month: 1, months: 1, year: 12, years: 12,
+  sasi: 1, wulan: 1, taun: 12
+};
+const HOURS_PER_UNIT = {
+  jam: 1, hari: 24, minggu: 168, bulan: 720,
+  hour: 1, hours: 1, day: 24, days: 24, week: 168, weeks: 168, month: 720, months: 720,
+  dina: 24, dinten: 24, poe: 24, sasi: 720, wulan: 720
+};
+const unitPattern = units => Object.keys(units).sort((a, b) => b.length - a.length).join('|');
+// Onset without a number, as hours ago ("kemarin lusa" is tried before "kemarin")
+const RELATIVE_DURATIONS = [
+  ['kemarin lusa|day before yesterday', 48],
+  ['kemarin|semalam|yesterday|last night|wingi|kamari', 24],
+  ['tadi pagi|tadi siang|tadi sore|tadi malam|pagi tadi|tadi|baru saja|barusan|this morning|this afternoon|earlier today|just now|esuk mau|mau esuk|lagi wae|nembe', 6]
+];
+const EATING_WORDS = ['makan', 'eat', 'eating', 'mangan', 'maem', 'dahar', 'tuang'];
+const DRINKING_WORDS = ['minum', 'drink', 'drinking', 'ngombe', 'ngunjuk', 'nginum'];
+const YES_WORDS = ['ya', 'iya', 'masih', 'mau', 'yes', 'yeah', 'still', 'nggih', 'inggih', 'gelem', 'purun', 'muhun', 'enya', 'daek'];
+
+// Lowercase without accents, so "poé" matches "poe"
+const plain = text => text.toLowerCase().normalize('NFD').replace(/[\u0300-\u036f]/g, '');
+
+const toNumber = value => Number(String(value).replace(',', '.'));
+
+/**
+ * Whether any of `words` is mentioned affirmatively (true), negated (false) or not at all (null)
+ */
+function mentionState(text, words) {
+  const tokens = TextNormalizer.tokenize(text);
+  const index = tokens.findIndex(token => [].concat(words).includes(token));
+  if (index === -1) return null;
+
+  const before = tokens.slice(Math.max(0, index - 3), index);
+  return !before.some(token => NEGATIONS.has(token));
+}
+
+/**
+ * Follow-up questions asked during intake, in order; their wording is in the
+ * message catalogs under intake.questions.<id>. `parse(text, strict)`
+ * returns the structured value, or undefined when the text doesn't answer it.
+ * `extract` marks questions that can also be picked out of any message; then
+ * `strict` is true and the parser needs unambiguous wording ("umur 2 tahun",
+ * "sudah 3 hari") since the text wasn't a reply to that question.
+ */
+const QUESTIONS = [
+  {
+    id: 'age',
+    extract: true,
+    parse(text, strict = false) {
+      const prefix = strict ? '(?:umur|usia|berumur|berusia|aged?|umure|umurna)\\s*(?:nya)?\\s*' : '';
+      const match = plain(text).match(new RegExp(`${prefix}(\\d+(?:[.,]\\d+)?)\\s*(${unitPattern(MONTHS_PER_UNIT)})\\b`));
+      if (!match) return undefined;
+      return { months: Math.round(toNumber(match[1]) * MONTHS_PER_UNIT[match[2]] * 10) / 10 };
+    }
+  },
+  {
+    id: 'weight',
+    extract: true,
+    parse(text) {
+      const match = text.toLowerCase().match(/(\d+(?:[.,]\d+)?)\s*(kg|kilo|kilogram|gram|gr|g)\b/);
+      if (!match) return undefined;
+      const value = toNumber(match[1]);
+      return { kg: ['kg', 'kilo', 'kilogram'].includes(match[2]) ? value : value / 1000 };
+    }
+  },
+  {
+    id: 'duration',
+    extract: true,
+    parse(text, strict = false) {
+      const lower = plain(text);
+      const prefix = strict ? '(?:sudah|udah|sejak|selama|dari|for|since|wis|wiwit|tos|ti)\\s+' : '';
+      const match = lower.match(new RegExp(`${prefix}(\\d+)\\s*(${unitPattern(HOURS_PER_UNIT)})\\b`));
+      if (match) return { hours: toNumber(match[1]) * HOURS_PER_UNIT[match[2]] };
+
+      // In free text only "sejak kemarin"-style wording marks the onset
+      const onset = strict ? '(?:sejak|dari|mulai|since|wiwit|ti)\\s+' : '\\b';
+      const relative = RELATIVE_DURATIONS.find(([words]) => new RegExp(`${onset}(?:${words})\\b`).test(lower));
+      return relative ? { hours: relative[1] } : undefined;
+    }
+  },
+  {
+    id: 'eatingDrinking',
+    parse(text) {
+      const eating = mentionState(text, EATING_WORDS);
+      const drinking = mentionState(text, DRINKING_WORDS);
+      if (eating === null && drinking === null) {
+        const answer = TextNormalizer.tokenize(text)[0];
+        if (NEGATIONS.has(answer)) return { eating: false, drinking: false };
+        if (YES_WORDS.includes(answer)) return { eating: true, drinking: true };
+        return undefined;
+      }
+      return { eating, drinking };
+    }
+  },
+  {
+    id: 'vomitStool',
+    parse(text) {
+      return {
+        blood: mentionState(text, ['darah', 'berdarah', 'blood', 'bloody', 'getih', 'getihen']) === true,
+        mucus: mentionState(text, ['lendir', 'mucus', 'slimy']) === true,
+        watery: /\b(cair|encer|diare|mencret|runny|watery|liquid|diarrh?o?ea)\b/.test(text.toLowerCase())
+      };
+    }
+  },
+  {
+    id: 'vaccination',
+    parse(text) {
+      const lower = text.toLowerCase();
+      if (UNKNOWN_PATTERN.test(lower)) return { unknown: true };
+
+      // A leading "tidak" answers the question; elsewhere it may negate something else ("sudah, tidak lupa")
+      const [first] = TextNormalizer.tokenize(text);
+      if (NEGATIONS.has(first) || /\b(belum|tidak pernah|gak pernah|ga pernah|not yet|never|durung|dereng|teu acan|tacan)\b/.test(lower)) {
+        return { vaccinated: false };
+      }
+      if (/\b(sudah|udah|lengkap|pernah|rutin|ya|iya|yes|already|wis|uwis|sampun|nggih|inggih|tos|atos|muhun|enya)\b/.test(lower)) {
+        return { vaccinated: true };
+      }
+      return undefined;
+    }
+  }
+];
+
+/**
+ * Guided symptom intake for serious/emergency consultations.
+ *
+ * The intake state lives on the conversation session (`session.intake`) so it
+ * survives restarts with the file session store:
+ * { status, complaint, language, urgencyLevel, triage, answers, pendingQuestion, reasked, startedAt, completedAt, summary }
+ * where reasked is the id of a question asked again after a reply that didn't answer it.
+ */
+class SymptomIntake {
+  static get questions() {
+    return QUESTIONS;
+  }
+
+  static cancelledReply(language = config.catCare.defaultLanguage) {
+    return I18n.t(language, 'intake.cancelled');
+  }
+
+  /**
+   * Whether a message at this urgency should open an intake
+   */
+  static shouldStart(triage, session, options = {}) {
+    const enabled = options.intake !== undefined ? options.intake : config.intake.enabled;
+    return !!enabled &&
+      config.intake.levels.includes(triage.urgencyLevel) &&
+      !this.isActive(session);
+  }
+
+  static isActive(session) {
+    return !!(session && session.intake && session.intake.status === 'in_progress');
+  }
+
+  /**
+   * Open an intake for the complaint, pre-filling anything the message already
+   * says. The questions are asked in the given language; photos sent with the
+   * complaint are kept for the closing answer.
+   */
+  static start(complaint, triage, language = config.catCare.defaultLanguage, images = []) {
+    const intake = {
+      status: 'in_progress',
+      complaint,
+      language,
+      urgencyLevel: triage.urgencyLevel,
+      triage: {
+        score: triage.score,
+        symptoms: triage.symptoms.map(symptom => symptom.id)
+      },
+      answers: {},
+      images: [],
+      pendingQuestion: null,
+      reasked: null,
+      startedAt: new Date().toISOString(),
+      completedAt: null,
+      summary: null
+    };
+
+    this.attach(intake, images);
+    this._extract(intake, complaint);
+    const notEating = triage.symptoms.some(symptom => symptom.id === 'not-eating');
+    const notDrinking = triage.symptoms.some(symptom => symptom.id === 'not-drinking');
+    if (notEating || notDrinking) {
+      intake.answers.eatingDrinking = {
+        eating: notEating ? false : null,
+        drinking: notDrinking ? false : null,
+        raw: complaint
+      };
+    }
+
+    this._advance(intake);
+    return intake;
+  }
+
+  /**
+   * Record the owner's reply to the pending question and move to the next one.
+   * "lewati" skips a question, "batal" ends the intake early. A reply that
+   * doesn't answer the question gets it asked once more; a second such reply
+   * is kept as free text so the vet still sees it.
+   */
+  static answer(intake, text) {
+    if (CANCEL_PATTERN.test(text)) {
+      intake.status = 'cancelled';
+      intake.pendingQuestion = null;
+      intake.completedAt = new Date().toISOString();
+      intake.summary = this.buildSummary(intake);
+      return intake;
+    }
+
+    const question = QUESTIONS.find(candidate => candidate.id === intake.pendingQuestion);
+    if (question) {
+      if (SKIP_PATTERN.test(text)) {
+        intake.answers[question.id] = { skipped: true };
+      } else if (UNKNOWN_PATTERN.test(text.toLowerCase())) {
+        intake.answers[question.id] = { unknown: true, raw: text };
+      } else {
+        const parsed = question.parse(text);
+        if (parsed === undefined && intake.reasked !== question.id) {
+          intake.reasked = question.id;
+          this._extract(intake, text);
+          return intake;
+        }
+        intake.answers[question.id] = { ...(parsed || {}), raw: text };
+      }
+    }
+
+    this._extract(intake, text);
+    this._advance(intake);
+    return intake;
+  }
+
+  /**
+   * Keep photos sent with a reply for the closing answer. Only the most recent
+   * config.images.maxCount are kept, the most a single request may carry.
+   */
+  static attach(intake, images) {
+    intake.images = [...(intake.images || []), ...images].slice(-config.images.maxCount);
+    return intake;
+  }
+
+  /**
+   * Raise the intake's urgency when a reply reveals something worse
+   * ("muntahnya ada darah"). Returns true if the level changed.
+   */
+  static escalate(intake, triage) {
+    if (LEVEL_ORDER.indexOf(triage.urgencyLevel) <= LEVEL_ORDER.indexOf(intake.urgencyLevel)) {
+      return false;
+    }
+
+    intake.urgencyLevel = triage.urgencyLevel;
+    intake.triage = {
+      score: Math.max(intake.triage.score, triage.score),
+      symptoms: [...new Set([...intake.triage.symptoms, ...triage.symptoms.map(symptom => symptom.id)])]
+    };
+    return true;
+  }
+
+  /**
+   * Close the intake with whatever has been answered so far
+   */
+  static finish(intake) {
+    intake.status = 'completed';
+    intake.pendingQuestion = null;
+    intake.completedAt = new Date().toISOString();
+    intake.summary = this.buildSummary(intake);
+    return intake;
+  }
+
+  static nextQuestion(intake) {
+    const question = QUESTIONS.find(candidate => candidate.id === intake.pendingQuestion);
+    if (!question) return null;
+
+    const language = intake.language || config.catCare.defaultLanguage;
+    const text = I18n.t(language, `intake.questions.${question.id}`);
+    const reasked = intake.reasked === question.id;
+    return {
+      id: question.id,
+      text: reasked ? I18n.t(language, 'intake.reask', { question: text }) : text,
+      ...(reasked ? { reasked } : {})
+    };
+  }
+
+  /**
+   * Client-facing view of the intake
+   */
+  static describe(intake) {
+    const description = {
+      status: intake.status,
+      progress: {
+        answered: QUESTIONS.filter(question => intake.answers[question.id]).length,
+        total: QUESTIONS.length
+      }
+    };
+
+    const question = this.nextQuestion(intake);
+    if (question) description.question = question;
+    if (intake.summary) description.summary = intake.summary;
+
+    return description;
+  }
+
+  /**
+   * Structured triage summary an owner can show their vet
+   */
+  static buildSummary(intake) {
+    const { answers } = intake;
+    const value = (id, field) => (answers[id] && answers[id][field] !== undefined ? answers[id][field] : null);
+
+    return {
+      complaint: intake.complaint,
+      urgencyLevel: intake.urgencyLevel,
+      triage: intake.triage,
+      cat: {
+        ageMonths: value('age', 'months'),
+        weightKg: value('weight', 'kg')
+      },
+      symptoms: {
+        durationHours: value('duration', 'hours'),
+        eating: value('eatingDrinking', 'eating'),
+        drinking: value('eatingDrinking', 'drinking'),
+        vomitStool: answers.vomitStool && !answers.vomitStool.skipped
+          ? {
+            blood: value('vomitStool', 'blood'),
+            mucus: value('vomitStool', 'mucus'),
+            watery: value('vomitStool', 'watery'),
+            description: value('vomitStool', 'raw')
+          }
+          : null
+      },
+      vaccinated: value('vaccination', 'vaccinated'),
+      answers: Object.fromEntries(
+        QUESTIONS.map(question => [question.id, value(question.id, 'raw')])
+      ),
+      startedAt: intake.startedAt,
+      completedAt: intake.completedAt
+    };
+  }
+
+  /**
+   * Plain-text rendering of a summary for prompts. The owner's own words (the
+   * complaint and the vomit/stool description) are quoted with `quote`, which
+   * PromptManager passes as its quoteUserText.
+   */
+  static formatSummary(summary, quote = text => text) {
+    const show = (value, unit = '') => (value === null || value === undefined ? 'tidak diketahui' : `${value}${unit}`);
+    const yesNo = value => (value === null ? 'tidak diketahui' : value ? 'ya' : 'tidak');
+    const vomitStool = summary.symptoms.vomitStool;
+
+    return [
+      `- Keluhan awal: "${quote(summary.complaint)}"`,
+      `- Tingkat urgensi: ${summary.urgencyLevel}`,
+      `- Umur: ${show(summary.cat.ageMonths, ' bulan')}`,
+      `- Berat badan: ${show(summary.cat.weightKg, ' kg')}`,
+      `- Lama gejala: ${show(summary.symptoms.durationHours, ' jam')}`,
+      `- Masih makan: ${yesNo(summary.symptoms.eating)}, masih minum: ${yesNo(summary.symptoms.drinking)}`,
+      `- Muntahan/kotoran: ${vomitStool && vomitStool.description ? `"${quote(vomitStool.description)}"` : 'tidak diketahui'}`,
+      `- Sudah vaksin: ${yesNo(summary.vaccinated)}`
+    ].join('\n');
+  }
+
+  /**
+   * Fill unanswered questions whose parser is strict enough for free text
+   */
+  static _extract(intake, text) {
+    for (const question of QUESTIONS) {
+      if (!question.extract || intake.answers[question.id]) continue;
+
+      const parsed = question.parse(text, true);
+      if (parsed) intake.answers[question.id] = { ...parsed, raw: text };
+    }
+  }
+
+  static _advance(intake) {
+    const next = QUESTIONS.find(question => !intake.answers[question.id]);
+    intake.pendingQuestion = next ? next.id : null;
+    if (!next) this.finish(intake);
+  }
+}
+
+module.exports = {
+  SymptomIntake
+};
@@ -0,0 +1,209 @@
+const fs = require('fs');
+const path = require('path');
+const logger = require('./logger');
+const { TextNormalizer } = require('./textNormalizer');
+
+// BM25 parameters: term frequency saturation and document length normalisation
+const BM25_K1 = 1.2;
+const BM25_B = 0.75;
+
+/**
+ * Retrieval over a folder of vetted Markdown articles.
+ *
+ * Each article is a `.md` file with optional front matter:
+ *
+ *   ---
+ *   id: jadwal-vaksinasi
+ *   title: Jadwal Vaksinasi Kucing
+ *   ---
+ *
+ * The id defaults to the file name and the title to the first `# ` heading.
+ * Articles are split into passages at `## ` headings and indexed with BM25
+ * over normalised tokens (see textNormalizer.js); the article title and
+ * section heading are indexed with every passage.
+ */
+class KnowledgeBase {
+  constructor(options = {}) {
+    this.path = options.path;
+    this.topK = options.topK || 3;
+    this.minScore = options.minScore || 0;
+    this.maxPassageLength = options.maxPassageLength || 1200;
+    this.clear();
+  }
+
+  clear() {
+    this.articles = [];
+    this.passages = [];
+    this.documentFrequency = new Map();
+    this.averageLength = 0;
+  }
+
+  get size() {
+    return this.articles.length;
+  }
+
+  /**
+   * (Re)build the index from the configured folder. A missing folder leaves
+   * the index empty; duplicate article ids are an error.
+   */
+  load(directory = this.path) {
+    this.clear();
+
+    if (!directory || !fs.existsSync(directory)) {
+      logger.warn('Knowledge base folder not found, retrieval disabled', { path: directory });
+      return this;
+    }
+
+    const files = fs.readdirSync(directory).filter(file => file.endsWith('.md')).sort();
+    for (const file of files) {
+      this.addArticle(fs.readFileSync(path.join(directory, file), 'utf8'), path.basename(file, '.md'));
+    }
+
+    logger.info('Knowledge base indexed', {
+      path: directory,
+      articles: this.articles.length,
+      passages: this.passages.length
+    });
+
+    return this;
+  }
+
+  /**
+   * Parse and index one Markdown article
+   */
+  addArticle(markdown, fallbackId) {
+    const { meta, body } = KnowledgeBase.parseFrontMatter(markdown);
+    const heading = body.match(/^#\s+(.+)$/m);
+    const article = {
+      id: meta.id || fallbackId,
+      title: meta.title || (heading ? heading[1].trim() : fallbackId)
+    };
+
+    if (this.articles.some(existing => existing.id === article.id)) {
+      throw new Error(`Duplicate knowledge base article id: ${article.id}`);
+    }
+    this.articles.push(article);
+
+    for (const section of KnowledgeBase.splitSections(body)) {
+      const text = section.text.slice(0, this.maxPassageLength);
+      const tokens = TextNormalizer.contentTokens([article.title, section.heading, text].join(' '));
+      if (tokens.length === 0) continue;
+
+      const termFrequency = new Map();
+      for (const token of tokens) termFrequency.set(token, (termFrequency.get(token) || 0) + 1);
+      for (const token of termFrequency.keys()) {
+        this.documentFrequency.set(token, (this.documentFrequency.get(token) || 0) + 1);
+      }
+
+      this.passages.push({
+        articleId: article.id,
+        title: article.title,
+        section: section.heading,
+        text,
+        length: tokens.length,
+        termFrequency
+      });
+    }
+
+    this.averageLength = this.passages.reduce((total, passage) => total + passage.length, 0) /
+      (this.passages.length || 1);
+    return article;
+  }
+
+  /**
+   * Best passages for a question, highest BM25 score first:
+   * [{ articleId, title, section, text, score }]
+   */
+  search(query, { limit = this.topK } = {}) {
+    if (this.passages.length === 0) return [];
+
+    const terms = [...new Set(TextNormalizer.contentTokens(query))];
+    if (terms.length === 0) return [];
+
+    return this.passages
+      .map(passage => ({ passage, score: this._score(passage, terms) }))
+      .filter(result => result.score > 0 && result.score >= this.minScore)
+      .sort((a, b) => b.score - a.score)
+      .slice(0, limit)
+      .map(({ passage, score }) => ({
+        articleId: passage.articleId,
+        title: passage.title,
+        section: passage.section,
+        text: passage.text,
+        score: Math.round(score * 1000) / 1000
+      }));
+  }
+
+  /**
+   * Articles cited by a set of passages, in order of first appearance
+   */
+  static sources(passages) {
+    const seen = new Map();
+    for (const passage of passages) {
+      if (!seen.has(passage.articleId)) {
+        seen.set(passage.articleId, { id: passage.articleId, title: passage.title });
+      }
+    }
+    return [...seen.values()];
+  }
+
+  static parseFrontMatter(markdown) {
+    const match = markdown.match(/^---\r?\n([\s\S]*?)\r?\n---\r?\n?/);
+    if (!match) return { meta: {}, body: markdown };
+
+    const meta = {};
+    for (const line of match[1].split(/\r?\n/)) {
+      const separator = line.indexOf(':');
+      if (separator > 0) {
+        meta[line.slice(0, separator).trim()] = line.slice(separator + 1).trim();
+      }
+    }
+
+    return { meta, body: markdown.slice(match[0].length) };
+  }
+
+  /**
+   * Split an article body at `## ` headings. Text before the first one
+   * (besides the `# ` title) becomes its own untitled section.
+   */
+  static splitSections(body) {
+    const sections = [];
+    let current = { heading: null, lines: [] };
+
+    for (const line of body.split(/\r?\n/)) {
+      const heading = line.match(/^##\s+(.+)$/);
+      if (heading) {
+        sections.push(current);
+        current = { heading: heading[1].trim(), lines: [] };
+      } else if (!/^#\s/.test(line)) {
+        current.lines.push(line);
+      }
+    }
+    sections.push(current);
+
+    return sections
+      .map(section => ({ heading: section.heading, text: section.lines.join('\n').trim() }))
+      .filter(section => section.text !== '');
+  }
+
+  _score(passage, terms) {
+    const totalPassages = this.passages.length;
+    let score = 0;
+
+    for (const term of terms) {
+      const frequency = passage.termFrequency.get(term);
+      if (!frequency) continue;
+
+      const documentFrequency = this.documentFrequency.get(term);
+      const idf = Math.log(1 + (totalPassages - documentFrequency + 0.5) / (documentFrequency + 0.5));
+      const normalisedLength = 1 - BM25_B + BM25_B * (passage.length / this.averageLength);
+      score += idf * (frequency * (BM25_K1 + 1)) / (frequency + BM25_K1 * normalisedLength);
+    }
+
+    return score;
+  }
+}
+
+module.exports = {
+  KnowledgeBase
+};
@@ -0,0 +1,38 @@
+const winston = require('winston');
+const config = require('./config');
+const { PiiRedactor } = require('./redaction');
+
+// Mask phone numbers, emails, NIK and addresses in the message and metadata
+const redactPii = winston.format(info => {
+  if (!config.redaction.logs) return info;
+
+  for (const key of Object.keys(info)) {
+    if (key !== 'level') info[key] = PiiRedactor.redactValue(info[key]);
+  }
+  return info;
+});
+
+// Configure logger
+const logger = winston.createLogger({
+  level: config.logging.level,
+  format: winston.format.combine(
+    winston.format.timestamp(),
+    winston.format.errors({ stack: true }),
+    redactPii(),
+    winston.format.json(),
+    winston.format.printf(({ timestamp, level, message, ...meta }) => {
+      return `${timestamp} [${level.toUpperCase()}]: ${message} ${Object.keys(meta).length ? JSON.stringify(meta) : ''}`;
+    })
+  ),
+  defaultMeta: { service: 'purrpal-chatbot' },
+  transports: [
+    new winston.transports.Console({
+      format: winston.format.combine(
+        winston.format.colorize(),
+        winston.format.simple()
+      )
+    })
+  ]
+});
+
+module.exports = logger;
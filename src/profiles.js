@@ -0,0 +1,70 @@
+const config = require('./config');
+
+/**
+ * Generation profiles: named overrides of the model settings in config.chatbot
+ * (temperature, topP, topK, maxTokens and per-category safety thresholds).
+ *
+ * A resolved profile is { name, maxTokens, temperature, topP, topK, safetySettings }
+ * where safetySettings maps harm category -> threshold.
+ */
+class GenerationProfiles {
+  static names() {
+    return Object.keys(config.chatbot.profiles);
+  }
+
+  static has(name) {
+    return Object.prototype.hasOwnProperty.call(config.chatbot.profiles, name);
+  }
+
+  /**
+   * Profile for a request: the one it names, else the profile for its urgency
+   * level, else the default. Returns null when the named profile doesn't exist.
+   */
+  static select(name, urgencyLevel = 'normal') {
+    if (name !== undefined && name !== null) {
+      return this.resolve(name);
+    }
+
+    const urgencyProfile = config.chatbot.urgencyProfiles[urgencyLevel];
+    return this.resolve(urgencyProfile && this.has(urgencyProfile) ? urgencyProfile : config.chatbot.defaultProfile);
+  }
+
+  static resolve(name = config.chatbot.defaultProfile) {
+    if (typeof name !== 'string' || !this.has(name)) return null;
+
+    const base = config.chatbot;
+    const overrides = config.chatbot.profiles[name];
+
+    return {
+      name,
+      maxTokens: overrides.maxTokens ?? base.maxTokens,
+      temperature: overrides.temperature ?? base.temperature,
+      topP: overrides.topP ?? base.topP,
+      topK: overrides.topK ?? base.topK,
+      safetySettings: { ...base.safetySettings, ...(overrides.safetySettings || {}) }
+    };
+  }
+
+  /**
+   * Gemini generationConfig for a resolved profile
+   */
+  static toGenerationConfig(profile) {
+    return {
+      maxOutputTokens: profile.maxTokens,
+      temperature: profile.temperature,
+      topP: profile.topP,
+      topK: profile.topK
+    };
+  }
+
+  /**
+   * Gemini safetySettings array for a resolved profile
+   */
+  static toSafetySettings(profile) {
+    return Object.entries(profile.safetySettings).map(([category, threshold]) => ({ category, threshold }));
+  }
+}
+
+module.exports = {
+  GenerationProfiles
+};
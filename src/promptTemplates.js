@@ -0,0 +1,216 @@
+const fs = require('fs');
+const path = require('path');
+const config = require('./config');
+const logger = require('./logger');
+
+/**
+ * Variables each template may use. `required` ones must appear in the file;
+ * anything not listed is rejected when the templates are loaded.
+ */
+const TEMPLATE_SCHEMA = {
+  'base-context': { variables: [], required: [] },
+  'urgency-emergency': { variables: [], required: [] },
+  'urgency-serious': { variables: [], required: [] },
+  references: { variables: ['passages'], required: ['passages'] },
+  'cat-care': {
+    variables: ['baseContext', 'urgencyInstruction', 'references', 'responseLanguage', 'imageNotes', 'userMessage'],
+    required: ['userMessage']
+  },
+  'follow-up': {
+    variables: ['baseContext', 'urgencyInstruction', 'references', 'responseLanguage', 'imageNotes', 'previousContext', 'newMessage'],
+    required: ['newMessage']
+  },
+  intake: {
+    variables: ['baseContext', 'urgencyInstruction', 'references', 'responseLanguage', 'imageNotes', 'summary'],
+    required: ['summary']
+  },
+  summary: { variables: ['previousSummary', 'transcript'], required: ['transcript'] }
+};
+
+const VERSION_PATTERN = /^v(\d+)$/;
+const VARIABLE_PATTERN = /\{\{\s*(\w+)\s*\}\}/g;
+// A section tag alone on its line takes its line break with it
+const SECTION_PATTERN = /\{\{#\s*(\w+)\s*\}\}\n?([\s\S]*?)\{\{\/\s*\1\s*\}\}\n?/g;
+const TAG_PATTERN = /\{\{\s*([#/]?)\s*(\w*)\s*\}\}/g;
+
+// Editors save several change events per write; reload once they settle
+const RELOAD_DEBOUNCE_MS = 100;
+
+/**
+ * Prompt wording loaded from text files, so it can be edited without
+ * touching JavaScript.
+ *
+ * Templates live in versioned folders (`prompts/v1`, `prompts/v2`, ...), one
+ * `<name>.txt` per entry of TEMPLATE_SCHEMA. The highest version is used
+ * unless config.prompts.version pins one, and the active version is stamped
+ * on every response and log entry.
+ *
+ * Syntax: `{{name}}` inserts a variable; `{{#name}}...{{/name}}` keeps its
+ * content only when the variable is not empty. Inserted values are never
+ * expanded again, so user text can't inject template tags.
+ */
+class PromptTemplates {
+  static templates = null;
+  static version = null;
+  static directory = null;
+  static watcher = null;
+  static reloadTimer = null;
+
+  /**
+   * Read and validate the configured version. Throws with code
+   * PROMPT_TEMPLATE_INVALID listing every problem; the previously loaded
+   * templates stay active in that case.
+   */
+  static load(options = config.prompts) {
+    const version = options.version || this.latestVersion(options.path);
+    const directory = path.join(options.path, version || '');
+    const errors = [];
+    const templates = {};
+
+    if (!version || !fs.existsSync(directory)) {
+      errors.push(`Prompt template folder not found: ${directory}`);
+    } else {
+      for (const name of Object.keys(TEMPLATE_SCHEMA)) {
+        const file = path.join(directory, `${name}.txt`);
+        if (!fs.existsSync(file)) {
+          errors.push(`Missing template ${name}.txt`);
+          continue;
+        }
+        // Editors usually end files with a newline; it isn't part of the prompt
+        templates[name] = fs.readFileSync(file, 'utf8').replace(/\r\n/g, '\n').replace(/\n$/, '');
+        errors.push(...this.validate(name, templates[name]));
+      }
+    }
+
+    if (errors.length > 0) {
+      const error = new Error(`Invalid prompt templates (${directory}):\n${errors.join('\n')}`);
+      error.code = 'PROMPT_TEMPLATE_INVALID';
+      error.details = errors;
+      throw error;
+    }
+
+    this.templates = templates;
+    this.version = version;
+    this.directory = directory;
+    logger.defaultMeta = { ...logger.defaultMeta, promptVersion: version };
+
+    logger.info('Prompt templates loaded', { path: directory, templates: Object.keys(templates).length });
+    return version;
+  }
+
+  /**
+   * Highest `v<N>` folder under the templates path, or null
+   */
+  static latestVersion(directory) {
+    if (!directory || !fs.existsSync(directory)) return null;
+
+    const versions = fs.readdirSync(directory)
+      .map(entry => entry.match(VERSION_PATTERN))
+      .filter(Boolean)
+      .sort((a, b) => Number(b[1]) - Number(a[1]));
+
+    return versions.length > 0 ? versions[0][0] : null;
+  }
+
+  /**
+   * Problems with one template: unknown variables, missing required ones and
+   * unbalanced sections
+   */
+  static validate(name, template) {
+    const schema = TEMPLATE_SCHEMA[name];
+    const errors = [];
+    const used = new Set();
+    const open = [];
+
+    for (const [, kind, variable] of template.matchAll(TAG_PATTERN)) {
+      if (!variable) {
+        errors.push(`${name}: empty tag`);
+        continue;
+      }
+      if (!schema.variables.includes(variable)) {
+        errors.push(`${name}: unknown variable "${variable}"`);
+      }
+      used.add(variable);
+
+      if (kind === '#') {
+        open.push(variable);
+      } else if (kind === '/' && open.pop() !== variable) {
+        errors.push(`${name}: unexpected closing tag for "${variable}"`);
+      }
+    }
+
+    if (open.length > 0) errors.push(`${name}: unclosed section "${open.join('", "')}"`);
+
+    for (const variable of schema.required) {
+      if (!used.has(variable)) errors.push(`${name}: missing required variable "${variable}"`);
+    }
+
+    return errors;
+  }
+
+  /**
+   * Render a template; missing variables render as empty text
+   */
+  static render(name, variables = {}) {
+    if (!this.templates) this.load();
+
+    const template = this.templates[name];
+    if (template === undefined) {
+      throw new Error(`Unknown prompt template: ${name}`);
+    }
+
+    const value = variable => (variables[variable] === undefined || variables[variable] === null
+      ? ''
+      : String(variables[variable]));
+
+    // Resolve sections, outer ones first, before inserting any values
+    let text = template;
+    let previous;
+    do {
+      previous = text;
+      text = text.replace(SECTION_PATTERN, (match, variable, content) => (value(variable) ? content : ''));
+    } while (text !== previous);
+
+    return text.replace(VARIABLE_PATTERN, (match, variable) => value(variable));
+  }
+
+  /**
+   * Reload the templates when their folder changes (development only). A
+   * broken edit is logged and the last valid templates keep serving.
+   */
+  static watch(options = config.prompts) {
+    this.unwatch();
+    if (!this.templates) this.load(options);
+
+    this.watcher = fs.watch(this.directory, { persistent: false }, () => {
+      clearTimeout(this.reloadTimer);
+      this.reloadTimer = setTimeout(() => {
+        try {
+          this.load(options);
+        } catch (error) {
+          logger.error('Prompt template reload failed, keeping previous templates', {
+            error: error.message,
+            version: this.version
+          });
+        }
+      }, RELOAD_DEBOUNCE_MS);
+      this.reloadTimer.unref();
+    });
+
+    logger.info('Watching prompt templates for changes', { path: this.directory });
+    return this.watcher;
+  }
+
+  static unwatch() {
+    clearTimeout(this.reloadTimer);
+    if (this.watcher) {
+      this.watcher.close();
+      this.watcher = null;
+    }
+  }
+}
+
+module.exports = {
+  PromptTemplates,
+  TEMPLATE_SCHEMA
+};
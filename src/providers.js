@@ -0,0 +1,359 @@
+const { VertexAI } = require('@google-cloud/vertexai');
+const config = require('./config');
+const { logger } = require('./utils');
+const { GenerationProfiles } = require('./profiles');
+
+/**
+ * Base class for model providers.
+ *
+ * A provider turns a generation request into text. A request carries either a
+ * single `prompt` or multi-turn `contents` ({ role: 'user'|'model', parts }),
+ * optional `images` ({ mimeType, data } with base64 data, see images.js) for
+ * the last user turn, plus an optional AbortSignal and an optional generation `profile` (see
+ * profiles.js) overriding the model settings for that call. Once the signal
+ * aborts, generate() rejects with its reason (an AbortError or TimeoutError)
+ * and generateStream() stops yielding. Every provider exposes the same three operations
+ * so the chatbot pipeline never depends on a specific SDK:
+ * - generate(request)       -> Promise<{ text, finishReason, blockedCategories, usage }>
+ * - generateStream(request) -> AsyncIterable<{ text, finishReason?, blockedCategories?, usage? }>
+ * - healthProbe({ signal }) -> Promise<{ ok, latencyMs }>
+ *
+ * finishReason uses Gemini's values ('STOP', 'MAX_TOKENS', 'SAFETY', 'RECITATION', ...)
+ * plus 'PROMPT_BLOCKED' when the prompt itself was rejected. usage is
+ * { promptTokens, outputTokens, totalTokens } when the provider reports it.
+ * Streams report finishReason and usage on their last item.
+ */
+class ModelProvider {
+  constructor(name, options = {}) {
+    this.name = name;
+    this.options = options;
+    this.initialized = false;
+  }
+
+  async initialize() {
+    this.initialized = true;
+  }
+
+  async generate(request) {
+    throw new Error(`Provider "${this.name}" does not implement generate()`);
+  }
+
+  async *generateStream(request) {
+    throw new Error(`Provider "${this.name}" does not implement generateStream()`);
+  }
+
+  async healthProbe({ signal } = {}) {
+    const start = Date.now();
+    const result = await this.generate({ prompt: 'Test kesehatan sistem', signal });
+    return {
+      ok: !!(result && result.text),
+      latencyMs: Date.now() - start
+    };
+  }
+
+  describe() {
+    return { provider: this.name };
+  }
+
+  /**
+   * Normalise a request into multi-turn contents. Images become inline data
+   * parts placed before the text of the last turn.
+   */
+  static toContents(request) {
+    const contents = Array.isArray(request.contents) && request.contents.length > 0
+      ? request.contents
+      : [{ role: 'user', parts: [{ text: request.prompt }] }];
+    if (!request.images || request.images.length === 0) return contents;
+
+    const last = contents[contents.length - 1];
+    const imageParts = request.images.map(image => ({ inlineData: { mimeType: image.mimeType, data: image.data } }));
+    return [...contents.slice(0, -1), { ...last, parts: [...imageParts, ...last.parts] }];
+  }
+
+  /**
+   * Error for an aborted signal: its reason when that is already an
+   * AbortError/TimeoutError, otherwise a new AbortError
+   */
+  static abortError(signal) {
+    const reason = signal && signal.reason;
+    if (reason instanceof Error && (reason.name === 'AbortError' || reason.name === 'TimeoutError')) {
+      return reason;
+    }
+
+    const error = new Error('Permintaan dibatalkan');
+    error.name = 'AbortError';
+    return error;
+  }
+
+  /**
+   * Settle with the promise, or reject as soon as the signal aborts. For SDK
+   * calls that can't be cancelled this at least stops the caller waiting.
+   */
+  static withSignal(promise, signal) {
+    if (!signal) return promise;
+    if (signal.aborted) return Promise.reject(ModelProvider.abortError(signal));
+
+    return new Promise((resolve, reject) => {
+      const onAbort = () => reject(ModelProvider.abortError(signal));
+      signal.addEventListener('abort', onAbort, { once: true });
+
+      promise.then(resolve, reject).finally(() => signal.removeEventListener('abort', onAbort));
+    });
+  }
+}
+
+/**
+ * Google Vertex AI Gemini adapter
+ */
+class VertexGeminiProvider extends ModelProvider {
+  constructor(options = {}) {
+    super('vertex', options);
+    this.vertexAI = null;
+    this.model = null;
+  }
+
+  async initialize() {
+    this.vertexAI = new VertexAI({
+      project: config.googleCloud.projectId,
+      location: config.googleCloud.location,
+      googleAuthOptions: {
+        keyFilename: config.googleCloud.keyFilename
+      }
+    });
+
+    // Configure Gemini model with the default generation profile; requests
+    // that select another profile override it per call. SDK 1.10 takes no
+    // AbortSignal, so its own request timeout is what cancels the HTTP call.
+    const profile = GenerationProfiles.resolve();
+    this.model = this.vertexAI.getGenerativeModel({
+      model: config.googleCloud.model,
+      generationConfig: GenerationProfiles.toGenerationConfig(profile),
+      safetySettings: GenerationProfiles.toSafetySettings(profile)
+    }, {
+      timeout: config.catCare.responseTimeout
+    });
+
+    this.initialized = true;
+  }
+
+  async generate(request) {
+    const result = await ModelProvider.withSignal(
+      this.model.generateContent(VertexGeminiProvider.buildRequest(request)),
+      request.signal
+    );
+    return VertexGeminiProvider.describeResponse(result && result.response);
+  }
+
+  async *generateStream(request) {
+    const { signal } = request;
+    const streamingResult = await ModelProvider.withSignal(
+      this.model.generateContentStream(VertexGeminiProvider.buildRequest(request)),
+      signal
+    );
+
+    for await (const item of streamingResult.stream) {
+      if (signal && signal.aborted) return;
+
+      const described = VertexGeminiProvider.describeResponse(item);
+      if (described.text || described.finishReason || described.usage) {
+        yield described;
+      }
+    }
+  }
+
+  describe() {
+    return {
+      provider: this.name,
+      model: config.googleCloud.model,
+      project: config.googleCloud.projectId,
+      location: config.googleCloud.location
+    };
+  }
+
+  /**
+   * Gemini request body, with the profile's settings when one is given
+   */
+  static buildRequest(request) {
+    const body = { contents: ModelProvider.toContents(request) };
+
+    if (request.profile) {
+      body.generationConfig = GenerationProfiles.toGenerationConfig(request.profile);
+      body.safetySettings = GenerationProfiles.toSafetySettings(request.profile);
+    }
+
+    return body;
+  }
+
+  /**
+   * Text plus why generation stopped, which safety categories blocked it and token usage
+   */
+  static describeResponse(response) {
+    const candidate = response && response.candidates && response.candidates[0];
+    const promptFeedback = (response && response.promptFeedback) || {};
+    const usage = response && response.usageMetadata;
+
+    let finishReason = (candidate && candidate.finishReason) || null;
+    if (!candidate && promptFeedback.blockReason) {
+      finishReason = 'PROMPT_BLOCKED';
+    }
+
+    const ratings = [
+      ...((candidate && candidate.safetyRatings) || []),
+      ...(promptFeedback.safetyRatings || [])
+    ];
+    let blocked = ratings.filter(rating => rating.blocked);
+    if (blocked.length === 0 && (finishReason === 'SAFETY' || finishReason === 'PROMPT_BLOCKED')) {
+      // Older responses only carry probabilities; treat the likely categories as the cause
+      blocked = ratings.filter(rating => ['MEDIUM', 'HIGH'].includes(rating.probability));
+    }
+
+    return {
+      text: VertexGeminiProvider.extractText(response),
+      finishReason,
+      blockedCategories: [...new Set(blocked.map(rating => rating.category))],
+      usage: usage
+        ? {
+          promptTokens: usage.promptTokenCount || 0,
+          outputTokens: usage.candidatesTokenCount || 0,
+          totalTokens: usage.totalTokenCount || 0
+        }
+        : null
+    };
+  }
+
+  static extractText(response) {
+    if (response && response.candidates && response.candidates.length > 0) {
+      const candidate = response.candidates[0];
+      if (candidate.content && candidate.content.parts && candidate.content.parts.length > 0) {
+        return candidate.content.parts[0].text || null;
+      }
+    }
+    return null;
+  }
+}
+
+/**
+ * Deterministic local provider for tests and offline demos.
+ *
+ * Options:
+ * - responder: (request) => string, or a partial provider result such as
+ *   { text: '', finishReason: 'SAFETY', blockedCategories: [...] }
+ * - latencyMs: artificial delay before answering (and between streamed chunks)
+ * - chunkSize: number of words per streamed chunk
+ */
+class FakeProvider extends ModelProvider {
+  static DEFAULT_RESPONSE = 'Halo! 😺 Ini adalah respons simulasi dari PurrPal (mode offline). ' +
+    'Pantau kondisi kucing Anda dengan seksama dan konsultasikan dengan dokter hewan jika gejala berlanjut.';
+
+  constructor(options = {}) {
+    super('fake', options);
+    this.calls = [];
+  }
+
+  async generate(request) {
+    this.calls.push(request);
+    await this._delay(request.signal);
+    if (request.signal && request.signal.aborted) throw ModelProvider.abortError(request.signal);
+    return this._respond(request);
+  }
+
+  async *generateStream(request) {
+    this.calls.push(request);
+
+    const { text, ...details } = this._respond(request);
+    const words = text ? text.split(' ') : [];
+    const chunkSize = this.options.chunkSize || 5;
+
+    for (let i = 0; i < words.length; i += chunkSize) {
+      await this._delay(request.signal);
+      if (request.signal && request.signal.aborted) return;
+
+      const isLast = i + chunkSize >= words.length;
+      const chunk = words.slice(i, i + chunkSize).join(' ') + (isLast ? '' : ' ');
+      yield isLast ? { text: chunk, ...details } : { text: chunk };
+    }
+
+    if (words.length === 0) {
+      yield { text: '', ...details };
+    }
+  }
+
+  describe() {
+    return { provider: this.name, model: 'fake' };
+  }
+
+  _respond(request) {
+    const reply = typeof this.options.responder === 'function'
+      ? this.options.responder(request)
+      : FakeProvider.DEFAULT_RESPONSE;
+    const result = typeof reply === 'string' ? { text: reply } : reply;
+    const text = result.text || '';
+
+    // Rough usage estimate (~4 characters per token, 258 per image as Gemini
+    // counts them) so the metrics path is exercised offline
+    const promptLength = JSON.stringify(ModelProvider.toContents({ ...request, images: [] })).length;
+    const promptTokens = Math.ceil(promptLength / 4) + (request.images || []).length * 258;
+    const outputTokens = Math.ceil(text.length / 4);
+
+    return {
+      text,
+      finishReason: 'STOP',
+      blockedCategories: [],
+      usage: { promptTokens, outputTokens, totalTokens: promptTokens + outputTokens },
+      ...result,
+      text
+    };
+  }
+
+  _delay(signal) {
+    const latencyMs = this.options.latencyMs || 0;
+    if (latencyMs <= 0) return Promise.resolve();
+
+    // Resolve early on abort so callers notice cancellation without waiting out the delay
+    return new Promise(resolve => {
+      const onAbort = () => {
+        clearTimeout(timer);
+        resolve();
+      };
+      const timer = setTimeout(() => {
+        if (signal) signal.removeEventListener('abort', onAbort);
+        resolve();
+      }, latencyMs);
+
+      if (signal) signal.addEventListener('abort', onAbort, { once: true });
+    });
+  }
+}
+
+const providerRegistry = new Map([
+  ['vertex', VertexGeminiProvider],
+  ['fake', FakeProvider]
+]);
+
+/**
+ * Register an additional provider implementation under a config name
+ */
+function registerProvider(name, ProviderClass) {
+  providerRegistry.set(name, ProviderClass);
+}
+
+/**
+ * Create a provider instance from its config name
+ */
+function createProvider(name = config.chatbot.provider, options = {}) {
+  const ProviderClass = providerRegistry.get(name);
+  if (!ProviderClass) {
+    throw new Error(`Unknown model provider: ${name}. Available: ${[...providerRegistry.keys()].join(', ')}`);
+  }
+
+  logger.debug('Creating model provider', { provider: name });
+  return new ProviderClass(options);
+}
+
+module.exports = {
+  ModelProvider,
+  VertexGeminiProvider,
+  FakeProvider,
+  registerProvider,
+  createProvider
+};
@@ -0,0 +1,158 @@
+/**
+ * Rate limiting algorithms. Each limiter keeps its own in-process state and
+ * exposes consume(key, quota) where quota is { requests, windowMs, burst }.
+ * consume returns { allowed, remaining, resetTime, retryAfterMs }.
+ */
+
+// Idle keys are pruned once a store grows beyond this many entries
+const PRUNE_THRESHOLD = 10000;
+
+/**
+ * Sliding-window log: at most `requests` requests in any `windowMs` period
+ */
+class SlidingWindowLimiter {
+  constructor() {
+    this.name = 'sliding-window';
+    this.store = new Map();
+  }
+
+  consume(key, quota, now = Date.now()) {
+    const entry = this.store.get(key) || { timestamps: [], windowMs: quota.windowMs };
+
+    // Remove old requests outside the window
+    entry.timestamps = entry.timestamps.filter(timestamp => now - timestamp < quota.windowMs);
+    entry.windowMs = quota.windowMs;
+    this.store.set(key, entry);
+
+    if (entry.timestamps.length >= quota.requests) {
+      const resetAt = entry.timestamps[0] + quota.windowMs;
+      return {
+        allowed: false,
+        remaining: 0,
+        resetTime: new Date(resetAt),
+        retryAfterMs: Math.max(0, resetAt - now)
+      };
+    }
+
+    // Add current request
+    entry.timestamps.push(now);
+    this._maybePrune(now);
+
+    return {
+      allowed: true,
+      remaining: quota.requests - entry.timestamps.length,
+      resetTime: new Date(now + quota.windowMs),
+      retryAfterMs: 0
+    };
+  }
+
+  reset(key) {
+    this.store.delete(key);
+  }
+
+  clear() {
+    this.store.clear();
+  }
+
+  prune(now = Date.now()) {
+    for (const [key, entry] of this.store) {
+      const newest = entry.timestamps[entry.timestamps.length - 1];
+      if (newest === undefined || now - newest >= entry.windowMs) {
+        this.store.delete(key);
+      }
+    }
+  }
+
+  _maybePrune(now) {
+    if (this.store.size > PRUNE_THRESHOLD) this.prune(now);
+  }
+}
+
+/**
+ * Token bucket: holds up to `burst` tokens (defaults to `requests`) and
+ * refills at `requests` tokens per `windowMs`, so short bursts are allowed
+ * while the long-run rate stays the same.
+ */
+class TokenBucketLimiter {
+  constructor() {
+    this.name = 'token-bucket';
+    this.store = new Map();
+  }
+
+  consume(key, quota, now = Date.now()) {
+    const capacity = quota.burst || quota.requests;
+    const refillPerMs = quota.requests / quota.windowMs;
+    const bucket = this.store.get(key) || { tokens: capacity, updatedAt: now };
+
+    bucket.tokens = Math.min(capacity, bucket.tokens + (now - bucket.updatedAt) * refillPerMs);
+    bucket.updatedAt = now;
+    bucket.capacity = capacity;
+    bucket.refillPerMs = refillPerMs;
+    this.store.set(key, bucket);
+
+    if (bucket.tokens < 1) {
+      const retryAfterMs = Math.ceil((1 - bucket.tokens) / refillPerMs);
+      return {
+        allowed: false,
+        remaining: 0,
+        resetTime: new Date(now + retryAfterMs),
+        retryAfterMs
+      };
+    }
+
+    bucket.tokens -= 1;
+    this._maybePrune(now);
+
+    return {
+      allowed: true,
+      remaining: Math.floor(bucket.tokens),
+      resetTime: new Date(now + Math.ceil((capacity - bucket.tokens) / refillPerMs)),
+      retryAfterMs: 0
+    };
+  }
+
+  reset(key) {
+    this.store.delete(key);
+  }
+
+  clear() {
+    this.store.clear();
+  }
+
+  /**
+   * Drop buckets that have refilled completely; they are recreated full on demand
+   */
+  prune(now = Date.now()) {
+    for (const [key, bucket] of this.store) {
+      if (bucket.tokens + (now - bucket.updatedAt) * bucket.refillPerMs >= bucket.capacity) {
+        this.store.delete(key);
+      }
+    }
+  }
+
+  _maybePrune(now) {
+    if (this.store.size > PRUNE_THRESHOLD) this.prune(now);
+  }
+}
+
+const limiterTypes = {
+  'sliding-window': SlidingWindowLimiter,
+  'token-bucket': TokenBucketLimiter
+};
+
+/**
+ * Create a rate limiting algorithm from its config name
+ */
+function createRateLimiter(type) {
+  const LimiterClass = limiterTypes[type];
+  if (!LimiterClass) {
+    throw new Error(`Unknown rate limit algorithm: ${type}. Available: ${Object.keys(limiterTypes).join(', ')}`);
+  }
+  return new LimiterClass();
+}
+
+module.exports = {
+  SlidingWindowLimiter,
+  TokenBucketLimiter,
+  createRateLimiter
+};
@@ -0,0 +1,119 @@
+const config = require('./config');
+
+/**
+ * Built-in PII rules, applied in order (NIK before phone numbers, since a
+ * 16-digit NIK would otherwise partly match as a phone number). Which ones
+ * run is set by config.redaction.rules; config.redaction.customRules adds
+ * more in the same shape.
+ */
+const REDACTION_RULES = [
+  {
+    id: 'email',
+    description: 'Alamat email',
+    pattern: /[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\.[A-Za-z]{2,}/g,
+    replacement: '[EMAIL]'
+  },
+  {
+    id: 'nik',
+    description: 'Nomor Induk Kependudukan (16 digit)',
+    pattern: /(?<![\w-])(?:\d{16}|\d{4}([\s.-])\d{4}\1\d{4}\1\d{4})(?![\w-])/g,
+    replacement: '[NIK]'
+  },
+  {
+    id: 'phone',
+    description: 'Nomor telepon Indonesia (ponsel dan telepon rumah)',
+    pattern: new RegExp([
+      // Mobile: 08xx / +628xx / 628xx in groups, e.g. 0812-3456-7890, +62 812 3456 789
+      /(?<![\w+])(?:\+62|62|0)[\s.-]?8\d{1,2}(?:[\s.-]?\d{3,4}){2}(?:[\s.-]?\d{1,4})?(?![\w-])/.source,
+      // Landline: the area code in brackets, after +62, or set off by a separator, e.g.
+      // (021) 555-1234, 0274 512345, +62 21 5551234. A bare run of digits is more
+      // often an order or invoice number than a phone number.
+      /(?<![\w+])(?:\+62[\s.-]?\(?(?:2[1-9]|[3-79]\d)\d?\)?[\s.-]?|\(0(?:2[1-9]|[3-79]\d)\d?\)\s*|0(?:2[1-9]|[3-79]\d)\d?[\s.-])\d{3,4}[\s.-]?\d{3,4}(?![\w-])/.source
+    ].join('|'), 'g'),
+    replacement: '[TELEPON]'
+  },
+  {
+    id: 'address',
+    description: 'Alamat jalan (Jl./Gg., atau Jalan/Gang/Komplek/Perumahan dengan nomor atau RT/RW)',
+    pattern: new RegExp([
+      // Jl./Gg. abbreviations mark an address on their own
+      /\b(?:[Jj]ln?\.?|Gg\.?)\s+[\w.'/-]+(?:\s+[A-Z0-9][\w.'/-]*)*(?:,?\s*(?:[Nn]o|[Nn]omor|[Bb]lok|[Kk]av)\.?\s*[\w/-]+)?(?:,?\s*RT\.?\s*\d{1,3}\s*\/\s*RW\.?\s*\d{1,3})?/.source,
+      // A capitalised "Jalan ..." needs a house number or RT/RW, so "Kucingku Jalan Terus" is left alone
+      /\b(?:Jalan|Gang|Komplek|Kompleks|Perumahan|Perum)\s+(?=[A-Z0-9])[\w.'/-]+(?:\s+(?!RT\b)[A-Z][\w.'/-]*)*(?:(?:,?\s*(?:[Nn]o|[Nn]omor|[Bb]lok|[Kk]av)\.?\s*[\w/-]*\d[\w/-]*|\s+\d[\w/-]*)(?:,?\s*RT\.?\s*\d{1,3}\s*\/\s*RW\.?\s*\d{1,3})?|,?\s*RT\.?\s*\d{1,3}\s*\/\s*RW\.?\s*\d{1,3})/.source,
+      // Lowercase "jalan mawar no 5" only with a house number
+      /\b(?:jalan|gang)\s+[\w.'-]+(?:\s+[\w.'-]+){0,3}?\s+(?:no|nomor)\.?\s*\d[\w/-]*/.source
+    ].join('|'), 'g'),
+    replacement: '[ALAMAT]'
+  }
+];
+
+// Nested log metadata deeper than this is left as is
+const MAX_DEPTH = 6;
+
+/**
+ * Masks personal data (phone numbers, emails, NIK, addresses) in text
+ */
+class PiiRedactor {
+  static get rules() {
+    return REDACTION_RULES;
+  }
+
+  /**
+   * Built-in rules enabled in config.redaction.rules plus the custom ones
+   */
+  static activeRules() {
+    const enabled = config.redaction.rules;
+    return [
+      ...REDACTION_RULES.filter(rule => enabled.includes(rule.id)),
+      ...config.redaction.customRules
+    ];
+  }
+
+  /**
+   * Replace every match of the active rules with its placeholder
+   */
+  static redact(text, rules = this.activeRules()) {
+    if (typeof text !== 'string' || text === '') return text;
+
+    return rules.reduce((result, rule) => result.replace(rule.pattern, rule.replacement), text);
+  }
+
+  /**
+   * Ids of the rules that match a text, for logging what was masked
+   */
+  static detect(text, rules = this.activeRules()) {
+    if (typeof text !== 'string') return [];
+
+    return rules
+      .filter(rule => {
+        rule.pattern.lastIndex = 0;
+        return rule.pattern.test(text);
+      })
+      .map(rule => rule.id);
+  }
+
+  /**
+   * Redact the strings inside a log metadata value (objects and arrays are copied)
+   */
+  static redactValue(value, rules = this.activeRules(), depth = 0) {
+    if (typeof value === 'string') return this.redact(value, rules);
+    if (depth >= MAX_DEPTH || value === null || typeof value !== 'object') return value;
+
+    if (Array.isArray(value)) {
+      return value.map(item => this.redactValue(item, rules, depth + 1));
+    }
+
+    if (Object.getPrototypeOf(value) !== Object.prototype) return value;
+
+    const redacted = {};
+    for (const [key, item] of Object.entries(value)) {
+      redacted[key] = this.redactValue(item, rules, depth + 1);
+    }
+    return redacted;
+  }
+}
+
+module.exports = {
+  PiiRedactor,
+  REDACTION_RULES
+};
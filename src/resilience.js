@@ -0,0 +1,163 @@
+/**
+ * Retry and circuit breaker helpers for model calls.
+ */
+
+// Gemini/Google API statuses worth retrying: rate limits, overload and server errors
+const RETRYABLE_STATUS = /\b(got status: (429|5\d\d)|RESOURCE_EXHAUSTED|UNAVAILABLE|DEADLINE_EXCEEDED|INTERNAL)\b/;
+const RETRYABLE_NETWORK_CODES = new Set(['ECONNRESET', 'ECONNREFUSED', 'ETIMEDOUT', 'EAI_AGAIN', 'EPIPE', 'UND_ERR_SOCKET']);
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Whether a failed model call may succeed if tried again: HTTP 429/5xx,
+ * timeouts and dropped connections. Aborts and client errors are final.
+ */
+function isRetryableError(error) {
+  if (!error || error.name === 'AbortError') return false;
+  if (error.name === 'TimeoutError') return true;
+
+  const status = error.status || error.statusCode ||
+    (typeof error.code === 'number' ? error.code : null) ||
+    (error.stackTrace && error.stackTrace.code);
+  if (typeof status === 'number') {
+    return status === 429 || status >= 500;
+  }
+
+  if (RETRYABLE_NETWORK_CODES.has(error.code)) return true;
+  return RETRYABLE_STATUS.test(error.message || '') || /fetch failed/i.test(error.message || '');
+}
+
+/**
+ * Backoff before retry number `attempt` (0-based): full jitter over an
+ * exponentially growing window capped at maxDelayMs
+ */
+function backoffDelay(attempt, { baseDelayMs, maxDelayMs }, random = Math.random) {
+  return Math.round(random() * Math.min(maxDelayMs, baseDelayMs * 2 ** attempt));
+}
+
+/**
+ * Call fn(attempt) until it succeeds, the error isn't retryable or the
+ * retries run out. options: { retries, baseDelayMs, maxDelayMs, shouldRetry, onRetry, random, wait }
+ */
+async function retryWithBackoff(fn, options = {}) {
+  const {
+    retries = 0,
+    shouldRetry = isRetryableError,
+    onRetry = () => {},
+    random = Math.random,
+    wait = sleep
+  } = options;
+
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await fn(attempt);
+    } catch (error) {
+      if (attempt >= retries || !shouldRetry(error)) throw error;
+
+      const delayMs = backoffDelay(attempt, options, random);
+      onRetry(error, attempt + 1, delayMs);
+      await wait(delayMs);
+    }
+  }
+}
+
+/**
+ * Circuit breaker: after `failureThreshold` consecutive failures the circuit
+ * opens and calls are refused for `resetTimeoutMs`. Then a single trial call
+ * is let through (half-open); success closes the circuit, failure reopens it.
+ */
+class CircuitBreaker {
+  constructor(options = {}) {
+    this.failureThreshold = options.failureThreshold || 5;
+    this.resetTimeoutMs = options.resetTimeoutMs || 30000;
+    this.onStateChange = options.onStateChange || (() => {});
+    this.now = options.now || Date.now;
+    this.reset();
+  }
+
+  /**
+   * Whether a call may go ahead now. Moves an open circuit to half-open once
+   * the reset timeout has passed and admits one trial call.
+   */
+  canRequest() {
+    if (this.state === 'open' && this.now() >= this.openedAt + this.resetTimeoutMs) {
+      this._transition('half_open');
+    }
+
+    if (this.state === 'half_open') {
+      if (this.trialInFlight) return false;
+      this.trialInFlight = true;
+      return true;
+    }
+
+    return this.state === 'closed';
+  }
+
+  recordSuccess() {
+    this.consecutiveFailures = 0;
+    this.trialInFlight = false;
+    if (this.state !== 'closed') this._transition('closed');
+  }
+
+  recordFailure() {
+    this.consecutiveFailures++;
+    this.totalFailures++;
+    this.trialInFlight = false;
+
+    if (this.state === 'half_open' || this.consecutiveFailures >= this.failureThreshold) {
+      this.openedAt = this.now();
+      if (this.state !== 'open') this._transition('open');
+    }
+  }
+
+  /**
+   * Give back a half-open trial slot without a verdict (e.g. the caller aborted)
+   */
+  release() {
+    this.trialInFlight = false;
+  }
+
+  /**
+   * Milliseconds until an open circuit lets a trial call through (0 otherwise)
+   */
+  retryAfterMs() {
+    if (this.state !== 'open') return 0;
+    return Math.max(0, this.openedAt + this.resetTimeoutMs - this.now());
+  }
+
+  describe() {
+    return {
+      state: this.state,
+      consecutiveFailures: this.consecutiveFailures,
+      totalFailures: this.totalFailures,
+      opens: this.opens,
+      failureThreshold: this.failureThreshold,
+      resetTimeoutMs: this.resetTimeoutMs,
+      openedAt: this.openedAt ? new Date(this.openedAt).toISOString() : null,
+      retryAfterMs: this.retryAfterMs()
+    };
+  }
+
+  reset() {
+    this.state = 'closed';
+    this.consecutiveFailures = 0;
+    this.totalFailures = 0;
+    this.opens = 0;
+    this.openedAt = null;
+    this.trialInFlight = false;
+  }
+
+  _transition(state) {
+    const previous = this.state;
+    this.state = state;
+    if (state === 'open') this.opens++;
+    this.onStateChange(state, previous);
+  }
+}
+
+module.exports = {
+  CircuitBreaker,
+  retryWithBackoff,
+  backoffDelay,
+  isRetryableError
+};
@@ -0,0 +1,224 @@
+const config = require('./config');
+const { I18n } = require('./i18n');
+
+/**
+ * Post-generation safety checks for model answers.
+ *
+ * Each rule flags sentences (or, for `requires` rules, the whole answer) and
+ * names the intervention it calls for:
+ * - regenerate: ask the model again with a safety reminder; if that isn't
+ *   possible or the new answer is still unsafe, fall back to rewrite
+ * - rewrite: drop the offending sentences and append the rule's warning
+ * - warn: keep the text and append the rule's warning
+ *
+ * Warnings are catalog texts (safety.<rule id> in i18n.js), written in the
+ * language of the answer.
+ */
+
+/**
+ * Cue words per answer language. Sentences with a `warning` cue are warnings
+ * ("jangan berikan paracetamol") or describe harm ("serbuk sari lili bisa
+ * menyebabkan gagal ginjal"), not advice. An `advice` cue turns a mention of
+ * a substance into a recommendation. `negated` matches harm words that are
+ * denied ("tidak berbahaya", "won't cause"): that is reassurance, so it counts
+ * as advice rather than a warning. Modal verbs ("bisa", "can", "iso",
+ * "tiasa") are left out: they appear in warnings as often as in advice.
+ * Sentences are matched lowercase and without accents.
+ */
+const SAFETY_CUES = {
+  id: {
+    warning: /\b(jangan|tidak boleh|tidak aman|tidak disarankan|hindari|hindarkan|jauhkan|beracun|racun|keracunan|berbahaya|toksik|mematikan|fatal|dilarang|menyebabkan|mengakibatkan|gagal ginjal|gagal hati|kerusakan|kematian)\b/,
+    advice: /\b(berikan|memberikan|diberikan|beri|diberi|kasih|kasihkan|dikasih|gunakan|menggunakan|pakai|oleskan|olesi|teteskan|campurkan|minumkan|semprotkan|diffuser|difuser|aman|boleh|coba|letakkan|taruh|tanam)\b/,
+    negated: /\b(?:tidak|tak|tdk|gak|nggak|ga|bukan|tanpa|non)(?:\s+(?:akan|bakal|pernah|terlalu|begitu|sampai|sama sekali))?\s+(?:beracun|racun|keracunan|berbahaya|toksik|mematikan|fatal|menyebabkan|mengakibatkan|kerusakan)\b/g
+  },
+  en: {
+    warning: /\b(don't|do not|never|must not|should not|shouldn't|avoid|keep away|toxic|poison|poisonous|poisoning|dangerous|deadly|fatal|lethal|unsafe|not safe|harmful|cause|causes|kidney failure|liver failure|damage|death)\b/,
+    advice: /\b(give|giving|given|administer|use|using|apply|rub|add|mix|spray|diffuser|diffuse|safe|fine|okay|try|put|place|plant)\b/,
+    negated: /\b(?:not|non|no|never|won't|wont|doesn't|don't|isn't|aren't|cannot|can't|without)(?:\s+(?:be|really|very|that|ever|usually|at all))?[\s-]+(?:toxic|poison|poisonous|dangerous|deadly|fatal|lethal|harmful|cause|causes|damage)\b/g
+  },
+  jv: {
+    warning: /\b(aja|ojo|ora oleh|ora entuk|mboten kenging|ora aman|mboten aman|adohna|adohke|racun|beracun|keracunan|mbebayani|bebaya|mateni|fatal|nyebabake|njalari|gagal ginjal|gagal ati|karusakan)\b/,
+    advice: /\b(wenehi|wenehana|wenehake|diwenehi|diwenehake|paringi|paringana|diparingi|kasih|dikasih|gunakake|nganggo|dienggo|olesi|olesana|diolesi|tetesi|campur|campurna|ombekna|semprot|semprotna|diffuser|difuser|aman|oleh|entuk|kenging|jajal|coba|dekek|dekekna|tandur)\b/,
+    negated: /\b(?:ora|ra|mboten|boten|dudu|tanpa)(?:\s+(?:bakal|arep|badhe|pati|nganti))?\s+(?:racun|beracun|keracunan|mbebayani|bebaya|mateni|fatal|nyebabake|njalari|karusakan)\b/g
+  },
+  su: {
+    warning: /\b(ulah|entong|teu kenging|teu meunang|teu aman|jauhkeun|racun|beracun|karacunan|bahaya|ngabahayakeun|maehan|fatal|ngabalukarkeun|nyababkeun|gagal ginjal|gagal ati|karuksakan|maot)\b/,
+    advice: /\b(bikeun|masihan|pasihan|pasihkeun|dipasihan|dibikeun|kasih|gunakeun|make|anggo|dianggo|oleskeun|teteskeun|campurkeun|inumkeun|semprotkeun|diffuser|difuser|aman|meunang|kenging|cobian|coba|simpen|teundeun|pelak)\b/,
+    negated: /\b(?:teu|henteu|lain|tanpa|moal)(?:\s+(?:bakal|baris|pati|jadi|matak))?\s+(?:racun|beracun|karacunan|bahaya|ngabahayakeun|maehan|fatal|ngabalukarkeun|nyababkeun|karuksakan)\b/g
+  }
+};
+
+// Clause breaks that start a new statement within a sentence ("berikan
+// paracetamol; lili beracun"). A warning only covers the substance in its
+// own clause, or in a neighbouring clause that names no substance itself.
+const CLAUSE_BREAK = /\s*;\s*|\s+(?:tapi|tetapi|namun|sedangkan|padahal|but|however|whereas|nanging|ananging|namung|sedengkeun)\s+/;
+
+const SAFETY_RULES = [
+  {
+    id: 'toxic-human-medication',
+    description: 'Obat manusia yang beracun bagi kucing',
+    pattern: /\b(paracetamol|parasetamol|acetaminophen|asetaminofen|panadol|ibuprofen|aspirin|asetosal|naproxen|asam mefenamat|diclofenac|diklofenak)\b/,
+    action: 'regenerate'
+  },
+  {
+    id: 'toxic-plant',
+    description: 'Tanaman lili yang beracun bagi kucing',
+    pattern: /\b(lili|lily|lilies|lilium)\b/,
+    action: 'regenerate'
+  },
+  {
+    id: 'essential-oil',
+    description: 'Minyak esensial yang beracun bagi kucing',
+    pattern: /\b(minyak esensial|minyak atsiri|lenga atsiri|essential oils?|tea tree|minyak kayu putih|lenga kayu putih|eucalyptus oil|minyak peppermint|peppermint oil|minyak lavender|lavender oil|minyak eucalyptus|minyak cengkeh|clove oil)\b/,
+    action: 'regenerate'
+  },
+  {
+    id: 'dosing-instructions',
+    description: 'Instruksi dosis obat',
+    pattern: /\b\d+(?:[.,]\d+)?\s*(mg|miligram|ml|mililiter|tablets?|kapsul|capsules?|tetes|drops?|pil|pills?)\b/,
+    context: /\b(obat|ubar|dosis|tablet|kapsul|pil|antibiotik|sirup|salep|mg|miligram|medicine|medication|dose|dosage|pill|antibiotic|syrup|ointment)\b/,
+    action: 'warn'
+  },
+  {
+    id: 'missing-vet-referral',
+    description: 'Jawaban darurat tanpa rujukan ke dokter hewan',
+    levels: ['emergency'],
+    requires: /\b(dokter hewan|drh|vet|veteriner|klinik hewan|rumah sakit hewan|veterinarian|animal clinic|animal hospital|dokter kewan|klinik kewan|dokter sato|klinik sato)\b/,
+    action: 'warn'
+  }
+];
+
+/**
+ * Response-side guard applied to model answers before they are returned or cached
+ */
+class SafetyChecker {
+  static get rules() {
+    return SAFETY_RULES;
+  }
+
+  /**
+   * Find unsafe content, using the cue words of the answer's language.
+   * Returns { safe, issues: [{ rule, action, sentences }] }
+   */
+  static check(text, { urgencyLevel = 'normal', language = config.catCare.defaultLanguage } = {}) {
+    const issues = [];
+    const sentences = this._sentences(text);
+    const cues = SAFETY_CUES[language] || SAFETY_CUES[config.catCare.defaultLanguage];
+
+    for (const rule of SAFETY_RULES) {
+      if (rule.levels && !rule.levels.includes(urgencyLevel)) continue;
+
+      if (rule.requires) {
+        if (!rule.requires.test(this._plain(text))) {
+          issues.push({ rule: rule.id, action: rule.action, sentences: [] });
+        }
+        continue;
+      }
+
+      const flagged = sentences.filter(sentence => this._violates(rule, this._plain(sentence), cues));
+      if (flagged.length > 0) {
+        issues.push({ rule: rule.id, action: rule.action, sentences: flagged });
+      }
+    }
+
+    return { safe: issues.length === 0, issues };
+  }
+
+  /**
+   * Fix the text for the given issues without calling the model: regenerate and
+   * rewrite issues drop their sentences, and every issue appends its warning
+   * (in the given language) once. Returns { text, interventions: [{ rule, action }] }
+   */
+  static apply(text, issues, language = config.catCare.defaultLanguage) {
+    const removed = new Set();
+    const warnings = [];
+    const interventions = [];
+
+    for (const issue of issues) {
+      const warning = I18n.t(language, `safety.${issue.rule}`);
+      const action = issue.action === 'warn' ? 'warn' : 'rewrite';
+
+      if (action === 'rewrite') {
+        issue.sentences.forEach(sentence => removed.add(sentence));
+      }
+      if (!warnings.includes(warning)) warnings.push(warning);
+      interventions.push({ rule: issue.rule, action });
+    }
+
+    const kept = text
+      .split('\n')
+      .flatMap(line => {
+        if (line.trim() === '') return [line];
+        const remaining = this._sentences(line).filter(sentence => !removed.has(sentence));
+        return remaining.length > 0 ? [remaining.join(' ')] : [];
+      })
+      .join('\n')
+      .replace(/\n{3,}/g, '\n\n')
+      .trim();
+
+    return {
+      text: [kept, ...warnings].filter(Boolean).join('\n\n'),
+      interventions
+    };
+  }
+
+  /**
+   * Instruction appended to the request when an answer is regenerated
+   */
+  static reminder(issues) {
+    const concerns = issues
+      .map(issue => SAFETY_RULES.find(rule => rule.id === issue.rule).description.toLowerCase())
+      .join('; ');
+
+    return `PERINGATAN KESELAMATAN: Jawaban sebelumnya mengandung saran yang berbahaya bagi kucing (${concerns}). ` +
+      'Jangan menyarankan obat manusia, minyak esensial, tanaman beracun, atau dosis obat apa pun. ' +
+      'Sarankan untuk berkonsultasi dengan dokter hewan.';
+  }
+
+  /**
+   * Whether a sentence recommends the rule's substance. Each clause naming it
+   * needs an advice cue (or a denied harm) in its own clause, or in a clause
+   * without a substance of its own, and no warning in either.
+   */
+  static _violates(rule, sentence, cues) {
+    if (!rule.pattern.test(sentence)) return false;
+    if (rule.context) return rule.context.test(sentence);
+
+    const clauses = sentence.split(CLAUSE_BREAK).map(clause => ({
+      text: clause,
+      substance: SAFETY_RULES.some(candidate => candidate.pattern && !candidate.context && candidate.pattern.test(clause)),
+      reassures: new RegExp(cues.negated.source).test(clause),
+      rest: clause.replace(cues.negated, ' ')
+    }));
+    const shared = clauses.filter(clause => !clause.substance);
+
+    return clauses
+      .filter(clause => rule.pattern.test(clause.text))
+      .some(clause => {
+        const scope = [clause, ...shared];
+        const recommends = scope.some(part => part.reassures || cues.advice.test(part.rest));
+        return recommends && !scope.some(part => cues.warning.test(part.rest));
+      });
+  }
+
+  // Lowercase without accents ("kénéh" -> "keneh"), the way the cue lists are written
+  static _plain(text) {
+    return text.toLowerCase().normalize('NFD').replace(/[\u0300-\u036f]/g, '').replace(/\u2019/g, "'");
+  }
+
+  /**
+   * Split into sentences, keeping list lines ("- ...", "1. ...") whole
+   */
+  static _sentences(text) {
+    return text
+      .split('\n')
+      .flatMap(line => line.split(/(?<=\D[.!?])\s+(?=\S)/))
+      .filter(sentence => sentence.trim() !== '');
+  }
+}
+
+module.exports = {
+  SafetyChecker,
+  SAFETY_RULES,
+  SAFETY_CUES
+};
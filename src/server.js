@@ -0,0 +1,316 @@
+const express = require('express');
+const helmet = require('helmet');
+const cors = require('cors');
+const compression = require('compression');
+const morgan = require('morgan');
+const rateLimit = require('express-rate-limit');
+const config = require('./config');
+const { chatbot: defaultChatbot } = require('./chatbot');
+const { I18n } = require('./i18n');
+const { ResponseFormatter, logger } = require('./utils');
+
+// HTTP status for each error code produced by ResponseFormatter
+const STATUS_BY_CODE = {
+  INVALID_INPUT: 400,
+  NOT_FOUND: 404,
+  RATE_LIMITED: 429,
+  ABORTED: 499,
+  INTERNAL_ERROR: 500,
+  TIMEOUT: 504
+};
+
+// Interval for SSE comment frames that keep idle proxies from closing the stream
+const SSE_KEEPALIVE_MS = 15000;
+
+/**
+ * Send a formatted chatbot result with the matching HTTP status
+ */
+function sendResult(res, result) {
+  const status = result.success === false ? (STATUS_BY_CODE[result.code] || 500) : 200;
+  if (result.retryAfter !== undefined) {
+    res.set('Retry-After', String(result.retryAfter));
+  }
+  res.status(status).json(result);
+}
+
+/**
+ * Send an error built by ResponseFormatter so every endpoint shares one error shape
+ */
+function sendError(res, error, context = {}) {
+  sendResult(res, ResponseFormatter.createErrorResponse(error, context));
+}
+
+// Chat options a client may set; everything else in `options` is ignored
+const CLIENT_OPTIONS = ['useContext', 'bypassCache', 'intake', 'profile', 'language', 'images'];
+
+/**
+ * Photos from a client are only ever inline data. `{ path }` attachments read
+ * files on the server, so they are for callers using the chatbot directly;
+ * with the path dropped such an attachment is rejected as invalid_image.
+ */
+function clientImages(images) {
+  if (images === null) return images;
+
+  // A single attachment object counts as a one-photo list, as in ImageAttachments.load
+  return [].concat(images).map(image => (image && typeof image === 'object'
+    ? Object.fromEntries(['data', 'mimeType'].filter(field => field in image).map(field => [field, image[field]]))
+    : image));
+}
+
+/**
+ * Chat options from the client plus the values only the server may set:
+ * the client IP and the rate limit tier resolved from the X-API-Key header
+ */
+function chatOptions(req, options = {}) {
+  const allowed = Object.fromEntries(
+    CLIENT_OPTIONS.filter(name => options && options[name] !== undefined).map(name => [name, options[name]])
+  );
+  if (allowed.images !== undefined) allowed.images = clientImages(allowed.images);
+
+  return {
+    ...allowed,
+    clientIp: req.ip,
+    tier: config.rateLimit.apiKeys[req.get('x-api-key')] || config.rateLimit.defaultTier
+  };
+}
+
+/**
+ * Switch the response into Server-Sent Events mode and return an event writer
+ */
+function openEventStream(res) {
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream; charset=utf-8',
+    'Cache-Control': 'no-cache, no-transform',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+
+  const flush = () => {
+    if (typeof res.flush === 'function') res.flush();
+  };
+
+  const keepAlive = setInterval(() => {
+    res.write(': keep-alive\n\n');
+    flush();
+  }, SSE_KEEPALIVE_MS);
+
+  return {
+    send(event, data, id) {
+      if (res.writableEnded) return;
+      if (id !== undefined) res.write(`id: ${id}\n`);
+      res.write(`event: ${event}\n`);
+      res.write(`data: ${JSON.stringify(data)}\n\n`);
+      flush();
+    },
+    close() {
+      clearInterval(keepAlive);
+      if (!res.writableEnded) res.end();
+    }
+  };
+}
+
+/**
+ * Stream a chat response as SSE: `chunk` events, a `replace` event when the
+ * final answer differs from the streamed text, a `failure` event if the
+ * answer failed, then a final `done` event with the result. Failures are not
+ * called `error` because EventSource fires its own `error` event on connection
+ * problems; the terminal `done` tells clients to close the EventSource, which
+ * otherwise reconnects and sends the question again.
+ * A client disconnect aborts the upstream model stream.
+ */
+async function streamChat(chatbot, req, res, { message, sessionId = null, options = {} }) {
+  const controller = new AbortController();
+  const stream = openEventStream(res);
+
+  res.on('close', () => {
+    const disconnected = !res.writableFinished;
+    stream.close();
+
+    if (disconnected) {
+      logger.info('Streaming client disconnected', { sessionId });
+      controller.abort();
+    }
+  });
+
+  const result = await chatbot.generateStreamingResponse(message, sessionId, chunk => {
+    stream.send(chunk.replace ? 'replace' : 'chunk', {
+      chunk: chunk.chunk,
+      chunkNumber: chunk.chunkNumber,
+      urgencyLevel: chunk.urgencyLevel
+    }, chunk.chunkNumber);
+  }, { ...chatOptions(req, options), signal: controller.signal });
+
+  if (result.success === false) {
+    stream.send('failure', result);
+  }
+  stream.send('done', result);
+  stream.close();
+}
+
+/**
+ * Build the Express application around a chatbot instance
+ */
+function createServer(chatbot = defaultChatbot) {
+  const app = express();
+
+  app.disable('x-powered-by');
+  app.use(helmet());
+  app.use(cors({
+    origin: config.server.corsOrigin === '*'
+      ? '*'
+      : config.server.corsOrigin.split(',').map(origin => origin.trim())
+  }));
+  app.use(compression());
+  app.use(express.json({ limit: config.server.bodyLimit }));
+  app.use(morgan('combined', {
+    stream: { write: line => logger.info(line.trim()) }
+  }));
+
+  // Per-IP limiter for the operational endpoints; chat routes are limited by
+  // the chatbot itself (per IP and per session, with tiered quotas)
+  app.use(rateLimit({
+    windowMs: config.rateLimit.windowMinutes * 60 * 1000,
+    limit: config.rateLimit.requests,
+    standardHeaders: 'draft-7',
+    legacyHeaders: false,
+    skip: req => req.path.startsWith('/chat'),
+    handler: (req, res) => {
+      sendError(res, new Error(I18n.t(config.catCare.defaultLanguage, 'errors.tooManyRequests')), {
+        code: 'RATE_LIMITED',
+        ip: req.ip
+      });
+    }
+  }));
+
+  app.post('/chat', async (req, res) => {
+    const { message, sessionId = null, options = {} } = req.body || {};
+
+    // Stop the model call if the client gives up before the answer is ready
+    const controller = new AbortController();
+    res.on('close', () => {
+      if (!res.writableFinished) controller.abort();
+    });
+
+    const result = await chatbot.generateResponse(message, sessionId, {
+      ...chatOptions(req, options),
+      signal: controller.signal
+    });
+    if (!res.writableEnded) sendResult(res, result);
+  });
+
+  // POST for fetch-based clients, GET (query string) for browser EventSource
+  app.post('/chat/stream', (req, res) => streamChat(chatbot, req, res, req.body || {}));
+  app.get('/chat/stream', (req, res) => streamChat(chatbot, req, res, {
+    message: req.query.message,
+    sessionId: req.query.sessionId,
+    options: {
+      useContext: req.query.useContext === 'true',
+      bypassCache: req.query.bypassCache === 'true',
+      ...(req.query.profile ? { profile: req.query.profile } : {}),
+      ...(req.query.language ? { language: req.query.language } : {}),
+      ...(req.query.intake !== undefined ? { intake: req.query.intake === 'true' } : {})
+    }
+  }));
+
+  app.get('/health', async (req, res) => {
+    const health = await chatbot.healthCheck();
+    res.status(health.status === 'healthy' ? 200 : 503).json(health);
+  });
+
+  app.get('/metrics', (req, res) => {
+    res.json(chatbot.getMetrics());
+  });
+
+  app.delete('/sessions/:id', (req, res) => {
+    chatbot.clearConversationHistory(req.params.id);
+    res.json({
+      success: true,
+      sessionId: req.params.id,
+      timestamp: new Date().toISOString()
+    });
+  });
+
+  app.get('/sessions/:id/intake', (req, res) => {
+    const intake = chatbot.getIntake(req.params.id);
+    if (!intake) {
+      return sendError(res, new Error(I18n.t(config.catCare.defaultLanguage, 'errors.noIntake', { sessionId: req.params.id })), {
+        code: 'NOT_FOUND'
+      });
+    }
+
+    res.json({
+      success: true,
+      sessionId: req.params.id,
+      intake,
+      timestamp: new Date().toISOString()
+    });
+  });
+
+  app.delete('/cache', async (req, res) => {
+    await chatbot.clearCache();
+    res.json({
+      success: true,
+      timestamp: new Date().toISOString()
+    });
+  });
+
+  app.use((req, res) => {
+    sendError(res, new Error(I18n.t(config.catCare.defaultLanguage, 'errors.notFound', { method: req.method, path: req.path })), {
+      code: 'NOT_FOUND'
+    });
+  });
+
+  // Malformed JSON bodies and any unexpected route failure end up here
+  app.use((error, req, res, next) => {
+    if (res.headersSent) {
+      return next(error);
+    }
+
+    if (error.type === 'entity.parse.failed' || error.type === 'entity.too.large') {
+      return sendError(res, new Error(I18n.t(config.catCare.defaultLanguage, 'errors.malformedRequest')), {
+        code: 'INVALID_INPUT',
+        parseError: error.message
+      });
+    }
+
+    sendError(res, error, { path: req.path });
+  });
+
+  return app;
+}
+
+/**
+ * Initialize the chatbot and start listening
+ */
+async function startServer(chatbot = defaultChatbot, port = config.server.port) {
+  await chatbot.initialize();
+
+  const app = createServer(chatbot);
+  const server = app.listen(port, () => {
+    logger.info('PurrPal API server listening', { port: server.address().port });
+  });
+
+  const shutdown = async signal => {
+    logger.info('Shutting down PurrPal API server', { signal });
+    server.close();
+    await chatbot.shutdown();
+    process.exit(0);
+  };
+
+  process.once('SIGINT', shutdown);
+  process.once('SIGTERM', shutdown);
+
+  return server;
+}
+
+module.exports = {
+  createServer,
+  startServer
+};
+
+if (require.main === module) {
+  startServer().catch(error => {
+    console.error('❌ Server failed to start:', error.message);
+    process.exit(1);
+  });
+}
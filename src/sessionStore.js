@@ -0,0 +1,248 @@
+const fs = require('fs');
+const path = require('path');
+const config = require('./config');
+const { logger } = require('./utils');
+
+/**
+ * In-memory session store with LRU ordering, idle TTL and a max-sessions cap.
+ *
+ * Exposes a Map-like synchronous API (get/set/has/delete/clear/size) so it can
+ * stand in for the plain Map the chatbot used before.
+ *
+ * Options:
+ * - ttlMs: idle time after which a session expires (0 disables expiry)
+ * - maxSessions: least recently used sessions are evicted beyond this cap
+ * - sweepIntervalMs: how often expired sessions are pruned in the background
+ * - onEvict: (sessionId, session, reason) hook called before a session is dropped
+ *   for 'expired' or 'capacity', e.g. to export it elsewhere
+ */
+class MemorySessionStore {
+  constructor(options = {}) {
+    this.ttlMs = options.ttlMs !== undefined ? options.ttlMs : config.sessions.ttlMinutes * 60 * 1000;
+    this.maxSessions = options.maxSessions || config.sessions.maxSessions;
+    this.onEvict = options.onEvict || null;
+    this.entries = new Map();
+
+    const sweepIntervalMs = options.sweepIntervalMs || 60 * 1000;
+    this.sweepTimer = this.ttlMs > 0 ? setInterval(() => this.prune(), sweepIntervalMs) : null;
+    if (this.sweepTimer && this.sweepTimer.unref) this.sweepTimer.unref();
+  }
+
+  get size() {
+    return this.entries.size;
+  }
+
+  get(sessionId) {
+    const entry = this.entries.get(sessionId);
+    if (!entry) return undefined;
+
+    if (this._isExpired(entry)) {
+      this._evict(sessionId, entry, 'expired');
+      return undefined;
+    }
+
+    // Re-insert to mark as most recently used
+    entry.lastAccessedAt = Date.now();
+    this.entries.delete(sessionId);
+    this.entries.set(sessionId, entry);
+    return entry.session;
+  }
+
+  has(sessionId) {
+    return this.get(sessionId) !== undefined;
+  }
+
+  set(sessionId, session) {
+    this.entries.delete(sessionId);
+    this.entries.set(sessionId, { session, lastAccessedAt: Date.now() });
+
+    while (this.entries.size > this.maxSessions) {
+      const [oldestId, oldestEntry] = this.entries.entries().next().value;
+      this._evict(oldestId, oldestEntry, 'capacity');
+    }
+
+    this._changed();
+    return this;
+  }
+
+  delete(sessionId) {
+    const deleted = this.entries.delete(sessionId);
+    if (deleted) this._changed();
+    return deleted;
+  }
+
+  clear() {
+    this.entries.clear();
+    this._changed();
+  }
+
+  keys() {
+    return this.entries.keys();
+  }
+
+  /**
+   * Drop every session that has been idle longer than the TTL
+   */
+  prune() {
+    let expiredCount = 0;
+
+    for (const [sessionId, entry] of this.entries) {
+      if (this._isExpired(entry)) {
+        this._evict(sessionId, entry, 'expired');
+        expiredCount++;
+      }
+    }
+
+    if (expiredCount > 0) {
+      logger.info('Expired sessions pruned', { expiredCount, remainingSessions: this.entries.size });
+    }
+
+    return expiredCount;
+  }
+
+  /**
+   * Snapshot of all live sessions, suitable for JSON serialisation
+   */
+  export() {
+    return {
+      version: 1,
+      exportedAt: new Date().toISOString(),
+      sessions: [...this.entries]
+        .filter(([, entry]) => !this._isExpired(entry))
+        .map(([id, entry]) => ({ id, lastAccessedAt: entry.lastAccessedAt, session: entry.session }))
+    };
+  }
+
+  /**
+   * Load sessions from an export() snapshot, skipping ones that already expired
+   */
+  import(snapshot) {
+    if (!snapshot || !Array.isArray(snapshot.sessions)) return 0;
+
+    let imported = 0;
+    for (const { id, lastAccessedAt, session } of snapshot.sessions) {
+      const entry = { session, lastAccessedAt: lastAccessedAt || Date.now() };
+      if (this._isExpired(entry)) continue;
+
+      this.entries.set(id, entry);
+      imported++;
+    }
+
+    while (this.entries.size > this.maxSessions) {
+      this.entries.delete(this.entries.keys().next().value);
+    }
+
+    return imported;
+  }
+
+  async close() {
+    if (this.sweepTimer) clearInterval(this.sweepTimer);
+    this.entries.clear();
+  }
+
+  _isExpired(entry) {
+    return this.ttlMs > 0 && Date.now() - entry.lastAccessedAt > this.ttlMs;
+  }
+
+  _evict(sessionId, entry, reason) {
+    this.entries.delete(sessionId);
+    logger.debug('Session evicted', { sessionId, reason });
+
+    if (this.onEvict) {
+      try {
+        this.onEvict(sessionId, entry.session, reason);
+      } catch (error) {
+        logger.warn('Session evict hook failed', { sessionId, error: error.message });
+      }
+    }
+
+    this._changed();
+  }
+
+  _changed() {}
+}
+
+/**
+ * Session store persisted to a JSON file so consultations survive restarts.
+ * Writes are debounced and atomic (temp file + rename); close() flushes.
+ *
+ * Extra options:
+ * - filePath: JSON file location
+ * - flushDelayMs: debounce delay for writes
+ */
+class FileSessionStore extends MemorySessionStore {
+  constructor(options = {}) {
+    super(options);
+    this.filePath = path.resolve(options.filePath || config.sessions.filePath);
+    this.flushDelayMs = options.flushDelayMs !== undefined ? options.flushDelayMs : 1000;
+    this.flushTimer = null;
+
+    this._load();
+  }
+
+  flush() {
+    if (this.flushTimer) {
+      clearTimeout(this.flushTimer);
+      this.flushTimer = null;
+    }
+
+    try {
+      fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+      const tmpPath = `${this.filePath}.tmp`;
+      fs.writeFileSync(tmpPath, JSON.stringify(this.export()));
+      fs.renameSync(tmpPath, this.filePath);
+    } catch (error) {
+      logger.error('Failed to persist sessions', { filePath: this.filePath, error: error.message });
+    }
+  }
+
+  async close() {
+    if (this.sweepTimer) clearInterval(this.sweepTimer);
+    this.flush();
+    this.entries.clear();
+  }
+
+  _load() {
+    if (!fs.existsSync(this.filePath)) return;
+
+    try {
+      const snapshot = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+      const imported = this.import(snapshot);
+      logger.info('Sessions restored from disk', { filePath: this.filePath, imported });
+    } catch (error) {
+      logger.error('Failed to restore sessions, starting empty', {
+        filePath: this.filePath,
+        error: error.message
+      });
+    }
+  }
+
+  _changed() {
+    if (this.flushTimer) return;
+
+    this.flushTimer = setTimeout(() => this.flush(), this.flushDelayMs);
+    if (this.flushTimer.unref) this.flushTimer.unref();
+  }
+}
+
+const storeTypes = {
+  memory: MemorySessionStore,
+  file: FileSessionStore
+};
+
+/**
+ * Create a session store from its config name
+ */
+function createSessionStore(type = config.sessions.store, options = {}) {
+  const StoreClass = storeTypes[type];
+  if (!StoreClass) {
+    throw new Error(`Unknown session store: ${type}. Available: ${Object.keys(storeTypes).join(', ')}`);
+  }
+  return new StoreClass(options);
+}
+
+module.exports = {
+  MemorySessionStore,
+  FileSessionStore,
+  createSessionStore
+};
@@ -0,0 +1,107 @@
+/**
+ * Normalisation of informal Indonesian text and a local similarity score,
+ * used to match near-duplicate questions without calling the model.
+ */
+
+// Informal spellings mapped to their standard form
+const SLANG = {
+  gak: 'tidak', ga: 'tidak', gk: 'tidak', nggak: 'tidak', ngga: 'tidak', enggak: 'tidak',
+  engga: 'tidak', tdk: 'tidak', ndak: 'tidak', kagak: 'tidak', tak: 'tidak',
+  udah: 'sudah', udh: 'sudah', sdh: 'sudah', dah: 'sudah',
+  blm: 'belum', belom: 'belum',
+  pengen: 'ingin', pgn: 'ingin', pingin: 'ingin',
+  knp: 'kenapa', napa: 'kenapa', mengapa: 'kenapa',
+  gmn: 'bagaimana', gimana: 'bagaimana', gmna: 'bagaimana',
+  brp: 'berapa',
+  yg: 'yang', dgn: 'dengan', utk: 'untuk', buat: 'untuk',
+  aja: 'saja', lg: 'lagi', trs: 'terus', jd: 'jadi', krn: 'karena', karna: 'karena',
+  bgt: 'banget', bener: 'benar', cuma: 'hanya', cuman: 'hanya',
+  mkn: 'makan', mnm: 'minum', nafas: 'napas', bernafas: 'napas', bernapas: 'napas',
+  mutah: 'muntah', mencret: 'diare',
+  kcg: 'kucing', meong: 'kucing',
+  drh: 'dokter', vet: 'dokter'
+};
+
+// Filler words that do not change what is being asked
+const STOPWORDS = new Set([
+  'saya', 'aku', 'gue', 'gua', 'gw', 'kami', 'kita', 'anda', 'kamu',
+  'ini', 'itu', 'yang', 'dan', 'atau', 'di', 'ke', 'dari', 'pada', 'dengan', 'untuk',
+  'ya', 'sih', 'dong', 'deh', 'kok', 'nih', 'tuh', 'lah', 'kah', 'pun', 'kak', 'min', 'dok',
+  'halo', 'hai', 'hi', 'tolong', 'mohon', 'bantu', 'juga', 'banget', 'sangat', 'sekali',
+  'saja', 'apa', 'apakah', 'adalah', 'ada', 'jadi', 'nya'
+]);
+
+// Words that flip or quantify the meaning; questions only match if these agree
+const NEGATIONS = new Set(['tidak', 'belum', 'bukan', 'jangan']);
+
+const SUFFIXES = ['nya', 'ku', 'mu'];
+const MIN_STEM_LENGTH = 4;
+
+class TextNormalizer {
+  /**
+   * Lowercase, strip punctuation, expand slang and drop possessive suffixes
+   */
+  static tokenize(text) {
+    if (typeof text !== 'string') return [];
+
+    return text
+      .toLowerCase()
+      .replace(/[^a-z0-9\s]/g, ' ')
+      .split(/\s+/)
+      .filter(Boolean)
+      .map(token => this.normalizeToken(token));
+  }
+
+  static normalizeToken(token) {
+    if (SLANG[token]) return SLANG[token];
+
+    for (const suffix of SUFFIXES) {
+      const stem = token.slice(0, -suffix.length);
+      if (token.endsWith(suffix) && stem.length >= MIN_STEM_LENGTH) {
+        return SLANG[stem] || stem;
+      }
+    }
+
+    return token;
+  }
+
+  /**
+   * Tokens that carry the meaning of a question (stopwords removed)
+   */
+  static contentTokens(text) {
+    return this.tokenize(text).filter(token => !STOPWORDS.has(token));
+  }
+
+  /**
+   * Dice coefficient over content tokens (0..1). Questions that disagree on
+   * negations or numbers ("tidak mau makan" vs "mau makan", "2 bulan" vs
+   * "5 bulan") never match.
+   */
+  static similarity(a, b) {
+    const tokensA = new Set(Array.isArray(a) ? a : this.contentTokens(a));
+    const tokensB = new Set(Array.isArray(b) ? b : this.contentTokens(b));
+    if (tokensA.size === 0 || tokensB.size === 0) return 0;
+
+    if (!this._sameCriticalTokens(tokensA, tokensB)) return 0;
+
+    let shared = 0;
+    for (const token of tokensA) {
+      if (tokensB.has(token)) shared++;
+    }
+
+    return (2 * shared) / (tokensA.size + tokensB.size);
+  }
+
+  static _sameCriticalTokens(tokensA, tokensB) {
+    const critical = tokens => [...tokens]
+      .filter(token => NEGATIONS.has(token) || /\d/.test(token))
+      .sort()
+      .join(' ');
+
+    return critical(tokensA) === critical(tokensB);
+  }
+}
+
+module.exports = {
+  TextNormalizer
+};
@@ -0,0 +1,127 @@
+const config = require('./config');
+const { TextNormalizer } = require('./textNormalizer');
+const { I18n } = require('./i18n');
+
+/**
+ * Words that make a message a cat question, whatever else it mentions
+ * ("apakah makanan anjing aman untuk kucing?"). Phrases are matched against
+ * normalised tokens (see textNormalizer.js), so "kucingku" and "meong" count.
+ */
+const CAT_TERMS = [
+  'kucing', 'kitten', 'kitty', 'cat', 'cats', 'kocheng', 'catnip',
+  'persia', 'anggora', 'maine coon', 'ragdoll', 'british shorthair', 'sphynx', 'scottish fold',
+  'pasir kucing', 'litter box', 'whiskas', 'royal canin'
+];
+
+/**
+ * Other animals. Questions about them get a scoped "consult a vet" answer,
+ * since cat advice (medication and doses especially) does not carry over.
+ */
+const OTHER_PETS = [
+  { id: 'dog', label: 'anjing', terms: ['anjing', 'guguk', 'puppy', 'dog', 'dogs', 'doggy', 'golden retriever', 'husky', 'pomeranian', 'chihuahua', 'pitbull'] },
+  { id: 'rabbit', label: 'kelinci', terms: ['kelinci', 'rabbit', 'bunny'] },
+  { id: 'rodent', label: 'hewan pengerat', terms: ['hamster', 'marmut', 'guinea pig', 'tikus putih', 'sugar glider'] },
+  { id: 'bird', label: 'burung', terms: ['burung', 'bird', 'lovebird', 'kenari', 'beo', 'parkit', 'kakatua', 'merpati'] },
+  { id: 'fish', label: 'ikan hias', terms: ['ikan hias', 'ikan cupang', 'cupang', 'ikan koi', 'koi', 'ikan mas koki', 'akuarium', 'aquarium'] },
+  { id: 'reptile', label: 'reptil', terms: ['reptil', 'kura kura', 'ular', 'iguana', 'kadal', 'gecko', 'tokek', 'bunglon'] },
+  { id: 'ferret', label: 'musang', terms: ['musang', 'ferret'] }
+];
+
+/**
+ * Subjects PurrPal politely declines. Only clear matches are redirected;
+ * anything unclear (greetings, symptoms without an animal) goes to the model,
+ * whose persona keeps it on cat care. Words that also appear in cat questions
+ * ("bahan kimia", "bola rambut") are left out on purpose.
+ */
+const OFF_TOPIC_CATEGORIES = [
+  { id: 'homework', label: 'tugas sekolah atau kuliah', terms: ['pr', 'tugas sekolah', 'pekerjaan rumah', 'homework', 'matematika', 'fisika', 'rumus', 'skripsi', 'makalah', 'esai', 'essay', 'soal ujian'] },
+  { id: 'politics', label: 'politik', terms: ['politik', 'pemilu', 'pilkada', 'pilpres', 'presiden', 'capres', 'partai', 'dpr', 'menteri', 'election'] },
+  { id: 'finance', label: 'keuangan dan investasi', terms: ['saham', 'kripto', 'crypto', 'bitcoin', 'investasi', 'forex', 'pinjol', 'reksadana'] },
+  { id: 'technology', label: 'teknologi dan pemrograman', terms: ['coding', 'pemrograman', 'programming', 'javascript', 'python', 'html', 'sql', 'kode program'] },
+  { id: 'cooking', label: 'resep masakan', terms: ['resep masakan', 'cara memasak', 'resep kue', 'recipe'] },
+  { id: 'entertainment', label: 'hiburan', terms: ['film', 'drakor', 'anime', 'lirik lagu', 'sepak bola', 'game'] }
+];
+
+const phrase = term => ` ${TextNormalizer.tokenize(term).join(' ')} `;
+const CAT_PHRASES = CAT_TERMS.map(phrase);
+
+/**
+ * Keyword topic classification run before generation
+ */
+class TopicClassifier {
+  static get otherPets() {
+    return OTHER_PETS;
+  }
+
+  static get offTopicCategories() {
+    return OFF_TOPIC_CATEGORIES;
+  }
+
+  /**
+   * Classify a message. Returns { type, category, label }, where type is
+   * 'cat', 'other-pet', 'off-topic' or 'general' (unclear, answered by the
+   * model) and category the animal or subject id.
+   *
+   * In a session already about a cat (session.subject, see conversation.js),
+   * a message naming another animal is a follow-up ("apakah dia boleh makan
+   * makanan anjing?") and classifies as 'cat' with followUp: true.
+   */
+  static classify(text, session = null) {
+    const topic = this._classifyText(text);
+    if (topic.type === 'other-pet' && session && session.subject === 'cat') {
+      return { type: 'cat', category: 'cat', label: 'kucing', followUp: true };
+    }
+    return topic;
+  }
+
+  /**
+   * Whether the message is answered here instead of by the model. A message
+   * that triages as serious or emergency is never brushed off as off-topic.
+   */
+  static redirects(topic, triage = { urgencyLevel: 'normal' }) {
+    if (!config.topics.enabled) return false;
+    if (topic.type === 'other-pet') return true;
+    return topic.type === 'off-topic' && triage.urgencyLevel === 'normal';
+  }
+
+  /**
+   * Reply for a redirected message in the given language. Other pets get a
+   * pointer to a vet, with urgency matching the triage of the message.
+   */
+  static reply(topic, triage = { urgencyLevel: 'normal' }, language = config.catCare.defaultLanguage) {
+    const label = I18n.t(language, `topics.labels.${topic.category}`);
+    if (topic.type === 'off-topic') {
+      return I18n.t(language, 'topics.offTopic', { label });
+    }
+
+    const urgency = ['emergency', 'serious'].includes(triage.urgencyLevel) ? triage.urgencyLevel : 'normal';
+    return [
+      I18n.t(language, 'topics.otherPet', { label }),
+      I18n.t(language, `topics.urgency.${urgency}`, { label }),
+      I18n.t(language, 'topics.closing')
+    ].join('\n\n');
+  }
+
+  static _classifyText(text) {
+    const normalized = ` ${TextNormalizer.tokenize(text).join(' ')} `;
+    const mentions = terms => terms.some(term => normalized.includes(phrase(term)));
+
+    if (CAT_PHRASES.some(catPhrase => normalized.includes(catPhrase))) {
+      return { type: 'cat', category: 'cat', label: 'kucing' };
+    }
+
+    const pet = OTHER_PETS.find(candidate => mentions(candidate.terms));
+    if (pet) return { type: 'other-pet', category: pet.id, label: pet.label };
+
+    const subject = OFF_TOPIC_CATEGORIES.find(candidate => mentions(candidate.terms));
+    if (subject) return { type: 'off-topic', category: subject.id, label: subject.label };
+
+    return { type: 'general', category: 'general', label: 'umum' };
+  }
+}
+
+module.exports = {
+  TopicClassifier,
+  OTHER_PETS,
+  OFF_TOPIC_CATEGORIES
+};
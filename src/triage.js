@@ -0,0 +1,394 @@
+const config = require('./config');
+const logger = require('./logger');
+const { TextNormalizer } = require('./textNormalizer');
+
+// Variants for a phrase followed by each place ("darah di" + "urin" -> "darah di urin")
+const inPlaces = (phrase, places, weight) => places.map(place => [`${phrase} ${place}`, weight]);
+
+/**
+ * Symptom rules. Each symptom fires at most once, with the weight of its
+ * strongest matching variant. Phrases are matched against normalised tokens
+ * (slang expanded, e.g. "ga napas" -> "tidak napas"), so write Indonesian
+ * phrases in standard Indonesian. The English, Javanese and Sundanese
+ * phrases that follow carry the same weights; "can't" is written "can t",
+ * the way the tokenizer splits it.
+ */
+const SYMPTOM_RULES = [
+  // Emergencies
+  {
+    id: 'not-breathing',
+    variants: [
+      ['tidak napas', 10], ['tidak bisa napas', 10], ['henti napas', 10], ['megap megap', 10], ['ngap ngapan', 10], ['napas mulut', 10],
+      ['not breathing', 10], ['stopped breathing', 10], ['can t breathe', 10], ['gasping', 10], ['open mouth breathing', 10],
+      ['ora ambegan', 10], ['ora iso ambegan', 10], ['mangap mangap', 10],
+      ['teu ngambekan', 10], ['teu tiasa ngambekan', 10]
+    ]
+  },
+  { id: 'seizure', variants: [['kejang', 10], ['kelojotan', 10], ['seizure', 10], ['seizures', 10], ['convulsing', 10], ['convulsions', 10], ['kejet kejet', 10], ['sawan', 10]] },
+  {
+    id: 'unconscious',
+    variants: [
+      ['pingsan', 10], ['tidak sadar', 10], ['tidak sadarkan diri', 10],
+      ['unconscious', 10], ['passed out', 10], ['fainted', 10], ['unresponsive', 10],
+      ['semaput', 10], ['ora sadar', 10], ['kapiuhan', 10], ['teu sadar', 10]
+    ]
+  },
+  {
+    id: 'bleeding',
+    variants: [
+      ['muntah darah', 10], ['diare berdarah', 10], ['berak darah', 10], ['pipis darah', 10], ['kencing darah', 10],
+      ['pipis berdarah', 10], ['kencing berdarah', 10], ['urin berdarah', 10], ['feses berdarah', 10], ['kotoran berdarah', 10],
+      ['pendarahan', 10], ['perdarahan', 10], ['berdarah', 10], ['mimisan', 10], ['ada darah', 10], ['keluar darah', 10],
+      ...inPlaces('darah di', ['urin', 'pipis', 'kencing', 'kotoran', 'feses', 'tinja', 'muntahan', 'mulut', 'hidung'], 10),
+      ['vomiting blood', 10], ['throwing up blood', 10], ['coughing up blood', 10], ['peeing blood', 10], ['pooping blood', 10],
+      ['bloody diarrhea', 10], ['bloody stool', 10], ['bloody urine', 10], ['bloody vomit', 10], ['bleeding', 10], ['nosebleed', 10],
+      ['there is blood', 10], ['there s blood', 10],
+      ...['', 'the ', 'his ', 'her ', 'its '].flatMap(owner =>
+        inPlaces(`blood in ${owner}`.trim(), ['urine', 'pee', 'stool', 'poop', 'vomit', 'diarrhea', 'litter box'], 10)),
+      ['getihen', 10], ['getihan', 10], ['mutah getih', 10], ['nguyuh getih', 10], ['ngising getih', 10], ['metu getih', 10], ['ana getih', 10],
+      ['utah getih', 10], ['kiih getih', 10], ['kaluar getih', 10], ['aya getih', 10],
+      // A bare mention ("cek darah", "blood test") says nothing about bleeding
+      ['darah', 3], ['blood', 3], ['getih', 3]
+    ]
+  },
+  { id: 'poisoning', variants: [['keracunan', 10], ['racun', 10], ['poisoned', 10], ['poisoning', 10], ['poison', 10], ['karacunan', 10]] },
+  {
+    id: 'collapse',
+    variants: [
+      ['lemas sekali', 10], ['lemas banget', 10], ['sangat lemas', 10], ['tidak bisa berdiri', 10],
+      ['collapsed', 10], ['very weak', 10], ['can t stand', 10],
+      ['lemes banget', 10], ['ora iso ngadeg', 10], ['lemes pisan', 10], ['teu tiasa nangtung', 10]
+    ]
+  },
+  {
+    id: 'urinary-blockage',
+    variants: [
+      ['tidak bisa pipis', 10], ['tidak bisa kencing', 10], ['susah pipis', 6], ['susah kencing', 6],
+      ['can t pee', 10], ['can t urinate', 10], ['straining to pee', 6], ['straining to urinate', 6],
+      ['ora iso nguyuh', 10], ['angel nguyuh', 6], ['teu tiasa kiih', 10], ['hese kiih', 6]
+    ]
+  },
+  {
+    id: 'trauma',
+    variants: [
+      ['tertabrak', 10], ['ketabrak', 10], ['jatuh dari', 6],
+      ['hit by a car', 10], ['run over', 10], ['fell from', 6],
+      ['katabrak', 10], ['tiba saka', 6], ['ragrag ti', 6]
+    ]
+  },
+  // "Is it an emergency if...?" asks about urgency rather than reporting it, so
+  // the bare words only add to real symptoms. They stay listed (as do "darah"
+  // and "blood" above) so the config keywords don't add them back at full weight.
+  { id: 'explicit-emergency', variants: [['gawat darurat', 10], ['darurat', 3], ['emergency', 3], ['urgent', 3]] },
+
+  // Serious symptoms
+  {
+    id: 'breathing-difficulty',
+    variants: [
+      ['sesak napas', 6], ['susah napas', 6], ['napas berat', 6],
+      ['trouble breathing', 6], ['difficulty breathing', 6], ['breathing hard', 6],
+      ['angel ambegan', 6], ['hese ngambekan', 6]
+    ]
+  },
+  {
+    id: 'not-eating',
+    variants: [
+      ['tidak mau makan', 5], ['tidak makan', 5], ['nafsu makan hilang', 5],
+      ['not eating', 5], ['won t eat', 5], ['stopped eating', 5], ['no appetite', 5],
+      ['ora gelem mangan', 5], ['ora mangan', 5], ['emoh mangan', 5],
+      ['teu daek dahar', 5], ['teu dahar', 5], ['embung dahar', 5]
+    ]
+  },
+  {
+    id: 'not-drinking',
+    variants: [
+      ['tidak mau minum', 5], ['tidak minum', 5],
+      ['not drinking', 5], ['won t drink', 5], ['stopped drinking', 5],
+      ['ora gelem ngombe', 5], ['ora ngombe', 5], ['teu daek nginum', 5], ['teu nginum', 5]
+    ]
+  },
+  { id: 'fever', variants: [['demam tinggi', 5], ['demam', 3], ['panas badan', 3], ['high fever', 5], ['fever', 3], ['sumeng', 3], ['muriang', 3]] },
+  {
+    id: 'vomiting',
+    variants: [
+      ['muntah terus', 5], ['muntah', 3],
+      ['keeps vomiting', 5], ['vomiting', 3], ['vomited', 3], ['vomit', 3], ['throwing up', 3],
+      ['utah utahan', 5], ['utah', 3]
+    ]
+  },
+  { id: 'diarrhea', variants: [['diare parah', 5], ['diare', 3], ['severe diarrhea', 5], ['diarrhea', 3], ['diarrhoea', 3]] },
+  { id: 'swelling', variants: [['bengkak', 4], ['swollen', 4], ['swelling', 4], ['abuh', 4], ['bareuh', 4]] },
+  { id: 'wound', variants: [['luka parah', 5], ['luka', 2], ['deep wound', 5], ['wound', 2], ['injured', 2], ['tatu', 2], ['raheut', 2]] },
+  { id: 'lethargy', variants: [['lemas', 4], ['lesu', 4], ['lethargic', 4], ['listless', 4], ['weak', 4], ['lemes', 4], ['leuleus', 4]] }
+];
+
+/**
+ * Rules that look at the combination of fired symptoms (and context words)
+ * and either add to the score or force a level.
+ */
+const ESCALATION_RULES = [
+  {
+    id: 'multiple-serious-symptoms',
+    description: 'Tiga gejala serius atau lebih sekaligus',
+    applies: ({ symptoms }) => symptoms.filter(symptom => symptom.level === 'serious').length >= 3,
+    escalateTo: 'emergency'
+  },
+  {
+    id: 'not-eating-and-drinking',
+    description: 'Tidak makan dan tidak minum',
+    applies: ({ symptomIds }) => symptomIds.has('not-eating') && symptomIds.has('not-drinking'),
+    escalateTo: 'emergency'
+  },
+  {
+    id: 'vomiting-and-diarrhea',
+    description: 'Muntah disertai diare (risiko dehidrasi)',
+    applies: ({ symptomIds }) => symptomIds.has('vomiting') && symptomIds.has('diarrhea'),
+    bonus: 3
+  },
+  {
+    id: 'vulnerable-cat',
+    description: 'Anak kucing atau kucing tua dengan gejala',
+    applies: ({ symptoms, text }) => symptoms.length > 0 &&
+      /\b(anak kucing|bayi kucing|kitten|kucing tua|kucing senior|lansia|senior cat|old cat|kucing tuwa|anak ucing|ucing kolot)\b/.test(text),
+    bonus: 3
+  },
+  {
+    id: 'prolonged-symptoms',
+    description: 'Gejala sudah berlangsung lama',
+    applies: ({ symptoms, text }) => symptoms.length > 0 &&
+      /\b(\d+\s*(hari|minggu|days?|weeks?|dina|poe)|berhari|seminggu|lebih dari 24 jam)\b/.test(text),
+    bonus: 2
+  }
+];
+
+// Words that negate a symptom mentioned shortly after them ("tidak ada darah",
+// "no blood", "ora ana getih", "teu aya getih"); "doesn't" tokenizes as "doesn t"
+const NEGATION_WORDS = new Set([
+  'tidak', 'bukan', 'belum', 'tanpa', 'jangan',
+  'no', 'not', 'never', 'without', 'doesn', 'don', 'didn', 'isn', 'hasn', 'wasn',
+  'ora', 'ra', 'mboten', 'dudu', 'durung',
+  'teu', 'henteu', 'sanes', 'acan'
+]);
+
+// Words that end a negation's scope ("tidak makan dan muntah" still has muntah)
+const SCOPE_BREAKERS = new Set([
+  'dan', 'serta', 'lalu', 'kemudian', 'sama', 'juga',
+  'and', 'then', 'also', 'lan', 'karo', 'banjur', 'sareng', 'jeung', 'teras', 'oge'
+]);
+
+const NEGATION_WINDOW = 3;
+const MIN_TYPO_LENGTH = 6;
+
+// Real words one edit away from a symptom word: "daging mentah" is raw meat,
+// not vomit, and a bent tail ("ekor bengkok") is not swollen
+const NOT_TYPOS = new Set(['mentah', 'bengkok', 'kencang', 'pinggan', 'breeding', 'prison', 'painted', 'smelling', 'spelling', 'dwelling', 'grasping']);
+
+const LEVEL_ORDER = ['normal', 'serious', 'emergency'];
+
+/**
+ * Urgency triage for cat health questions.
+ *
+ * assess(text) returns:
+ * - urgencyLevel: 'normal' | 'serious' | 'emergency'
+ * - score: sum of symptom weights plus escalation bonuses
+ * - symptoms: [{ id, level, weight, matched }]
+ * - explanation: every rule that fired, including negated mentions
+ * - hasEmergencyKeyword / hasSeriousSymptom for older callers
+ */
+class TriageEngine {
+  static assess(text) {
+    const clauses = this._clauses(text);
+    const symptoms = [];
+    const explanation = [];
+
+    for (const rule of this._rules()) {
+      const match = this._matchRule(rule, clauses);
+      if (!match) continue;
+
+      if (match.negated) {
+        explanation.push({ rule: rule.id, type: 'negated', matched: match.phrase });
+        continue;
+      }
+
+      const symptom = {
+        id: rule.id,
+        level: match.weight >= this.thresholds().emergency ? 'emergency' : 'serious',
+        weight: match.weight,
+        matched: match.phrase
+      };
+      symptoms.push(symptom);
+      explanation.push({ rule: rule.id, type: 'symptom', matched: match.phrase, weight: match.weight });
+    }
+
+    let score = symptoms.reduce((total, symptom) => total + symptom.weight, 0);
+    let forcedLevel = 'normal';
+
+    const context = {
+      symptoms,
+      symptomIds: new Set(symptoms.map(symptom => symptom.id)),
+      text: clauses.map(clause => clause.join(' ')).join(' ')
+    };
+
+    for (const rule of ESCALATION_RULES) {
+      if (!rule.applies(context)) continue;
+
+      if (rule.bonus) score += rule.bonus;
+      if (rule.escalateTo && LEVEL_ORDER.indexOf(rule.escalateTo) > LEVEL_ORDER.indexOf(forcedLevel)) {
+        forcedLevel = rule.escalateTo;
+      }
+
+      explanation.push({
+        rule: rule.id,
+        type: 'escalation',
+        description: rule.description,
+        ...(rule.bonus ? { bonus: rule.bonus } : {}),
+        ...(rule.escalateTo ? { escalateTo: rule.escalateTo } : {})
+      });
+    }
+
+    const urgencyLevel = this._higherLevel(this._levelForScore(score), forcedLevel);
+
+    const result = {
+      urgencyLevel,
+      score,
+      symptoms,
+      explanation,
+      hasEmergencyKeyword: symptoms.some(symptom => symptom.level === 'emergency'),
+      hasSeriousSymptom: symptoms.some(symptom => symptom.level === 'serious')
+    };
+
+    if (explanation.length > 0) {
+      logger.debug('Triage assessed', {
+        urgencyLevel,
+        score,
+        rules: explanation.map(entry => `${entry.type}:${entry.rule}`)
+      });
+    }
+
+    return result;
+  }
+
+  static thresholds() {
+    const { emergencyThreshold, seriousThreshold } = config.catCare.triage;
+    return { emergency: emergencyThreshold, serious: seriousThreshold };
+  }
+
+  /**
+   * Built-in rules plus any config keywords they don't already cover
+   */
+  static _rules() {
+    const known = new Set();
+    for (const rule of SYMPTOM_RULES) {
+      for (const [phrase] of rule.variants) known.add(this._normalizePhrase(phrase));
+    }
+
+    const extra = [
+      ...config.catCare.emergencyKeywords.map(keyword => [keyword, this.thresholds().emergency]),
+      ...config.catCare.seriousSymptoms.map(keyword => [keyword, this.thresholds().serious])
+    ]
+      .filter(([keyword]) => !known.has(this._normalizePhrase(keyword)))
+      .map(([keyword, weight]) => ({ id: `keyword:${keyword}`, variants: [[keyword, weight]] }));
+
+    return [...SYMPTOM_RULES, ...extra];
+  }
+
+  /**
+   * Strongest variant of a rule found in the text. A rule only counts as
+   * negated when every mention of it is negated.
+   */
+  static _matchRule(rule, clauses) {
+    let best = null;
+    let negatedPhrase = null;
+
+    for (const [phrase, weight] of rule.variants) {
+      const phraseTokens = this._normalizePhrase(phrase).split(' ');
+
+      for (const tokens of clauses) {
+        for (let start = 0; start + phraseTokens.length <= tokens.length; start++) {
+          if (!phraseTokens.every((token, offset) => this._tokensMatch(tokens[start + offset], token))) continue;
+
+          if (this._isNegated(tokens, start)) {
+            negatedPhrase = negatedPhrase || phrase;
+          } else if (!best || weight > best.weight) {
+            best = { phrase, weight };
+          }
+        }
+      }
+    }
+
+    if (best) return best;
+    return negatedPhrase ? { phrase: negatedPhrase, negated: true } : null;
+  }
+
+  static _isNegated(tokens, start) {
+    for (let index = start - 1; index >= Math.max(0, start - NEGATION_WINDOW); index--) {
+      if (SCOPE_BREAKERS.has(tokens[index])) return false;
+      if (NEGATION_WORDS.has(tokens[index])) return true;
+    }
+    return false;
+  }
+
+  /**
+   * Exact match, or a single-character typo for longer words ("kejangg", "pingsn")
+   * unless the word is a real one listed in NOT_TYPOS
+   */
+  static _tokensMatch(actual, expected) {
+    if (actual === expected) return true;
+    if (expected.length < MIN_TYPO_LENGTH || Math.abs(actual.length - expected.length) > 1) return false;
+    if (NOT_TYPOS.has(actual)) return false;
+    return this._editDistance(actual, expected) <= 1;
+  }
+
+  static _editDistance(a, b) {
+    let previous = Array.from({ length: b.length + 1 }, (_, index) => index);
+
+    for (let i = 1; i <= a.length; i++) {
+      const current = [i];
+      for (let j = 1; j <= b.length; j++) {
+        current[j] = Math.min(
+          previous[j] + 1,
+          current[j - 1] + 1,
+          previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+        );
+      }
+      previous = current;
+    }
+
+    return previous[b.length];
+  }
+
+  /**
+   * Split into clauses so negation never crosses a sentence or "tapi"/"but"
+   */
+  static _clauses(text) {
+    if (typeof text !== 'string') return [];
+
+    return text
+      .toLowerCase()
+      .split(/[.,;!?\n]+|\b(?:tapi|tetapi|namun|tp|but|nanging|namung)\b/)
+      .map(clause => TextNormalizer.tokenize(clause))
+      .filter(tokens => tokens.length > 0);
+  }
+
+  static _normalizePhrase(phrase) {
+    return TextNormalizer.tokenize(phrase).join(' ');
+  }
+
+  static _levelForScore(score) {
+    const { emergency, serious } = this.thresholds();
+    if (score >= emergency) return 'emergency';
+    if (score >= serious) return 'serious';
+    return 'normal';
+  }
+
+  static _higherLevel(a, b) {
+    return LEVEL_ORDER.indexOf(a) >= LEVEL_ORDER.indexOf(b) ? a : b;
+  }
+}
+
+module.exports = {
+  TriageEngine,
+  SYMPTOM_RULES,
+  ESCALATION_RULES,
+  NOT_TYPOS
+};
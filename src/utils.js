@@ -1,40 +1,39 @@
 const crypto = require('crypto');
-const winston = require('winston');
 const config = require('./config');
 
-// Configure logger
-const logger = winston.createLogger({
-  level: config.logging.level,
-  format: winston.format.combine(
-    winston.format.timestamp(),
-    winston.format.errors({ stack: true }),
-    winston.format.json(),
-    winston.format.printf(({ timestamp, level, message, ...meta }) => {
-      return `${timestamp} [${level.toUpperCase()}]: ${message} ${Object.keys(meta).length ? JSON.stringify(meta) : ''}`;
-    })
-  ),
-  defaultMeta: { service: 'purrpal-chatbot' },
-  transports: [
-    new winston.transports.Console({
-      format: winston.format.combine(
-        winston.format.colorize(),
-        winston.format.simple()
-      )
-    })
-  ]
-});
-
-// In-memory cache (for production, consider Redis)
-const cache = new Map();
-const cacheTimestamps = new Map();
-
-// Rate limiting store
-const rateLimitStore = new Map();
+const logger = require('./logger');
+const { createCacheBackend } = require('./cacheBackends');
+const { TextNormalizer } = require('./textNormalizer');
+const { createRateLimiter } = require('./rateLimiters');
+const { TriageEngine } = require('./triage');
+const { SymptomIntake } = require('./intake');
+const { PromptTemplates } = require('./promptTemplates');
+const { InjectionDetector } = require('./injection');
+const { I18n } = require('./i18n');
+const { ImageAttachments } = require('./images');
+
+// Script and markup injection. Plain punctuation and words such as "document."
+// in a pasted vet note are fine; only executable markup is rejected.
+const MARKUP_PATTERNS = [
+  /<\s*\/?\s*(script|iframe|object|embed|svg|style|link|meta|img)\b/i,
+  /\b(javascript|vbscript)\s*:/i,
+  /\bon(load|error|click|mouseover|focus|submit)\s*=/i,
+  /\bdocument\s*\.\s*(cookie|write|location|domain)\b/i,
+  /\bwindow\s*\.\s*(location|open)\b/i
+];
+
+// Shortest question accepted outside a symptom intake
+const MIN_INPUT_LENGTH = 3;
 
 /**
  * Input validation and sanitization
  */
 class InputValidator {
+  /**
+   * Normalise whitespace and drop control and zero-width characters.
+   * Punctuation is kept: "Royal Canin (kitten)" and "5% protein" reach the
+   * model as written; PromptManager escapes the text where it is embedded.
+   */
   static sanitizeInput(input) {
     if (typeof input !== 'string') {
       logger.warn('Invalid input type received', { inputType: typeof input });
@@ -49,192 +48,243 @@ class InputValidator {
       input = input.substring(0, config.security.maxInputLength);
     }
 
-    // Remove potentially harmful characters but preserve Indonesian characters
     const sanitized = input
       .trim()
-      .replace(/[<>\"'%;()&+]/g, '') // Remove potential XSS characters
       .replace(/\s+/g, ' ') // Normalize whitespace
-      .replace(/[\x00-\x08\x0B\x0C\x0E-\x1F\x7F]/g, ''); // Remove control characters
+      .replace(/[\x00-\x08\x0B\x0C\x0E-\x1F\x7F]/g, '') // Remove control characters
+      .replace(/[\u200B-\u200D\u2060\uFEFF]/g, ''); // Remove zero-width characters
 
     return sanitized;
   }
 
-  static validateInput(input) {
-    const errors = [];
-
-    if (!input || typeof input !== 'string') {
-      errors.push('Input harus berupa teks');
+  /**
+   * Check a message before it is processed. Returns
+   * { isValid, errors, reason, issues: [{ reason, message }], injection, sanitizedInput }
+   * where reason is the first problem found: not_text, too_short, too_long,
+   * markup or prompt_injection (null when valid), and injection is the
+   * InjectionDetector assessment. Messages are in the given language (see i18n.js).
+   * options.minLength overrides the minimum length.
+   */
+  static validateInput(input, language = config.catCare.defaultLanguage, options = {}) {
+    const issues = [];
+    const isText = !!input && typeof input === 'string';
+    // Replies to an intake question may be a single word ("ya")
+    const minLength = options.minLength !== undefined ? options.minLength : MIN_INPUT_LENGTH;
+
+    if (!isText) {
+      issues.push({ reason: 'not_text', message: I18n.t(language, 'validation.notText') });
     }
 
-    if (input && input.length < 3) {
-      errors.push('Pertanyaan terlalu pendek, minimal 3 karakter');
+    if (isText && input.length < minLength) {
+      issues.push({ reason: 'too_short', message: I18n.t(language, 'validation.tooShort', { min: minLength }) });
     }
 
-    if (input && input.length > config.security.maxInputLength) {
-      errors.push(`Pertanyaan terlalu panjang, maksimal ${config.security.maxInputLength} karakter`);
+    if (isText && input.length > config.security.maxInputLength) {
+      issues.push({
+        reason: 'too_long',
+        message: I18n.t(language, 'validation.tooLong', { max: config.security.maxInputLength })
+      });
     }
 
-    // Check for suspicious patterns
-    const suspiciousPatterns = [
-      /script/i,
-      /javascript/i,
-      /vbscript/i,
-      /onload/i,
-      /onerror/i,
-      /alert\(/i,
-      /document\./i,
-      /window\./i
-    ];
+    if (isText && config.security.blockSuspiciousContent && MARKUP_PATTERNS.some(pattern => pattern.test(input))) {
+      issues.push({ reason: 'markup', message: I18n.t(language, 'validation.markup') });
+      logger.warn('Suspicious content detected', { input: input.substring(0, 100) });
+    }
 
-    if (config.security.blockSuspiciousContent) {
-      const hasSuspiciousContent = suspiciousPatterns.some(pattern => pattern.test(input));
-      if (hasSuspiciousContent) {
-        errors.push('Input mengandung konten yang tidak diizinkan');
-        logger.warn('Suspicious content detected', { input: input.substring(0, 100) });
-      }
+    const injection = isText ? InjectionDetector.assess(input) : null;
+    if (injection && injection.flagged && config.security.blockPromptInjection) {
+      issues.push({ reason: 'prompt_injection', message: I18n.t(language, 'validation.promptInjection') });
+      logger.warn('Prompt injection detected', { score: injection.score, signals: injection.signals });
+    } else if (injection && injection.score > 0) {
+      logger.debug('Prompt injection signals below threshold', { score: injection.score, signals: injection.signals });
     }
 
     return {
-      isValid: errors.length === 0,
-      errors,
-      sanitizedInput: errors.length === 0 ? this.sanitizeInput(input) : null
+      isValid: issues.length === 0,
+      errors: issues.map(issue => issue.message),
+      reason: issues.length > 0 ? issues[0].reason : null,
+      issues,
+      injection,
+      sanitizedInput: issues.length === 0 ? this.sanitizeInput(input) : null
     };
   }
 }
 
 /**
- * Enhanced prompt engineering for cat care
+ * Enhanced prompt engineering for cat care. The wording lives in the
+ * versioned template files under prompts/ (see promptTemplates.js).
  */
 class PromptManager {
-  static createCatCarePrompt(userMessage) {
-    const emergencyKeywords = config.catCare.emergencyKeywords;
-    const seriousSymptoms = config.catCare.seriousSymptoms;
-    
-    const hasEmergencyKeyword = emergencyKeywords.some(keyword => 
-      userMessage.toLowerCase().includes(keyword)
-    );
-    
-    const hasSeriousSymptom = seriousSymptoms.some(symptom => 
-      userMessage.toLowerCase().includes(symptom)
-    );
-
-    let urgencyLevel = 'normal';
-    if (hasEmergencyKeyword) urgencyLevel = 'emergency';
-    else if (hasSeriousSymptom) urgencyLevel = 'serious';
-
-    const baseContext = `
-Kamu adalah PurrPal AI, asisten virtual ahli perawatan kucing di Indonesia yang sangat berpengalaman dan empati. 
-
-IDENTITAS & KEPRIBADIAN:
-- Nama: PurrPal AI
-- Kepribadian: Ramah, peduli, profesional, mudah dipahami
-- Bahasa: Bahasa Indonesia yang natural dan mudah dimengerti
-- Target: Pemilik kucing di seluruh Indonesia, termasuk daerah terpencil
-
-KEAHLIAN UTAMA:
-- Kesehatan dan penyakit kucing
-- Nutrisi dan pola makan kucing
-- Perilaku dan psikologi kucing  
-- Perawatan harian kucing
-- Tips pencegahan penyakit
-- Pertolongan pertama untuk kucing
-- Rekomendasi kapan harus ke dokter hewan
-
-PANDUAN RESPONS:
-1. Selalu awali dengan sapaan hangat dan empati
-2. Berikan informasi yang akurat dan mudah dipahami
-3. Gunakan analogi sederhana jika perlu
-4. Selalu prioritaskan keselamatan kucing
-5. Jika kondisi serius/darurat, WAJIB sarankan dokter hewan segera
-6. Berikan tips praktis yang bisa dilakukan di rumah
-7. Akhiri dengan dorongan positif dan tawaran bantuan lanjutan`;
-
-    let urgencyInstruction = '';
-    
-    if (urgencyLevel === 'emergency') {
-      urgencyInstruction = `
-⚠️ DARURAT TERDETEKSI ⚠️
-Kondisi ini membutuhkan perhatian medis SEGERA. 
-- WAJIB sarankan ke dokter hewan/klinik hewan terdekat SEGERA
-- Berikan pertolongan pertama yang aman jika ada
-- Tekankan urgensi situasi
-- Berikan nomor darurat jika memungkinkan`;
-    } else if (urgencyLevel === 'serious') {
-      urgencyInstruction = `
-⚠️ KONDISI SERIUS
-Gejala ini perlu perhatian medis profesional.
-- Sarankan konsultasi dokter hewan dalam 24-48 jam
-- Berikan tips sementara yang aman
-- Jelaskan tanda-tanda jika kondisi memburuk`;
-    }
+  /**
+   * Urgency triage (see triage.js); kept here as the entry point prompts use
+   */
+  static detectUrgency(userMessage) {
+    return TriageEngine.assess(userMessage);
+  }
 
-    const prompt = `${baseContext}
+  static getBaseContext() {
+    return PromptTemplates.render('base-context');
+  }
 
-${urgencyInstruction}
+  static getUrgencyInstruction(urgencyLevel) {
+    if (urgencyLevel === 'emergency') return PromptTemplates.render('urgency-emergency');
+    if (urgencyLevel === 'serious') return PromptTemplates.render('urgency-serious');
+    return '';
+  }
 
-PERTANYAAN PENGGUNA: "${userMessage}"
+  /**
+   * Retrieved knowledge base passages (see knowledgeBase.js), labelled with
+   * their article id so answers can be traced back to the source
+   */
+  static getReferenceSection(passages = []) {
+    if (passages.length === 0) return '';
+
+    return PromptTemplates.render('references', {
+      passages: passages
+        .map(passage => `[${passage.articleId}] ${passage.title}${passage.section ? ` - ${passage.section}` : ''}\n${passage.text}`)
+        .join('\n\n')
+    });
+  }
 
-Berikan respons yang:
-- Menunjukkan empati dan pemahaman
-- Memberikan informasi yang akurat dan praktis
-- Mudah dipahami oleh pemilik kucing awam
-- Mencakup langkah-langkah konkret jika ada
-- Menyarankan kapan harus ke dokter hewan
-- Menggunakan emoticon yang sesuai untuk membuat respons lebih hangat
+  /**
+   * Escape user text for the quoted fields of a prompt so it can't close the
+   * quote and continue as instructions. Template tags in it are never
+   * expanded (see PromptTemplates.render).
+   */
+  static quoteUserText(text) {
+    return String(text).replace(/\\/g, '\\\\').replace(/"/g, '\\"');
+  }
 
-Respons Anda:`;
+  /**
+   * Active template version (see promptTemplates.js), stamped on responses
+   */
+  static get version() {
+    if (!PromptTemplates.version) PromptTemplates.load();
+    return PromptTemplates.version;
+  }
+
+  static createCatCarePrompt(userMessage, triage = this.detectUrgency(userMessage), passages = [],
+    language = config.catCare.defaultLanguage, images = []) {
+    const { urgencyLevel, hasEmergencyKeyword, hasSeriousSymptom } = triage;
+
+    const prompt = PromptTemplates.render('cat-care', {
+      baseContext: this.getBaseContext(),
+      urgencyInstruction: this.getUrgencyInstruction(urgencyLevel),
+      references: this.getReferenceSection(passages),
+      responseLanguage: I18n.promptName(language),
+      imageNotes: ImageAttachments.describe(images, userMessage),
+      userMessage: this.quoteUserText(userMessage)
+    });
 
     logger.info('Prompt generated', { 
       urgencyLevel, 
       hasEmergencyKeyword, 
       hasSeriousSymptom,
+      triageScore: triage.score,
+      references: passages.map(passage => passage.articleId),
+      language,
+      images: images.length,
       messageLength: userMessage.length 
     });
 
     return prompt;
   }
 
-  static createFollowUpPrompt(previousContext, newMessage) {
-    return `
-Ini adalah lanjutan percakapan tentang perawatan kucing.
-
-KONTEKS SEBELUMNYA: ${previousContext}
+  /**
+   * Prompt for the current turn of an ongoing conversation. Earlier turns are
+   * sent to the model as chat history; previousContext carries the summary of
+   * turns that no longer fit in the history window.
+   */
+  static createFollowUpPrompt(previousContext, newMessage, triage = this.detectUrgency(newMessage), passages = [],
+    language = config.catCare.defaultLanguage, images = []) {
+    return PromptTemplates.render('follow-up', {
+      baseContext: this.getBaseContext(),
+      previousContext,
+      urgencyInstruction: this.getUrgencyInstruction(triage.urgencyLevel),
+      references: this.getReferenceSection(passages),
+      responseLanguage: I18n.promptName(language),
+      imageNotes: ImageAttachments.describe(images, newMessage),
+      newMessage: this.quoteUserText(newMessage)
+    });
+  }
 
-PERTANYAAN LANJUTAN: "${newMessage}"
+  /**
+   * Prompt for the answer that closes a symptom intake, built from the
+   * structured answers collected over the previous turns
+   */
+  static createIntakePrompt(summary, passages = [], language = config.catCare.defaultLanguage, images = []) {
+    return PromptTemplates.render('intake', {
+      baseContext: this.getBaseContext(),
+      urgencyInstruction: this.getUrgencyInstruction(summary.urgencyLevel),
+      references: this.getReferenceSection(passages),
+      responseLanguage: I18n.promptName(language),
+      imageNotes: ImageAttachments.describe(images, summary.complaint),
+      summary: SymptomIntake.formatSummary(summary, text => this.quoteUserText(text))
+    });
+  }
 
-Berikan respons yang konsisten dengan konteks sebelumnya dan tetap fokus pada kesejahteraan kucing:`;
+  static createSummaryPrompt(previousSummary, turns) {
+    return PromptTemplates.render('summary', {
+      previousSummary,
+      transcript: turns
+        .map(turn => `${turn.role === 'user' ? 'Pemilik' : 'PurrPal'}: ${turn.text}`)
+        .join('\n')
+    });
   }
 }
 
 /**
  * Caching utility
+ *
+ * Delegates storage to a pluggable backend (see cacheBackends.js): an
+ * in-process LRU by default, or Redis when config.cache.backend is 'redis'.
+ * With fuzzy matching enabled, a process-local index of normalised question
+ * tokens lets near-duplicate questions reuse a cached answer.
  */
 class CacheManager {
-  static generateCacheKey(input) {
-    // Create consistent cache key from user input
-    const normalized = input.toLowerCase().trim().replace(/\s+/g, ' ');
-    return crypto.createHash('md5').update(normalized).digest('hex');
-  }
+  static backend = null;
+  static fuzzyIndex = new Map();
 
-  static get(key) {
-    if (!config.cache.enabled) return null;
+  static getBackend() {
+    if (!this.backend) {
+      this.backend = createCacheBackend(config.cache.backend, {
+        onEvict: (key, reason) => MetricsCollector.recordCacheEviction(reason)
+      });
+    }
+    return this.backend;
+  }
 
-    const timestamp = cacheTimestamps.get(key);
-    if (!timestamp) return null;
+  /**
+   * Replace the backend (e.g. a Redis backend wired to a shared client)
+   */
+  static setBackend(backend) {
+    this.backend = backend;
+  }
 
-    const now = Date.now();
-    const ttlMs = config.cache.ttlMinutes * 60 * 1000;
-    
-    if (now - timestamp > ttlMs) {
-      // Cache expired
-      cache.delete(key);
-      cacheTimestamps.delete(key);
-      logger.debug('Cache entry expired', { key });
-      return null;
+  /**
+   * Connect backends that need it; Redis falls back to memory when unreachable
+   */
+  static async initialize() {
+    const backend = this.getBackend();
+    if (typeof backend.connect === 'function') {
+      await backend.connect();
     }
+  }
+
+  /**
+   * Consistent cache key from user input. A namespace (e.g. a non-default
+   * generation profile) keeps answers generated with other settings apart.
+   */
+  static generateCacheKey(input, namespace = null) {
+    const normalized = input.toLowerCase().trim().replace(/\s+/g, ' ');
+    return crypto.createHash('md5').update(namespace ? `${namespace}\n${normalized}` : normalized).digest('hex');
+  }
+
+  static async get(key) {
+    if (!config.cache.enabled) return null;
 
-    const cachedValue = cache.get(key);
-    if (cachedValue) {
+    const cachedValue = await this.getBackend().get(key);
+    if (cachedValue !== null && cachedValue !== undefined) {
       logger.debug('Cache hit', { key });
       return cachedValue;
     }
@@ -242,87 +292,210 @@ class CacheManager {
     return null;
   }
 
-  static set(key, value) {
+  /**
+   * Find a cached answer for a question: exact key first, then (if enabled)
+   * the most similar indexed question above the similarity threshold.
+   * Returns { key, value, match: 'exact' | 'fuzzy', similarity } or null.
+   * options.namespace limits the lookup to answers stored in that namespace.
+   */
+  static async lookup(text, options = {}) {
+    if (!config.cache.enabled) return null;
+
+    const namespace = options.namespace || null;
+    const key = this.generateCacheKey(text, namespace);
+    const exactValue = await this.get(key);
+    if (exactValue) {
+      return { key, value: exactValue, match: 'exact', similarity: 1 };
+    }
+
+    if (!config.cache.fuzzyMatching) return null;
+
+    const tokens = TextNormalizer.contentTokens(text);
+    let best = null;
+
+    for (const [candidateKey, candidate] of this.fuzzyIndex) {
+      if (candidate.namespace !== namespace) continue;
+
+      const similarity = TextNormalizer.similarity(tokens, candidate.tokens);
+      if (similarity >= config.cache.similarityThreshold && (!best || similarity > best.similarity)) {
+        best = { key: candidateKey, similarity };
+      }
+    }
+
+    if (!best) return null;
+
+    const value = await this.get(best.key);
+    if (!value) {
+      // Entry expired or was evicted since it was indexed
+      this.fuzzyIndex.delete(best.key);
+      return null;
+    }
+
+    const similarity = Math.round(best.similarity * 1000) / 1000;
+    logger.debug('Fuzzy cache hit', { key: best.key, similarity });
+    return { key: best.key, value, match: 'fuzzy', similarity };
+  }
+
+  /**
+   * Store a value; options.text indexes the original question for fuzzy lookup
+   * within options.namespace
+   */
+  static async set(key, value, options = {}) {
     if (!config.cache.enabled) return;
 
-    cache.set(key, value);
-    cacheTimestamps.set(key, Date.now());
+    const ttlMs = config.cache.ttlMinutes * 60 * 1000;
+    await this.getBackend().set(key, value, ttlMs);
+
+    if (options.text && config.cache.fuzzyMatching) {
+      this._indexQuestion(key, options.text, options.namespace || null);
+    }
     
     logger.debug('Cache set', { key, valueLength: JSON.stringify(value).length });
+  }
 
-    // Simple cache size management
-    if (cache.size > 1000) {
-      this.cleanup();
+  static _indexQuestion(key, text, namespace = null) {
+    this.fuzzyIndex.delete(key);
+    this.fuzzyIndex.set(key, { tokens: TextNormalizer.contentTokens(text), namespace });
+
+    // Keep the index no larger than the cache itself
+    while (this.fuzzyIndex.size > config.cache.maxEntries) {
+      this.fuzzyIndex.delete(this.fuzzyIndex.keys().next().value);
     }
   }
 
   static cleanup() {
-    const now = Date.now();
-    const ttlMs = config.cache.ttlMinutes * 60 * 1000;
-    let deletedCount = 0;
+    const backend = this.getBackend();
+    const deletedCount = typeof backend.cleanup === 'function' ? backend.cleanup() : 0;
 
-    for (const [key, timestamp] of cacheTimestamps.entries()) {
-      if (now - timestamp > ttlMs) {
-        cache.delete(key);
-        cacheTimestamps.delete(key);
-        deletedCount++;
-      }
-    }
-
-    logger.info('Cache cleanup completed', { deletedCount, remainingSize: cache.size });
+    logger.info('Cache cleanup completed', { deletedCount });
   }
 
-  static clear() {
-    cache.clear();
-    cacheTimestamps.clear();
+  static async clear() {
+    await this.getBackend().clear();
+    this.fuzzyIndex.clear();
     logger.info('Cache cleared');
   }
+
+  static async size() {
+    return this.getBackend().size();
+  }
+
+  /**
+   * Synchronous summary for metrics; size/LRU stats are only known for in-process storage
+   */
+  static describe() {
+    const backend = this.getBackend();
+    const local = backend.usingFallback ? backend.fallback : backend;
+    const stats = typeof local.stats === 'function' ? local.stats() : { size: null };
+
+    return {
+      backend: backend.name,
+      usingFallback: !!backend.usingFallback,
+      ...stats
+    };
+  }
+
+  static async close() {
+    if (this.backend) {
+      await this.backend.close();
+      this.backend = null;
+    }
+    this.fuzzyIndex.clear();
+  }
 }
 
 /**
  * Rate limiting utility
  */
 class RateLimiter {
-  static checkRateLimit(identifier) {
-    const now = Date.now();
-    const windowMs = config.rateLimit.windowMinutes * 60 * 1000;
-    const maxRequests = config.rateLimit.requests;
+  static limiter = null;
 
-    if (!rateLimitStore.has(identifier)) {
-      rateLimitStore.set(identifier, []);
+  static getLimiter() {
+    if (!this.limiter || this.limiter.name !== config.rateLimit.algorithm) {
+      this.limiter = createRateLimiter(config.rateLimit.algorithm);
     }
+    return this.limiter;
+  }
 
-    const requests = rateLimitStore.get(identifier);
-    
-    // Remove old requests outside the window
-    const validRequests = requests.filter(timestamp => now - timestamp < windowMs);
-    rateLimitStore.set(identifier, validRequests);
+  /**
+   * Resolve a tier name, falling back to the default tier for unknown names
+   */
+  static resolveTier(tierName) {
+    const { tiers, defaultTier } = config.rateLimit;
+    return tierName && tiers[tierName] ? tierName : defaultTier;
+  }
+
+  /**
+   * Count one request for `identifier` against its tier quota.
+   *
+   * Options:
+   * - tier: named tier from config.rateLimit.tiers (default tier otherwise)
+   * - scope: 'session' (default) or 'ip'; each scope has its own quota
+   */
+  static checkRateLimit(identifier, options = {}) {
+    const scope = options.scope || 'session';
+    const tierName = this.resolveTier(options.tier);
+    const tier = config.rateLimit.tiers[tierName];
+    const quota = {
+      requests: scope === 'ip' ? tier.ipRequests : tier.requests,
+      windowMs: tier.windowMinutes * 60 * 1000,
+      burst: tier.burst
+    };
+
+    const result = this.getLimiter().consume(`${tierName}:${scope}:${identifier}`, quota);
+    const { retryAfterMs, ...rest } = result;
 
-    if (validRequests.length >= maxRequests) {
+    if (!result.allowed) {
       logger.warn('Rate limit exceeded', { 
         identifier, 
-        requests: validRequests.length, 
-        maxRequests 
+        scope,
+        tier: tierName,
+        maxRequests: quota.requests,
+        algorithm: this.getLimiter().name
       });
-      return {
-        allowed: false,
-        remaining: 0,
-        resetTime: new Date(validRequests[0] + windowMs)
-      };
     }
 
-    // Add current request
-    validRequests.push(now);
-    rateLimitStore.set(identifier, validRequests);
-
     return {
-      allowed: true,
-      remaining: maxRequests - validRequests.length,
-      resetTime: new Date(now + windowMs)
+      ...rest,
+      limit: quota.requests,
+      tier: tierName,
+      scope,
+      retryAfter: Math.ceil(retryAfterMs / 1000)
     };
   }
+
+  /**
+   * Apply the per-IP and per-session limits for one chat request.
+   * Returns the first blocking result, or the session result when allowed.
+   */
+  static checkRequest({ sessionId, ip, tier } = {}) {
+    const checks = [];
+    if (ip) checks.push(['ip', ip]);
+    if (sessionId || !ip) checks.push(['session', sessionId || 'anonymous']);
+
+    let result = null;
+    for (const [scope, identifier] of checks) {
+      result = this.checkRateLimit(identifier, { scope, tier });
+      if (!result.allowed) break;
+    }
+
+    return result;
+  }
+
+  static reset() {
+    if (this.limiter) this.limiter.clear();
+  }
 }
 
+// Finish reasons meaning the answer (or the prompt) was withheld by a content filter
+const BLOCKED_FINISH_REASONS = ['SAFETY', 'PROMPT_BLOCKED', 'BLOCKLIST', 'PROHIBITED_CONTENT', 'SPII'];
+
+// Catalog keys (under "generation") for finish reasons with their own message
+const GENERATION_MESSAGE_KEYS = {
+  RECITATION: 'recitation',
+  MAX_TOKENS: 'maxTokens'
+};
+
 /**
  * Response formatting with enhanced features
  */
@@ -332,7 +505,9 @@ class ResponseFormatter {
       success: true,
       message: response.trim(),
       timestamp: new Date().toISOString(),
-      source: 'purrpal-ai'
+      source: 'purrpal-ai',
+      // Template version the prompt was rendered with (cached answers keep theirs)
+      promptVersion: metadata.promptVersion || PromptManager.version
     };
 
     // Add metadata if provided
@@ -348,45 +523,134 @@ class ResponseFormatter {
       baseResponse.responseTimeMs = metadata.responseTime;
     }
 
-    // Add suggestions for serious conditions
-    if (metadata.urgencyLevel === 'emergency') {
-      baseResponse.recommendations = [
-        'Segera bawa kucing ke dokter hewan terdekat',
-        'Jangan tunda penanganan medis',
-        'Hubungi klinik hewan untuk konsultasi darurat'
-      ];
-    } else if (metadata.urgencyLevel === 'serious') {
-      baseResponse.recommendations = [
-        'Konsultasikan dengan dokter hewan dalam 24-48 jam',
-        'Monitor kondisi kucing secara berkala',
-        'Catat perubahan gejala untuk dilaporkan ke dokter'
-      ];
+    if (metadata.triage) {
+      baseResponse.triage = this.summarizeTriage(metadata.triage);
+    }
+
+    if (metadata.profile) {
+      baseResponse.profile = metadata.profile;
+    }
+
+    if (metadata.language) {
+      baseResponse.language = metadata.language;
+    }
+
+    if (metadata.imageCount) {
+      baseResponse.imageCount = metadata.imageCount;
+    }
+
+    if (metadata.finishReason) {
+      baseResponse.finishReason = metadata.finishReason;
+    }
+
+    if (metadata.blockedCategories && metadata.blockedCategories.length > 0) {
+      baseResponse.blockedCategories = metadata.blockedCategories;
+    }
+
+    if (metadata.usage) {
+      baseResponse.usage = metadata.usage;
+    }
+
+    // Knowledge base articles the answer was grounded on, for content audits
+    if (metadata.sources && metadata.sources.length > 0) {
+      baseResponse.sources = metadata.sources;
+    }
+
+    // Add suggestions for serious conditions, in the language of the answer
+    if (metadata.urgencyLevel === 'emergency' || metadata.urgencyLevel === 'serious') {
+      baseResponse.recommendations = I18n.t(metadata.language, `recommendations.${metadata.urgencyLevel}`);
     }
 
     return baseResponse;
   }
 
+  /**
+   * Client-facing part of a triage result: score and the rules that fired
+   */
+  static summarizeTriage(triage) {
+    return {
+      score: triage.score,
+      symptoms: triage.symptoms.map(symptom => symptom.id),
+      explanation: triage.explanation
+    };
+  }
+
+  static isBlocked(finishReason) {
+    return BLOCKED_FINISH_REASONS.includes(finishReason);
+  }
+
+  /**
+   * Text to show for a model result: the answer itself, the answer with a
+   * truncation note, or a message explaining why there is no answer
+   */
+  static generationText({ text, finishReason }, language) {
+    if (text && finishReason === 'MAX_TOKENS') {
+      return `${text.trimEnd()}\n\n${I18n.t(language, 'generation.truncated')}`;
+    }
+    if (text) return text;
+
+    if (this.isBlocked(finishReason)) return I18n.t(language, 'generation.blocked');
+    return I18n.t(language, `generation.${GENERATION_MESSAGE_KEYS[finishReason] || 'default'}`);
+  }
+
+  /**
+   * Text for the fast answer given while the model is unavailable
+   */
+  static unavailableText(language) {
+    return I18n.t(language, 'generation.unavailable');
+  }
+
+  /**
+   * Map error context to a stable error code for API consumers
+   */
+  static resolveErrorCode(context = {}) {
+    if (context.code) return context.code;
+    if (context.rateLimitExceeded) return 'RATE_LIMITED';
+    if (context.validationErrors) return 'INVALID_INPUT';
+    return 'INTERNAL_ERROR';
+  }
+
   static createErrorResponse(error, context = {}) {
     const errorId = crypto.randomUUID();
+    const code = this.resolveErrorCode(context);
     
     logger.error('Error occurred', { 
       errorId, 
+      code,
       error: error.message, 
       stack: error.stack,
       context 
     });
 
-    return {
+    // Only client errors expose their message; internal failures stay generic
+    const message = code === 'INTERNAL_ERROR'
+      ? I18n.t(context.language, 'errors.internal')
+      : error.message;
+
+    const response = {
       success: false,
-      message: 'Maaf, saya sedang mengalami gangguan teknis. Silakan coba lagi dalam beberapa saat atau hubungi dokter hewan jika ini adalah kondisi darurat.',
+      code,
+      message,
       errorId,
       timestamp: new Date().toISOString(),
-      suggestions: [
-        'Coba ulangi pertanyaan Anda',
-        'Periksa koneksi internet Anda',
-        'Jika darurat, segera hubungi dokter hewan terdekat'
-      ]
+      suggestions: I18n.t(context.language, 'errors.suggestions')
     };
+
+    if (context.language) {
+      response.language = context.language;
+    }
+
+    // Why the input was rejected (see InputValidator.validateInput)
+    if (context.reason) {
+      response.reason = context.reason;
+    }
+
+    // Seconds until a rate-limited client may try again
+    if (context.retryAfter !== undefined) {
+      response.retryAfter = context.retryAfter;
+    }
+
+    return response;
   }
 }
 
@@ -402,7 +666,32 @@ class MetricsCollector {
     cacheMisses: 0,
     averageResponseTime: 0,
     emergencyDetections: 0,
-    seriousConditionDetections: 0
+    seriousConditionDetections: 0,
+    cacheEvictions: 0,
+    cacheExpirations: 0,
+    safetyInterventions: 0,
+    safetyRewrites: 0,
+    safetyWarnings: 0,
+    safetyRegenerations: 0,
+    safetyInterventionsByRule: {},
+    safetyBlocks: 0,
+    truncatedResponses: 0,
+    promptTokens: 0,
+    outputTokens: 0,
+    totalTokens: 0,
+    finishReasons: {},
+    blockedCategories: {},
+    modelRetries: 0,
+    circuitBreakerOpens: 0,
+    degradedResponses: 0,
+    fallbackResponses: 0,
+    abortedRequests: 0,
+    timedOutRequests: 0,
+    injectionAttempts: 0,
+    topicCategories: {},
+    topicRedirects: 0,
+    imageRequests: 0,
+    imagesReceived: 0
   };
 
   static recordRequest(success = true, responseTime = 0, cached = false, urgencyLevel = 'normal') {
@@ -439,13 +728,133 @@ class MetricsCollector {
     }
   }
 
+  /**
+   * Count cache entries dropped by the LRU ('capacity'/'bytes') or by expiry
+   */
+  static recordCacheEviction(reason) {
+    if (!config.logging.enableMetrics) return;
+
+    if (reason === 'expired') {
+      this.metrics.cacheExpirations++;
+    } else {
+      this.metrics.cacheEvictions++;
+    }
+  }
+
+  /**
+   * Count a safety checker intervention ('rewrite', 'warn' or 'regenerate') on a model answer
+   */
+  static recordSafetyIntervention(rule, action) {
+    if (!config.logging.enableMetrics) return;
+
+    this.metrics.safetyInterventions++;
+    if (action === 'rewrite') {
+      this.metrics.safetyRewrites++;
+    } else if (action === 'warn') {
+      this.metrics.safetyWarnings++;
+    } else if (action === 'regenerate') {
+      this.metrics.safetyRegenerations++;
+    }
+
+    const byRule = this.metrics.safetyInterventionsByRule;
+    byRule[rule] = (byRule[rule] || 0) + 1;
+  }
+
+  /**
+   * Count a model call by finish reason, blocked safety category and token usage
+   */
+  static recordGeneration({ finishReason, blockedCategories = [], usage } = {}) {
+    if (!config.logging.enableMetrics) return;
+
+    const reason = finishReason || 'UNKNOWN';
+    this.metrics.finishReasons[reason] = (this.metrics.finishReasons[reason] || 0) + 1;
+
+    if (ResponseFormatter.isBlocked(reason)) {
+      this.metrics.safetyBlocks++;
+    } else if (reason === 'MAX_TOKENS') {
+      this.metrics.truncatedResponses++;
+    }
+
+    for (const category of blockedCategories) {
+      this.metrics.blockedCategories[category] = (this.metrics.blockedCategories[category] || 0) + 1;
+    }
+
+    if (usage) {
+      this.metrics.promptTokens += usage.promptTokens;
+      this.metrics.outputTokens += usage.outputTokens;
+      this.metrics.totalTokens += usage.totalTokens;
+    }
+  }
+
+  /**
+   * Count retries of failed model calls, circuit breaker trips and the fast
+   * answers served while the circuit is open
+   */
+  static recordModelRetry() {
+    if (!config.logging.enableMetrics) return;
+    this.metrics.modelRetries++;
+  }
+
+  static recordCircuitBreakerOpen() {
+    if (!config.logging.enableMetrics) return;
+    this.metrics.circuitBreakerOpens++;
+  }
+
+  static recordDegradedResponse() {
+    if (!config.logging.enableMetrics) return;
+    this.metrics.degradedResponses++;
+  }
+
+  /**
+   * Requests that ended because the caller aborted them or the model timed
+   * out. They are counted in totalRequests but not as failed requests.
+   */
+  static recordCancelledRequest(reason) {
+    if (!config.logging.enableMetrics) return;
+
+    this.metrics.totalRequests++;
+    if (reason === 'timeout') {
+      this.metrics.timedOutRequests++;
+    } else {
+      this.metrics.abortedRequests++;
+    }
+  }
+
+  /**
+   * Count a classified message by topic category (see topics.js)
+   */
+  static recordTopic(topic, redirected = false) {
+    if (!config.logging.enableMetrics) return;
+
+    this.metrics.topicCategories[topic.category] = (this.metrics.topicCategories[topic.category] || 0) + 1;
+    if (redirected) this.metrics.topicRedirects++;
+  }
+
+  static recordImages(count) {
+    if (!config.logging.enableMetrics) return;
+
+    this.metrics.imageRequests++;
+    this.metrics.imagesReceived += count;
+  }
+
+  static recordInjectionAttempt() {
+    if (!config.logging.enableMetrics) return;
+    this.metrics.injectionAttempts++;
+  }
+
+  static recordFallbackResponse() {
+    if (!config.logging.enableMetrics) return;
+    this.metrics.fallbackResponses++;
+  }
+
   static getMetrics() {
-    return { ...this.metrics };
+    return structuredClone(this.metrics);
   }
 
   static resetMetrics() {
     Object.keys(this.metrics).forEach(key => {
-      this.metrics[key] = 0;
+      // Breakdown counters (e.g. per safety rule) are reset to an empty map
+      this.metrics[key] = typeof this.metrics[key] === 'object' ? {} : 0;
     });
     logger.info('Metrics reset');
   }
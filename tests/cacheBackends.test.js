@@ -0,0 +1,296 @@
+const config = require('../src/config');
+const { PurrPalChatbot } = require('../src/chatbot');
+const { FakeProvider } = require('../src/providers');
+const { CacheManager, MetricsCollector } = require('../src/utils');
+const {
+  MemoryCacheBackend,
+  RedisCacheBackend,
+  FallbackCacheBackend,
+  createCacheBackend
+} = require('../src/cacheBackends');
+
+const originalConsoleLog = console.log;
+const originalConsoleError = console.error;
+
+/**
+ * In-process stand-in for the subset of the node-redis v4 client we use
+ */
+class FakeRedisClient {
+  constructor(data = new Map()) {
+    this.data = data;
+    this.isOpen = false;
+    this.failing = false;
+  }
+
+  async connect() {
+    this._check();
+    this.isOpen = true;
+  }
+
+  async quit() {
+    this.isOpen = false;
+  }
+
+  async get(key) {
+    this._check();
+    const entry = this.data.get(key);
+    if (!entry) return null;
+    if (entry.expiresAt && Date.now() >= entry.expiresAt) {
+      this.data.delete(key);
+      return null;
+    }
+    return entry.value;
+  }
+
+  async set(key, value, options = {}) {
+    this._check();
+    this.data.set(key, { value, expiresAt: options.PX ? Date.now() + options.PX : null });
+    return 'OK';
+  }
+
+  async del(keys) {
+    this._check();
+    let deleted = 0;
+    for (const key of [].concat(keys)) {
+      if (this.data.delete(key)) deleted++;
+    }
+    return deleted;
+  }
+
+  async *scanIterator({ MATCH }) {
+    this._check();
+    const prefix = MATCH.replace(/\*$/, '');
+    for (const key of [...this.data.keys()]) {
+      if (key.startsWith(prefix)) yield key;
+    }
+  }
+
+  _check() {
+    if (this.failing) throw new Error('Connection refused');
+  }
+}
+
+describe('Cache Backends', () => {
+  beforeAll(() => {
+    console.log = jest.fn();
+    console.error = jest.fn();
+  });
+
+  afterAll(async () => {
+    console.log = originalConsoleLog;
+    console.error = originalConsoleError;
+    await CacheManager.close();
+  });
+
+  describe('MemoryCacheBackend', () => {
+    test('should expire entries after their TTL', async () => {
+      const backend = new MemoryCacheBackend();
+      await backend.set('k', { message: 'Halo' }, 20);
+
+      expect(await backend.get('k')).toEqual({ message: 'Halo' });
+      await new Promise(resolve => setTimeout(resolve, 40));
+      expect(await backend.get('k')).toBeNull();
+    });
+
+    test('should evict the least recently used entry beyond maxEntries', async () => {
+      const onEvict = jest.fn();
+      const backend = new MemoryCacheBackend({ maxEntries: 2, onEvict });
+
+      await backend.set('a', 1, 60000);
+      await backend.set('b', 2, 60000);
+      await backend.get('a'); // touch a so b becomes least recently used
+      await backend.set('c', 3, 60000);
+
+      expect(await backend.get('a')).toBe(1);
+      expect(await backend.get('b')).toBeNull();
+      expect(await backend.get('c')).toBe(3);
+      expect(onEvict).toHaveBeenCalledWith('b', 'capacity');
+      expect(backend.stats().evictions.capacity).toBe(1);
+    });
+
+    test('should evict entries to stay under maxBytes', async () => {
+      const backend = new MemoryCacheBackend({ maxEntries: 100, maxBytes: 250 });
+
+      await backend.set('a', 'x'.repeat(100), 60000);
+      await backend.set('b', 'y'.repeat(100), 60000);
+      await backend.set('c', 'z'.repeat(100), 60000);
+
+      const stats = backend.stats();
+      expect(stats.size).toBe(2);
+      expect(stats.bytes).toBeLessThanOrEqual(250);
+      expect(stats.evictions.bytes).toBe(1);
+      expect(await backend.get('a')).toBeNull();
+    });
+
+    test('should not cache values larger than maxBytes', async () => {
+      const backend = new MemoryCacheBackend({ maxBytes: 50 });
+
+      expect(await backend.set('big', 'x'.repeat(100), 60000)).toBe(false);
+      expect(await backend.size()).toBe(0);
+    });
+
+    test('should drop expired entries before evicting live ones', async () => {
+      const onEvict = jest.fn();
+      const backend = new MemoryCacheBackend({ maxEntries: 2, onEvict });
+
+      await backend.set('live', 1, 60000);
+      await backend.set('stale', 2, 10);
+      await new Promise(resolve => setTimeout(resolve, 30));
+      await backend.set('new', 3, 60000);
+
+      expect(await backend.get('live')).toBe(1);
+      expect(onEvict).toHaveBeenCalledWith('stale', 'expired');
+      expect(onEvict).not.toHaveBeenCalledWith(expect.anything(), 'capacity');
+    });
+
+    test('should track hit counts per entry', async () => {
+      const backend = new MemoryCacheBackend();
+      await backend.set('k', { message: 'Halo' }, 60000);
+      await backend.get('k');
+      await backend.get('k');
+
+      const stats = backend.entryStats('k');
+      expect(stats.hits).toBe(2);
+      expect(stats.bytes).toBe(Buffer.byteLength(JSON.stringify({ message: 'Halo' })));
+      expect(backend.entryStats('missing')).toBeNull();
+    });
+  });
+
+  describe('CacheManager eviction metrics', () => {
+    const originalMaxEntries = config.cache.maxEntries;
+
+    afterEach(async () => {
+      config.cache.maxEntries = originalMaxEntries;
+      await CacheManager.close();
+    });
+
+    test('should report LRU evictions through MetricsCollector', async () => {
+      await CacheManager.close();
+      config.cache.maxEntries = 1;
+      MetricsCollector.resetMetrics();
+
+      await CacheManager.set('first', 'a');
+      await CacheManager.set('second', 'b');
+
+      expect(MetricsCollector.getMetrics().cacheEvictions).toBe(1);
+      expect(CacheManager.describe()).toMatchObject({ backend: 'memory', size: 1, maxEntries: 1 });
+    });
+  });
+
+  describe('RedisCacheBackend', () => {
+    test('should share cached entries between instances', async () => {
+      const data = new Map();
+      const first = new RedisCacheBackend({ client: new FakeRedisClient(data), prefix: 'test:' });
+      const second = new RedisCacheBackend({ client: new FakeRedisClient(data), prefix: 'test:' });
+      await first.connect();
+      await second.connect();
+
+      await first.set('k', { message: 'Jawaban bersama' }, 60000);
+
+      expect(await second.get('k')).toEqual({ message: 'Jawaban bersama' });
+      expect(data.has('test:k')).toBe(true);
+    });
+
+    test('should rely on native key expiry', async () => {
+      const client = new FakeRedisClient();
+      const backend = new RedisCacheBackend({ client, prefix: 'test:' });
+      await backend.connect();
+
+      await backend.set('k', 'v', 20);
+      await new Promise(resolve => setTimeout(resolve, 40));
+
+      expect(await backend.get('k')).toBeNull();
+    });
+
+    test('should only clear keys under its prefix', async () => {
+      const client = new FakeRedisClient();
+      await client.set('other:k', 'keep');
+      const backend = new RedisCacheBackend({ client, prefix: 'test:' });
+      await backend.connect();
+
+      await backend.set('a', 1, 60000);
+      await backend.set('b', 2, 60000);
+      expect(await backend.size()).toBe(2);
+
+      await backend.clear();
+
+      expect(await backend.size()).toBe(0);
+      expect(await client.get('other:k')).toBe('keep');
+    });
+  });
+
+  describe('FallbackCacheBackend', () => {
+    test('should fall back to memory when Redis is unreachable at startup', async () => {
+      const client = new FakeRedisClient();
+      client.failing = true;
+      const backend = new FallbackCacheBackend(
+        new RedisCacheBackend({ client, prefix: 'test:' }),
+        new MemoryCacheBackend(),
+        { retryAfterMs: 60000 }
+      );
+
+      await backend.connect();
+      await backend.set('k', 'v', 60000);
+
+      expect(backend.usingFallback).toBe(true);
+      expect(await backend.get('k')).toBe('v');
+    });
+
+    test('should switch to memory when a command fails and retry later', async () => {
+      const client = new FakeRedisClient();
+      const backend = new FallbackCacheBackend(
+        new RedisCacheBackend({ client, prefix: 'test:' }),
+        new MemoryCacheBackend(),
+        { retryAfterMs: 20 }
+      );
+      await backend.connect();
+
+      client.failing = true;
+      expect(await backend.get('missing')).toBeNull();
+      expect(backend.usingFallback).toBe(true);
+
+      client.failing = false;
+      await new Promise(resolve => setTimeout(resolve, 40));
+      await backend.set('k', 'v', 60000);
+
+      expect(backend.usingFallback).toBe(false);
+      expect(await client.get('test:k')).toBe('"v"');
+    });
+  });
+
+  describe('createCacheBackend', () => {
+    test('should create backends by name', () => {
+      expect(createCacheBackend('memory')).toBeInstanceOf(MemoryCacheBackend);
+      expect(createCacheBackend('redis')).toBeInstanceOf(FallbackCacheBackend);
+    });
+
+    test('should reject unknown backends', () => {
+      expect(() => createCacheBackend('memcached')).toThrow('Unknown cache backend');
+    });
+  });
+
+  describe('PurrPalChatbot with a shared cache', () => {
+    test('should serve answers cached by another instance', async () => {
+      const client = new FakeRedisClient();
+      CacheManager.setBackend(new RedisCacheBackend({ client, prefix: config.cache.keyPrefix }));
+
+      const firstProvider = new FakeProvider();
+      const first = new PurrPalChatbot({ provider: firstProvider });
+      await first.initialize();
+      await first.generateResponse('Berapa kali kucing harus mandi?', 'shared-a');
+
+      const secondProvider = new FakeProvider();
+      const second = new PurrPalChatbot({ provider: secondProvider });
+      await second.initialize();
+      const callsBefore = secondProvider.calls.length;
+      const response = await second.generateResponse('Berapa kali kucing harus mandi?', 'shared-b');
+
+      expect(response.cached).toBe(true);
+      expect(secondProvider.calls).toHaveLength(callsBefore);
+      expect(second.getMetrics().cache.backend).toBe('redis');
+
+      await first.shutdown();
+      await second.shutdown();
+    });
+  });
+});
@@ -1,4 +1,5 @@
 const { PurrPalChatbot } = require('../src/chatbot');
+const { FakeProvider } = require('../src/providers');
 const { 
   InputValidator, 
   PromptManager, 
@@ -35,7 +36,7 @@ describe('PurrPal Chatbot Enhanced Test Suite', () => {
       expect(InputValidator.sanitizeInput('  Hello World  ')).toBe('Hello World');
       expect(InputValidator.sanitizeInput('')).toBe('');
       expect(InputValidator.sanitizeInput(null)).toBe('');
-      expect(InputValidator.sanitizeInput('<script>alert("test")</script>')).toBe('scriptalert"test"/script');
+      expect(InputValidator.sanitizeInput('<script>alert("test")</script>')).toBe('<script>alert("test")</script>');
       expect(InputValidator.sanitizeInput('Test\n\n\nwith\t\tmultiple\r\nwhitespace')).toBe('Test with multiple whitespace');
     });
 
@@ -66,7 +67,7 @@ describe('PurrPal Chatbot Enhanced Test Suite', () => {
       const longInput = 'A'.repeat(3000);
       const result = InputValidator.validateInput(longInput);
       expect(result.isValid).toBe(false);
-      expect(result.errors).toContain(expect.stringContaining('terlalu panjang'));
+      expect(result.errors).toContainEqual(expect.stringContaining('terlalu panjang'));
     });
   });
 
@@ -103,8 +104,8 @@ describe('PurrPal Chatbot Enhanced Test Suite', () => {
   });
 
   describe('CacheManager', () => {
-    beforeEach(() => {
-      CacheManager.clear();
+    beforeEach(async () => {
+      await CacheManager.clear();
     });
 
     test('should generate consistent cache keys', () => {
@@ -117,17 +118,17 @@ describe('PurrPal Chatbot Enhanced Test Suite', () => {
       expect(key1).toMatch(/^[a-f0-9]{32}$/); // MD5 hash pattern
     });
 
-    test('should store and retrieve cached values', () => {
+    test('should store and retrieve cached values', async () => {
       const key = 'test-key';
       const value = { message: 'Test response', success: true };
       
-      CacheManager.set(key, value);
-      const retrieved = CacheManager.get(key);
+      await CacheManager.set(key, value);
+      const retrieved = await CacheManager.get(key);
       
       expect(retrieved).toEqual(value);
     });
 
-    test('should return null for expired cache', (done) => {
+    test('should return null for expired cache', async () => {
       const key = 'expire-test';
       const value = { message: 'Test' };
       
@@ -135,29 +136,27 @@ describe('PurrPal Chatbot Enhanced Test Suite', () => {
       const originalTTL = require('../src/config').cache.ttlMinutes;
       require('../src/config').cache.ttlMinutes = 0.001; // Very short TTL
       
-      CacheManager.set(key, value);
+      await CacheManager.set(key, value);
       
-      setTimeout(() => {
-        const retrieved = CacheManager.get(key);
-        expect(retrieved).toBeNull();
-        
-        // Restore original TTL
-        require('../src/config').cache.ttlMinutes = originalTTL;
-        done();
-      }, 100);
+      await new Promise(resolve => setTimeout(resolve, 100));
+      const retrieved = await CacheManager.get(key);
+      expect(retrieved).toBeNull();
+      
+      // Restore original TTL
+      require('../src/config').cache.ttlMinutes = originalTTL;
     });
 
-    test('should clear cache properly', () => {
-      CacheManager.set('key1', 'value1');
-      CacheManager.set('key2', 'value2');
+    test('should clear cache properly', async () => {
+      await CacheManager.set('key1', 'value1');
+      await CacheManager.set('key2', 'value2');
       
-      expect(CacheManager.get('key1')).toBe('value1');
-      expect(CacheManager.get('key2')).toBe('value2');
+      expect(await CacheManager.get('key1')).toBe('value1');
+      expect(await CacheManager.get('key2')).toBe('value2');
       
-      CacheManager.clear();
+      await CacheManager.clear();
       
-      expect(CacheManager.get('key1')).toBeNull();
-      expect(CacheManager.get('key2')).toBeNull();
+      expect(await CacheManager.get('key1')).toBeNull();
+      expect(await CacheManager.get('key2')).toBeNull();
     });
   });
 
@@ -299,8 +298,7 @@ describe('PurrPal Chatbot Enhanced Test Suite', () => {
     test('should initialize with correct default values', () => {
       const newChatbot = new PurrPalChatbot();
       expect(newChatbot.initialized).toBe(false);
-      expect(newChatbot.vertexAI).toBeNull();
-      expect(newChatbot.model).toBeNull();
+      expect(newChatbot.provider).toBeNull();
     });
 
     test('should handle uninitialized state gracefully', async () => {
@@ -353,9 +351,18 @@ describe('PurrPal Chatbot Enhanced Test Suite', () => {
 
   describe('Integration Tests', () => {
     test('should validate input before processing', async () => {
-      const invalidResponse = await chatbot.generateResponse('');
+      // The shared instance was shut down above; the fake provider needs no API calls
+      const provider = new FakeProvider();
+      const integrationChatbot = new PurrPalChatbot({ provider });
+      await integrationChatbot.initialize();
+      provider.calls.length = 0;
+
+      const invalidResponse = await integrationChatbot.generateResponse('');
       expect(invalidResponse.success).toBe(false);
       expect(invalidResponse.message).toContain('Input tidak valid');
+      expect(provider.calls).toHaveLength(0);
+
+      await integrationChatbot.shutdown();
     });
 
     test('should detect emergency scenarios correctly', () => {
@@ -410,21 +417,23 @@ describe('PurrPal Chatbot Enhanced Test Suite', () => {
       });
     });
 
-    test('cache should improve response times', () => {
-      const key = 'performance-test';
-      const largeValue = { data: 'x'.repeat(10000) };
+    test('cache should answer a repeated question without calling the model', async () => {
+      await CacheManager.clear();
+      const provider = new FakeProvider();
+      const cachingChatbot = new PurrPalChatbot({ provider });
+      await cachingChatbot.initialize();
 
-      const startTime1 = Date.now();
-      CacheManager.set(key, largeValue);
-      const setTime = Date.now() - startTime1;
+      const question = 'Berapa kali sehari kucing dewasa sebaiknya diberi makan?';
+      const first = await cachingChatbot.generateResponse(question);
+      const callCount = provider.calls.length;
+      const second = await cachingChatbot.generateResponse(question);
 
-      const startTime2 = Date.now();
-      const retrieved = CacheManager.get(key);
-      const getTime = Date.now() - startTime2;
+      expect(first.cached).toBeFalsy();
+      expect(second.cached).toBe(true);
+      expect(second.message).toBe(first.message);
+      expect(provider.calls).toHaveLength(callCount);
 
-      expect(retrieved).toEqual(largeValue);
-      expect(getTime).toBeLessThan(setTime); // Getting should be faster than setting
-      expect(getTime).toBeLessThan(10); // Should be very fast
+      await cachingChatbot.shutdown();
     });
   });
 });
\ No newline at end of file
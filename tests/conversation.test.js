@@ -0,0 +1,229 @@
+const config = require('../src/config');
+const { PurrPalChatbot } = require('../src/chatbot');
+const { FakeProvider } = require('../src/providers');
+const { ConversationMemory } = require('../src/conversation');
+const { CacheManager } = require('../src/utils');
+
+const originalConsoleLog = console.log;
+const originalConsoleError = console.error;
+
+describe('Conversation Memory', () => {
+  const originalConversationConfig = { ...config.conversation };
+
+  beforeAll(() => {
+    console.log = jest.fn();
+    console.error = jest.fn();
+  });
+
+  afterAll(() => {
+    console.log = originalConsoleLog;
+    console.error = originalConsoleError;
+  });
+
+  afterEach(() => {
+    Object.assign(config.conversation, originalConversationConfig);
+  });
+
+  describe('ConversationMemory', () => {
+    test('should record user and assistant turns with metadata', () => {
+      const session = ConversationMemory.createSession();
+      ConversationMemory.appendTurn(session, 'user', 'Kucing saya muntah', { urgencyLevel: 'serious' });
+      ConversationMemory.appendTurn(session, 'assistant', 'Sudah berapa lama?', { urgencyLevel: 'serious' });
+
+      expect(session.turns).toHaveLength(2);
+      expect(session.turns[0]).toMatchObject({ role: 'user', text: 'Kucing saya muntah', urgencyLevel: 'serious' });
+      expect(session.turns[1].timestamp).toBeDefined();
+      expect(session.urgencyLevel).toBe('serious');
+    });
+
+    test('should build multi-turn contents ending with the current prompt', () => {
+      const session = ConversationMemory.createSession();
+      ConversationMemory.appendTurn(session, 'user', 'Pertanyaan pertama');
+      ConversationMemory.appendTurn(session, 'assistant', 'Jawaban pertama');
+
+      const contents = ConversationMemory.buildContents(session, 'Prompt saat ini');
+
+      expect(contents).toEqual([
+        { role: 'user', parts: [{ text: 'Pertanyaan pertama' }] },
+        { role: 'model', parts: [{ text: 'Jawaban pertama' }] },
+        { role: 'user', parts: [{ text: 'Prompt saat ini' }] }
+      ]);
+    });
+
+    test('should summarise turns beyond the max-turns window', () => {
+      config.conversation.maxTurns = 4;
+      const session = ConversationMemory.createSession();
+      for (let i = 1; i <= 3; i++) {
+        ConversationMemory.appendTurn(session, 'user', `Pertanyaan ${i}`);
+        ConversationMemory.appendTurn(session, 'assistant', `Jawaban ${i}`);
+      }
+
+      const evicted = ConversationMemory.evictableTurns(session);
+
+      expect(evicted).toEqual([
+        expect.objectContaining({ text: 'Pertanyaan 1' }),
+        expect.objectContaining({ text: 'Jawaban 1' })
+      ]);
+      expect(ConversationMemory.applySummary(session, evicted, 'Ringkasan percakapan awal')).toBe(true);
+      expect(session.turns).toHaveLength(4);
+      expect(session.turns[0].text).toBe('Pertanyaan 2');
+      expect(session.summary).toBe('Ringkasan percakapan awal');
+      expect(session.summarizedTurnCount).toBe(2);
+    });
+
+    test('should enforce the token window', () => {
+      config.conversation.maxTokens = 100;
+      const session = ConversationMemory.createSession();
+      ConversationMemory.appendTurn(session, 'user', 'a'.repeat(300));
+      ConversationMemory.appendTurn(session, 'assistant', 'b'.repeat(300));
+      ConversationMemory.appendTurn(session, 'user', 'Pertanyaan singkat');
+      ConversationMemory.appendTurn(session, 'assistant', 'Jawaban singkat');
+
+      ConversationMemory.applySummary(session, ConversationMemory.evictableTurns(session), 'Ringkasan');
+
+      expect(session.turns).toHaveLength(2);
+      expect(ConversationMemory.countTokens(session.turns)).toBeLessThanOrEqual(100);
+    });
+
+    test('should not apply a summary to a log that no longer starts with the evicted turns', () => {
+      config.conversation.maxTurns = 2;
+      const session = ConversationMemory.createSession();
+      for (const text of ['Satu', 'Dua', 'Tiga', 'Empat']) {
+        ConversationMemory.appendTurn(session, text === 'Satu' || text === 'Tiga' ? 'user' : 'assistant', text);
+      }
+
+      const evicted = ConversationMemory.evictableTurns(session);
+      const reset = ConversationMemory.createSession();
+      ConversationMemory.appendTurn(reset, 'user', 'Pertanyaan baru');
+
+      expect(evicted.map(turn => turn.text)).toEqual(['Satu', 'Dua']);
+      expect(ConversationMemory.applySummary(reset, evicted, 'Ringkasan')).toBe(false);
+      expect(reset.summary).toBeNull();
+      expect(ConversationMemory.applySummary(session, evicted, 'Ringkasan')).toBe(true);
+      expect(session.turns.map(turn => turn.text)).toEqual(['Tiga', 'Empat']);
+    });
+
+    test('should fall back to an extractive summary without a model summary', () => {
+      config.conversation.maxTurns = 2;
+      const session = ConversationMemory.createSession();
+      ConversationMemory.appendTurn(session, 'user', 'Kucing saya bernama Oyen. Dia berumur 3 tahun.');
+      ConversationMemory.appendTurn(session, 'assistant', 'Halo Oyen! Ada yang bisa dibantu?');
+      ConversationMemory.appendTurn(session, 'user', 'Oyen bersin terus');
+      ConversationMemory.appendTurn(session, 'assistant', 'Bersin bisa karena flu kucing.');
+
+      ConversationMemory.applySummary(session, ConversationMemory.evictableTurns(session), null);
+
+      expect(session.summary).toContain('Pemilik: Kucing saya bernama Oyen.');
+      expect(session.summary).toContain('PurrPal: Halo Oyen!');
+    });
+  });
+
+  describe('PurrPalChatbot conversation history', () => {
+    let chatbot;
+    let provider;
+
+    beforeEach(async () => {
+      await CacheManager.clear();
+      provider = new FakeProvider({ responder: request => `Balasan ke-${provider.calls.length}` });
+      chatbot = new PurrPalChatbot({ provider });
+      await chatbot.initialize();
+    });
+
+    test('should keep a full turn log per session', async () => {
+      await chatbot.generateResponse('Kucing saya bersin terus', 'memory-session');
+      await chatbot.generateResponse('Apakah perlu ke dokter?', 'memory-session', { useContext: true });
+
+      const history = chatbot.getConversationHistory('memory-session');
+      expect(history.turns.map(turn => turn.role)).toEqual(['user', 'assistant', 'user', 'assistant']);
+      expect(history.turns[2].text).toBe('Apakah perlu ke dokter?');
+    });
+
+    test('should send previous turns as chat contents when useContext is set', async () => {
+      await chatbot.generateResponse('Kucing saya bersin terus', 'context-session');
+      await chatbot.generateResponse('Apakah perlu ke dokter?', 'context-session', { useContext: true });
+
+      const lastRequest = provider.calls[provider.calls.length - 1];
+      expect(lastRequest.contents).toHaveLength(3);
+      expect(lastRequest.contents[0]).toEqual({ role: 'user', parts: [{ text: 'Kucing saya bersin terus' }] });
+      expect(lastRequest.contents[1].role).toBe('model');
+      expect(lastRequest.contents[2].parts[0].text).toContain('PERTANYAAN LANJUTAN: "Apakah perlu ke dokter?"');
+    });
+
+    test('should use conversation history in streaming follow-ups', async () => {
+      await chatbot.generateStreamingResponse('Kucing saya bersin terus', 'stream-context');
+      await chatbot.generateStreamingResponse('Apakah perlu ke dokter?', 'stream-context', null, { useContext: true });
+
+      const lastRequest = provider.calls[provider.calls.length - 1];
+      expect(lastRequest.contents).toHaveLength(3);
+      expect(lastRequest.contents[0].parts[0].text).toBe('Kucing saya bersin terus');
+      expect(chatbot.getConversationHistory('stream-context').turns).toHaveLength(4);
+    });
+
+    test('should not cache answers that depend on history', async () => {
+      await chatbot.generateResponse('Kucing saya bersin terus', 'cache-session');
+      await chatbot.generateResponse('Apakah perlu ke dokter?', 'cache-session', { useContext: true });
+      const response = await chatbot.generateResponse('Apakah perlu ke dokter?', 'cache-session', { useContext: true });
+
+      expect(response.cached).toBeUndefined();
+    });
+
+    test('should summarise older turns using the model', async () => {
+      config.conversation.maxTurns = 2;
+
+      await chatbot.generateResponse('Kucing saya bernama Oyen', 'summary-session');
+      await chatbot.generateResponse('Oyen tidak mau minum', 'summary-session', { useContext: true });
+      await chatbot.settleConversations('summary-session');
+
+      const history = chatbot.getConversationHistory('summary-session');
+      expect(history.turns).toHaveLength(2);
+      expect(history.summary).toMatch(/^Balasan ke-/);
+      expect(provider.calls[provider.calls.length - 1].prompt).toContain('Ringkas percakapan');
+    });
+
+    test('should answer before the summary is ready without losing turns added meanwhile', async () => {
+      config.conversation.maxTurns = 2;
+      let finishSummary;
+      const summarize = jest.spyOn(chatbot, '_summarizeTurns')
+        .mockImplementationOnce(() => new Promise(resolve => { finishSummary = resolve; }))
+        .mockResolvedValue('Ringkasan kedua');
+
+      await chatbot.generateResponse('Kucing saya bernama Oyen', 'pending-session');
+      const answer = await chatbot.generateResponse('Oyen tidak mau minum', 'pending-session', { useContext: true });
+      await Promise.all([
+        chatbot.generateResponse('Oyen juga bersin', 'pending-session', { useContext: true }),
+        chatbot.generateResponse('Perlu vitamin?', 'pending-session', { useContext: true })
+      ]);
+
+      expect(answer.success).toBe(true);
+      expect(chatbot.getConversationHistory('pending-session').turns).toHaveLength(8);
+
+      finishSummary('Ringkasan pertama');
+      await chatbot.settleConversations('pending-session');
+
+      const history = chatbot.getConversationHistory('pending-session');
+      expect(summarize).toHaveBeenCalledTimes(2);
+      expect(history.summary).toBe('Ringkasan kedua');
+      expect(history.summarizedTurnCount).toBe(6);
+      expect(history.turns).toHaveLength(2);
+      expect(history.turns[0].text).toBe('Perlu vitamin?');
+    });
+
+    test('should not call the model for summaries while the circuit is open', async () => {
+      config.conversation.maxTurns = 2;
+      // Both answers may call the model, the summary finds the circuit open
+      jest.spyOn(chatbot.circuitBreaker, 'canRequest')
+        .mockReturnValueOnce(true)
+        .mockReturnValueOnce(true)
+        .mockReturnValue(false);
+
+      await chatbot.generateResponse('Kucing saya bernama Oyen', 'open-session');
+      await chatbot.generateResponse('Oyen tidak mau minum', 'open-session', { useContext: true });
+      await chatbot.settleConversations();
+
+      const history = chatbot.getConversationHistory('open-session');
+      expect(provider.calls.some(call => call.prompt && call.prompt.includes('Ringkas percakapan'))).toBe(false);
+      expect(history.summary).toContain('Pemilik: Kucing saya bernama Oyen');
+      expect(history.turns).toHaveLength(2);
+    });
+  });
+});
@@ -0,0 +1,153 @@
+const config = require('../src/config');
+const { PurrPalChatbot } = require('../src/chatbot');
+const { FakeProvider } = require('../src/providers');
+const { FirstAidGuide, FIRST_AID_ENTRIES } = require('../src/firstAid');
+const { I18n } = require('../src/i18n');
+const { TriageEngine } = require('../src/triage');
+const { SafetyChecker } = require('../src/safety');
+const { MetricsCollector } = require('../src/utils');
+
+const originalConsoleLog = console.log;
+const originalConsoleError = console.error;
+
+describe('Offline First Aid', () => {
+  beforeAll(() => {
+    console.log = jest.fn();
+    console.error = jest.fn();
+  });
+
+  afterAll(() => {
+    console.log = originalConsoleLog;
+    console.error = originalConsoleError;
+  });
+
+  describe('FirstAidGuide', () => {
+    test('should cover every emergency keyword and serious symptom in the config', () => {
+      const keywords = [...config.catCare.emergencyKeywords, ...config.catCare.seriousSymptoms]
+        .filter(keyword => !['emergency', 'urgent', 'gawat darurat'].includes(keyword));
+
+      for (const keyword of keywords) {
+        const topics = FirstAidGuide.match(TriageEngine.assess(`kucing saya ${keyword}`)).map(entry => entry.id);
+        expect(topics.some(topic => !topic.startsWith('general-'))).toBe(true);
+      }
+    });
+
+    test('should put the strongest symptom first and limit the topics', () => {
+      const triage = TriageEngine.assess('kucing saya kejang, muntah, demam dan diare');
+      const { text, topics } = FirstAidGuide.compose(triage);
+
+      expect(topics[0]).toBe('seizure');
+      expect(topics.length).toBeLessThanOrEqual(2);
+      expect(text).toContain('**Kejang**');
+      expect(text).toContain('Jangan memasukkan apa pun ke mulut kucing.');
+    });
+
+    test('should fall back to the general entry for the urgency level', () => {
+      expect(FirstAidGuide.compose(TriageEngine.assess('gawat darurat tolong')).topics).toEqual(['general-emergency']);
+      expect(FirstAidGuide.compose({ urgencyLevel: 'serious', symptoms: [] }).topics).toEqual(['general-serious']);
+    });
+
+    test.each(I18n.languages)('should always refer emergencies to a vet and never give unsafe advice (%s)', language => {
+      for (const entry of FIRST_AID_ENTRIES) {
+        const triage = {
+          urgencyLevel: 'emergency',
+          symptoms: entry.symptoms.map(id => ({ id, level: 'emergency', weight: 10 }))
+        };
+        const { text } = FirstAidGuide.compose(triage, language);
+
+        expect(SafetyChecker.check(text, { urgencyLevel: 'emergency', language }).safe).toBe(true);
+      }
+    });
+
+    test('should write the guide in the requested language', () => {
+      const { text, topics } = FirstAidGuide.compose(TriageEngine.assess('My cat is having a seizure'), 'en');
+
+      expect(topics).toEqual(['seizure']);
+      expect(text).toContain('**Seizure**');
+      expect(text).not.toContain('Jangan');
+    });
+
+    test('should only cover the configured urgency levels', () => {
+      expect(FirstAidGuide.covers('emergency')).toBe(true);
+      expect(FirstAidGuide.covers('serious')).toBe(true);
+      expect(FirstAidGuide.covers('normal')).toBe(false);
+    });
+  });
+
+  describe('Chatbot integration', () => {
+    let chatbot;
+    let provider;
+    let available;
+
+    beforeEach(async () => {
+      MetricsCollector.resetMetrics();
+      available = true;
+      provider = new FakeProvider({
+        responder: () => {
+          if (available) return 'Segera bawa kucing Anda ke dokter hewan.';
+          const error = new Error('got status: 400 Bad Request');
+          error.status = 400;
+          throw error;
+        }
+      });
+      chatbot = new PurrPalChatbot({ provider });
+      await chatbot.initialize();
+      available = false;
+    });
+
+    afterEach(() => {
+      config.fallback.enabled = true;
+    });
+
+    test('should answer an emergency from the knowledge base when generation fails', async () => {
+      const response = await chatbot.generateResponse('Kucing saya kejang dari tadi', 'fallback-session', { bypassCache: true });
+
+      expect(response).toMatchObject({
+        success: true,
+        source: 'fallback',
+        urgencyLevel: 'emergency',
+        fallbackTopics: ['seizure']
+      });
+      expect(response.message).toContain('dokter hewan');
+      expect(response.recommendations).toContain('Segera bawa kucing ke dokter hewan terdekat');
+      expect(response.degraded).toBeUndefined();
+      expect(MetricsCollector.getMetrics().fallbackResponses).toBe(1);
+      expect(chatbot.getConversationHistory('fallback-session')).toBeNull();
+    });
+
+    test('should keep the error response for normal questions', async () => {
+      const response = await chatbot.generateResponse('Makanan apa yang bagus untuk kucing?', null, { bypassCache: true });
+
+      expect(response.success).toBe(false);
+      expect(response.source).toBeUndefined();
+    });
+
+    test('should keep the error response when the fallback is disabled', async () => {
+      config.fallback.enabled = false;
+      const response = await chatbot.generateResponse('Kucing saya kejang', null, { bypassCache: true });
+
+      expect(response.success).toBe(false);
+    });
+
+    test('should answer from the knowledge base while the circuit is open', async () => {
+      for (let i = 0; i < chatbot.circuitBreaker.failureThreshold; i++) chatbot.circuitBreaker.recordFailure();
+      const callsBefore = provider.calls.length;
+
+      const response = await chatbot.generateResponse('Kucing saya tidak mau makan dan tidak mau minum', null, { bypassCache: true });
+
+      expect(response).toMatchObject({ source: 'fallback', degraded: true, fallbackTopics: ['appetite'] });
+      expect(response.retryAfter).toBeGreaterThan(0);
+      expect(provider.calls).toHaveLength(callsBefore);
+    });
+
+    test('should stream the offline answer as a single chunk', async () => {
+      const chunks = [];
+      const response = await chatbot.generateStreamingResponse('Kucing saya keracunan', null, chunk => chunks.push(chunk));
+
+      expect(response.source).toBe('fallback');
+      expect(response.fallbackTopics).toEqual(['poisoning']);
+      expect(chunks).toHaveLength(1);
+      expect(chunks[0].fullResponse).toBe(response.message);
+    });
+  });
+});
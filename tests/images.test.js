@@ -0,0 +1,208 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const config = require('../src/config');
+const { PurrPalChatbot } = require('../src/chatbot');
+const { FakeProvider, ModelProvider } = require('../src/providers');
+const { ImageAttachments } = require('../src/images');
+const { CacheManager, MetricsCollector } = require('../src/utils');
+
+const originalConsoleLog = console.log;
+const originalConsoleError = console.error;
+
+// Only the signature is checked, so a few header bytes stand in for a photo
+const PNG = Buffer.concat([Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]), Buffer.alloc(24)]);
+const JPEG = Buffer.concat([Buffer.from([0xff, 0xd8, 0xff, 0xe0]), Buffer.alloc(28)]);
+const GIF = Buffer.concat([Buffer.from('GIF89a'), Buffer.alloc(26)]);
+const PDF = Buffer.from('%PDF-1.7 bukan gambar');
+
+describe('Image Attachments', () => {
+  const originalImages = { ...config.images };
+  let directory;
+
+  beforeAll(() => {
+    console.log = jest.fn();
+    console.error = jest.fn();
+
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'purrpal-images-'));
+    fs.mkdirSync(path.join(directory, 'uploads'));
+    fs.writeFileSync(path.join(directory, 'uploads', 'luka.png'), PNG);
+    fs.writeFileSync(path.join(directory, 'rahasia.png'), PNG);
+  });
+
+  afterEach(() => {
+    Object.assign(config.images, originalImages);
+  });
+
+  afterAll(() => {
+    fs.rmSync(directory, { recursive: true, force: true });
+    console.log = originalConsoleLog;
+    console.error = originalConsoleError;
+  });
+
+  describe('ImageAttachments', () => {
+    test('should accept base64 data and data: URLs and take the type from the bytes', async () => {
+      const result = await ImageAttachments.load([
+        { data: PNG.toString('base64') },
+        { data: `data:image/jpg;base64,${JPEG.toString('base64')}` }
+      ]);
+
+      expect(result).toMatchObject({ isValid: true, errors: [], reason: null });
+      expect(result.images.map(image => image.mimeType)).toEqual(['image/png', 'image/jpeg']);
+      expect(result.images[0]).toMatchObject({ data: PNG.toString('base64'), bytes: PNG.length, source: 'base64' });
+    });
+
+    test.each([
+      ['a PDF', { data: PDF.toString('base64') }, 'invalid_image'],
+      ['text that is not base64', { data: 'bukan base64!' }, 'invalid_image'],
+      ['a mislabelled file', { data: JPEG.toString('base64'), mimeType: 'image/png' }, 'invalid_image'],
+      ['a GIF', { data: GIF.toString('base64') }, 'unsupported_image_type'],
+      ['an attachment without data', { url: 'https://contoh.id/foto.png' }, 'invalid_image']
+    ])('should reject %s', async (label, attachment, reason) => {
+      const result = await ImageAttachments.load([attachment]);
+
+      expect(result.isValid).toBe(false);
+      expect(result.reason).toBe(reason);
+      expect(result.images).toEqual([]);
+    });
+
+    test('should enforce the size and count limits', async () => {
+      config.images.maxBytes = 1024;
+      const tooLarge = await ImageAttachments.load([{ data: Buffer.concat([PNG, Buffer.alloc(1024)]).toString('base64') }]);
+      expect(tooLarge.reason).toBe('image_too_large');
+      expect(tooLarge.errors).toEqual(['Gambar ke-1 terlalu besar, maksimal 1 KB']);
+
+      config.images.maxCount = 1;
+      const tooMany = await ImageAttachments.load([{ data: 'a' }, { data: 'b' }], 'en');
+      expect(tooMany.errors).toEqual(['Too many images, at most 1']);
+    });
+
+    test('should read files only from the image directory', async () => {
+      config.images.directory = path.join(directory, 'uploads');
+
+      const inside = await ImageAttachments.load([{ path: 'luka.png' }]);
+      expect(inside.images[0]).toMatchObject({ mimeType: 'image/png', source: 'path' });
+
+      for (const outside of ['../rahasia.png', path.join(directory, 'rahasia.png'), 'tidak-ada.png']) {
+        expect((await ImageAttachments.load([{ path: outside }])).reason).toBe('image_not_found');
+      }
+    });
+
+    test('should refuse attachments when images are disabled', async () => {
+      config.images.enabled = false;
+      expect((await ImageAttachments.load([{ data: PNG.toString('base64') }])).reason).toBe('images_disabled');
+      expect((await ImageAttachments.load(undefined)).isValid).toBe(true);
+    });
+
+    test('should size the request body limit for the largest allowed photo request', () => {
+      const maxBase64 = config.images.maxCount * Math.ceil(config.images.maxBytes / 3) * 4;
+      expect(config.server.bodyLimit).toBeGreaterThan(maxBase64);
+
+      const keys = ['IMAGE_MAX_COUNT', 'IMAGE_MAX_SIZE_KB', 'REQUEST_BODY_LIMIT'];
+      const originalEnv = Object.fromEntries(keys.map(key => [key, process.env[key]]));
+      const loadConfig = env => {
+        let loaded;
+        Object.assign(process.env, env);
+        jest.isolateModules(() => { loaded = require('../src/config'); });
+        return loaded;
+      };
+
+      try {
+        expect(loadConfig({ IMAGE_MAX_COUNT: '2', IMAGE_MAX_SIZE_KB: '300' }).server.bodyLimit)
+          .toBe(Math.ceil(2 * 300 * 1024 * 4 / 3) + 1024 * 1024);
+        expect(loadConfig({ REQUEST_BODY_LIMIT: '20mb' }).server.bodyLimit).toBe('20mb');
+      } finally {
+        for (const key of keys) {
+          if (originalEnv[key] === undefined) {
+            delete process.env[key];
+          } else {
+            process.env[key] = originalEnv[key];
+          }
+        }
+      }
+    });
+
+    test('should pick photo hints from the question', () => {
+      expect(ImageAttachments.hints('Ini foto kotorannya, mencret berdarah').map(rule => rule.id)).toEqual(['stool']);
+      expect(ImageAttachments.hints('Luka di kaki dan bulu rontok').map(rule => rule.id)).toEqual(['wound', 'skin']);
+
+      const notes = ImageAttachments.describe([{ mimeType: 'image/jpeg' }, { mimeType: 'image/jpeg' }], 'muntahannya kuning');
+      expect(notes).toContain('- Pemilik melampirkan 2 foto (image/jpeg).');
+      expect(notes).toContain('isi muntahan');
+      expect(ImageAttachments.describe([], 'muntah')).toBe('');
+    });
+  });
+
+  describe('Providers', () => {
+    test('should put inline image parts before the text of the last turn', () => {
+      const image = { mimeType: 'image/png', data: 'AAAA' };
+
+      expect(ModelProvider.toContents({ prompt: 'Lihat foto ini', images: [image] })).toEqual([
+        { role: 'user', parts: [{ inlineData: image }, { text: 'Lihat foto ini' }] }
+      ]);
+
+      const contents = ModelProvider.toContents({
+        contents: [{ role: 'user', parts: [{ text: 'Halo' }] }, { role: 'model', parts: [{ text: 'Hai' }] }, { role: 'user', parts: [{ text: 'Ini fotonya' }] }],
+        images: [image]
+      });
+      expect(contents[0].parts).toEqual([{ text: 'Halo' }]);
+      expect(contents[2].parts[0]).toEqual({ inlineData: image });
+    });
+  });
+
+  describe('Chatbot integration', () => {
+    let chatbot;
+    let provider;
+
+    const question = 'Ini foto kotoran kucing saya, warnanya aneh';
+
+    beforeEach(async () => {
+      await CacheManager.clear();
+      MetricsCollector.resetMetrics();
+      provider = new FakeProvider({ responder: () => 'Fesesnya tampak lembek, pantau terus dan bawa sampel ke dokter hewan.' });
+      chatbot = new PurrPalChatbot({ provider });
+      await chatbot.initialize();
+      provider.calls.length = 0;
+    });
+
+    test('should send the photo with a prompt that says what to look for', async () => {
+      const response = await chatbot.generateResponse(question, null, { images: [{ data: PNG.toString('base64') }] });
+      const [request] = provider.calls;
+
+      expect(response).toMatchObject({ success: true, imageCount: 1 });
+      expect(request.images).toEqual([expect.objectContaining({ mimeType: 'image/png' })]);
+      expect(request.prompt).toContain('FOTO TERLAMPIR:');
+      expect(request.prompt).toContain('Perhatikan konsistensi dan warna feses');
+      expect(MetricsCollector.getMetrics()).toMatchObject({ imageRequests: 1, imagesReceived: 1 });
+    });
+
+    test('should neither use nor fill the text cache for image requests', async () => {
+      await chatbot.generateResponse(question);
+      const withImage = await chatbot.generateResponse(question, null, { images: [{ data: PNG.toString('base64') }] });
+      await chatbot.generateResponse(question, null, { images: [{ data: PNG.toString('base64') }] });
+
+      expect(withImage.cached).toBeUndefined();
+      expect(provider.calls).toHaveLength(3);
+      expect(provider.calls[0].prompt).not.toContain('FOTO TERLAMPIR');
+    });
+
+    test('should reject invalid attachments without calling the model', async () => {
+      const response = await chatbot.generateResponse(question, null, { images: [{ data: PDF.toString('base64') }] });
+
+      expect(response).toMatchObject({ success: false, code: 'INVALID_INPUT', reason: 'invalid_image' });
+      expect(response.message).toBe('Input tidak valid: Gambar ke-1 tidak valid atau bukan gambar');
+      expect(provider.calls).toHaveLength(0);
+    });
+
+    test('should stream answers about photos', async () => {
+      const chunks = [];
+      const response = await chatbot.generateStreamingResponse(question, null, chunk => chunks.push(chunk), {
+        images: [{ data: JPEG.toString('base64') }]
+      });
+
+      expect(response.success).toBe(true);
+      expect(provider.calls[0].images[0].mimeType).toBe('image/jpeg');
+      expect(chunks.length).toBeGreaterThan(0);
+    });
+  });
+});
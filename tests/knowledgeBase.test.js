@@ -0,0 +1,157 @@
+const config = require('../src/config');
+const { PurrPalChatbot } = require('../src/chatbot');
+const { FakeProvider } = require('../src/providers');
+const { KnowledgeBase } = require('../src/knowledgeBase');
+const { CacheManager, PromptManager } = require('../src/utils');
+
+const originalConsoleLog = console.log;
+const originalConsoleError = console.error;
+
+const GROOMING_ARTICLE = `---
+id: grooming
+title: Merawat Bulu Kucing
+---
+
+# Merawat Bulu Kucing
+
+## Menyisir bulu
+
+Sisir bulu kucing berbulu panjang setiap hari untuk mencegah bulu kusut dan hairball.
+
+## Memandikan kucing
+
+Kucing jarang perlu dimandikan. Gunakan sampo khusus kucing dan air hangat.
+`;
+
+describe('Knowledge Base', () => {
+  beforeAll(() => {
+    console.log = jest.fn();
+    console.error = jest.fn();
+  });
+
+  afterAll(() => {
+    console.log = originalConsoleLog;
+    console.error = originalConsoleError;
+  });
+
+  describe('KnowledgeBase', () => {
+    let knowledgeBase;
+
+    beforeEach(() => {
+      knowledgeBase = new KnowledgeBase({ topK: 3 });
+    });
+
+    test('should parse front matter and split articles into sections', () => {
+      const article = knowledgeBase.addArticle(GROOMING_ARTICLE, 'fallback-id');
+
+      expect(article).toEqual({ id: 'grooming', title: 'Merawat Bulu Kucing' });
+      expect(knowledgeBase.passages.map(passage => passage.section)).toEqual(['Menyisir bulu', 'Memandikan kucing']);
+    });
+
+    test('should fall back to the file name and first heading', () => {
+      const article = knowledgeBase.addArticle('# Kutu Kucing\n\nGunakan obat kutu dari dokter hewan.', 'kutu');
+      expect(article).toEqual({ id: 'kutu', title: 'Kutu Kucing' });
+    });
+
+    test('should rank the passage that matches the question first', () => {
+      knowledgeBase.addArticle(GROOMING_ARTICLE, 'grooming');
+      const results = knowledgeBase.search('gimana cara mandiin kucing pakai sampo?');
+
+      expect(results[0]).toMatchObject({ articleId: 'grooming', section: 'Memandikan kucing' });
+      expect(results[0].score).toBeGreaterThan(0);
+    });
+
+    test('should return nothing for unrelated questions or below the minimum score', () => {
+      knowledgeBase.addArticle(GROOMING_ARTICLE, 'grooming');
+      expect(knowledgeBase.search('vaksin rabies')).toEqual([]);
+
+      knowledgeBase.minScore = 100;
+      expect(knowledgeBase.search('sisir bulu kusut')).toEqual([]);
+    });
+
+    test('should reject duplicate article ids', () => {
+      knowledgeBase.addArticle(GROOMING_ARTICLE, 'grooming');
+      expect(() => knowledgeBase.addArticle(GROOMING_ARTICLE, 'grooming-copy')).toThrow('Duplicate knowledge base article id: grooming');
+    });
+
+    test('should stay empty when the folder does not exist', () => {
+      knowledgeBase.load('./tidak-ada');
+      expect(knowledgeBase.size).toBe(0);
+      expect(knowledgeBase.search('vaksin')).toEqual([]);
+    });
+
+    test('should list each cited article once', () => {
+      const sources = KnowledgeBase.sources([
+        { articleId: 'a', title: 'A' },
+        { articleId: 'b', title: 'B' },
+        { articleId: 'a', title: 'A' }
+      ]);
+      expect(sources).toEqual([{ id: 'a', title: 'A' }, { id: 'b', title: 'B' }]);
+    });
+
+    test('should index the bundled articles', () => {
+      knowledgeBase.load(config.knowledgeBase.path);
+
+      expect(knowledgeBase.size).toBeGreaterThanOrEqual(3);
+      expect(knowledgeBase.search('kapan jadwal vaksin rabies anak kucing')[0].articleId).toBe('jadwal-vaksinasi');
+      expect(knowledgeBase.search('kucing saya makan daun sri rejeki')[0].articleId).toBe('tanaman-beracun');
+      expect(knowledgeBase.search('berapa kali kucing harus makan sehari')[0].articleId).toBe('nutrisi-kucing');
+    });
+  });
+
+  describe('PromptManager', () => {
+    test('should add labelled references to the prompt only when there are passages', () => {
+      const passages = [{ articleId: 'grooming', title: 'Merawat Bulu Kucing', section: 'Menyisir bulu', text: 'Sisir setiap hari.' }];
+
+      const withReferences = PromptManager.createCatCarePrompt('Cara menyisir kucing?', undefined, passages);
+      const withoutReferences = PromptManager.createCatCarePrompt('Cara menyisir kucing?');
+
+      expect(withReferences).toContain('REFERENSI TERVERIFIKASI');
+      expect(withReferences).toContain('[grooming] Merawat Bulu Kucing - Menyisir bulu\nSisir setiap hari.');
+      expect(withoutReferences).not.toContain('REFERENSI TERVERIFIKASI');
+    });
+  });
+
+  describe('Chatbot integration', () => {
+    let chatbot;
+    let provider;
+
+    beforeEach(async () => {
+      await CacheManager.clear();
+      provider = new FakeProvider({ responder: () => 'Vaksin rabies pertama diberikan mulai usia 12 minggu.' });
+      chatbot = new PurrPalChatbot({ provider });
+      await chatbot.initialize();
+    });
+
+    afterEach(() => {
+      config.knowledgeBase.enabled = true;
+    });
+
+    test('should ground the prompt on retrieved articles and cite them', async () => {
+      const response = await chatbot.generateResponse('Kapan jadwal vaksin rabies untuk anak kucing?', 'kb-session');
+      const { prompt } = provider.calls[provider.calls.length - 1];
+
+      expect(prompt).toContain('[jadwal-vaksinasi]');
+      expect(response.sources).toEqual([{ id: 'jadwal-vaksinasi', title: 'Jadwal Vaksinasi Kucing' }]);
+    });
+
+    test('should keep the citations on cached answers', async () => {
+      await chatbot.generateResponse('Kapan jadwal vaksin rabies untuk anak kucing?', 'kb-cache');
+      const cached = await chatbot.generateResponse('Kapan jadwal vaksin rabies untuk anak kucing?', 'kb-cache');
+
+      expect(cached.cached).toBe(true);
+      expect(cached.sources[0].id).toBe('jadwal-vaksinasi');
+    });
+
+    test('should answer without references when nothing matches or retrieval is disabled', async () => {
+      const unrelated = await chatbot.generateResponse('Kucing saya bersin terus', null, { bypassCache: true });
+      expect(unrelated.sources).toBeUndefined();
+
+      config.knowledgeBase.enabled = false;
+      const disabled = await chatbot.generateResponse('Kapan jadwal vaksin rabies?', null, { bypassCache: true });
+
+      expect(disabled.sources).toBeUndefined();
+      expect(provider.calls[provider.calls.length - 1].prompt).not.toContain('REFERENSI TERVERIFIKASI');
+    });
+  });
+});
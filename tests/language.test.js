@@ -0,0 +1,165 @@
+const config = require('../src/config');
+const { PurrPalChatbot } = require('../src/chatbot');
+const { FakeProvider } = require('../src/providers');
+const { I18n, LANGUAGES, MESSAGES } = require('../src/i18n');
+const { InputValidator, PromptManager, ResponseFormatter, CacheManager } = require('../src/utils');
+
+const originalConsoleLog = console.log;
+const originalConsoleError = console.error;
+
+// Dotted paths of every entry in a catalog
+const catalogKeys = (node, prefix = '') => Object.entries(node).flatMap(([key, value]) =>
+  (value && typeof value === 'object' && !Array.isArray(value) ? catalogKeys(value, `${prefix}${key}.`) : [`${prefix}${key}`]));
+
+describe('Multilingual Support', () => {
+  const originalDefaultLanguage = config.catCare.defaultLanguage;
+
+  beforeAll(() => {
+    console.log = jest.fn();
+    console.error = jest.fn();
+  });
+
+  afterEach(() => {
+    config.catCare.defaultLanguage = originalDefaultLanguage;
+  });
+
+  afterAll(() => {
+    console.log = originalConsoleLog;
+    console.error = originalConsoleError;
+  });
+
+  describe('I18n', () => {
+    test.each([
+      ['Kucing saya tidak mau makan sejak kemarin', 'id'],
+      ['My cat has been vomiting since yesterday, what should I do?', 'en'],
+      ['Kucingku ora gelem mangan wis rong dina', 'jv'],
+      ['Piye carane ngrawat anak kucing?', 'jv'],
+      ['Ucing abdi teu daek dahar ti kamari', 'su'],
+      ['Kumaha carana miara anak ucing?', 'su'],
+      ['my kitten tidak mau makan', 'id']
+    ])('should detect "%s" as %s', (message, language) => {
+      expect(I18n.detect(message).language).toBe(language);
+    });
+
+    test('should fall back to the default language without marker words', () => {
+      expect(I18n.detect('Halo PurrPal!')).toMatchObject({ language: 'id', confidence: 0 });
+
+      config.catCare.defaultLanguage = 'en';
+      expect(I18n.detect('Halo PurrPal!').language).toBe('en');
+      expect(I18n.detect(null).language).toBe('en');
+    });
+
+    test('should have a complete catalog and prompt name for every supported language', () => {
+      const keys = catalogKeys(MESSAGES.id);
+
+      for (const language of I18n.languages) {
+        expect(LANGUAGES[language].promptName).toBeTruthy();
+        expect(catalogKeys(MESSAGES[language])).toEqual(keys);
+      }
+    });
+
+    test('should fill placeholders and fall back to the default language for unknown codes', () => {
+      expect(I18n.t('en', 'validation.tooLong', { max: 2000 })).toBe('Question is too long, at most 2000 characters');
+      expect(I18n.t('fr', 'validation.notText')).toBe('Input harus berupa teks');
+      expect(() => I18n.t('id', 'validation.missing')).toThrow('Unknown message key');
+    });
+  });
+
+  describe('Localized messages', () => {
+    test('should report validation errors in the requested language', () => {
+      expect(InputValidator.validateInput('Hi', 'en').errors).toEqual(['Question is too short, at least 3 characters']);
+      expect(InputValidator.validateInput(42, 'su').errors).toEqual(['Pesen kedah mangrupa téks']);
+      expect(InputValidator.validateInput('Hi').errors).toEqual(['Pertanyaan terlalu pendek, minimal 3 karakter']);
+    });
+
+    test('should localize recommendations and error suggestions', () => {
+      const response = ResponseFormatter.formatResponse('Jawaban', { urgencyLevel: 'emergency', language: 'jv' });
+      expect(response.language).toBe('jv');
+      expect(response.recommendations[0]).toBe('Enggal gawa kucing menyang dokter kewan sing paling cedhak');
+
+      const error = ResponseFormatter.createErrorResponse(new Error('boom'), { language: 'en' });
+      expect(error.message).toContain("Sorry, I'm having technical problems");
+      expect(error.suggestions).toContain('Check your internet connection');
+    });
+
+    test('should localize fixed answers and request errors', () => {
+      expect(ResponseFormatter.generationText({ text: '', finishReason: 'SAFETY' }, 'en'))
+        .toMatch(/^Sorry, the answer to this question cannot be shown/);
+      expect(ResponseFormatter.generationText({ text: 'Jawaban', finishReason: 'MAX_TOKENS' }))
+        .toContain('Jawaban terpotong');
+      expect(ResponseFormatter.unavailableText('su')).toMatch(/^Hapunten, layanan PurrPal/);
+      expect(I18n.t('jv', 'errors.rateLimited', { seconds: 30 })).toBe('Kathah sanget panyuwunan. Mangga dipuncoba malih ing 30 detik.');
+    });
+
+    test('should tell the model which language to answer in', () => {
+      const triage = PromptManager.detectUrgency('My cat is sneezing');
+
+      expect(PromptManager.createCatCarePrompt('My cat is sneezing', triage, [], 'en'))
+        .toContain('BAHASA JAWABAN: Tulis seluruh jawaban dalam bahasa Inggris (English)');
+      expect(PromptManager.createCatCarePrompt('Kucing saya bersin'))
+        .toContain('BAHASA JAWABAN: Tulis seluruh jawaban dalam Bahasa Indonesia');
+    });
+  });
+
+  describe('Chatbot integration', () => {
+    let chatbot;
+    let provider;
+
+    const lastPrompt = () => provider.calls[provider.calls.length - 1].prompt;
+
+    beforeEach(async () => {
+      await CacheManager.clear();
+      provider = new FakeProvider({ responder: () => 'Give your cat fresh water and watch for other symptoms.' });
+      chatbot = new PurrPalChatbot({ provider });
+      await chatbot.initialize();
+      provider.calls.length = 0;
+    });
+
+    test('should answer in the detected language', async () => {
+      const response = await chatbot.generateResponse('Why does my cat sneeze so often?', null, { bypassCache: true });
+
+      expect(response.language).toBe('en');
+      expect(lastPrompt()).toContain('dalam bahasa Inggris (English)');
+    });
+
+    test('should let the request choose the language', async () => {
+      const response = await chatbot.generateResponse('Kucing saya bersin terus', null, { language: 'su', bypassCache: true });
+
+      expect(response.language).toBe('su');
+      expect(lastPrompt()).toContain('dalam bahasa Sunda');
+    });
+
+    test('should reject unsupported languages', async () => {
+      const response = await chatbot.generateResponse('Kucing saya bersin terus', null, { language: 'fr' });
+
+      expect(response).toMatchObject({ success: false, code: 'INVALID_INPUT' });
+      expect(response.message).toBe('Bahasa tidak didukung: fr. Pilihan: id, en, jv, su');
+      expect(provider.calls).toHaveLength(0);
+    });
+
+    test('should report request errors in the language of the message', async () => {
+      const language = await chatbot.generateResponse('Why does my cat sneeze so often?', null, { language: 'fr' });
+      const profile = await chatbot.generateResponse('Why does my cat sneeze so often?', null, { profile: 'verbose' });
+
+      expect(language.message).toBe('Unsupported language: fr. Options: id, en, jv, su');
+      expect(profile.message).toMatch(/^Unknown profile: verbose\. Options: /);
+    });
+
+    test('should reject input in the language of the message', async () => {
+      const response = await chatbot.generateResponse('what is document.cookie for?');
+
+      expect(response.message).toBe('Invalid input: Input contains content that is not allowed');
+      expect(response.suggestions).toContain('Try asking your question again');
+    });
+
+    test('should cache answers per language', async () => {
+      await chatbot.generateResponse('Kucing saya bersin terus');
+      const english = await chatbot.generateResponse('Kucing saya bersin terus', null, { language: 'en' });
+      const cached = await chatbot.generateResponse('Kucing saya bersin terus');
+
+      expect(english.cached).toBeUndefined();
+      expect(cached.cached).toBe(true);
+      expect(provider.calls).toHaveLength(2);
+    });
+  });
+});
@@ -0,0 +1,139 @@
+const config = require('../src/config');
+const { PurrPalChatbot } = require('../src/chatbot');
+const { FakeProvider, VertexGeminiProvider } = require('../src/providers');
+const { GenerationProfiles } = require('../src/profiles');
+const { CacheManager } = require('../src/utils');
+
+const originalConsoleLog = console.log;
+const originalConsoleError = console.error;
+
+describe('Generation Profiles', () => {
+  beforeAll(() => {
+    console.log = jest.fn();
+    console.error = jest.fn();
+  });
+
+  afterAll(() => {
+    console.log = originalConsoleLog;
+    console.error = originalConsoleError;
+  });
+
+  afterEach(() => {
+    delete config.chatbot.profiles.custom;
+  });
+
+  describe('GenerationProfiles', () => {
+    test('should fill unset fields from the base chatbot settings', () => {
+      const profile = GenerationProfiles.resolve('concise');
+
+      expect(profile).toMatchObject({
+        name: 'concise',
+        maxTokens: config.chatbot.profiles.concise.maxTokens,
+        temperature: config.chatbot.profiles.concise.temperature,
+        topP: config.chatbot.topP,
+        topK: config.chatbot.topK
+      });
+      expect(profile.safetySettings).toEqual(config.chatbot.safetySettings);
+    });
+
+    test('should override individual safety thresholds', () => {
+      config.chatbot.profiles.custom = { safetySettings: { HARM_CATEGORY_HARASSMENT: 'BLOCK_ONLY_HIGH' } };
+      const profile = GenerationProfiles.resolve('custom');
+
+      expect(profile.safetySettings.HARM_CATEGORY_HARASSMENT).toBe('BLOCK_ONLY_HIGH');
+      expect(profile.safetySettings.HARM_CATEGORY_HATE_SPEECH).toBe(config.chatbot.safetySettings.HARM_CATEGORY_HATE_SPEECH);
+      expect(GenerationProfiles.toSafetySettings(profile)).toContainEqual({
+        category: 'HARM_CATEGORY_HARASSMENT',
+        threshold: 'BLOCK_ONLY_HIGH'
+      });
+    });
+
+    test('should return null for unknown profiles', () => {
+      expect(GenerationProfiles.resolve('verbose')).toBeNull();
+      expect(GenerationProfiles.resolve('__proto__')).toBeNull();
+      expect(GenerationProfiles.select('verbose')).toBeNull();
+    });
+
+    test('should prefer the named profile, then the urgency profile, then the default', () => {
+      expect(GenerationProfiles.select('detailed', 'emergency').name).toBe('detailed');
+      expect(GenerationProfiles.select(undefined, 'emergency').name).toBe('emergency');
+      expect(GenerationProfiles.select(undefined, 'normal').name).toBe(config.chatbot.defaultProfile);
+    });
+
+    test('should send profile settings with Vertex requests', () => {
+      const profile = GenerationProfiles.resolve('emergency');
+      const body = VertexGeminiProvider.buildRequest({ prompt: 'Halo', profile });
+
+      expect(body.generationConfig).toEqual({
+        maxOutputTokens: profile.maxTokens,
+        temperature: profile.temperature,
+        topP: profile.topP,
+        topK: profile.topK
+      });
+      expect(body.safetySettings).toContainEqual({
+        category: 'HARM_CATEGORY_DANGEROUS_CONTENT',
+        threshold: 'BLOCK_ONLY_HIGH'
+      });
+      expect(VertexGeminiProvider.buildRequest({ prompt: 'Halo' })).toEqual({
+        contents: [{ role: 'user', parts: [{ text: 'Halo' }] }]
+      });
+    });
+  });
+
+  describe('PurrPalChatbot profiles', () => {
+    let chatbot;
+    let provider;
+
+    beforeEach(async () => {
+      await CacheManager.clear();
+      provider = new FakeProvider({
+        responder: request => (request.profile ? `Jawaban ${request.profile.name}` : 'ok')
+      });
+      chatbot = new PurrPalChatbot({ provider });
+      await chatbot.initialize();
+    });
+
+    test('should pass the selected profile to the provider and echo its name', async () => {
+      const response = await chatbot.generateResponse('Cara memandikan kucing?', 'profile-session', {
+        profile: 'concise'
+      });
+
+      expect(response.profile).toBe('concise');
+      expect(response.message).toBe('Jawaban concise');
+      expect(provider.calls[provider.calls.length - 1].profile).toMatchObject({ name: 'concise', maxTokens: 1024 });
+    });
+
+    test('should use the emergency profile for emergencies by default', async () => {
+      const response = await chatbot.generateResponse('Kucing saya kejang, tolong ke dokter hewan', 'profile-emergency');
+
+      expect(response.urgencyLevel).toBe('emergency');
+      expect(response.profile).toBe('emergency');
+    });
+
+    test('should reject unknown profiles', async () => {
+      const callsBefore = provider.calls.length;
+      const response = await chatbot.generateResponse('Cara memandikan kucing?', 'profile-session', {
+        profile: 'verbose'
+      });
+
+      expect(response.success).toBe(false);
+      expect(response.code).toBe('INVALID_INPUT');
+      expect(provider.calls).toHaveLength(callsBefore);
+    });
+
+    test('should cache answers separately per profile', async () => {
+      await chatbot.generateResponse('Cara memotong kuku kucing?', 'profile-cache');
+      const detailed = await chatbot.generateResponse('Cara memotong kuku kucing?', 'profile-cache', {
+        profile: 'detailed'
+      });
+      const detailedAgain = await chatbot.generateResponse('Cara memotong kuku kucing?', 'profile-cache', {
+        profile: 'detailed'
+      });
+
+      expect(detailed.cached).toBeUndefined();
+      expect(detailed.message).toBe('Jawaban detailed');
+      expect(detailedAgain.cached).toBe(true);
+      expect(detailedAgain.profile).toBe('detailed');
+    });
+  });
+});
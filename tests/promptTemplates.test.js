@@ -0,0 +1,166 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const config = require('../src/config');
+const { PurrPalChatbot } = require('../src/chatbot');
+const { FakeProvider } = require('../src/providers');
+const { PromptTemplates, TEMPLATE_SCHEMA } = require('../src/promptTemplates');
+const { CacheManager, PromptManager } = require('../src/utils');
+
+const originalConsoleLog = console.log;
+const originalConsoleError = console.error;
+
+/**
+ * Copy the bundled v1 templates into a temporary folder, optionally as
+ * several versions with some files overridden
+ */
+function createTemplateFolder(versions = { v1: {} }) {
+  const root = fs.mkdtempSync(path.join(os.tmpdir(), 'purrpal-prompts-'));
+  const bundled = path.join(config.prompts.path, 'v1');
+
+  for (const [version, overrides] of Object.entries(versions)) {
+    fs.mkdirSync(path.join(root, version));
+    for (const name of Object.keys(TEMPLATE_SCHEMA)) {
+      const content = overrides[name] !== undefined
+        ? overrides[name]
+        : fs.readFileSync(path.join(bundled, `${name}.txt`), 'utf8');
+      if (content !== null) fs.writeFileSync(path.join(root, version, `${name}.txt`), content);
+    }
+  }
+
+  return root;
+}
+
+describe('Prompt Templates', () => {
+  const originalPrompts = { ...config.prompts };
+  const folders = [];
+
+  const folder = versions => {
+    const root = createTemplateFolder(versions);
+    folders.push(root);
+    return root;
+  };
+
+  beforeAll(() => {
+    console.log = jest.fn();
+    console.error = jest.fn();
+  });
+
+  afterEach(() => {
+    PromptTemplates.unwatch();
+    Object.assign(config.prompts, originalPrompts);
+    PromptTemplates.load();
+  });
+
+  afterAll(() => {
+    for (const root of folders) fs.rmSync(root, { recursive: true, force: true });
+    console.log = originalConsoleLog;
+    console.error = originalConsoleError;
+  });
+
+  describe('PromptTemplates', () => {
+    test('should load and validate the bundled templates', () => {
+      expect(PromptTemplates.load()).toBe('v3');
+      for (const name of Object.keys(TEMPLATE_SCHEMA)) {
+        expect(PromptTemplates.templates[name]).toBeDefined();
+      }
+    });
+
+    test('should use the highest version unless one is pinned', () => {
+      const root = folder({ v1: {}, v2: {}, v10: {} });
+
+      expect(PromptTemplates.load({ path: root })).toBe('v10');
+      expect(PromptTemplates.load({ path: root, version: 'v2' })).toBe('v2');
+    });
+
+    test('should insert variables and drop empty sections', () => {
+      const root = folder({ v1: { summary: 'A\n{{#previousSummary}}\n[{{previousSummary}}]\n{{/previousSummary}}\n{{transcript}}\n' } });
+      PromptTemplates.load({ path: root });
+
+      expect(PromptTemplates.render('summary', { previousSummary: 'lama', transcript: 'baru' })).toBe('A\n[lama]\nbaru');
+      expect(PromptTemplates.render('summary', { transcript: 'baru' })).toBe('A\nbaru');
+    });
+
+    test('should not expand template tags inside inserted values', () => {
+      const prompt = PromptTemplates.render('cat-care', { userMessage: '{{baseContext}} {{#references}}x{{/references}}' });
+      expect(prompt).toContain('"{{baseContext}} {{#references}}x{{/references}}"');
+    });
+
+    test('should report every invalid template at once', () => {
+      const root = folder({
+        v1: {
+          'cat-care': 'Halo {{namaKucing}}',
+          summary: '{{#previousSummary}}{{transcript}}',
+          intake: null
+        }
+      });
+
+      let error;
+      try {
+        PromptTemplates.load({ path: root });
+      } catch (caught) {
+        error = caught;
+      }
+
+      expect(error.code).toBe('PROMPT_TEMPLATE_INVALID');
+      expect(error.details).toEqual(expect.arrayContaining([
+        'cat-care: unknown variable "namaKucing"',
+        'cat-care: missing required variable "userMessage"',
+        'summary: unclosed section "previousSummary"',
+        'Missing template intake.txt'
+      ]));
+    });
+
+    test('should keep the previous templates when loading fails', () => {
+      expect(() => PromptTemplates.load({ path: './tidak-ada' })).toThrow('Prompt template folder not found');
+      expect(PromptTemplates.version).toBe('v3');
+      expect(PromptManager.getBaseContext()).toContain('PurrPal AI');
+    });
+
+    test('should reload edited templates while watching', async () => {
+      const root = folder({ v1: {} });
+      const file = path.join(root, 'v1', 'urgency-serious.txt');
+      PromptTemplates.load({ path: root });
+      PromptTemplates.watch({ path: root });
+
+      fs.writeFileSync(file, 'KONDISI SERIUS (revisi)\n');
+      await new Promise(resolve => setTimeout(resolve, 300));
+      expect(PromptManager.getUrgencyInstruction('serious')).toBe('KONDISI SERIUS (revisi)');
+
+      // A broken edit keeps the last valid wording
+      fs.writeFileSync(file, '{{tidakDikenal}}');
+      await new Promise(resolve => setTimeout(resolve, 300));
+      expect(PromptManager.getUrgencyInstruction('serious')).toBe('KONDISI SERIUS (revisi)');
+    });
+  });
+
+  describe('Chatbot integration', () => {
+    let provider;
+
+    beforeEach(async () => {
+      await CacheManager.clear();
+      provider = new FakeProvider({ responder: () => 'Beri makan kucing dewasa dua kali sehari.' });
+    });
+
+    test('should render prompts from the pinned version and stamp it on the response', async () => {
+      const root = folder({ v1: {}, v2: { 'cat-care': 'V2 PROMPT: {{userMessage}}\n' } });
+      Object.assign(config.prompts, { path: root, version: 'v2', hotReload: false });
+
+      const chatbot = new PurrPalChatbot({ provider });
+      await chatbot.initialize();
+      const response = await chatbot.generateResponse('Berapa kali kucing makan?', null, { bypassCache: true });
+
+      expect(provider.calls[provider.calls.length - 1].prompt).toBe('V2 PROMPT: Berapa kali kucing makan?');
+      expect(response.promptVersion).toBe('v2');
+      expect(chatbot.getMetrics().promptVersion).toBe('v2');
+    });
+
+    test('should refuse to start with invalid templates', async () => {
+      const root = folder({ v1: { 'follow-up': 'tanpa pertanyaan' } });
+      Object.assign(config.prompts, { path: root, version: null, hotReload: false });
+
+      const chatbot = new PurrPalChatbot({ provider });
+      await expect(chatbot.initialize()).rejects.toThrow('follow-up: missing required variable "newMessage"');
+    });
+  });
+});
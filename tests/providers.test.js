@@ -0,0 +1,416 @@
+const config = require('../src/config');
+const { PurrPalChatbot } = require('../src/chatbot');
+const {
+  ModelProvider,
+  VertexGeminiProvider,
+  FakeProvider,
+  registerProvider,
+  createProvider
+} = require('../src/providers');
+const { CacheManager, MetricsCollector } = require('../src/utils');
+
+const originalConsoleLog = console.log;
+const originalConsoleError = console.error;
+
+describe('Model Providers', () => {
+  beforeAll(() => {
+    console.log = jest.fn();
+    console.error = jest.fn();
+  });
+
+  afterAll(() => {
+    console.log = originalConsoleLog;
+    console.error = originalConsoleError;
+  });
+
+  describe('FakeProvider', () => {
+    test('should return deterministic responses', async () => {
+      const provider = new FakeProvider();
+      await provider.initialize();
+
+      const first = await provider.generate({ prompt: 'Halo' });
+      const second = await provider.generate({ prompt: 'Halo' });
+
+      expect(first.text).toBe(FakeProvider.DEFAULT_RESPONSE);
+      expect(second.text).toBe(first.text);
+      expect(provider.calls).toHaveLength(2);
+    });
+
+    test('should use a custom responder', async () => {
+      const provider = new FakeProvider({ responder: ({ prompt }) => `echo: ${prompt}` });
+      const result = await provider.generate({ prompt: 'kucing' });
+      expect(result.text).toBe('echo: kucing');
+    });
+
+    test('should stream the full response in chunks', async () => {
+      const provider = new FakeProvider({ chunkSize: 2 });
+      let streamed = '';
+      let chunks = 0;
+
+      for await (const item of provider.generateStream({ prompt: 'Halo' })) {
+        streamed += item.text;
+        chunks++;
+      }
+
+      expect(streamed).toBe(FakeProvider.DEFAULT_RESPONSE);
+      expect(chunks).toBeGreaterThan(1);
+    });
+
+    test('should report a finish reason and token usage', async () => {
+      const result = await new FakeProvider().generate({ prompt: 'Halo' });
+
+      expect(result.finishReason).toBe('STOP');
+      expect(result.blockedCategories).toEqual([]);
+      expect(result.usage.totalTokens).toBe(result.usage.promptTokens + result.usage.outputTokens);
+    });
+
+    test('should report a healthy probe', async () => {
+      const probe = await new FakeProvider().healthProbe();
+      expect(probe.ok).toBe(true);
+      expect(probe.latencyMs).toBeGreaterThanOrEqual(0);
+    });
+
+    test('should reject with the abort reason once the signal aborts', async () => {
+      const provider = new FakeProvider({ latencyMs: 1000 });
+      const controller = new AbortController();
+      const pending = provider.generate({ prompt: 'Halo', signal: controller.signal });
+
+      controller.abort();
+
+      await expect(pending).rejects.toMatchObject({ name: 'AbortError' });
+    });
+
+    test('should stop streaming once the signal aborts', async () => {
+      const provider = new FakeProvider({ chunkSize: 1 });
+      const controller = new AbortController();
+      const chunks = [];
+
+      for await (const item of provider.generateStream({ prompt: 'Halo', signal: controller.signal })) {
+        chunks.push(item.text);
+        if (chunks.length === 2) controller.abort();
+      }
+
+      expect(chunks).toHaveLength(2);
+    });
+  });
+
+  describe('ModelProvider.withSignal', () => {
+    test('should stop waiting for a call that cannot be cancelled', async () => {
+      const controller = new AbortController();
+      const pending = ModelProvider.withSignal(new Promise(() => {}), controller.signal);
+
+      const timeout = new Error('timeout');
+      timeout.name = 'TimeoutError';
+      controller.abort(timeout);
+
+      await expect(pending).rejects.toBe(timeout);
+    });
+
+    test('should let the Vertex provider give up on a hanging request', async () => {
+      const provider = new VertexGeminiProvider();
+      provider.model = { generateContent: jest.fn(() => new Promise(() => {})) };
+      const controller = new AbortController();
+
+      const pending = provider.generate({ prompt: 'Halo', signal: controller.signal });
+      controller.abort();
+
+      await expect(pending).rejects.toMatchObject({ name: 'AbortError' });
+      expect(provider.model.generateContent).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe('VertexGeminiProvider.describeResponse', () => {
+    test('should return text, finish reason and usage for a normal answer', () => {
+      const result = VertexGeminiProvider.describeResponse({
+        candidates: [{ content: { parts: [{ text: 'Jawaban' }] }, finishReason: 'STOP' }],
+        usageMetadata: { promptTokenCount: 12, candidatesTokenCount: 30, totalTokenCount: 42 }
+      });
+
+      expect(result).toEqual({
+        text: 'Jawaban',
+        finishReason: 'STOP',
+        blockedCategories: [],
+        usage: { promptTokens: 12, outputTokens: 30, totalTokens: 42 }
+      });
+    });
+
+    test('should list the safety categories that blocked an answer', () => {
+      const result = VertexGeminiProvider.describeResponse({
+        candidates: [{
+          finishReason: 'SAFETY',
+          safetyRatings: [
+            { category: 'HARM_CATEGORY_DANGEROUS_CONTENT', probability: 'HIGH', blocked: true },
+            { category: 'HARM_CATEGORY_HARASSMENT', probability: 'NEGLIGIBLE' }
+          ]
+        }]
+      });
+
+      expect(result.text).toBeNull();
+      expect(result.finishReason).toBe('SAFETY');
+      expect(result.blockedCategories).toEqual(['HARM_CATEGORY_DANGEROUS_CONTENT']);
+    });
+
+    test('should report blocked prompts', () => {
+      const result = VertexGeminiProvider.describeResponse({
+        promptFeedback: {
+          blockReason: 'SAFETY',
+          safetyRatings: [{ category: 'HARM_CATEGORY_HATE_SPEECH', probability: 'MEDIUM' }]
+        }
+      });
+
+      expect(result.finishReason).toBe('PROMPT_BLOCKED');
+      expect(result.blockedCategories).toEqual(['HARM_CATEGORY_HATE_SPEECH']);
+    });
+  });
+
+  describe('createProvider', () => {
+    test('should create providers by name', () => {
+      expect(createProvider('fake')).toBeInstanceOf(FakeProvider);
+    });
+
+    test('should reject unknown providers', () => {
+      expect(() => createProvider('unknown')).toThrow('Unknown model provider');
+    });
+
+    test('should allow registering custom providers', () => {
+      class CustomProvider extends ModelProvider {
+        constructor(options) {
+          super('custom', options);
+        }
+      }
+
+      registerProvider('custom', CustomProvider);
+      expect(createProvider('custom')).toBeInstanceOf(CustomProvider);
+    });
+  });
+
+  describe('PurrPalChatbot with FakeProvider', () => {
+    let chatbot;
+    let provider;
+
+    beforeEach(async () => {
+      await CacheManager.clear();
+      MetricsCollector.resetMetrics();
+
+      provider = new FakeProvider({ responder: () => 'Berikan makanan basah sedikit demi sedikit.' });
+      chatbot = new PurrPalChatbot({ provider });
+      await chatbot.initialize();
+    });
+
+    test('should run the full pipeline without cloud credentials', async () => {
+      const response = await chatbot.generateResponse('Kucing saya tidak mau makan', 'provider-session');
+
+      expect(response.success).toBe(true);
+      expect(response.message).toBe('Berikan makanan basah sedikit demi sedikit.');
+      expect(response.urgencyLevel).toBe('serious');
+    });
+
+    test('should serve repeated questions from cache', async () => {
+      await chatbot.generateResponse('Berapa kali kucing harus makan?', 'provider-session');
+      const callsAfterFirst = provider.calls.length;
+
+      const cachedResponse = await chatbot.generateResponse('Berapa kali kucing harus makan?', 'provider-session');
+
+      expect(cachedResponse.cached).toBe(true);
+      expect(provider.calls).toHaveLength(callsAfterFirst);
+    });
+
+    test('should stream responses through the provider', async () => {
+      const chunks = [];
+      const response = await chatbot.generateStreamingResponse(
+        'Bagaimana cara memandikan kucing?',
+        'provider-session',
+        chunk => chunks.push(chunk)
+      );
+
+      expect(response.success).toBe(true);
+      expect(chunks.length).toBeGreaterThan(0);
+      expect(chunks[chunks.length - 1].fullResponse).toBe('Berikan makanan basah sedikit demi sedikit.');
+    });
+
+    test('should cache streamed answers and replay them as a single chunk', async () => {
+      await chatbot.generateStreamingResponse('Bagaimana cara memotong kuku kucing?', 'stream-cache');
+      const callsAfterFirst = provider.calls.length;
+
+      const chunks = [];
+      const response = await chatbot.generateStreamingResponse(
+        'Bagaimana cara memotong kuku kucing?',
+        'stream-cache',
+        chunk => chunks.push(chunk)
+      );
+
+      expect(response.cached).toBe(true);
+      expect(provider.calls).toHaveLength(callsAfterFirst);
+      expect(chunks).toHaveLength(1);
+      expect(chunks[0].chunk).toBe('Berikan makanan basah sedikit demi sedikit.');
+    });
+
+    test('should honour bypassCache when streaming', async () => {
+      await chatbot.generateResponse('Bagaimana cara memotong kuku kucing?', 'stream-bypass');
+      const callsAfterFirst = provider.calls.length;
+
+      const response = await chatbot.generateStreamingResponse(
+        'Bagaimana cara memotong kuku kucing?',
+        'stream-bypass',
+        null,
+        { bypassCache: true }
+      );
+
+      expect(response.cached).toBeUndefined();
+      expect(provider.calls).toHaveLength(callsAfterFirst + 1);
+    });
+
+    test('should not cache streamed emergency answers', async () => {
+      await chatbot.generateStreamingResponse('Kucing saya kejang', 'stream-emergency');
+      const response = await chatbot.generateStreamingResponse('Kucing saya kejang', 'stream-emergency');
+
+      expect(response.urgencyLevel).toBe('emergency');
+      expect(response.cached).toBeUndefined();
+    });
+
+    test('should return finish reason and token usage with the answer', async () => {
+      const response = await chatbot.generateResponse('Bagaimana cara memandikan kucing?', 'usage-session');
+
+      expect(response.finishReason).toBe('STOP');
+      expect(response.usage.totalTokens).toBeGreaterThan(0);
+      expect(response.blockedCategories).toBeUndefined();
+      expect(MetricsCollector.getMetrics()).toMatchObject({
+        finishReasons: { STOP: expect.any(Number) },
+        totalTokens: expect.any(Number)
+      });
+    });
+
+    test('should explain safety blocks instead of the generic fallback', async () => {
+      provider.options.responder = () => ({
+        text: '',
+        finishReason: 'SAFETY',
+        blockedCategories: ['HARM_CATEGORY_DANGEROUS_CONTENT']
+      });
+
+      const response = await chatbot.generateResponse('Bagaimana cara memandikan kucing?', 'blocked-session');
+      const again = await chatbot.generateResponse('Bagaimana cara memandikan kucing?', 'blocked-session');
+
+      expect(response.message).toMatch(/filter keamanan konten/);
+      expect(response.finishReason).toBe('SAFETY');
+      expect(response.blockedCategories).toEqual(['HARM_CATEGORY_DANGEROUS_CONTENT']);
+      expect(again.cached).toBeUndefined();
+      expect(MetricsCollector.getMetrics()).toMatchObject({
+        safetyBlocks: 2,
+        finishReasons: { SAFETY: 2 },
+        blockedCategories: { HARM_CATEGORY_DANGEROUS_CONTENT: 2 }
+      });
+    });
+
+    test('should flag answers truncated by the token limit', async () => {
+      provider.options.responder = () => ({ text: 'Langkah pertama, siapkan', finishReason: 'MAX_TOKENS' });
+
+      const response = await chatbot.generateResponse('Bagaimana cara memandikan kucing?', 'truncated-session');
+
+      expect(response.message).toMatch(/^Langkah pertama, siapkan/);
+      expect(response.message).toMatch(/Jawaban terpotong/);
+      expect(response.finishReason).toBe('MAX_TOKENS');
+      expect(MetricsCollector.getMetrics().truncatedResponses).toBe(1);
+    });
+
+    test('should report the finish reason of streamed answers', async () => {
+      provider.options.responder = () => ({ text: '', finishReason: 'RECITATION' });
+      const chunks = [];
+
+      const response = await chatbot.generateStreamingResponse(
+        'Bagaimana cara memandikan kucing?',
+        'stream-recitation',
+        chunk => chunks.push(chunk)
+      );
+
+      expect(chunks).toHaveLength(0);
+      expect(response.finishReason).toBe('RECITATION');
+      expect(response.message).toMatch(/sumber yang dilindungi/);
+    });
+
+    test('should report provider details in health check', async () => {
+      const health = await chatbot.healthCheck();
+
+      expect(health.status).toBe('healthy');
+      expect(health.provider).toBe('fake');
+      expect(health.testSuccess).toBe(true);
+    });
+  });
+
+  describe('Cancellation', () => {
+    const originalTimeout = config.catCare.responseTimeout;
+    const originalRetries = config.resilience.retry.retries;
+    let chatbot;
+    let provider;
+
+    beforeEach(async () => {
+      MetricsCollector.resetMetrics();
+      provider = new FakeProvider();
+      chatbot = new PurrPalChatbot({ provider });
+      await chatbot.initialize();
+      provider.options.latencyMs = 200;
+    });
+
+    afterEach(() => {
+      config.catCare.responseTimeout = originalTimeout;
+      config.resilience.retry.retries = originalRetries;
+    });
+
+    test('should pass the caller signal to the provider and report the abort', async () => {
+      const controller = new AbortController();
+      setTimeout(() => controller.abort(), 20);
+
+      const response = await chatbot.generateResponse('Bagaimana cara memandikan kucing?', null, {
+        bypassCache: true,
+        signal: controller.signal
+      });
+
+      expect(response).toMatchObject({ success: false, code: 'ABORTED' });
+      expect(provider.calls[provider.calls.length - 1].signal.aborted).toBe(true);
+      expect(MetricsCollector.getMetrics()).toMatchObject({ abortedRequests: 1, failedRequests: 0 });
+    });
+
+    test('should not call the model for an already aborted request', async () => {
+      const callsBefore = provider.calls.length;
+      const response = await chatbot.generateResponse('Bagaimana cara memandikan kucing?', null, {
+        bypassCache: true,
+        signal: AbortSignal.abort()
+      });
+
+      expect(response.code).toBe('ABORTED');
+      expect(provider.calls).toHaveLength(callsBefore);
+    });
+
+    test('should abort the provider call when the response times out', async () => {
+      config.catCare.responseTimeout = 20;
+      config.resilience.retry.retries = 0;
+
+      const response = await chatbot.generateResponse('Bagaimana cara memandikan kucing?', null, { bypassCache: true });
+      const { signal } = provider.calls[provider.calls.length - 1];
+
+      expect(response).toMatchObject({
+        success: false,
+        code: 'TIMEOUT',
+        message: 'Waktu pembuatan jawaban habis. Silakan coba lagi.'
+      });
+      expect(signal.aborted).toBe(true);
+      expect(signal.reason.name).toBe('TimeoutError');
+      expect(MetricsCollector.getMetrics()).toMatchObject({ timedOutRequests: 1, failedRequests: 0 });
+    });
+
+    test('should stop a streaming answer when the caller aborts', async () => {
+      provider.options.latencyMs = 20;
+      provider.options.chunkSize = 1;
+      const controller = new AbortController();
+      const chunks = [];
+
+      const response = await chatbot.generateStreamingResponse('Bagaimana cara memandikan kucing?', null, chunk => {
+        chunks.push(chunk);
+        controller.abort();
+      }, { bypassCache: true, signal: controller.signal });
+
+      expect(response.code).toBe('ABORTED');
+      expect(chunks).toHaveLength(1);
+      expect(MetricsCollector.getMetrics().abortedRequests).toBe(1);
+    });
+  });
+});
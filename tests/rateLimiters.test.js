@@ -0,0 +1,161 @@
+const config = require('../src/config');
+const {
+  SlidingWindowLimiter,
+  TokenBucketLimiter,
+  createRateLimiter
+} = require('../src/rateLimiters');
+const { RateLimiter, ResponseFormatter } = require('../src/utils');
+
+const originalConsoleLog = console.log;
+const originalConsoleError = console.error;
+
+describe('Rate Limiting', () => {
+  const originalRateLimitConfig = {
+    ...config.rateLimit,
+    tiers: {
+      default: { ...config.rateLimit.tiers.default },
+      partner: { ...config.rateLimit.tiers.partner }
+    }
+  };
+
+  beforeAll(() => {
+    console.log = jest.fn();
+    console.error = jest.fn();
+  });
+
+  afterAll(() => {
+    console.log = originalConsoleLog;
+    console.error = originalConsoleError;
+  });
+
+  afterEach(() => {
+    Object.assign(config.rateLimit, originalRateLimitConfig, {
+      tiers: {
+        default: { ...originalRateLimitConfig.tiers.default },
+        partner: { ...originalRateLimitConfig.tiers.partner }
+      }
+    });
+    RateLimiter.reset();
+  });
+
+  describe('SlidingWindowLimiter', () => {
+    test('should block after the quota and report when to retry', () => {
+      const limiter = new SlidingWindowLimiter();
+      const quota = { requests: 2, windowMs: 1000 };
+
+      expect(limiter.consume('k', quota, 0).allowed).toBe(true);
+      expect(limiter.consume('k', quota, 100).allowed).toBe(true);
+
+      const blocked = limiter.consume('k', quota, 200);
+      expect(blocked.allowed).toBe(false);
+      expect(blocked.retryAfterMs).toBe(800);
+
+      expect(limiter.consume('k', quota, 1000).allowed).toBe(true);
+    });
+  });
+
+  describe('TokenBucketLimiter', () => {
+    test('should allow a burst up to capacity and then refill over time', () => {
+      const limiter = new TokenBucketLimiter();
+      const quota = { requests: 10, windowMs: 10000, burst: 3 };
+
+      for (let i = 0; i < 3; i++) {
+        expect(limiter.consume('k', quota, 0).allowed).toBe(true);
+      }
+
+      const blocked = limiter.consume('k', quota, 0);
+      expect(blocked.allowed).toBe(false);
+      expect(blocked.retryAfterMs).toBe(1000);
+
+      // One token per second refills
+      expect(limiter.consume('k', quota, 1000).allowed).toBe(true);
+      expect(limiter.consume('k', quota, 1000).allowed).toBe(false);
+    });
+
+    test('should prune buckets that have fully refilled', () => {
+      const limiter = new TokenBucketLimiter();
+      limiter.consume('k', { requests: 10, windowMs: 1000 }, 0);
+
+      limiter.prune(5000);
+      expect(limiter.store.size).toBe(0);
+    });
+  });
+
+  describe('createRateLimiter', () => {
+    test('should create algorithms by name', () => {
+      expect(createRateLimiter('sliding-window')).toBeInstanceOf(SlidingWindowLimiter);
+      expect(createRateLimiter('token-bucket')).toBeInstanceOf(TokenBucketLimiter);
+      expect(() => createRateLimiter('leaky')).toThrow('Unknown rate limit algorithm');
+    });
+  });
+
+  describe('RateLimiter', () => {
+    test('should apply per-tier quotas', () => {
+      config.rateLimit.tiers.default.requests = 1;
+      config.rateLimit.tiers.partner.requests = 3;
+
+      expect(RateLimiter.checkRateLimit('s1').allowed).toBe(true);
+      expect(RateLimiter.checkRateLimit('s1').allowed).toBe(false);
+
+      for (let i = 0; i < 3; i++) {
+        expect(RateLimiter.checkRateLimit('s1', { tier: 'partner' }).allowed).toBe(true);
+      }
+      expect(RateLimiter.checkRateLimit('s1', { tier: 'partner' }).tier).toBe('partner');
+    });
+
+    test('should fall back to the default tier for unknown tiers', () => {
+      expect(RateLimiter.checkRateLimit('s2', { tier: 'nonexistent' }).tier).toBe('default');
+    });
+
+    test('should keep separate quotas per IP and per session', () => {
+      config.rateLimit.tiers.default.requests = 1;
+      config.rateLimit.tiers.default.ipRequests = 2;
+
+      expect(RateLimiter.checkRequest({ sessionId: 'a', ip: '10.0.0.1' }).allowed).toBe(true);
+      // Same session from another IP is still limited per session
+      const sessionBlocked = RateLimiter.checkRequest({ sessionId: 'a', ip: '10.0.0.2' });
+      expect(sessionBlocked.allowed).toBe(false);
+      expect(sessionBlocked.scope).toBe('session');
+
+      expect(RateLimiter.checkRequest({ sessionId: 'b', ip: '10.0.0.1' }).allowed).toBe(true);
+      const ipBlocked = RateLimiter.checkRequest({ sessionId: 'c', ip: '10.0.0.1' });
+      expect(ipBlocked.allowed).toBe(false);
+      expect(ipBlocked.scope).toBe('ip');
+    });
+
+    test('should give separate anonymous users on different IPs separate buckets', () => {
+      config.rateLimit.tiers.default.ipRequests = 1;
+
+      expect(RateLimiter.checkRequest({ ip: '10.0.0.1' }).allowed).toBe(true);
+      expect(RateLimiter.checkRequest({ ip: '10.0.0.2' }).allowed).toBe(true);
+      expect(RateLimiter.checkRequest({ ip: '10.0.0.1' }).allowed).toBe(false);
+    });
+
+    test('should switch algorithms from config', () => {
+      config.rateLimit.algorithm = 'token-bucket';
+      RateLimiter.checkRateLimit('s3');
+
+      expect(RateLimiter.getLimiter()).toBeInstanceOf(TokenBucketLimiter);
+    });
+
+    test('should report retryAfter in seconds when blocked', () => {
+      config.rateLimit.tiers.default.requests = 1;
+      RateLimiter.checkRateLimit('s4');
+      const blocked = RateLimiter.checkRateLimit('s4');
+
+      expect(blocked.retryAfter).toBe(config.rateLimit.windowMinutes * 60);
+    });
+  });
+
+  describe('ResponseFormatter', () => {
+    test('should include retryAfter in rate limit errors', () => {
+      const response = ResponseFormatter.createErrorResponse(new Error('Terlalu banyak permintaan'), {
+        rateLimitExceeded: true,
+        retryAfter: 42
+      });
+
+      expect(response.code).toBe('RATE_LIMITED');
+      expect(response.retryAfter).toBe(42);
+    });
+  });
+});
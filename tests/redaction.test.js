@@ -0,0 +1,211 @@
+const { Writable } = require('stream');
+const winston = require('winston');
+const config = require('../src/config');
+const logger = require('../src/logger');
+const { PurrPalChatbot } = require('../src/chatbot');
+const { FakeProvider } = require('../src/providers');
+const { PiiRedactor, REDACTION_RULES } = require('../src/redaction');
+const { CacheManager } = require('../src/utils');
+
+const originalConsoleLog = console.log;
+const originalConsoleError = console.error;
+
+const ruleById = id => [REDACTION_RULES.find(rule => rule.id === id)];
+
+describe('PII Redaction', () => {
+  const originalRedaction = { ...config.redaction };
+
+  beforeAll(() => {
+    console.log = jest.fn();
+    console.error = jest.fn();
+  });
+
+  afterEach(() => {
+    Object.assign(config.redaction, originalRedaction);
+  });
+
+  afterAll(() => {
+    console.log = originalConsoleLog;
+    console.error = originalConsoleError;
+  });
+
+  describe('Patterns', () => {
+    test.each([
+      ['0812-3456-7890', '[TELEPON]'],
+      ['081234567890', '[TELEPON]'],
+      ['+62 812 3456 789', '[TELEPON]'],
+      ['6281234567890', '[TELEPON]'],
+      ['(021) 555-1234', '[TELEPON]'],
+      ['0274 512345', '[TELEPON]']
+    ])('phone: should mask "%s"', (input, expected) => {
+      expect(PiiRedactor.redact(`Hubungi ${input} ya`, ruleById('phone'))).toBe(`Hubungi ${expected} ya`);
+    });
+
+    test.each([
+      'berat 3.5 kg umur 12 bulan',
+      'kontrol tanggal 2024-06-10',
+      'errorId 3f2a0812-3456-7890-abcd-1234567890ab',
+      'nomor pesanan 0274512345',
+      'invoice 02112345678 sudah dibayar'
+    ])('phone: should leave "%s" alone', input => {
+      expect(PiiRedactor.redact(input, ruleById('phone'))).toBe(input);
+    });
+
+    test.each([
+      ['drh.budi@klinik-hewan.co.id', '[EMAIL]'],
+      ['pemilik+kucing@gmail.com', '[EMAIL]']
+    ])('email: should mask "%s"', (input, expected) => {
+      expect(PiiRedactor.redact(`email saya ${input}`, ruleById('email'))).toBe(`email saya ${expected}`);
+    });
+
+    test('email: should leave a bare @mention alone', () => {
+      expect(PiiRedactor.redact('tanya @purrpal dong', ruleById('email'))).toBe('tanya @purrpal dong');
+    });
+
+    test.each([
+      '3201234567890001',
+      '3201 2345 6789 0001',
+      '3201-2345-6789-0001'
+    ])('nik: should mask "%s"', input => {
+      expect(PiiRedactor.redact(`NIK ${input}`, ruleById('nik'))).toBe('NIK [NIK]');
+    });
+
+    test('nik: should leave shorter numbers and hashes alone', () => {
+      const input = 'microchip 985112345678901 key a3201234567890001f';
+      expect(PiiRedactor.redact(input, ruleById('nik'))).toBe(input);
+    });
+
+    test.each([
+      ['Alamat Jl. Merdeka Raya No. 10, RT 03/RW 05, Bandung', 'Alamat [ALAMAT], Bandung'],
+      ['Klinik di Jalan Sudirman Kav. 52', 'Klinik di [ALAMAT]'],
+      ['rumah di Gg. Mawar 3 Blok C2', 'rumah di [ALAMAT]'],
+      ['tinggal di jalan mawar no 5', 'tinggal di [ALAMAT]'],
+      ['Jalan Merdeka 10, Bandung', '[ALAMAT], Bandung'],
+      ['Perumahan Griya Asri RT 02/RW 04', '[ALAMAT]']
+    ])('address: should mask "%s"', (input, expected) => {
+      expect(PiiRedactor.redact(input, ruleById('address'))).toBe(expected);
+    });
+
+    test.each([
+      'kucing saya tidak bisa jalan sejak 2 hari',
+      'Kucingku Jalan Terus walau kakinya pincang',
+      'Si Belang Jalan Santai Saja'
+    ])('address: should leave "%s" alone', input => {
+      expect(PiiRedactor.redact(input, ruleById('address'))).toBe(input);
+    });
+
+    test('should mask NIK before phone numbers and report what it found', () => {
+      const text = 'NIK 3201234567890001, hp 081234567890, drh@vet.id';
+
+      expect(PiiRedactor.redact(text)).toBe('NIK [NIK], hp [TELEPON], [EMAIL]');
+      expect(PiiRedactor.detect(text)).toEqual(['email', 'nik', 'phone']);
+    });
+  });
+
+  describe('Configuration', () => {
+    test('should only apply the enabled rules plus custom ones', () => {
+      config.redaction.rules = ['email'];
+      config.redaction.customRules = [{ id: 'clinic', pattern: /Klinik Hewan \w+/g, replacement: '[KLINIK]' }];
+
+      expect(PiiRedactor.redact('Klinik Hewan Sehat, 081234567890, a@b.id')).toBe('[KLINIK], 081234567890, [EMAIL]');
+    });
+
+    test('should refuse unknown rule ids at startup', () => {
+      const originalRules = process.env.REDACTION_RULES;
+      const exit = jest.spyOn(process, 'exit').mockImplementation(() => {
+        throw new Error('process.exit');
+      });
+      const loadConfig = rules => {
+        process.env.REDACTION_RULES = rules;
+        jest.isolateModules(() => require('../src/config'));
+      };
+
+      try {
+        expect(() => loadConfig(REDACTION_RULES.map(rule => rule.id).join(','))).not.toThrow();
+        expect(() => loadConfig('email,telepon')).toThrow('process.exit');
+        expect(console.error).toHaveBeenCalledWith('❌ Configuration error:', expect.stringContaining('REDACTION_RULES must only name: email, nik, phone, address'));
+      } finally {
+        exit.mockRestore();
+        if (originalRules === undefined) {
+          delete process.env.REDACTION_RULES;
+        } else {
+          process.env.REDACTION_RULES = originalRules;
+        }
+      }
+    });
+
+    test('should redact nested log metadata without touching other values', () => {
+      const meta = { context: { originalMessage: 'wa 081234567890', turns: ['a@b.id'] }, count: 2, at: new Date(0) };
+      const redacted = PiiRedactor.redactValue(meta);
+
+      expect(redacted).toEqual({ context: { originalMessage: 'wa [TELEPON]', turns: ['[EMAIL]'] }, count: 2, at: new Date(0) });
+      expect(meta.context.originalMessage).toBe('wa 081234567890');
+    });
+  });
+
+  describe('Logging', () => {
+    let output;
+    let transport;
+
+    beforeEach(() => {
+      output = [];
+      transport = new winston.transports.Stream({
+        stream: new Writable({
+          write(chunk, encoding, callback) {
+            output.push(chunk.toString());
+            callback();
+          }
+        })
+      });
+      logger.add(transport);
+    });
+
+    afterEach(() => {
+      logger.remove(transport);
+    });
+
+    test('should mask personal data in the message and metadata by default', () => {
+      logger.error('Pesan dari 081234567890', { context: { originalMessage: 'email saya a@b.id' } });
+
+      expect(output.join('')).toContain('Pesan dari [TELEPON]');
+      expect(output.join('')).toContain('email saya [EMAIL]');
+      expect(output.join('')).not.toContain('081234567890');
+    });
+
+    test('should log the raw text when log redaction is disabled', () => {
+      config.redaction.logs = false;
+      logger.error('Pesan dari 081234567890');
+
+      expect(output.join('')).toContain('081234567890');
+    });
+  });
+
+  describe('Chatbot integration', () => {
+    let chatbot;
+    let provider;
+
+    beforeEach(async () => {
+      await CacheManager.clear();
+      provider = new FakeProvider({ responder: () => 'Silakan hubungi klinik hewan terdekat.' });
+      chatbot = new PurrPalChatbot({ provider });
+      await chatbot.initialize();
+    });
+
+    const message = 'Kucing saya batuk, klinik saya di Jl. Merdeka No. 10 telp 0812-3456-7890';
+
+    test('should send the message unchanged by default', async () => {
+      await chatbot.generateResponse(message, null, { bypassCache: true });
+      expect(provider.calls[provider.calls.length - 1].prompt).toContain('0812-3456-7890');
+    });
+
+    test('should mask the message before the model, history and cache when enabled', async () => {
+      config.redaction.modelInput = true;
+      await chatbot.generateResponse(message, 'pii-session', { bypassCache: true });
+
+      const { prompt } = provider.calls[provider.calls.length - 1];
+      expect(prompt).toContain('klinik saya di [ALAMAT] telp [TELEPON]');
+      expect(prompt).not.toContain('0812');
+      expect(chatbot.getConversationHistory('pii-session').turns[0].text).not.toContain('Merdeka');
+    });
+  });
+});
@@ -0,0 +1,245 @@
+const config = require('../src/config');
+const { PurrPalChatbot } = require('../src/chatbot');
+const { FakeProvider } = require('../src/providers');
+const { CircuitBreaker, retryWithBackoff, backoffDelay, isRetryableError } = require('../src/resilience');
+const { MetricsCollector } = require('../src/utils');
+
+const originalConsoleLog = console.log;
+const originalConsoleError = console.error;
+
+const httpError = (status) => {
+  const error = new Error(`[VertexAI.ClientError]: got status: ${status} Service Unavailable`);
+  error.status = status;
+  return error;
+};
+
+describe('Resilience', () => {
+  beforeAll(() => {
+    console.log = jest.fn();
+    console.error = jest.fn();
+  });
+
+  afterAll(() => {
+    console.log = originalConsoleLog;
+    console.error = originalConsoleError;
+  });
+
+  describe('isRetryableError', () => {
+    test('should retry rate limits, server errors, timeouts and dropped connections', () => {
+      expect(isRetryableError(httpError(429))).toBe(true);
+      expect(isRetryableError(httpError(503))).toBe(true);
+      expect(isRetryableError(new Error('got status: 500 Internal Server Error'))).toBe(true);
+      expect(isRetryableError(new Error('8 RESOURCE_EXHAUSTED: quota exceeded'))).toBe(true);
+      expect(isRetryableError(Object.assign(new Error('timeout'), { name: 'TimeoutError' }))).toBe(true);
+      expect(isRetryableError(Object.assign(new Error('socket hang up'), { code: 'ECONNRESET' }))).toBe(true);
+    });
+
+    test('should not retry client errors or aborts', () => {
+      expect(isRetryableError(httpError(400))).toBe(false);
+      expect(isRetryableError(new Error('Invalid argument'))).toBe(false);
+      expect(isRetryableError(Object.assign(new Error('aborted'), { name: 'AbortError' }))).toBe(false);
+    });
+  });
+
+  describe('retryWithBackoff', () => {
+    test('should keep the jitter inside the exponential window', () => {
+      const options = { baseDelayMs: 100, maxDelayMs: 1000 };
+
+      expect(backoffDelay(0, options, () => 0.999)).toBeLessThanOrEqual(100);
+      expect(backoffDelay(2, options, () => 0.999)).toBeLessThanOrEqual(400);
+      expect(backoffDelay(8, options, () => 0.999)).toBeLessThanOrEqual(1000);
+      expect(backoffDelay(3, options, () => 0)).toBe(0);
+    });
+
+    test('should retry retryable failures until the call succeeds', async () => {
+      const wait = jest.fn().mockResolvedValue();
+      const onRetry = jest.fn();
+      const fn = jest.fn()
+        .mockRejectedValueOnce(httpError(503))
+        .mockRejectedValueOnce(httpError(429))
+        .mockResolvedValue('ok');
+
+      const result = await retryWithBackoff(fn, {
+        retries: 3, baseDelayMs: 100, maxDelayMs: 1000, wait, onRetry, random: () => 0.5
+      });
+
+      expect(result).toBe('ok');
+      expect(fn).toHaveBeenCalledTimes(3);
+      expect(wait.mock.calls.map(call => call[0])).toEqual([50, 100]);
+      expect(onRetry).toHaveBeenLastCalledWith(expect.any(Error), 2, 100);
+    });
+
+    test('should give up after the configured retries or on a final error', async () => {
+      const wait = jest.fn().mockResolvedValue();
+      const failing = jest.fn().mockRejectedValue(httpError(503));
+      await expect(retryWithBackoff(failing, { retries: 2, baseDelayMs: 1, maxDelayMs: 1, wait }))
+        .rejects.toThrow('got status: 503');
+      expect(failing).toHaveBeenCalledTimes(3);
+
+      const invalid = jest.fn().mockRejectedValue(httpError(400));
+      await expect(retryWithBackoff(invalid, { retries: 2, baseDelayMs: 1, maxDelayMs: 1, wait }))
+        .rejects.toThrow('got status: 400');
+      expect(invalid).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe('CircuitBreaker', () => {
+    let now;
+    let breaker;
+    let transitions;
+
+    beforeEach(() => {
+      now = 1000;
+      transitions = [];
+      breaker = new CircuitBreaker({
+        failureThreshold: 2,
+        resetTimeoutMs: 5000,
+        now: () => now,
+        onStateChange: state => transitions.push(state)
+      });
+    });
+
+    test('should open after consecutive failures and refuse calls until the reset timeout', () => {
+      breaker.recordFailure();
+      expect(breaker.canRequest()).toBe(true);
+      breaker.recordFailure();
+
+      expect(breaker.describe()).toMatchObject({ state: 'open', opens: 1, retryAfterMs: 5000 });
+      expect(breaker.canRequest()).toBe(false);
+
+      now += 4000;
+      expect(breaker.canRequest()).toBe(false);
+      expect(breaker.retryAfterMs()).toBe(1000);
+    });
+
+    test('should let a single trial through when half-open and close on success', () => {
+      breaker.recordFailure();
+      breaker.recordFailure();
+      now += 5000;
+
+      expect(breaker.canRequest()).toBe(true);
+      expect(breaker.state).toBe('half_open');
+      expect(breaker.canRequest()).toBe(false);
+
+      breaker.recordSuccess();
+      expect(breaker.state).toBe('closed');
+      expect(breaker.canRequest()).toBe(true);
+      expect(transitions).toEqual(['open', 'half_open', 'closed']);
+    });
+
+    test('should reopen when the half-open trial fails', () => {
+      breaker.recordFailure();
+      breaker.recordFailure();
+      now += 5000;
+      breaker.canRequest();
+
+      breaker.recordFailure();
+      expect(breaker.describe()).toMatchObject({ state: 'open', opens: 2, retryAfterMs: 5000 });
+    });
+
+    test('should reset the failure count after a success', () => {
+      breaker.recordFailure();
+      breaker.recordSuccess();
+      breaker.recordFailure();
+
+      expect(breaker.state).toBe('closed');
+      expect(breaker.describe().totalFailures).toBe(2);
+    });
+  });
+
+  describe('Chatbot integration', () => {
+    const originalRetry = { ...config.resilience.retry };
+    const originalBreaker = { ...config.resilience.circuitBreaker };
+    let failures;
+    let provider;
+    let chatbot;
+
+    beforeEach(async () => {
+      config.resilience.retry.baseDelayMs = 1;
+      config.resilience.retry.maxDelayMs = 1;
+      config.resilience.circuitBreaker.failureThreshold = 2;
+      config.resilience.circuitBreaker.resetTimeoutMs = 60000;
+      MetricsCollector.resetMetrics();
+
+      failures = 0;
+      provider = new FakeProvider();
+      const generate = provider.generate.bind(provider);
+      provider.generate = jest.fn(async (request) => {
+        if (failures > 0) {
+          failures--;
+          throw httpError(503);
+        }
+        return generate(request);
+      });
+
+      chatbot = new PurrPalChatbot({ provider });
+      await chatbot.initialize();
+      provider.generate.mockClear();
+    });
+
+    afterEach(() => {
+      Object.assign(config.resilience.retry, originalRetry);
+      Object.assign(config.resilience.circuitBreaker, originalBreaker);
+    });
+
+    test('should retry a transient failure and answer normally', async () => {
+      failures = 1;
+      const response = await chatbot.generateResponse('Kucing saya bersin terus', null, { bypassCache: true });
+
+      expect(response.success).toBe(true);
+      expect(response.degraded).toBeUndefined();
+      expect(provider.generate).toHaveBeenCalledTimes(2);
+      expect(MetricsCollector.getMetrics().modelRetries).toBe(1);
+      expect(chatbot.circuitBreaker.state).toBe('closed');
+    });
+
+    test('should open the circuit after repeated failures and answer degraded without calling the model', async () => {
+      failures = Infinity;
+      const retries = config.resilience.retry.retries;
+
+      for (let i = 0; i < 2; i++) {
+        const failed = await chatbot.generateResponse('Kucing saya muntah', null, { bypassCache: true });
+        expect(failed.success).toBe(false);
+      }
+      expect(provider.generate).toHaveBeenCalledTimes(2 * (retries + 1));
+
+      const response = await chatbot.generateResponse('Kucing saya muntah', null, { bypassCache: true });
+
+      expect(response.success).toBe(true);
+      expect(response.degraded).toBe(true);
+      expect(response.retryAfter).toBe(60);
+      expect(provider.generate).toHaveBeenCalledTimes(2 * (retries + 1));
+
+      const metrics = MetricsCollector.getMetrics();
+      expect(metrics.circuitBreakerOpens).toBe(1);
+      expect(metrics.degradedResponses).toBe(1);
+
+      const health = await chatbot.healthCheck();
+      expect(health.status).toBe('degraded');
+      expect(health.circuitBreaker).toMatchObject({ state: 'open', opens: 1 });
+    });
+
+    test('should serve the degraded answer as a single streamed chunk', async () => {
+      chatbot.circuitBreaker.recordFailure();
+      chatbot.circuitBreaker.recordFailure();
+      const chunks = [];
+
+      const response = await chatbot.generateStreamingResponse('Kucing saya lemas', null, chunk => chunks.push(chunk));
+
+      expect(response.degraded).toBe(true);
+      expect(chunks).toHaveLength(1);
+      expect(chunks[0].fullResponse).toBe(response.message);
+    });
+
+    test('should not count client errors against the circuit', async () => {
+      provider.generate.mockRejectedValue(httpError(400));
+
+      for (let i = 0; i < 3; i++) {
+        await chatbot.generateResponse('Kucing saya batuk', null, { bypassCache: true });
+      }
+
+      expect(provider.generate).toHaveBeenCalledTimes(3);
+      expect(chatbot.circuitBreaker.state).toBe('closed');
+    });
+  });
+});
@@ -0,0 +1,258 @@
+const config = require('../src/config');
+const { PurrPalChatbot } = require('../src/chatbot');
+const { FakeProvider } = require('../src/providers');
+const { SafetyChecker } = require('../src/safety');
+const { CacheManager, MetricsCollector } = require('../src/utils');
+
+const originalConsoleLog = console.log;
+const originalConsoleError = console.error;
+
+const ruleIds = result => result.issues.map(issue => issue.rule);
+
+describe('Response Safety Checker', () => {
+  const originalSafetyConfig = { ...config.safety };
+
+  beforeAll(() => {
+    console.log = jest.fn();
+    console.error = jest.fn();
+  });
+
+  afterAll(() => {
+    console.log = originalConsoleLog;
+    console.error = originalConsoleError;
+  });
+
+  afterEach(async () => {
+    Object.assign(config.safety, originalSafetyConfig);
+    MetricsCollector.resetMetrics();
+    await CacheManager.clear();
+  });
+
+  describe('SafetyChecker.check', () => {
+    test('should pass ordinary advice', () => {
+      const result = SafetyChecker.check('Berikan makanan basah sedikit demi sedikit dan pastikan kucing minum cukup air.');
+      expect(result).toEqual({ safe: true, issues: [] });
+    });
+
+    test('should flag human medications recommended for cats', () => {
+      const result = SafetyChecker.check('Anda bisa memberikan paracetamol untuk menurunkan demamnya.');
+      expect(ruleIds(result)).toEqual(['toxic-human-medication']);
+      expect(result.issues[0].action).toBe('regenerate');
+    });
+
+    test('should not flag warnings about toxic substances', () => {
+      const result = SafetyChecker.check(
+        'Jangan berikan ibuprofen karena beracun bagi kucing. Jauhkan bunga lili dari rumah. Minyak esensial berbahaya untuk kucing.'
+      );
+      expect(result.safe).toBe(true);
+    });
+
+    test('should keep factual warnings that use modal verbs', () => {
+      const warning = 'Serbuk sari lili bisa menyebabkan gagal ginjal pada kucing dalam waktu singkat.';
+
+      expect(SafetyChecker.check(warning)).toEqual({ safe: true, issues: [] });
+      expect(ruleIds(SafetyChecker.check('Aspirin dosis kecil juga bisa diberikan.'))).toEqual(['toxic-human-medication']);
+    });
+
+    test.each([
+      'Berikan paracetamol seperempat tablet, tidak akan menyebabkan masalah.',
+      'Paracetamol tidak berbahaya bagi kucing.',
+      'Minyak kayu putih tidak beracun, oleskan sedikit di perutnya.'
+    ])('should read denied harm as advice: "%s"', text => {
+      expect(SafetyChecker.check(text).safe).toBe(false);
+    });
+
+    test('should only let a warning cover the substance it is about', () => {
+      expect(ruleIds(SafetyChecker.check('Berikan paracetamol; lili memang beracun.'))).toEqual(['toxic-human-medication']);
+      expect(ruleIds(SafetyChecker.check('Berikan paracetamol, tapi jauhkan bunga lili.'))).toEqual(['toxic-human-medication']);
+      expect(SafetyChecker.check('Lili tidak beracun bagi anjing, tetapi sangat beracun bagi kucing.').safe).toBe(true);
+      expect(SafetyChecker.check('Jangan berikan obat manusia seperti paracetamol atau ibuprofen.').safe).toBe(true);
+    });
+
+    test.each([
+      ['en', 'You can give your cat a little paracetamol to bring the fever down.', "Don't give paracetamol, it is toxic to cats."],
+      ['jv', 'Wenehi paracetamol setengah kanggo nyuda panase.', 'Aja menehi paracetamol, iku beracun kanggo kucing.'],
+      ['su', 'Bikeun paracetamol satengah kanggo nurunkeun panasna.', 'Ulah masihan paracetamol, éta beracun pikeun ucing.']
+    ])('should use the %s cue words', (language, advice, warning) => {
+      expect(ruleIds(SafetyChecker.check(advice, { language }))).toEqual(['toxic-human-medication']);
+      expect(SafetyChecker.check(warning, { language }).safe).toBe(true);
+    });
+
+    test.each([
+      ['en', 'Paracetamol is safe for cats and not toxic.'],
+      ['en', 'Paracetamol will not cause any harm, give 1/4 tablet.'],
+      ['en', "Lavender oil isn't dangerous, you can use a diffuser."],
+      ['en', 'Essential oils are non-toxic in small amounts.'],
+      ['jv', 'Paracetamol ora mbebayani, wenehi setengah tablet.'],
+      ['jv', 'Lenga atsiri ora bakal nyebabake masalah kanggo kucing.'],
+      ['su', 'Paracetamol teu bahaya, bikeun satengah tablet.'],
+      ['su', 'Kembang lili moal ngabahayakeun ucing.']
+    ])('should read denied harm in %s as advice: "%s"', (language, text) => {
+      expect(SafetyChecker.check(text, { language }).safe).toBe(false);
+    });
+
+    test('should only let an English warning cover the substance it is about', () => {
+      expect(ruleIds(SafetyChecker.check('Give paracetamol; lilies are toxic.', { language: 'en' })))
+        .toEqual(['toxic-human-medication']);
+      expect(SafetyChecker.check('Lilies are not toxic to dogs, but they are deadly to cats.', { language: 'en' }).safe)
+        .toBe(true);
+    });
+
+    test('should recognise vet referrals in every language', () => {
+      const context = language => ({ urgencyLevel: 'emergency', language });
+
+      expect(SafetyChecker.check('Take her to the vet right now.', context('en')).safe).toBe(true);
+      expect(SafetyChecker.check('Enggal gawa menyang dokter kewan.', context('jv')).safe).toBe(true);
+      expect(SafetyChecker.check('Geura bawa ka dokter sato.', context('su')).safe).toBe(true);
+    });
+
+    test('should flag lilies and essential oils presented as safe', () => {
+      const result = SafetyChecker.check('Bunga lili aman untuk dekorasi. Oleskan minyak kayu putih di perutnya.');
+      expect(ruleIds(result)).toEqual(['toxic-plant', 'essential-oil']);
+    });
+
+    test('should flag dosing instructions', () => {
+      const result = SafetyChecker.check('Berikan obat cacing 1 tablet setiap pagi.');
+      expect(ruleIds(result)).toEqual(['dosing-instructions']);
+      expect(result.issues[0].action).toBe('warn');
+    });
+
+    test('should require emergency answers to refer the owner to a vet', () => {
+      const text = 'Tetap tenang dan jaga kucing tetap hangat.';
+      expect(SafetyChecker.check(text).safe).toBe(true);
+      expect(ruleIds(SafetyChecker.check(text, { urgencyLevel: 'emergency' }))).toEqual(['missing-vet-referral']);
+      expect(SafetyChecker.check('Segera bawa ke dokter hewan.', { urgencyLevel: 'emergency' }).safe).toBe(true);
+    });
+  });
+
+  describe('SafetyChecker.apply', () => {
+    test('should drop unsafe sentences and append the warning', () => {
+      const text = 'Kompres dengan air hangat.\n- Berikan paracetamol setengah tablet.\n- Pastikan kucing banyak minum.';
+      const { text: fixed, interventions } = SafetyChecker.apply(text, SafetyChecker.check(text).issues);
+
+      expect(fixed).not.toMatch(/Berikan paracetamol/);
+      expect(fixed).toContain('- Pastikan kucing banyak minum.');
+      expect(fixed).toMatch(/Jangan pernah memberikan obat manusia/);
+      expect(interventions).toEqual([{ rule: 'toxic-human-medication', action: 'rewrite' }]);
+    });
+
+    test('should append the warning in the language of the answer', () => {
+      const text = 'You can give your cat a little paracetamol.';
+      const { text: fixed } = SafetyChecker.apply(text, SafetyChecker.check(text, { language: 'en' }).issues, 'en');
+
+      expect(fixed).toBe('⚠️ Never give human medicines such as paracetamol, ibuprofen or aspirin to a cat, as they can be fatal. All medicines must be prescribed by a vet.');
+    });
+
+    test('should keep the text when only a warning is needed', () => {
+      const text = 'Jaga kucing tetap hangat.';
+      const { text: fixed } = SafetyChecker.apply(text, SafetyChecker.check(text, { urgencyLevel: 'emergency' }).issues);
+
+      expect(fixed.startsWith(text)).toBe(true);
+      expect(fixed).toMatch(/dokter hewan/);
+    });
+  });
+
+  describe('PurrPalChatbot safety interventions', () => {
+    const createChatbot = async answers => {
+      const provider = new FakeProvider({
+        responder: request => (request.prompt === 'Test connection' ? 'ok' : answers.shift() || 'Jawaban aman.')
+      });
+      const chatbot = new PurrPalChatbot({ provider });
+      await chatbot.initialize();
+      return { chatbot, provider };
+    };
+
+    test('should regenerate an unsafe answer with a safety reminder', async () => {
+      const { chatbot, provider } = await createChatbot([
+        'Berikan paracetamol agar demamnya turun.',
+        'Kompres dengan air hangat dan konsultasikan dengan dokter hewan.'
+      ]);
+
+      const response = await chatbot.generateResponse('Kucing saya demam, boleh dikasih obat apa?', 'safety-regen');
+
+      expect(response.message).toBe('Kompres dengan air hangat dan konsultasikan dengan dokter hewan.');
+      expect(response.safety.interventions).toEqual([{ rule: 'toxic-human-medication', action: 'regenerate' }]);
+      expect(provider.calls[provider.calls.length - 1].prompt).toMatch(/PERINGATAN KESELAMATAN/);
+      expect(MetricsCollector.getMetrics()).toMatchObject({
+        safetyInterventions: 1,
+        safetyRegenerations: 1,
+        safetyInterventionsByRule: { 'toxic-human-medication': 1 }
+      });
+    });
+
+    test('should rewrite the answer when regeneration is still unsafe', async () => {
+      const { chatbot } = await createChatbot([
+        'Berikan paracetamol agar demamnya turun.',
+        'Kompres air hangat. Aspirin dosis kecil juga bisa diberikan.'
+      ]);
+
+      const response = await chatbot.generateResponse('Kucing saya demam, boleh dikasih obat apa?', 'safety-rewrite');
+
+      expect(response.message).not.toMatch(/Aspirin dosis kecil/);
+      expect(response.message).toMatch(/^Kompres air hangat\./);
+      expect(response.safety.interventions.map(intervention => intervention.action)).toEqual(['regenerate', 'rewrite']);
+      expect(MetricsCollector.getMetrics().safetyRewrites).toBe(1);
+    });
+
+    test('should append a vet referral to emergency answers that lack one', async () => {
+      const { chatbot } = await createChatbot(['Tetap tenang dan jauhkan benda di sekitarnya.']);
+
+      const response = await chatbot.generateResponse('Kucing saya kejang!', 'safety-emergency');
+
+      expect(response.urgencyLevel).toBe('emergency');
+      expect(response.message).toMatch(/dokter hewan atau klinik hewan 24 jam/);
+      expect(response.safety.interventions).toEqual([{ rule: 'missing-vet-referral', action: 'warn' }]);
+      expect(MetricsCollector.getMetrics().safetyWarnings).toBe(1);
+    });
+
+    test('should regenerate streamed answers and send the new one as a replacement', async () => {
+      const { chatbot, provider } = await createChatbot([
+        'Oleskan minyak kayu putih di perutnya. Jaga tetap hangat.',
+        'Jaga tetap hangat dan konsultasikan dengan dokter hewan.'
+      ]);
+      const callsBefore = provider.calls.length;
+      const chunks = [];
+
+      const response = await chatbot.generateStreamingResponse('Kucing saya kembung', 'safety-stream', chunk => chunks.push(chunk));
+      const replacement = chunks[chunks.length - 1];
+
+      expect(provider.calls).toHaveLength(callsBefore + 2);
+      expect(response.message).toBe('Jaga tetap hangat dan konsultasikan dengan dokter hewan.');
+      expect(response.safety.interventions).toEqual([{ rule: 'essential-oil', action: 'regenerate' }]);
+      expect(chunks.slice(0, -1).every(chunk => !chunk.replace)).toBe(true);
+      expect(replacement).toMatchObject({ replace: true, chunk: response.message, fullResponse: response.message });
+    });
+
+    test('should send a streamed rewrite as a replacement', async () => {
+      config.safety.maxRegenerations = 0;
+      const { chatbot } = await createChatbot(['Oleskan minyak kayu putih di perutnya. Jaga tetap hangat.']);
+      const chunks = [];
+
+      const response = await chatbot.generateStreamingResponse('Kucing saya kembung', 'safety-stream-rewrite', chunk => chunks.push(chunk));
+
+      expect(response.message).toMatch(/^Jaga tetap hangat\./);
+      expect(response.safety.interventions).toEqual([{ rule: 'essential-oil', action: 'rewrite' }]);
+      expect(chunks[chunks.length - 1]).toMatchObject({ replace: true, chunk: response.message });
+    });
+
+    test('should not send a replacement when the streamed answer is safe', async () => {
+      const { chatbot } = await createChatbot(['Jaga tetap hangat dan beri sedikit air.']);
+      const chunks = [];
+
+      await chatbot.generateStreamingResponse('Kucing saya kembung', 'safety-stream-safe', chunk => chunks.push(chunk));
+
+      expect(chunks.length).toBeGreaterThan(0);
+      expect(chunks.some(chunk => chunk.replace)).toBe(false);
+    });
+
+    test('should leave answers untouched when disabled', async () => {
+      config.safety.enabled = false;
+      const { chatbot } = await createChatbot(['Berikan paracetamol agar demamnya turun.']);
+
+      const response = await chatbot.generateResponse('Kucing saya demam', 'safety-off');
+
+      expect(response.message).toBe('Berikan paracetamol agar demamnya turun.');
+      expect(response.safety).toBeUndefined();
+    });
+  });
+});
@@ -0,0 +1,412 @@
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const { PurrPalChatbot } = require('../src/chatbot');
+const { FakeProvider } = require('../src/providers');
+const { createServer } = require('../src/server');
+const config = require('../src/config');
+const { CacheManager, RateLimiter } = require('../src/utils');
+
+const originalConsoleLog = console.log;
+const originalConsoleError = console.error;
+
+/**
+ * Minimal HTTP client so the tests don't need extra dependencies
+ */
+function request(server, method, path, body, headers = {}) {
+  return new Promise((resolve, reject) => {
+    const payload = body === undefined ? null : (typeof body === 'string' ? body : JSON.stringify(body));
+    const req = http.request({
+      host: '127.0.0.1',
+      port: server.address().port,
+      method,
+      path,
+      headers: payload ? {
+        'Content-Type': 'application/json',
+        'Content-Length': Buffer.byteLength(payload),
+        ...headers
+      } : headers
+    }, res => {
+      let data = '';
+      res.setEncoding('utf8');
+      res.on('data', chunk => { data += chunk; });
+      res.on('end', () => {
+        let json = null;
+        try {
+          json = JSON.parse(data);
+        } catch (error) {
+          // Streaming responses are not a single JSON document
+        }
+        resolve({ status: res.statusCode, headers: res.headers, text: data, body: json });
+      });
+    });
+
+    req.on('error', reject);
+    if (payload) req.write(payload);
+    req.end();
+  });
+}
+
+/**
+ * Parse a Server-Sent Events body into { event, data } records
+ */
+function parseSse(text) {
+  return text
+    .split('\n\n')
+    .filter(block => block.includes('data: '))
+    .map(block => {
+      const lines = block.split('\n');
+      const event = lines.find(line => line.startsWith('event: '));
+      const data = lines.find(line => line.startsWith('data: '));
+      return {
+        event: event ? event.slice(7) : 'message',
+        data: JSON.parse(data.slice(6))
+      };
+    });
+}
+
+describe('PurrPal HTTP Server', () => {
+  let chatbot;
+  let server;
+
+  beforeAll(async () => {
+    console.log = jest.fn();
+    console.error = jest.fn();
+
+    chatbot = new PurrPalChatbot({
+      provider: new FakeProvider({ responder: () => 'Jawaban dari server uji.' })
+    });
+    await chatbot.initialize();
+
+    server = createServer(chatbot).listen(0);
+  });
+
+  afterAll(done => {
+    console.log = originalConsoleLog;
+    console.error = originalConsoleError;
+    server.close(done);
+  });
+
+  beforeEach(async () => {
+    await CacheManager.clear();
+  });
+
+  test('POST /chat should return a formatted response', async () => {
+    const res = await request(server, 'POST', '/chat', {
+      message: 'Bagaimana cara merawat bulu kucing?',
+      sessionId: 'server-session'
+    });
+
+    expect(res.status).toBe(200);
+    expect(res.body.success).toBe(true);
+    expect(res.body.message).toBe('Jawaban dari server uji.');
+  });
+
+  test('POST /chat should reject invalid input with 400', async () => {
+    const res = await request(server, 'POST', '/chat', { message: 'Hi' });
+
+    expect(res.status).toBe(400);
+    expect(res.body.success).toBe(false);
+    expect(res.body.code).toBe('INVALID_INPUT');
+    expect(res.body.errorId).toBeDefined();
+  });
+
+  test('should reject malformed JSON with the shared error shape', async () => {
+    const res = await request(server, 'POST', '/chat', '{"message":');
+
+    expect(res.status).toBe(400);
+    expect(res.body.code).toBe('INVALID_INPUT');
+    expect(res.body.suggestions).toBeDefined();
+  });
+
+  test('POST /chat should only pass on the chat options a client may set', async () => {
+    const generateResponse = jest.spyOn(chatbot, 'generateResponse');
+    try {
+      const res = await request(server, 'POST', '/chat', {
+        message: 'Bagaimana cara merawat bulu kucing?',
+        options: { bypassCache: true, language: 'en', clientIp: '203.0.113.9', tier: 'partner', streaming: true }
+      });
+      const options = generateResponse.mock.calls[0][2];
+
+      expect(res.status).toBe(200);
+      expect(options).toMatchObject({ bypassCache: true, language: 'en', tier: config.rateLimit.defaultTier });
+      expect(options.clientIp).not.toBe('203.0.113.9');
+      expect(options.streaming).toBeUndefined();
+    } finally {
+      generateResponse.mockRestore();
+    }
+  });
+
+  test('POST /chat should accept inline photos but not server file paths', async () => {
+    const png = Buffer.concat([Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]), Buffer.alloc(24)]);
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'purrpal-server-'));
+    const originalDirectory = config.images.directory;
+    fs.writeFileSync(path.join(directory, 'luka.png'), png);
+    config.images.directory = directory;
+
+    try {
+      const message = 'Ini foto luka di kaki kucing saya';
+      const inline = await request(server, 'POST', '/chat', {
+        message,
+        options: { images: [{ data: png.toString('base64') }], bypassCache: true }
+      });
+      const byPath = await request(server, 'POST', '/chat', { message, options: { images: [{ path: 'luka.png' }] } });
+      const single = await request(server, 'POST', '/chat', { message, options: { images: { path: 'luka.png' } } });
+
+      expect(inline.status).toBe(200);
+      expect(inline.body.imageCount).toBe(1);
+      expect(byPath.status).toBe(400);
+      expect(byPath.body).toMatchObject({ code: 'INVALID_INPUT', reason: 'invalid_image' });
+      expect(single.status).toBe(400);
+      expect(single.body).toMatchObject({ code: 'INVALID_INPUT', reason: 'invalid_image' });
+    } finally {
+      config.images.directory = originalDirectory;
+      fs.rmSync(directory, { recursive: true, force: true });
+    }
+  });
+
+  test('POST /chat/stream should emit SSE chunk events followed by a done event', async () => {
+    const res = await request(server, 'POST', '/chat/stream', {
+      message: 'Bagaimana cara memandikan kucing?'
+    });
+
+    const events = parseSse(res.text);
+    const chunks = events.filter(event => event.event === 'chunk');
+    const last = events[events.length - 1];
+
+    expect(res.status).toBe(200);
+    expect(res.headers['content-type']).toContain('text/event-stream');
+    expect(chunks.length).toBeGreaterThan(0);
+    expect(chunks[0].data.chunkNumber).toBe(1);
+    expect(chunks[0].data.urgencyLevel).toBe('normal');
+    expect(events.map(event => event.event)).not.toContain('replace');
+    expect(last.event).toBe('done');
+    expect(last.data.message).toBe('Jawaban dari server uji.');
+  });
+
+  test('GET /chat/stream should support EventSource query parameters', async () => {
+    const res = await request(server, 'GET', `/chat/stream?message=${encodeURIComponent('Kucing saya bersin terus')}`);
+    const events = parseSse(res.text);
+
+    expect(events[events.length - 1].event).toBe('done');
+  });
+
+  test('/chat/stream should send a failure event and a terminal done event for invalid input', async () => {
+    const res = await request(server, 'POST', '/chat/stream', { message: 'Hi' });
+    const events = parseSse(res.text);
+    const [failure, done] = events.slice(-2);
+
+    // `error` is reserved by EventSource for connection problems
+    expect(events.map(event => event.event)).not.toContain('error');
+    expect(failure.event).toBe('failure');
+    expect(failure.data.success).toBe(false);
+    expect(failure.data.code).toBe('INVALID_INPUT');
+    expect(failure.data.errorId).toBeDefined();
+    expect(done.event).toBe('done');
+    expect(done.data.errorId).toBe(failure.data.errorId);
+  });
+
+  test('/chat/stream should send a replace event when the safety check changes the streamed answer', async () => {
+    const answers = ['Oleskan minyak kayu putih di perutnya.', 'Jaga tetap hangat dan hubungi dokter hewan.'];
+    const unsafeChatbot = new PurrPalChatbot({
+      provider: new FakeProvider({ responder: request => (request.prompt === 'Test connection' ? 'ok' : answers.shift()) })
+    });
+    await unsafeChatbot.initialize();
+    const unsafeServer = createServer(unsafeChatbot).listen(0);
+
+    try {
+      const res = await request(unsafeServer, 'POST', '/chat/stream', { message: 'Kucing saya kembung' });
+      const events = parseSse(res.text);
+      const [replace, done] = events.slice(-2);
+
+      expect(events[0].event).toBe('chunk');
+      expect(replace.event).toBe('replace');
+      expect(replace.data.chunk).toBe('Jaga tetap hangat dan hubungi dokter hewan.');
+      expect(done.event).toBe('done');
+      expect(done.data.message).toBe(replace.data.chunk);
+    } finally {
+      await new Promise(resolve => unsafeServer.close(resolve));
+    }
+  });
+
+  test('/chat/stream should abort the model stream when the client disconnects', async () => {
+    const slowProvider = new FakeProvider({ latencyMs: 50, chunkSize: 1 });
+    const slowChatbot = new PurrPalChatbot({ provider: slowProvider });
+    await slowChatbot.initialize();
+    const spy = jest.spyOn(slowChatbot, 'generateStreamingResponse');
+    const slowServer = createServer(slowChatbot).listen(0);
+
+    await new Promise(resolve => {
+      const req = http.request({
+        host: '127.0.0.1',
+        port: slowServer.address().port,
+        method: 'GET',
+        path: `/chat/stream?message=${encodeURIComponent('Bagaimana cara merawat kucing?')}`
+      }, res => {
+        res.once('data', () => {
+          req.destroy();
+          resolve();
+        });
+      });
+      req.end();
+    });
+
+    const result = await spy.mock.results[0].value;
+    await new Promise(resolve => slowServer.close(resolve));
+
+    expect(result.success).toBe(false);
+    expect(result.code).toBe('ABORTED');
+  });
+
+  test('POST /chat should abort the model call when the client disconnects', async () => {
+    const slowProvider = new FakeProvider({ latencyMs: 1000 });
+    const slowChatbot = new PurrPalChatbot({ provider: slowProvider });
+    await slowChatbot.initialize();
+    const spy = jest.spyOn(slowChatbot, 'generateResponse');
+    const slowServer = createServer(slowChatbot).listen(0);
+
+    const payload = JSON.stringify({ message: 'Bagaimana cara merawat kucing?', options: { bypassCache: true } });
+    const req = http.request({
+      host: '127.0.0.1',
+      port: slowServer.address().port,
+      method: 'POST',
+      path: '/chat',
+      headers: { 'Content-Type': 'application/json', 'Content-Length': Buffer.byteLength(payload) }
+    });
+    req.on('error', () => {});
+    req.end(payload);
+
+    await new Promise(resolve => setTimeout(resolve, 50));
+    req.destroy();
+
+    const result = await spy.mock.results[0].value;
+    await new Promise(resolve => slowServer.close(resolve));
+
+    expect(result.code).toBe('ABORTED');
+  });
+
+  test('POST /chat should return 504 when the model times out', async () => {
+    const originalTimeout = config.catCare.responseTimeout;
+    const originalRetries = config.resilience.retry.retries;
+    config.catCare.responseTimeout = 20;
+    config.resilience.retry.retries = 0;
+
+    const slowChatbot = new PurrPalChatbot({ provider: new FakeProvider() });
+    await slowChatbot.initialize();
+    slowChatbot.provider.options.latencyMs = 200;
+    const slowServer = createServer(slowChatbot).listen(0);
+
+    try {
+      const res = await request(slowServer, 'POST', '/chat', {
+        message: 'Bagaimana cara merawat kucing?',
+        options: { bypassCache: true }
+      });
+
+      expect(res.status).toBe(504);
+      expect(res.body.code).toBe('TIMEOUT');
+    } finally {
+      config.catCare.responseTimeout = originalTimeout;
+      config.resilience.retry.retries = originalRetries;
+      await new Promise(resolve => slowServer.close(resolve));
+    }
+  });
+
+  describe('rate limiting', () => {
+    const originalDefaultTier = { ...config.rateLimit.tiers.default };
+
+    beforeEach(() => {
+      RateLimiter.reset();
+      config.rateLimit.tiers.default.ipRequests = 2;
+      config.rateLimit.apiKeys['partner-key'] = 'partner';
+    });
+
+    afterEach(() => {
+      Object.assign(config.rateLimit.tiers.default, originalDefaultTier);
+      delete config.rateLimit.apiKeys['partner-key'];
+      RateLimiter.reset();
+    });
+
+    test('POST /chat should return 429 with Retry-After once the IP quota is used up', async () => {
+      const body = { message: 'Bagaimana cara merawat bulu kucing?' };
+      await request(server, 'POST', '/chat', { ...body, sessionId: 'ip-a' });
+      await request(server, 'POST', '/chat', { ...body, sessionId: 'ip-b' });
+      const res = await request(server, 'POST', '/chat', { ...body, sessionId: 'ip-c' });
+
+      expect(res.status).toBe(429);
+      expect(res.body.code).toBe('RATE_LIMITED');
+      expect(res.body.retryAfter).toBeGreaterThan(0);
+      expect(res.headers['retry-after']).toBe(String(res.body.retryAfter));
+    });
+
+    test('POST /chat should apply the partner tier for a known API key', async () => {
+      const body = { message: 'Bagaimana cara merawat bulu kucing?', sessionId: 'partner-session' };
+      const headers = { 'X-API-Key': 'partner-key' };
+
+      for (let i = 0; i < 3; i++) {
+        const res = await request(server, 'POST', '/chat', body, headers);
+        expect(res.status).toBe(200);
+      }
+    });
+  });
+
+  test('GET /health should report healthy status', async () => {
+    const res = await request(server, 'GET', '/health');
+
+    expect(res.status).toBe(200);
+    expect(res.body.status).toBe('healthy');
+  });
+
+  test('GET /metrics should return chatbot metrics', async () => {
+    const res = await request(server, 'GET', '/metrics');
+
+    expect(res.status).toBe(200);
+    expect(res.body).toHaveProperty('totalRequests');
+    expect(res.body).toHaveProperty('activeConversations');
+  });
+
+  test('DELETE /sessions/:id should clear conversation history', async () => {
+    await request(server, 'POST', '/chat', {
+      message: 'Kucing saya suka menggigit',
+      sessionId: 'delete-me'
+    });
+    expect(chatbot.getConversationHistory('delete-me')).not.toBeNull();
+
+    const res = await request(server, 'DELETE', '/sessions/delete-me');
+
+    expect(res.status).toBe(200);
+    expect(res.body.success).toBe(true);
+    expect(chatbot.getConversationHistory('delete-me')).toBeNull();
+  });
+
+  test('GET /sessions/:id/intake should return the symptom intake or 404', async () => {
+    const missing = await request(server, 'GET', '/sessions/no-intake/intake');
+    expect(missing.status).toBe(404);
+    expect(missing.body.code).toBe('NOT_FOUND');
+
+    await request(server, 'POST', '/chat', {
+      message: 'Kucing saya muntah dan lemas',
+      sessionId: 'intake-session',
+      options: { intake: true }
+    });
+    const res = await request(server, 'GET', '/sessions/intake-session/intake');
+
+    expect(res.status).toBe(200);
+    expect(res.body.intake.status).toBe('in_progress');
+    expect(res.body.intake.question).toHaveProperty('text');
+  });
+
+  test('DELETE /cache should clear the response cache', async () => {
+    const res = await request(server, 'DELETE', '/cache');
+
+    expect(res.status).toBe(200);
+    expect(res.body.success).toBe(true);
+  });
+
+  test('unknown routes should return 404 with the shared error shape', async () => {
+    const res = await request(server, 'GET', '/does-not-exist');
+
+    expect(res.status).toBe(404);
+    expect(res.body.code).toBe('NOT_FOUND');
+  });
+});
@@ -0,0 +1,174 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { PurrPalChatbot } = require('../src/chatbot');
+const { FakeProvider } = require('../src/providers');
+const {
+  MemorySessionStore,
+  FileSessionStore,
+  createSessionStore
+} = require('../src/sessionStore');
+
+const originalConsoleLog = console.log;
+const originalConsoleError = console.error;
+
+describe('Session Stores', () => {
+  let tmpDir;
+
+  beforeAll(() => {
+    console.log = jest.fn();
+    console.error = jest.fn();
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'purrpal-sessions-'));
+  });
+
+  afterAll(() => {
+    console.log = originalConsoleLog;
+    console.error = originalConsoleError;
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  describe('MemorySessionStore', () => {
+    test('should behave like a Map for basic operations', async () => {
+      const store = new MemorySessionStore({ ttlMs: 0, maxSessions: 10 });
+
+      store.set('a', { turns: [] });
+      expect(store.get('a')).toEqual({ turns: [] });
+      expect(store.has('a')).toBe(true);
+      expect(store.size).toBe(1);
+
+      expect(store.delete('a')).toBe(true);
+      expect(store.get('a')).toBeUndefined();
+
+      await store.close();
+    });
+
+    test('should evict the least recently used session beyond the cap', async () => {
+      const onEvict = jest.fn();
+      const store = new MemorySessionStore({ ttlMs: 0, maxSessions: 2, onEvict });
+
+      store.set('a', { id: 'a' });
+      store.set('b', { id: 'b' });
+      store.get('a'); // touch a so b becomes least recently used
+      store.set('c', { id: 'c' });
+
+      expect(store.has('a')).toBe(true);
+      expect(store.has('b')).toBe(false);
+      expect(store.has('c')).toBe(true);
+      expect(onEvict).toHaveBeenCalledWith('b', { id: 'b' }, 'capacity');
+
+      await store.close();
+    });
+
+    test('should expire idle sessions', async () => {
+      const onEvict = jest.fn();
+      const store = new MemorySessionStore({ ttlMs: 20, maxSessions: 10, onEvict });
+
+      store.set('idle', { id: 'idle' });
+      await new Promise(resolve => setTimeout(resolve, 40));
+
+      expect(store.get('idle')).toBeUndefined();
+      expect(onEvict).toHaveBeenCalledWith('idle', { id: 'idle' }, 'expired');
+
+      await store.close();
+    });
+
+    test('should prune expired sessions in bulk', async () => {
+      const store = new MemorySessionStore({ ttlMs: 20, maxSessions: 10 });
+      store.set('one', {});
+      store.set('two', {});
+      await new Promise(resolve => setTimeout(resolve, 40));
+      store.set('fresh', {});
+
+      expect(store.prune()).toBe(2);
+      expect(store.size).toBe(1);
+
+      await store.close();
+    });
+
+    test('should export and import sessions', async () => {
+      const source = new MemorySessionStore({ ttlMs: 0, maxSessions: 10 });
+      source.set('s1', { turns: [{ role: 'user', text: 'Halo' }] });
+
+      const snapshot = source.export();
+      const target = new MemorySessionStore({ ttlMs: 0, maxSessions: 10 });
+
+      expect(target.import(snapshot)).toBe(1);
+      expect(target.get('s1').turns[0].text).toBe('Halo');
+
+      await source.close();
+      await target.close();
+    });
+  });
+
+  describe('FileSessionStore', () => {
+    test('should persist sessions across store instances', async () => {
+      const filePath = path.join(tmpDir, 'sessions.json');
+      const first = new FileSessionStore({ filePath, ttlMs: 0, maxSessions: 10 });
+      first.set('persisted', { turns: [{ role: 'user', text: 'Kucing saya batuk' }] });
+      await first.close();
+
+      const second = new FileSessionStore({ filePath, ttlMs: 0, maxSessions: 10 });
+      expect(second.get('persisted').turns[0].text).toBe('Kucing saya batuk');
+      await second.close();
+    });
+
+    test('should flush writes after the debounce delay', async () => {
+      const filePath = path.join(tmpDir, 'debounced.json');
+      const store = new FileSessionStore({ filePath, ttlMs: 0, maxSessions: 10, flushDelayMs: 10 });
+      store.set('s', { turns: [] });
+
+      await new Promise(resolve => setTimeout(resolve, 50));
+      const snapshot = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+
+      expect(snapshot.sessions.map(entry => entry.id)).toEqual(['s']);
+      await store.close();
+    });
+
+    test('should start empty when the file is corrupt', async () => {
+      const filePath = path.join(tmpDir, 'corrupt.json');
+      fs.writeFileSync(filePath, '{not json');
+
+      const store = new FileSessionStore({ filePath, ttlMs: 0, maxSessions: 10 });
+      expect(store.size).toBe(0);
+      await store.close();
+    });
+  });
+
+  describe('createSessionStore', () => {
+    test('should create stores by name', async () => {
+      const store = createSessionStore('memory');
+      expect(store).toBeInstanceOf(MemorySessionStore);
+      await store.close();
+    });
+
+    test('should reject unknown store types', () => {
+      expect(() => createSessionStore('sqlite')).toThrow('Unknown session store');
+    });
+  });
+
+  describe('PurrPalChatbot with a file session store', () => {
+    test('should restore conversations after a restart', async () => {
+      const filePath = path.join(tmpDir, 'chatbot-sessions.json');
+
+      const firstRun = new PurrPalChatbot({
+        provider: new FakeProvider(),
+        sessionStore: new FileSessionStore({ filePath, ttlMs: 0, maxSessions: 10 })
+      });
+      await firstRun.initialize();
+      await firstRun.generateResponse('Kucing saya bersin terus', 'restart-session', { bypassCache: true });
+      await firstRun.shutdown();
+
+      const secondRun = new PurrPalChatbot({
+        provider: new FakeProvider(),
+        sessionStore: new FileSessionStore({ filePath, ttlMs: 0, maxSessions: 10 })
+      });
+
+      const history = secondRun.getConversationHistory('restart-session');
+      expect(history.turns).toHaveLength(2);
+      expect(history.turns[0].text).toBe('Kucing saya bersin terus');
+      expect(secondRun.exportConversations().sessions).toHaveLength(1);
+
+      await secondRun.shutdown();
+    });
+  });
+});
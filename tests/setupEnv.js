@@ -0,0 +1,3 @@
+// Tests never talk to Vertex AI: every suite runs against the fake provider
+process.env.MODEL_PROVIDER = 'fake';
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'error';
@@ -0,0 +1,127 @@
+const config = require('../src/config');
+const { PurrPalChatbot } = require('../src/chatbot');
+const { FakeProvider } = require('../src/providers');
+const { TextNormalizer } = require('../src/textNormalizer');
+const { CacheManager } = require('../src/utils');
+
+const originalConsoleLog = console.log;
+const originalConsoleError = console.error;
+
+describe('Text Normalisation & Fuzzy Cache', () => {
+  const originalCacheConfig = { ...config.cache };
+
+  beforeAll(() => {
+    console.log = jest.fn();
+    console.error = jest.fn();
+  });
+
+  afterAll(() => {
+    console.log = originalConsoleLog;
+    console.error = originalConsoleError;
+  });
+
+  afterEach(async () => {
+    Object.assign(config.cache, originalCacheConfig);
+    await CacheManager.clear();
+  });
+
+  describe('TextNormalizer', () => {
+    test('should expand slang and drop possessive suffixes', () => {
+      expect(TextNormalizer.tokenize('Kucingku gak mau makan!')).toEqual(['kucing', 'tidak', 'mau', 'makan']);
+      expect(TextNormalizer.tokenize('bulunya rontok')).toEqual(['bulu', 'rontok']);
+    });
+
+    test('should not strip suffixes from short words', () => {
+      expect(TextNormalizer.tokenize('kaki kaku')).toEqual(['kaki', 'kaku']);
+    });
+
+    test('should remove stopwords from content tokens', () => {
+      expect(TextNormalizer.contentTokens('Kak, kucing saya ini tidak mau makan ya'))
+        .toEqual(['kucing', 'tidak', 'mau', 'makan']);
+    });
+
+    test('should score near-duplicate questions as identical', () => {
+      expect(TextNormalizer.similarity('kucing saya tidak mau makan', 'kucingku gak mau makan')).toBe(1);
+    });
+
+    test('should never match questions that differ in negation', () => {
+      expect(TextNormalizer.similarity('kucing saya tidak mau makan', 'kucing saya mau makan')).toBe(0);
+    });
+
+    test('should never match questions that differ in numbers', () => {
+      expect(TextNormalizer.similarity(
+        'kucing umur 2 bulan makan berapa kali sehari',
+        'kucing umur 5 bulan makan berapa kali sehari'
+      )).toBe(0);
+    });
+
+    test('should score unrelated questions low', () => {
+      expect(TextNormalizer.similarity('cara memandikan kucing', 'vaksin kucing kapan')).toBeLessThan(0.5);
+    });
+  });
+
+  describe('CacheManager.lookup', () => {
+    test('should report exact matches', async () => {
+      const key = CacheManager.generateCacheKey('Berapa kali kucing makan?');
+      await CacheManager.set(key, { message: 'Tiga kali' }, { text: 'Berapa kali kucing makan?' });
+
+      const match = await CacheManager.lookup('berapa kali kucing makan?');
+      expect(match).toMatchObject({ match: 'exact', similarity: 1, value: { message: 'Tiga kali' } });
+    });
+
+    test('should only match near-duplicates when fuzzy matching is enabled', async () => {
+      const key = CacheManager.generateCacheKey('kucing saya tidak mau makan');
+      await CacheManager.set(key, { message: 'Coba makanan basah' }, { text: 'kucing saya tidak mau makan' });
+
+      expect(await CacheManager.lookup('kucingku gak mau makan')).toBeNull();
+
+      config.cache.fuzzyMatching = true;
+      await CacheManager.set(key, { message: 'Coba makanan basah' }, { text: 'kucing saya tidak mau makan' });
+      const match = await CacheManager.lookup('kucingku gak mau makan');
+
+      expect(match).toMatchObject({ key, match: 'fuzzy', value: { message: 'Coba makanan basah' } });
+    });
+
+    test('should respect the similarity threshold', async () => {
+      config.cache.fuzzyMatching = true;
+      config.cache.similarityThreshold = 0.95;
+      const text = 'bagaimana cara memotong kuku kucing';
+      await CacheManager.set(CacheManager.generateCacheKey(text), { message: 'Pakai gunting khusus' }, { text });
+
+      expect(await CacheManager.lookup('cara memotong kuku kucing dengan aman')).toBeNull();
+    });
+  });
+
+  describe('PurrPalChatbot fuzzy cache hits', () => {
+    let chatbot;
+    let provider;
+
+    beforeEach(async () => {
+      config.cache.fuzzyMatching = true;
+      provider = new FakeProvider();
+      chatbot = new PurrPalChatbot({ provider });
+      await chatbot.initialize();
+    });
+
+    test('should serve near-duplicates from cache and record the match type', async () => {
+      const first = await chatbot.generateResponse('Bagaimana cara memandikan kucing saya?', 'fuzzy-session');
+      const callsAfterFirst = provider.calls.length;
+
+      const second = await chatbot.generateResponse('gimana cara memandikan kucingku', 'fuzzy-session');
+
+      expect(first.cached).toBeUndefined();
+      expect(second.cached).toBe(true);
+      expect(second.cacheMatch).toBe('fuzzy');
+      expect(second.cacheSimilarity).toBeGreaterThanOrEqual(config.cache.similarityThreshold);
+      expect(provider.calls).toHaveLength(callsAfterFirst);
+    });
+
+    test('should mark exact repeats as exact matches', async () => {
+      await chatbot.generateResponse('Bagaimana cara memandikan kucing?', 'exact-session');
+      const response = await chatbot.generateResponse('Bagaimana cara memandikan kucing?', 'exact-session');
+
+      expect(response.cacheMatch).toBe('exact');
+      expect(response.cacheSimilarity).toBeUndefined();
+    });
+  });
+});
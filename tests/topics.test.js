@@ -0,0 +1,154 @@
+const config = require('../src/config');
+const { PurrPalChatbot } = require('../src/chatbot');
+const { FakeProvider } = require('../src/providers');
+const { TopicClassifier } = require('../src/topics');
+const { TriageEngine } = require('../src/triage');
+const { CacheManager, MetricsCollector } = require('../src/utils');
+
+const originalConsoleLog = console.log;
+const originalConsoleError = console.error;
+
+describe('Topic Classification', () => {
+  beforeAll(() => {
+    console.log = jest.fn();
+    console.error = jest.fn();
+  });
+
+  afterAll(() => {
+    console.log = originalConsoleLog;
+    console.error = originalConsoleError;
+  });
+
+  describe('TopicClassifier', () => {
+    test.each([
+      ['Kucingku tidak mau makan', 'cat', 'cat'],
+      ['Apakah makanan anjing aman untuk kucing?', 'cat', 'cat'],
+      ['Persia saya bulunya rontok', 'cat', 'cat'],
+      ['Anjing saya muntah terus', 'other-pet', 'dog'],
+      ['Kura-kura saya tidak mau makan', 'other-pet', 'reptile'],
+      ['Tolong kerjakan PR matematika saya', 'off-topic', 'homework'],
+      ['Siapa presiden yang paling bagus?', 'off-topic', 'politics'],
+      ['Saham apa yang bagus dibeli sekarang?', 'off-topic', 'finance'],
+      ['Halo PurrPal!', 'general', 'general'],
+      ['Muntah bola rambut terus, normal tidak?', 'general', 'general']
+    ])('should classify "%s" as %s/%s', (message, type, category) => {
+      expect(TopicClassifier.classify(message)).toMatchObject({ type, category });
+    });
+
+    test('should never redirect a serious or emergency message as off-topic', () => {
+      const topic = TopicClassifier.classify('Tolong, game tadi bikin peliharaan saya kejang');
+
+      expect(topic.type).toBe('off-topic');
+      expect(TopicClassifier.redirects(topic, TriageEngine.assess('peliharaan saya kejang'))).toBe(false);
+    });
+
+    test('should scope the other-pet reply to a vet with matching urgency', () => {
+      const topic = TopicClassifier.classify('Anjing saya kejang');
+      const reply = TopicClassifier.reply(topic, TriageEngine.assess('Anjing saya kejang'));
+
+      expect(reply).toContain('tidak dapat memberikan saran kesehatan atau perawatan untuk anjing');
+      expect(reply).toContain('Segera bawa anjing Anda ke dokter hewan');
+    });
+
+    test('should treat other animals in a cat conversation as a follow-up', () => {
+      const question = 'Apakah dia boleh makan makanan anjing?';
+
+      expect(TopicClassifier.classify(question)).toMatchObject({ type: 'other-pet', category: 'dog' });
+      expect(TopicClassifier.classify(question, { subject: 'cat' })).toEqual({ type: 'cat', category: 'cat', label: 'kucing', followUp: true });
+      expect(TopicClassifier.classify('Siapa presiden yang paling bagus?', { subject: 'cat' }).type).toBe('off-topic');
+    });
+
+    test('should write the reply in the requested language', () => {
+      const dog = TopicClassifier.classify('My dog is having a seizure');
+
+      expect(TopicClassifier.reply(dog, TriageEngine.assess('kejang'), 'en')).toContain('Take your dog to a vet');
+      expect(TopicClassifier.reply(TopicClassifier.classify('Rekomendasi anime?'), undefined, 'su')).toContain('perkawis hiburan');
+    });
+  });
+
+  describe('Chatbot integration', () => {
+    let chatbot;
+    let provider;
+
+    beforeEach(async () => {
+      await CacheManager.clear();
+      MetricsCollector.resetMetrics();
+      provider = new FakeProvider({ responder: () => 'Kucing dewasa sebaiknya makan dua kali sehari.' });
+      chatbot = new PurrPalChatbot({ provider });
+      await chatbot.initialize();
+      provider.calls.length = 0;
+    });
+
+    afterEach(() => {
+      config.topics.enabled = true;
+    });
+
+    test('should redirect off-topic questions politely without calling the model', async () => {
+      const response = await chatbot.generateResponse('Tolong jelaskan rumus fisika gerak lurus', 'topic-session');
+
+      expect(response).toMatchObject({
+        success: true,
+        source: 'topic-filter',
+        topic: { type: 'off-topic', category: 'homework' }
+      });
+      expect(response.message).toContain('PurrPal hanya bisa membantu pertanyaan seputar kucing');
+      expect(provider.calls).toHaveLength(0);
+      expect(chatbot.getConversationHistory('topic-session').turns).toHaveLength(2);
+    });
+
+    test('should answer other pets with a vet referral and no cat recommendations', async () => {
+      const response = await chatbot.generateResponse('Kelinci saya tidak mau makan');
+
+      expect(response.topic).toEqual({ type: 'other-pet', category: 'rabbit' });
+      expect(response.message).toContain('dokter hewan');
+      expect(response.recommendations).toBeUndefined();
+      expect(provider.calls).toHaveLength(0);
+    });
+
+    test('should answer follow-ups about other animals in an ongoing cat conversation', async () => {
+      await chatbot.generateResponse('Kucing saya umur 2 tahun, makannya apa saja?', 'cat-thread');
+      const followUp = await chatbot.generateResponse('Apakah dia boleh makan makanan anjing?', 'cat-thread');
+
+      expect(followUp.source).toBe('purrpal-ai');
+      expect(provider.calls).toHaveLength(2);
+
+      const fresh = await chatbot.generateResponse('Apakah dia boleh makan makanan anjing?', 'new-thread');
+      expect(fresh.source).toBe('topic-filter');
+    });
+
+    test('should redirect in the language of the question', async () => {
+      const response = await chatbot.generateResponse('My rabbit is not eating, what should I do?');
+
+      expect(response).toMatchObject({ source: 'topic-filter', language: 'en' });
+      expect(response.message).toContain("can't give health or care advice for your rabbit");
+    });
+
+    test('should stream the redirect as a single chunk', async () => {
+      const chunks = [];
+      const response = await chatbot.generateStreamingResponse('Rekomendasi anime terbaik?', null, chunk => chunks.push(chunk));
+
+      expect(response.source).toBe('topic-filter');
+      expect(chunks).toHaveLength(1);
+      expect(chunks[0].fullResponse).toBe(response.message);
+    });
+
+    test('should count topic categories in the metrics', async () => {
+      await chatbot.generateResponse('Berapa kali kucing harus makan?', null, { bypassCache: true });
+      await chatbot.generateResponse('Halo, selamat pagi', null, { bypassCache: true });
+      await chatbot.generateResponse('Anjing saya batuk');
+      await chatbot.generateResponse('Siapa capres favoritmu?');
+
+      const metrics = MetricsCollector.getMetrics();
+      expect(metrics.topicCategories).toEqual({ cat: 1, general: 1, dog: 1, politics: 1 });
+      expect(metrics.topicRedirects).toBe(2);
+    });
+
+    test('should send everything to the model when the filter is disabled', async () => {
+      config.topics.enabled = false;
+      const response = await chatbot.generateResponse('Anjing saya batuk', null, { bypassCache: true });
+
+      expect(response.source).toBe('purrpal-ai');
+      expect(provider.calls).toHaveLength(1);
+    });
+  });
+});
@@ -0,0 +1,184 @@
+const config = require('../src/config');
+const { PurrPalChatbot } = require('../src/chatbot');
+const { FakeProvider } = require('../src/providers');
+const { TriageEngine } = require('../src/triage');
+const { CacheManager, PromptManager } = require('../src/utils');
+
+const originalConsoleLog = console.log;
+const originalConsoleError = console.error;
+
+const firedRules = (triage, type) => triage.explanation
+  .filter(entry => entry.type === type)
+  .map(entry => entry.rule);
+
+describe('Triage Engine', () => {
+  beforeAll(() => {
+    console.log = jest.fn();
+    console.error = jest.fn();
+  });
+
+  afterAll(() => {
+    console.log = originalConsoleLog;
+    console.error = originalConsoleError;
+  });
+
+  describe('TriageEngine.assess', () => {
+    test('should classify routine questions as normal', () => {
+      const triage = TriageEngine.assess('Berapa kali kucing harus mandi dalam sebulan?');
+      expect(triage.urgencyLevel).toBe('normal');
+      expect(triage.score).toBe(0);
+      expect(triage.explanation).toEqual([]);
+    });
+
+    test('should detect emergencies', () => {
+      const triage = TriageEngine.assess('Kucing saya kejang-kejang dari tadi');
+      expect(triage.urgencyLevel).toBe('emergency');
+      expect(triage.hasEmergencyKeyword).toBe(true);
+      expect(firedRules(triage, 'symptom')).toContain('seizure');
+    });
+
+    test('should not flag negated symptoms', () => {
+      const triage = TriageEngine.assess('Kucing saya jatuh tapi tidak ada darah');
+      expect(triage.urgencyLevel).toBe('normal');
+      expect(firedRules(triage, 'negated')).toContain('bleeding');
+    });
+
+    test('should end negation scope at conjunctions and clause breaks', () => {
+      expect(TriageEngine.assess('Kucing ga makan dan muntah').symptoms.map(symptom => symptom.id))
+        .toEqual(expect.arrayContaining(['not-eating', 'vomiting']));
+      expect(TriageEngine.assess('Tidak muntah, tapi ada darah di urinnya').urgencyLevel).toBe('emergency');
+    });
+
+    test('should understand slang', () => {
+      const triage = TriageEngine.assess('tolong kucingku ga napas');
+      expect(triage.urgencyLevel).toBe('emergency');
+      expect(firedRules(triage, 'symptom')).toContain('not-breathing');
+    });
+
+    test('should tolerate single-character typos in longer words', () => {
+      expect(TriageEngine.assess('kucing saya pingsn').urgencyLevel).toBe('emergency');
+      expect(TriageEngine.assess('kucing saya kejangg').urgencyLevel).toBe('emergency');
+    });
+
+    test.each([
+      'Anak kucing saya boleh makan daging mentah?',
+      'ikan mentah aman untuk kitten umur 4 bulan?',
+      'ekor kucing saya bengkok dari lahir'
+    ])('should not read real words as symptom typos: "%s"', message => {
+      const triage = TriageEngine.assess(message);
+
+      expect(triage.urgencyLevel).toBe('normal');
+      expect(triage.symptoms).toEqual([]);
+    });
+
+    test.each([
+      ['My cat is vomiting and not eating since yesterday', 'serious', ['not-eating', 'vomiting']],
+      ['Kucingku ora gelem mangan lan mutah', 'serious', ['not-eating', 'vomiting']],
+      ['Ucing abdi teu daek dahar sareng utah ti kamari', 'serious', ['not-eating', 'vomiting']],
+      ['Ucing abdi kejang, teu ngambekan', 'emergency', ['not-breathing', 'seizure']]
+    ])('should triage symptoms in other languages: "%s"', (message, urgencyLevel, symptoms) => {
+      const triage = TriageEngine.assess(message);
+
+      expect(triage.urgencyLevel).toBe(urgencyLevel);
+      expect(triage.symptoms.map(symptom => symptom.id)).toEqual(symptoms);
+    });
+
+    test('should detect English emergencies and negations', () => {
+      const triage = TriageEngine.assess('Help, my cat had a seizure and now he is not breathing!');
+      expect(triage.urgencyLevel).toBe('emergency');
+      expect(firedRules(triage, 'symptom')).toEqual(expect.arrayContaining(['seizure', 'not-breathing']));
+
+      expect(TriageEngine.assess("There is no blood and he doesn't vomit").urgencyLevel).toBe('normal');
+      expect(TriageEngine.assess('Is breeding a cat at home a good idea?').symptoms).toEqual([]);
+    });
+
+    test.each([
+      'My cat needs a blood test',
+      'Is it an emergency to skip a meal?',
+      'Kucing saya perlu cek darah, berapa biayanya?',
+      'Is it urgent to get her vaccinated this week?'
+    ])('should not treat a bare mention of blood or urgency as an emergency: "%s"', message => {
+      expect(TriageEngine.assess(message).urgencyLevel).toBe('normal');
+    });
+
+    test.each([
+      'There is blood in his urine',
+      'My cat is vomiting blood',
+      'Ada darah di kotorannya',
+      'Kucingku nguyuh getih'
+    ])('should detect bleeding described with a symptom: "%s"', message => {
+      const triage = TriageEngine.assess(message);
+
+      expect(triage.urgencyLevel).toBe('emergency');
+      expect(firedRules(triage, 'symptom')).toContain('bleeding');
+    });
+
+    test('should weight symptoms and keep minor ones below serious', () => {
+      expect(TriageEngine.assess('Kucing saya muntah sekali tadi pagi').urgencyLevel).toBe('normal');
+      expect(TriageEngine.assess('Kucing saya tidak mau makan').urgencyLevel).toBe('serious');
+    });
+
+    test('should add up several mild symptoms', () => {
+      const triage = TriageEngine.assess('Kucing saya muntah dan diare');
+      expect(triage.urgencyLevel).toBe('serious');
+      expect(firedRules(triage, 'escalation')).toContain('vomiting-and-diarrhea');
+    });
+
+    test('should escalate multiple serious symptoms to emergency', () => {
+      const triage = TriageEngine.assess('Kucing saya demam tinggi, lemas, dan bengkak di kaki');
+      expect(triage.urgencyLevel).toBe('emergency');
+      expect(firedRules(triage, 'escalation')).toContain('multiple-serious-symptoms');
+    });
+
+    test('should escalate a cat that neither eats nor drinks', () => {
+      const triage = TriageEngine.assess('Sudah 2 hari kucing saya tidak makan dan tidak minum');
+      expect(triage.urgencyLevel).toBe('emergency');
+      expect(firedRules(triage, 'escalation')).toEqual(
+        expect.arrayContaining(['not-eating-and-drinking', 'prolonged-symptoms'])
+      );
+    });
+
+    test('should explain the weight of each fired symptom', () => {
+      const triage = TriageEngine.assess('Kucing saya sesak napas');
+      expect(triage.explanation).toContainEqual({
+        rule: 'breathing-difficulty',
+        type: 'symptom',
+        matched: 'sesak napas',
+        weight: 6
+      });
+    });
+
+    test('should pick up extra keywords from config', () => {
+      config.catCare.emergencyKeywords.push('tersedak');
+      try {
+        expect(TriageEngine.assess('Kucing saya tersedak tulang').urgencyLevel).toBe('emergency');
+      } finally {
+        config.catCare.emergencyKeywords.pop();
+      }
+    });
+  });
+
+  describe('integration', () => {
+    test('PromptManager.detectUrgency should use the triage engine', () => {
+      expect(PromptManager.detectUrgency('tidak ada darah').urgencyLevel).toBe('normal');
+      expect(PromptManager.createCatCarePrompt('kucing ga napas')).toContain('DARURAT TERDETEKSI');
+    });
+
+    test('responses should carry the triage explanation', async () => {
+      await CacheManager.clear();
+      const chatbot = new PurrPalChatbot({ provider: new FakeProvider() });
+      await chatbot.initialize();
+
+      const response = await chatbot.generateResponse('Kucing saya tidak mau makan', 'triage-session');
+      const streamed = await chatbot.generateStreamingResponse('Kucing saya tidak mau makan', 'triage-stream', null, {
+        bypassCache: true
+      });
+
+      expect(response.urgencyLevel).toBe('serious');
+      expect(response.triage.symptoms).toEqual(['not-eating']);
+      expect(streamed.triage).toEqual(response.triage);
+
+      await chatbot.shutdown();
+    });
+  });
+});